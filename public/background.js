@@ -8,15 +8,71 @@
  * 
  * Key Features:
  * - Context menu management for text and area capture
+ * - Keyboard shortcuts (chrome.commands) for capture and chat actions
  * - Screenshot capture API integration
+ * - OCR in an offscreen document, with progress relayed to the page
  * - Message routing and event handling
  * - Extension badge and notification management
+ * - Registration of this install with the backend
+ * - Every request to the backend, made for the UI over chrome.runtime ports
+ * - Chrome's side panel as a place for the chat, receiving the captures
+ * - The "ai" address bar keyword, with suggestions from past prompts
+ * - Migration of settings stored by earlier versions
  * - Cross-tab communication coordination
  * 
  * @author Saketh Sripada
  * @version 1.0.0
  */
 
+import { ensureAuthToken } from '../src/auth';
+import { DEFAULT_SETTINGS, getSettings, migrateSettings, onSettingsChanged } from '../src/settings';
+import { API_PORT_NAME, handleApiPort } from '../src/backendClient';
+import { SIDE_PANEL_PORT_NAME } from '../src/sidePanelBridge';
+import { recordPrompt, clearPromptHistory } from '../src/promptHistory';
+import { suggestPastPrompts, chatPageUrl, openPopupWithQuery } from '../src/omnibox';
+
+// Hidden document that hosts the OCR workers (see offscreen.js)
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+// Offscreen document being created, shared by concurrent callers
+let offscreenCreation = null;
+
+// Tab waiting for each OCR job, so its progress can be relayed there
+const ocrJobTabs = new Map();
+
+// Where the chat opens, kept at hand: Chrome only opens the side panel when
+// asked straight from a user action, before anything is awaited
+let chatLocation = DEFAULT_SETTINGS.chatLocation;
+getSettings()
+  .then((settings) => {
+    chatLocation = settings.chatLocation;
+  })
+  .catch((error) => console.error('Failed to load settings:', error));
+onSettingsChanged((settings, previous) => {
+  chatLocation = settings.chatLocation;
+  // Turning the prompt history off forgets it
+  if (previous.promptHistory && !settings.promptHistory) {
+    clearPromptHistory().catch((error) => console.error('Failed to clear the prompt history:', error));
+  }
+});
+
+// Window the user is in, kept at hand for the same reason
+let focusedWindowId = chrome.windows.WINDOW_ID_NONE;
+chrome.windows.getLastFocused()
+  .then((lastFocused) => {
+    focusedWindowId = lastFocused.id;
+  })
+  .catch((error) => console.error('Failed to find the focused window:', error));
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) focusedWindowId = windowId;
+});
+
+// Port of the open side panel of each window, keyed by window ID
+const sidePanelPorts = new Map();
+
+// Queries for side panels that are opening and haven't connected yet, keyed by window ID
+const pendingSidePanelAsks = new Map();
+
 /**
  * Initializes the extension by creating context menu items when installed or updated.
  * Sets up the right-click menu options for text selection and area capture.
@@ -56,7 +112,32 @@ chrome.runtime.onInstalled.addListener(() => {
     documentUrlPatterns: ["<all_urls>"]
   });
 
+  // Context menu for sending a captured area as an image to a vision model
+  chrome.contextMenus.create({
+    id: "captureAreaAsImage",
+    title: "Select area and send as image to ClickAI",
+    contexts: ["all"],
+    documentUrlPatterns: ["<all_urls>"]
+  });
+
+  // Context menu for sending a captured area as an image with a prompt
+  chrome.contextMenus.create({
+    id: "captureAreaAsImageAndPrompt",
+    title: "Select area, add prompt, and send as image to ClickAI",
+    contexts: ["all"],
+    documentUrlPatterns: ["<all_urls>"]
+  });
+
   console.log('Context menus created successfully');
+
+  // Move settings from earlier versions first - they can change the backend URL.
+  // Then register with the backend up front so the first question isn't delayed.
+  migrateSettings()
+    .catch((error) => console.error('Settings migration failed:', error))
+    .then(() => ensureAuthToken())
+    .catch((error) => {
+      console.error('Install registration failed (will retry on first request):', error);
+    });
 });
 
 /**
@@ -70,6 +151,9 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   console.log(`Context menu clicked: ${info.menuItemId} on tab ${tab.id}`);
 
   try {
+    // Open the side panel while the click still counts as a user action
+    openSidePanelForCapture(tab);
+
     switch (info.menuItemId) {
       case "captureText":
         handleTextCapture(info, tab);
@@ -87,6 +171,14 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
         handleAreaCaptureWithPrompt(tab);
         break;
         
+      case "captureAreaAsImage":
+        handleImageAreaCapture(tab, false);
+        break;
+        
+      case "captureAreaAsImageAndPrompt":
+        handleImageAreaCapture(tab, true);
+        break;
+        
       default:
         console.warn(`Unknown context menu item: ${info.menuItemId}`);
     }
@@ -96,6 +188,164 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   }
 });
 
+/**
+ * Handles keyboard shortcuts declared under "commands" in manifest.json.
+ * They run the same handlers as the context menu entries; for the text
+ * commands the selection is read from the page first, since shortcuts
+ * don't come with it.
+ * 
+ * @param {string} command - Name of the command
+ * @param {chrome.tabs.Tab} tab - Tab that was active when the shortcut was pressed
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  console.log(`Keyboard shortcut: ${command}`);
+
+  try {
+    tab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (!tab) return;
+
+    // Open the side panel while the key press still counts as a user action
+    if (command !== 'toggle-chat') {
+      openSidePanelForCapture(tab);
+    }
+
+    switch (command) {
+      case 'ask-selection':
+        handleTextCapture({ selectionText: await getSelectedText(tab.id) }, tab);
+        break;
+
+      case 'ask-selection-with-prompt':
+        handleTextCaptureWithPrompt({ selectionText: await getSelectedText(tab.id) }, tab);
+        break;
+
+      case 'snip-area':
+        handleAreaCapture(tab);
+        break;
+
+      case 'snip-area-with-prompt':
+        handleAreaCaptureWithPrompt(tab);
+        break;
+
+      case 'toggle-chat':
+        handleToggleChat(tab);
+        break;
+
+      default:
+        console.warn(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    console.error('Error handling keyboard shortcut:', error);
+    showErrorNotification('ClickAI can\'t run on this page. Please try another tab.');
+  }
+});
+
+/**
+ * Shows what pressing Enter does while the user types after the "ai" keyword
+ */
+chrome.omnibox.setDefaultSuggestion({ description: 'Ask ClickAI: <match>%s</match>' });
+
+/**
+ * Suggests past prompts matching the text typed after the "ai" keyword.
+ * 
+ * @param {string} text - Text typed so far
+ * @param {Function} suggest - Callback taking the suggestions
+ */
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  suggestPastPrompts(text, suggest).catch((error) => console.error('Failed to suggest past prompts:', error));
+});
+
+/**
+ * Asks ClickAI the query entered after the "ai" keyword. It opens where the
+ * chat is set to open; a new tab (Alt+Enter), or a popup or side panel
+ * Chrome won't open, gives a ClickAI tab instead.
+ * 
+ * @param {string} text - Query or chosen suggestion
+ * @param {string} disposition - 'currentTab', 'newForegroundTab' or 'newBackgroundTab'
+ */
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  const query = text.trim();
+  if (!query) return;
+
+  recordPrompt(query).catch((error) => console.error('Failed to record the prompt:', error));
+
+  const chatOpening = disposition === 'currentTab' ? openChatWithQuery(query) : Promise.resolve(false);
+  chatOpening
+    .then((opened) => {
+      if (!opened) return openChatPage(query, disposition);
+    })
+    .catch((error) => {
+      console.error('Failed to open ClickAI for the address bar query:', error);
+      showErrorNotification('Failed to open ClickAI. Please try again.');
+    });
+});
+
+/**
+ * Opens the popup or side panel, whichever the chat is set to open in, and
+ * asks it a query. The side panel is opened first thing, while the address
+ * bar entry still counts as a user action.
+ * 
+ * @param {string} query - Query to ask
+ * @returns {Promise<boolean>} Whether the chat opened
+ */
+function openChatWithQuery(query) {
+  const windowId = focusedWindowId;
+  const useSidePanel = chatLocation === 'sidePanel' && chrome.sidePanel && windowId !== chrome.windows.WINDOW_ID_NONE;
+
+  const opening = useSidePanel
+    ? openSidePanel(windowId).then(() => deliverToSidePanel(windowId, { type: 'ask', query }))
+    : openPopupWithQuery(query);
+
+  return opening
+    .then(() => true)
+    .catch((error) => {
+      console.warn('The chat could not be opened, using a ClickAI tab instead:', error.message);
+      return false;
+    });
+}
+
+/**
+ * Opens a ClickAI tab that asks a query
+ * 
+ * @param {string} query - Query to ask
+ * @param {string} disposition - Where the address bar entry asked to open it
+ * @returns {Promise<chrome.tabs.Tab>} The tab
+ */
+function openChatPage(query, disposition) {
+  const url = chatPageUrl(query);
+  if (disposition === 'currentTab') {
+    return chrome.tabs.update({ url });
+  }
+  return chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
+}
+
+/**
+ * Reads the text selected in a tab, in whichever frame it is
+ * 
+ * @param {number} tabId - ID of the tab
+ * @returns {Promise<string>} Selected text, empty if nothing is selected
+ */
+async function getSelectedText(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => window.getSelection().toString()
+  });
+  const selected = results.map(frame => frame.result).find(text => text && text.trim());
+  return selected || '';
+}
+
+/**
+ * Returns the keys bound to the extension's commands. Shortcuts can be
+ * changed at chrome://extensions/shortcuts, so they are looked up each time.
+ * 
+ * @param {Function} sendResponse - Callback receiving the shortcut of each command ('' when unbound)
+ */
+function handleGetShortcuts(sendResponse) {
+  chrome.commands.getAll((commands) => {
+    const shortcuts = Object.fromEntries(commands.map(command => [command.name, command.shortcut || '']));
+    sendResponse({ success: true, shortcuts });
+  });
+}
+
 /**
  * Handles direct text capture from context menu selection.
  * Sends the selected text directly to the content script for AI processing.
@@ -204,6 +454,257 @@ function handleAreaCaptureWithPrompt(tab) {
   });
 }
 
+/**
+ * Handles area capture that sends the captured image itself to a vision
+ * model instead of the text OCR extracts from it.
+ * 
+ * @param {chrome.tabs.Tab} tab - Active tab information
+ * @param {boolean} includePrompt - Whether to ask for a prompt to send with the image
+ */
+function handleImageAreaCapture(tab, includePrompt) {
+  console.log(`Initiating image area capture on tab ${tab.id}`);
+  
+  // Send message to content script to launch the snipping tool in image mode
+  chrome.tabs.sendMessage(tab.id, {
+    type: includePrompt ? 'captureAreaAsImageAndPrompt' : 'captureAreaAsImage'
+  }, (response) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to initiate image area capture:', chrome.runtime.lastError);
+      showErrorNotification('Failed to start screen capture. Please refresh and try again.');
+    } else if (response?.success) {
+      console.log('Image area capture initiated successfully');
+    }
+  });
+}
+
+/**
+ * Opens the chat window in a tab, or closes it if it is open.
+ * 
+ * @param {chrome.tabs.Tab} tab - Active tab information
+ */
+function handleToggleChat(tab) {
+  if (chatLocation === 'sidePanel' && chrome.sidePanel) {
+    // Chrome versions without sidePanel.close() can only open it
+    if (sidePanelPorts.has(tab.windowId) && chrome.sidePanel.close) {
+      chrome.sidePanel.close({ windowId: tab.windowId });
+    } else {
+      openSidePanel(tab.windowId).catch((error) => console.error('Failed to open the side panel:', error));
+    }
+    return;
+  }
+
+  chrome.tabs.sendMessage(tab.id, {
+    type: 'toggleChat'
+  }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to toggle the chat:', chrome.runtime.lastError);
+      showErrorNotification('Failed to open the chat. Please refresh and try again.');
+    }
+  });
+}
+
+/**
+ * Opens the side panel of a window. Queries sent before the panel connects
+ * wait for it. Must be called straight from a user action.
+ * 
+ * @param {number} windowId - ID of the window
+ * @returns {Promise<void>} Rejects if Chrome refuses, e.g. without a user action
+ */
+function openSidePanel(windowId) {
+  if (!sidePanelPorts.has(windowId) && !pendingSidePanelAsks.has(windowId)) {
+    pendingSidePanelAsks.set(windowId, []);
+  }
+  return chrome.sidePanel.open({ windowId }).catch((error) => {
+    pendingSidePanelAsks.delete(windowId);
+    throw error;
+  });
+}
+
+/**
+ * Opens the side panel for a capture that is about to start, if the chat is
+ * set to open there. The capture's query follows once it is made.
+ * 
+ * @param {chrome.tabs.Tab} tab - Tab the capture is made in
+ */
+function openSidePanelForCapture(tab) {
+  if (chatLocation !== 'sidePanel' || !chrome.sidePanel) return;
+  openSidePanel(tab.windowId).catch((error) => console.error('Failed to open the side panel:', error));
+}
+
+/**
+ * Passes a query from a content script to the side panel of its window.
+ * The panel takes it if it is open or opening; otherwise it is opened when
+ * the chat is set to open there and Chrome allows it. A message without a
+ * query (the floating button) only opens the panel, and only in that case.
+ * 
+ * @param {Object} message - `query`, and the captured `image` or `attachment` if any
+ * @param {chrome.tabs.Tab} tab - Tab the query comes from
+ * @param {Function} sendResponse - Called with `success: false` if the chat must open in the page instead
+ * @returns {boolean} True if the response is sent asynchronously
+ */
+function handleAskInSidePanel(message, tab, sendResponse) {
+  const windowId = tab?.windowId;
+  const ask = { type: 'ask', query: message.query, image: message.image, attachment: message.attachment };
+  const hasQuery = Boolean(message.query || message.image || message.attachment);
+
+  if (!chrome.sidePanel || windowId === undefined || (!hasQuery && chatLocation !== 'sidePanel')) {
+    sendResponse({ success: false });
+    return false;
+  }
+
+  const port = sidePanelPorts.get(windowId);
+  if (port) {
+    if (hasQuery) port.postMessage(ask);
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (!pendingSidePanelAsks.has(windowId)) {
+    if (chatLocation !== 'sidePanel') {
+      sendResponse({ success: false });
+      return false;
+    }
+    // Works when Chrome passes on the user action that led to the message
+    openSidePanel(windowId)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.warn('Side panel could not be opened, using the page instead:', error.message);
+        sendResponse({ success: false });
+      });
+    if (hasQuery) pendingSidePanelAsks.get(windowId)?.push(ask);
+    return true;
+  }
+
+  if (hasQuery) pendingSidePanelAsks.get(windowId).push(ask);
+  sendResponse({ success: true });
+  return false;
+}
+
+/**
+ * Gives a query to the side panel of a window, which is open or opening
+ * 
+ * @param {number} windowId - ID of the window
+ * @param {Object} ask - `ask` message for the panel
+ */
+function deliverToSidePanel(windowId, ask) {
+  const port = sidePanelPorts.get(windowId);
+  if (port) {
+    port.postMessage(ask);
+  } else {
+    pendingSidePanelAsks.get(windowId)?.push(ask);
+  }
+}
+
+/**
+ * Keeps track of an open side panel. The panel first tells which window it
+ * belongs to; queries waiting for it are then delivered.
+ * 
+ * @param {chrome.runtime.Port} port - Port opened by the side panel
+ */
+function handleSidePanelPort(port) {
+  let windowId = null;
+
+  port.onMessage.addListener((message) => {
+    if (message.type !== 'register') return;
+    windowId = message.windowId;
+    sidePanelPorts.set(windowId, port);
+    (pendingSidePanelAsks.get(windowId) || []).forEach((ask) => port.postMessage(ask));
+    pendingSidePanelAsks.delete(windowId);
+  });
+
+  port.onDisconnect.addListener(() => {
+    if (sidePanelPorts.get(windowId) === port) {
+      sidePanelPorts.delete(windowId);
+    }
+  });
+}
+
+/**
+ * Creates the offscreen OCR document unless it is already open.
+ * Only one offscreen document may exist per extension.
+ */
+async function ensureOffscreenDocument() {
+  const url = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [url]
+  });
+  if (contexts.length > 0) return;
+
+  if (!offscreenCreation) {
+    offscreenCreation = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['WORKERS'],
+      justification: 'Runs OCR on captured screen areas in Web Workers'
+    }).finally(() => {
+      offscreenCreation = null;
+    });
+  }
+  await offscreenCreation;
+}
+
+/**
+ * Forwards an OCR message to the offscreen document, creating it if needed.
+ * 
+ * @param {Object} message - ocrRecognize, ocrCancel, ocrWarmUp or ocrDetectScript message
+ * @returns {Promise<Object>} The offscreen document's response
+ */
+async function sendToOffscreen(message) {
+  await ensureOffscreenDocument();
+  return chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+}
+
+/**
+ * Runs an OCR job for a tab in the offscreen document.
+ * 
+ * @param {Object} message - ocrRecognize message with jobId, image, language and parameters
+ * @param {number} tabId - Tab that asked for the job
+ * @param {Function} sendResponse - Callback receiving the result
+ */
+function handleOcrRecognize(message, tabId, sendResponse) {
+  console.log(`Starting OCR job ${message.jobId} for tab ${tabId}`);
+  ocrJobTabs.set(message.jobId, tabId);
+
+  sendToOffscreen(message)
+    .then((response) => sendResponse(response || { success: false, error: 'The OCR engine did not respond' }))
+    .catch((error) => {
+      console.error('OCR job failed:', error);
+      sendResponse({ success: false, error: error.message });
+    })
+    .finally(() => ocrJobTabs.delete(message.jobId));
+}
+
+/**
+ * Relays an OCR progress update from the offscreen document to the tab
+ * waiting for the job.
+ * 
+ * @param {Object} message - ocrProgress message with jobId, status and progress
+ */
+function relayOcrProgress(message) {
+  const tabId = ocrJobTabs.get(message.jobId);
+  if (tabId === undefined) return;
+
+  chrome.tabs.sendMessage(tabId, message, () => {
+    // The tab may have been closed or navigated away
+    void chrome.runtime.lastError;
+  });
+}
+
+/**
+ * Serves backend requests from chat windows, the popup, the side panel and
+ * the options page, which connect a port on their first request (see
+ * src/api.js), and keeps track of open side panels.
+ *
+ * @param {chrome.runtime.Port} port - The connecting port
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === API_PORT_NAME) {
+    handleApiPort(port);
+  } else if (port.name === SIDE_PANEL_PORT_NAME) {
+    handleSidePanelPort(port);
+  }
+});
+
 /**
  * Handles runtime messages from content scripts, popup, and other extension components.
  * Serves as the central message router for inter-component communication.
@@ -236,11 +737,41 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         getActiveTabInfo(sendResponse);
         return true; // Indicates async response
         
+      case 'getShortcuts':
+        handleGetShortcuts(sendResponse);
+        return true; // Indicates async response
+        
+      case 'askInSidePanel':
+        return handleAskInSidePanel(message, sender.tab, sendResponse);
+        
       case 'openOptionsPage':
         chrome.runtime.openOptionsPage();
         sendResponse({ success: true });
         break;
         
+      case 'ocrRecognize':
+        handleOcrRecognize(message, sender.tab?.id, sendResponse);
+        return true; // Indicates async response
+        
+      case 'ocrCancel':
+      case 'ocrWarmUp':
+        sendToOffscreen(message)
+          .then(() => sendResponse({ success: true }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true; // Indicates async response
+        
+      case 'ocrDetectScript':
+        sendToOffscreen(message)
+          .then(sendResponse)
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true; // Indicates async response
+        
+      case 'ocrProgress':
+        // Sent by the offscreen document
+        relayOcrProgress(message);
+        sendResponse({ success: true });
+        break;
+        
       default:
         console.warn(`Unknown message type: ${message.type}`);
         sendResponse({ success: false, error: 'Unknown message type' });
@@ -288,14 +819,21 @@ function handleScreenshotCapture(tabId, sendResponse) {
 }
 
 /**
- * Shows a browser notification to the user.
+ * Shows a browser notification to the user, unless notifications are
+ * turned off in the settings.
  * Used for error messages, status updates, and user feedback.
  * 
  * @param {string} title - Notification title
  * @param {string} message - Notification message text
  * @param {string} iconUrl - Optional notification icon URL
  */
-function showNotification(title, message, iconUrl = 'logo192.png') {
+async function showNotification(title, message, iconUrl = 'logo192.png') {
+  const { notifications } = await getSettings();
+  if (!notifications) {
+    console.log(`Notification suppressed by settings: ${title} - ${message}`);
+    return;
+  }
+
   const notificationOptions = {
     type: 'basic',
     iconUrl: iconUrl,
@@ -389,22 +927,8 @@ chrome.runtime.onStartup.addListener(() => {
   // Clear any existing badge text on startup
   chrome.action.setBadgeText({ text: '' });
   
-  // Initialize any persistent storage or settings if needed
-  chrome.storage.local.get(['clickaiSettings'], (result) => {
-    if (!result.clickaiSettings) {
-      // Set default settings on first run
-      const defaultSettings = {
-        theme: 'light',
-        autoCapture: true,
-        notifications: true,
-        version: chrome.runtime.getManifest().version
-      };
-      
-      chrome.storage.local.set({ clickaiSettings: defaultSettings }, () => {
-        console.log('Default settings initialized');
-      });
-    }
-  });
+  // Move settings stored by earlier versions (e.g. after an update while the browser was closed)
+  migrateSettings().catch((error) => console.error('Settings migration failed:', error));
 });
 
 /**
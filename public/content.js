@@ -9,8 +9,18 @@
  * Key Features:
  * - Creates and manages the floating AI button
  * - Injects the React-based chat interface
- * - Handles screen capture and OCR processing
+ * - Handles screen capture and OCR processing (run by the extension's
+ *   offscreen document, with the server's OCR as a fallback)
+ * - Shows recognized text for review and correction before sending it
+ * - Reads captured tables into Markdown tables
+ * - Decodes QR codes and barcodes, warning about suspicious links
+ * - Captures whole pages by scrolling, and several areas as one query
+ * - Sends captured areas as images to a vision model, as text, or both, and
+ *   keeps the captured image with the message
  * - Processes highlighted text queries
+ * - Opens and closes the chat from a keyboard shortcut
+ * - Shows the floating button where and as the user's settings say
+ * - Hands queries to Chrome's side panel when the chat lives there
  * - Manages error handling and user feedback
  * 
  * @author ClickAI Team
@@ -22,136 +32,596 @@ import { createRoot } from 'react-dom/client';
 import AIResponseAlert from '../src/Components/AIResponseAlert';
 import PromptBox from '../src/Components/PromptBox';
 import SnippingTool from '../src/Components/SnippingTool';
-import Tesseract from 'tesseract.js';
+import OcrReview from '../src/Components/OcrReview';
+import BarcodeResult from '../src/Components/BarcodeResult';
+import { recognizeText } from '../src/api';
+import { recognizeInExtension, handleOcrProgress, warmUpOcr, getOcrSettings, chooseOcrLanguage, ocrParameters } from '../src/ocr';
+import { DEFAULT_PREPROCESSING, preprocessForOcr } from '../src/ocrPreprocess';
+import { buildTableRows, toMarkdownTable } from '../src/ocrTable';
+import { decodeBarcode, assessUrl } from '../src/barcode';
+import { captureFullPage } from '../src/pageCapture';
+import { COMMANDS, getShortcuts, withShortcut } from '../src/shortcuts';
+import { getSettings, onSettingsChanged, isFloatingButtonHidden, DEFAULT_SETTINGS } from '../src/settings';
+import { askInSidePanel } from '../src/sidePanelBridge';
 import { AiOutlineMessage } from 'react-icons/ai'; 
 
 // Error message constants - easily configurable for different languages or customization
 const ERROR_MESSAGES = {
   NO_TEXT_DETECTED: "No text was detected in the selected area.",
-  OCR_ERROR: "OCR error: Unable to extract text from the image. This may be due to website restrictions. Please try copying the text manually.",
-  UNEXPECTED_OCR_ERROR: "An unexpected error occurred during image processing. This website is likely blocking the image extraction worker. Please try again or copy the text manually.",
+  OCR_ERROR: "OCR error: Unable to extract text from the image. Please try again or copy the text manually.",
   FETCH_ERROR: "Network error: Unable to contact our AI service. Please check your connection and try again.",
   GLOBAL_ERROR: "An unexpected error occurred in our extension. Please try again.",
   UNHANDLED_REJECTION: "An unexpected error occurred. Please try again."
 };
 
+// Page segmentation mode for tables: sparse text, so cells aren't read as one block
+const TABLE_PAGE_SEG_MODE = '11';
+
+// Words the server recognized with less confidence than this are reported
+// in the console to help diagnose poor captures
+const LOW_CONFIDENCE_THRESHOLD = 60;
+
+// Longest side of an image sent to a vision model. Larger captures (e.g. from
+// high-DPI screens) are scaled down - the models downscale them anyway, and
+// smaller uploads stay well inside the server's size limit.
+const VISION_MAX_DIMENSION = 1568;
+
 // Global references for managing the AI chat interface
 let aiResponseAlertRoot = null;
 window.aiResponseAlertRef = null;
 
 /**
- * Preprocesses an image to optimize OCR accuracy by applying grayscale
- * and contrast enhancement filters. This significantly improves text
- * recognition especially for screenshots with poor contrast.
+ * Preprocesses an image to optimize OCR accuracy with the pipeline chosen
+ * in the OCR settings: upscaling of small text, inversion of dark
+ * backgrounds, thresholding, noise removal and deskewing (see
+ * src/ocrPreprocess.js).
  * 
  * @param {string} dataUrl - Base64 encoded image data URL
+ * @param {Object} options - Preprocessing steps to apply
  * @returns {Promise<string>} Promise resolving to processed image data URL
  */
-function preprocessImage(dataUrl) {
+async function preprocessImage(dataUrl, options = DEFAULT_PREPROCESSING) {
+  // Captures have the screenshot's device pixels, so the upscaling depends on the screen's density
+  const { image, steps } = await preprocessForOcr(dataUrl, options, window.devicePixelRatio || 1);
+  console.log('Image preprocessing steps:', steps.join(', ') || 'none');
+  return image;
+}
+
+/**
+ * Prepares a captured image for a vision model by scaling it down so its
+ * longest side is at most VISION_MAX_DIMENSION pixels.
+ * 
+ * @param {string} dataUrl - Base64 encoded image data URL
+ * @returns {Promise<string>} Promise resolving to the image data URL to send
+ */
+function prepareVisionImage(dataUrl) {
   return new Promise((resolve, reject) => {
-    try {
-      const img = new Image();
-      
-      img.onload = () => {
-        // Create canvas for image processing
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        canvas.width = img.width;
-        canvas.height = img.height;
-        
-        // Draw original image
-        ctx.drawImage(img, 0, 0);
-        
-        // Get image data for pixel manipulation
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
-        
-        // Apply grayscale and contrast enhancement
-        for (let i = 0; i < data.length; i += 4) {
-          // Convert to grayscale using luminance formula
-          const gray = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
-          
-          // Apply contrast enhancement (simple threshold)
-          const enhanced = gray > 128 ? Math.min(255, gray * 1.2) : Math.max(0, gray * 0.8);
-          
-          data[i] = enhanced;     // Red
-          data[i + 1] = enhanced; // Green
-          data[i + 2] = enhanced; // Blue
-          // Alpha channel (data[i + 3]) remains unchanged
-        }
-        
-        // Put processed data back on canvas
-        ctx.putImageData(imageData, 0, 0);
-        
-        // Convert to data URL and resolve
-        resolve(canvas.toDataURL('image/png'));
-      };
-      
-      img.onerror = () => {
-        reject(new Error('Failed to load image for preprocessing'));
-      };
-      
-      img.src = dataUrl;
-    } catch (error) {
-      reject(error);
+    const img = new Image();
+
+    img.onload = () => {
+      const scale = Math.min(1, VISION_MAX_DIMENSION / Math.max(img.width, img.height));
+      if (scale === 1) {
+        resolve(dataUrl);
+        return;
+      }
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/png'));
+    };
+
+    img.onerror = () => {
+      reject(new Error('Failed to load the captured image'));
+    };
+
+    img.src = dataUrl;
+  });
+}
+
+/**
+ * Shows a small card with the progress of a running OCR job and a button
+ * to cancel it.
+ * 
+ * @param {Function} onCancel - Called when the user cancels
+ * @returns {Object} Controls with update(progress, status) and remove()
+ */
+function showOcrProgress(onCancel) {
+  const existing = document.querySelector('#clickai-ocr-progress');
+  if (existing) existing.remove();
+
+  const container = document.createElement('div');
+  container.id = 'clickai-ocr-progress';
+  container.style.cssText = `
+    position: fixed;
+    bottom: 90px;
+    right: 20px;
+    z-index: 2100;
+    width: 240px;
+    padding: 10px 12px;
+    border-radius: 8px;
+    background: #ffffff;
+    color: #333;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+    font: 13px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+  `;
+
+  const label = document.createElement('div');
+  label.textContent = 'Preparing OCR...';
+
+  const track = document.createElement('div');
+  track.style.cssText = 'height: 4px; margin: 8px 0; border-radius: 2px; background: #eceafe; overflow: hidden;';
+  const bar = document.createElement('div');
+  bar.style.cssText = 'height: 100%; width: 0%; background: #7f72f0; transition: width 0.2s;';
+  track.appendChild(bar);
+
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.cssText = `
+    border: 1px solid #7f72f0;
+    border-radius: 4px;
+    background: transparent;
+    color: #7f72f0;
+    padding: 2px 10px;
+    cursor: pointer;
+    font: inherit;
+  `;
+  cancelButton.addEventListener('click', onCancel);
+
+  container.append(label, track, cancelButton);
+  document.body.appendChild(container);
+
+  return {
+    update(progress, status) {
+      if (status === 'recognizing text') {
+        const percent = Math.round(progress * 100);
+        label.textContent = `Recognizing text... ${percent}%`;
+        bar.style.width = `${percent}%`;
+      } else if (status) {
+        label.textContent = status.charAt(0).toUpperCase() + status.slice(1) + '...';
+      }
+    },
+    remove() {
+      container.remove();
     }
+  };
+}
+
+/**
+ * Shows the preprocessed image so the user can check it before OCR runs.
+ * Enter recognizes the text, Escape cancels.
+ * 
+ * @param {string} imageDataUrl - Preprocessed image data URL
+ * @returns {Promise<boolean>} Whether to go ahead with OCR
+ */
+function showOcrPreview(imageDataUrl) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'clickai-ocr-preview';
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      z-index: 2100;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0, 0, 0, 0.5);
+      font: 13px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    `;
+
+    const card = document.createElement('div');
+    card.style.cssText = `
+      max-width: 80vw;
+      padding: 12px;
+      border-radius: 8px;
+      background: #ffffff;
+      color: #333;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'Image sent to OCR';
+    title.style.cssText = 'font-weight: 600; margin-bottom: 8px;';
+
+    const image = document.createElement('img');
+    image.src = imageDataUrl;
+    image.alt = 'Preprocessed capture';
+    image.style.cssText = 'display: block; max-width: 100%; max-height: 60vh; border: 1px solid #ddd;';
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 10px;';
+
+    const finish = (proceed) => {
+      document.removeEventListener('keydown', handleKeyDown, true);
+      overlay.remove();
+      resolve(proceed);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        finish(e.key === 'Enter');
+      }
+    };
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.cssText = 'border: 1px solid #7f72f0; border-radius: 4px; background: transparent; color: #7f72f0; padding: 4px 12px; cursor: pointer; font: inherit;';
+    cancelButton.addEventListener('click', () => finish(false));
+
+    const recognizeButton = document.createElement('button');
+    recognizeButton.textContent = 'Recognize text';
+    recognizeButton.style.cssText = 'border: none; border-radius: 4px; background: #7f72f0; color: #ffffff; padding: 4px 12px; cursor: pointer; font: inherit;';
+    recognizeButton.addEventListener('click', () => finish(true));
+
+    buttons.append(cancelButton, recognizeButton);
+    card.append(title, image, buttons);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', handleKeyDown, true);
+    recognizeButton.focus();
   });
 }
 
 /**
- * Performs OCR (Optical Character Recognition) on an image using Tesseract.js
- * with preprocessing for better accuracy. Handles various error conditions
- * and provides user-friendly feedback.
+ * Performs OCR (Optical Character Recognition) on an image with
+ * preprocessing for better accuracy. Recognition runs in the extension's
+ * offscreen document, whose Tesseract workers stay warm between snips;
+ * if that fails, the ClickAI server recognizes the text instead. The
+ * languages and preprocessing steps come from the OCR settings, which can
+ * also ask to preview the processed image first. Progress is shown on the
+ * page and the user can cancel.
  * 
  * @param {string} imageDataUrl - Base64 encoded image data URL
- * @returns {Promise<string>} Promise resolving to extracted text
+ * @param {Object} settings - OCR settings; the saved ones when omitted
+ * @returns {Promise<Object>} Promise resolving to the extracted `text`, its `confidence`,
+ *   the `words` with their bounding boxes, the `image` they refer to and the `language` used
+ * @throws {Error} With `cancelled: true` when the user cancelled
  */
-async function performOCR(imageDataUrl) {
+async function performOCR(imageDataUrl, settings = null) {
+  console.log('Starting OCR processing...');
+  settings = settings || await getOcrSettings();
+
+  // Preprocess image for better OCR accuracy
+  let processedImageUrl = imageDataUrl;
   try {
-    console.log('Starting OCR processing...');
-    
-    // Preprocess image for better OCR accuracy
-    const processedImageUrl = await preprocessImage(imageDataUrl);
+    processedImageUrl = await preprocessImage(imageDataUrl, settings.preprocessing);
     console.log('Image preprocessing completed');
+  } catch (error) {
+    console.warn('Image preprocessing failed, using the original capture:', error);
+  }
+
+  // Let the user check the processed image first
+  if (settings.preprocessing.preview && !(await showOcrPreview(processedImageUrl))) {
+    throw Object.assign(new Error('OCR was cancelled'), { cancelled: true });
+  }
+
+  const controller = new AbortController();
+  const progress = showOcrProgress(() => controller.abort());
+  let language = settings.languages.join('+');
+
+  try {
+    // Pick the language(s), detecting the script first if enabled
+    if (settings.detectScript) {
+      progress.update(0, 'detecting script');
+    }
+    language = await chooseOcrLanguage(processedImageUrl, settings);
+    console.log('OCR language:', language);
     
-    // Configure Tesseract worker with optimized settings
-    const { data: { text } } = await Tesseract.recognize(
-      processedImageUrl,
-      'eng', // English language
-      {
-        logger: m => {
-          // Log progress for debugging (can be removed in production)
-          if (m.status === 'recognizing text') {
-            console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-          }
-        },
-        // Tesseract configuration for better text recognition
-        tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 .,!?;:()-[]{}"\'/\\@#$%^&*+=<>|`~',
-        tessedit_pageseg_mode: '6', // Uniform block of text
-      }
-    );
+    // Recognize with the extension's warm Tesseract workers
+    const result = await recognizeInExtension(processedImageUrl, {
+      language,
+      parameters: ocrParameters(language, settings.pageSegMode),
+      onProgress: progress.update,
+      signal: controller.signal
+    });
     
-    const cleanText = text.trim();
-    console.log('OCR completed, extracted text length:', cleanText.length);
+    console.log('OCR completed, extracted text length:', result.text.length);
     
-    if (!cleanText) {
+    if (!result.text) {
       throw new Error(ERROR_MESSAGES.NO_TEXT_DETECTED);
     }
     
-    return cleanText;
+    // The word boxes refer to the preprocessed image
+    const recognized = { ...result, image: processedImageUrl, language };
+    return settings.table ? toTableResult(recognized) : recognized;
     
   } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
     console.error('OCR processing failed:', error);
     
     // Provide specific error messages based on the failure type
     if (error.message === ERROR_MESSAGES.NO_TEXT_DETECTED) {
       throw error;
-    } else if (error.name === 'SecurityError' || error.message.includes('worker')) {
-      throw new Error(ERROR_MESSAGES.OCR_ERROR);
+    }
+
+    // Let the server recognize the text instead
+    try {
+      progress.update(0, 'recognizing text on the server');
+      const recognized = await performServerOCR(imageDataUrl, language, controller.signal);
+      return settings.table ? toTableResult(recognized) : recognized;
+    } catch (serverError) {
+      if (controller.signal.aborted) {
+        throw Object.assign(new Error('OCR was cancelled'), { cancelled: true });
+      }
+      console.error('Server OCR failed:', serverError);
+      if (serverError.message === ERROR_MESSAGES.NO_TEXT_DETECTED) {
+        throw serverError;
+      } else if (serverError.status) {
+        // The server answered - its message says what went wrong (e.g. rate limit, image too large)
+        throw new Error(serverError.message || ERROR_MESSAGES.OCR_ERROR);
+      } else {
+        throw new Error(ERROR_MESSAGES.OCR_ERROR);
+      }
+    }
+  } finally {
+    progress.remove();
+  }
+}
+
+/**
+ * Performs OCR on the ClickAI server. Used when the extension's own OCR
+ * fails; the server returns the text together with a confidence per word.
+ * 
+ * @param {string} imageDataUrl - Base64 encoded image data URL
+ * @param {string} language - Tesseract language code(s)
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object>} Promise resolving to the OCR result, as from performOCR
+ */
+async function performServerOCR(imageDataUrl, language, signal) {
+  console.log('Falling back to server OCR...');
+  
+  const { text, confidence, words, engine } = await recognizeText(imageDataUrl, { language, signal });
+  const uncertainWords = words.filter(word => word.confidence < LOW_CONFIDENCE_THRESHOLD);
+  console.log(`Server OCR (${engine}) completed, extracted text length: ${text.length}, confidence: ${confidence}%`);
+  if (uncertainWords.length > 0) {
+    console.log('Words recognized with low confidence:', uncertainWords.map(word => `${word.text} (${word.confidence}%)`).join(', '));
+  }
+  
+  if (!text) {
+    throw new Error(ERROR_MESSAGES.NO_TEXT_DETECTED);
+  }
+  
+  return { text, confidence, words, image: imageDataUrl, language };
+}
+
+/**
+ * Turns an OCR result into a table: the words are regrouped into rows and
+ * columns by their bounding boxes, and the text becomes a Markdown table.
+ * 
+ * @param {Object} result - OCR result from performOCR
+ * @returns {Object} The result with the table's Markdown as `text` and its rows as `table`
+ */
+function toTableResult(result) {
+  const rows = buildTableRows(result.words);
+  if (rows.length === 0) {
+    return result;
+  }
+  console.log(`Table mode: ${rows.length} row(s), ${rows[0].length} column(s)`);
+  return { ...result, text: toMarkdownTable(rows), table: rows };
+}
+
+/**
+ * Shows the review panel for text recognized in a captured area. The user
+ * can correct the text, recognize the capture again with other settings,
+ * send the text or discard it.
+ * 
+ * @param {string} imageDataUrl - The captured area
+ * @param {Object} result - OCR result from performOCR
+ * @param {Object} settings - OCR settings the result was recognized with
+ * @param {string|null} error - Why recognition failed, if it did
+ * @param {Function} onSend - Called with the reviewed text
+ */
+function showOcrReview(imageDataUrl, result, settings, error, onSend) {
+  const existingReview = document.querySelector('#ocr-review-root');
+  if (existingReview) {
+    existingReview.remove();
+  }
+
+  const reviewContainer = document.createElement('div');
+  reviewContainer.id = 'ocr-review-root';
+  reviewContainer.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    z-index: 2000;
+    background: rgba(0, 0, 0, 0.5);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  `;
+  document.body.appendChild(reviewContainer);
+
+  const reviewRoot = createRoot(reviewContainer);
+  let state = { result, settings, error, busy: false };
+  let closed = false;
+
+  const close = () => {
+    closed = true;
+    reviewRoot.unmount();
+    reviewContainer.remove();
+  };
+
+  /**
+   * Recognizes the capture again with changed settings
+   * @param {Object} changes - Settings chosen in the panel
+   */
+  const handleRerun = async (changes) => {
+    const rerunSettings = {
+      ...state.settings,
+      ...changes,
+      preprocessing: { ...state.settings.preprocessing, ...changes.preprocessing },
+    };
+    state = { ...state, busy: true, error: null };
+    render();
+
+    try {
+      const rerunResult = await performOCR(imageDataUrl, rerunSettings);
+      state = { result: rerunResult, settings: rerunSettings, error: null, busy: false };
+    } catch (rerunError) {
+      // Keep the previous result to fall back on
+      state = { ...state, settings: rerunSettings, busy: false, error: rerunError.cancelled ? null : rerunError.message };
+    }
+    if (!closed) render();
+  };
+
+  const render = () => {
+    reviewRoot.render(
+      React.createElement(OcrReview, {
+        ...state,
+        onSend: (text) => {
+          close();
+          onSend(text);
+        },
+        onRerun: handleRerun,
+        onCancel: close
+      })
+    );
+  };
+
+  render();
+}
+
+/**
+ * Shows the content of a QR code or barcode found in a captured area
+ * 
+ * @param {string} imageDataUrl - The captured area
+ * @param {Object} barcode - Decoded code from decodeBarcode
+ * @param {Function} onAsk - Called with a message about the code for the AI
+ * @param {Function} onReadText - Called to run OCR on the area instead
+ */
+function showBarcodeResult(imageDataUrl, barcode, onAsk, onReadText) {
+  const existingResult = document.querySelector('#barcode-result-root');
+  if (existingResult) {
+    existingResult.remove();
+  }
+
+  const resultContainer = document.createElement('div');
+  resultContainer.id = 'barcode-result-root';
+  resultContainer.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    z-index: 2000;
+    background: rgba(0, 0, 0, 0.5);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  `;
+  document.body.appendChild(resultContainer);
+
+  const resultRoot = createRoot(resultContainer);
+  const link = assessUrl(barcode.text);
+
+  const close = () => {
+    resultRoot.unmount();
+    resultContainer.remove();
+  };
+
+  resultRoot.render(
+    React.createElement(BarcodeResult, {
+      image: imageDataUrl,
+      barcode,
+      link,
+      onAsk: () => {
+        close();
+        // Tell the AI what the safety check found, so its answer can take it into account
+        const warnings = link && link.warnings.length > 0
+          ? `\n\nA safety check flagged this link: ${link.warnings.join('; ')}.`
+          : '';
+        onAsk(`Content of a scanned ${barcode.label}:\n\n${barcode.text}${warnings}`);
+      },
+      onReadText: () => {
+        close();
+        onReadText();
+      },
+      onCancel: close
+    })
+  );
+}
+
+/**
+ * Recognizes the text in a captured area and passes it on: to the review
+ * panel when the OCR settings ask for a review, otherwise straight to the
+ * prompt box or the AI. A QR code or barcode in the area is decoded and
+ * shown instead, since OCR can't read it.
+ * 
+ * @param {string} imageDataUrl - The captured area
+ * @param {boolean} includePrompt - Whether to ask for a prompt to send with the text
+ * @param {Object} options - `table` to read the area as a table; `decodeCodes: false` skips barcode decoding;
+ *   `sendMode: 'both'` sends the image to a vision model along with the text
+ */
+async function recognizeCapture(imageDataUrl, includePrompt, { table = false, decodeCodes = true, sendMode = 'text' } = {}) {
+  const sendText = async (text) => {
+    // The capture stays with the message (scaled down like an image for a
+    // vision model, so it can be saved); with 'both' the model sees it too
+    const image = await prepareVisionImage(imageDataUrl).catch((error) => {
+      console.warn('Could not attach the captured image:', error);
+      return null;
+    });
+    const mode = sendMode === 'both' && image ? 'both' : 'text';
+    if (includePrompt) {
+      // Show prompt box for additional context
+      showPromptBox(text, image, mode);
+    } else if (mode === 'both') {
+      launchAIResponseAlert(text, 'snipping-both', image);
     } else {
-      throw new Error(ERROR_MESSAGES.UNEXPECTED_OCR_ERROR);
+      // Directly send extracted text to AI
+      launchAIResponseAlert(text, 'snipping', null, image);
     }
+  };
+
+  if (decodeCodes && !table) {
+    const barcode = await decodeBarcode(imageDataUrl).catch((error) => {
+      console.warn('Barcode decoding failed:', error);
+      return null;
+    });
+    if (barcode) {
+      console.log(`Decoded ${barcode.label} (${barcode.format})`);
+      showBarcodeResult(imageDataUrl, barcode, sendText, () => {
+        recognizeCapture(imageDataUrl, includePrompt, { decodeCodes: false, sendMode });
+      });
+      return;
+    }
+  }
+
+  const settings = await getOcrSettings();
+  if (table) {
+    settings.table = true;
+    settings.pageSegMode = TABLE_PAGE_SEG_MODE;
+  }
+  let result;
+  try {
+    result = await performOCR(imageDataUrl, settings);
+    console.log('OCR successful, extracted text:', result.text.substring(0, 100) + '...');
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('OCR cancelled by user');
+      return;
+    }
+    console.error('OCR failed:', error);
+    if (settings.review) {
+      // Let the user type the text or try other settings
+      const emptyResult = { text: '', confidence: 0, words: [], image: imageDataUrl, language: settings.languages.join('+') };
+      showOcrReview(imageDataUrl, emptyResult, settings, error.message, sendText);
+    } else {
+      // Show error message to user
+      launchAIResponseAlert(error.message, 'snipping-error');
+    }
+    return;
+  }
+
+  if (settings.review) {
+    showOcrReview(imageDataUrl, result, settings, null, sendText);
+  } else {
+    sendText(result.text);
   }
 }
 
@@ -159,8 +629,10 @@ async function performOCR(imageDataUrl) {
  * Creates and displays the floating AI button on the webpage.
  * The button provides quick access to the AI chat interface and is
  * positioned to avoid interfering with page content.
+ *
+ * @param {string} position - Corner of the page, 'bottom-right' or 'bottom-left'
  */
-function createFloatingButton() {
+function createFloatingButton(position = DEFAULT_SETTINGS.floatingButtonPosition) {
   // Check if button already exists to avoid duplicates
   if (document.getElementById('ai-float-btn')) {
     return;
@@ -172,7 +644,7 @@ function createFloatingButton() {
     <div style="
       position: fixed;
       bottom: 20px;
-      right: 20px;
+      ${position === 'bottom-left' ? 'left' : 'right'}: 20px;
       width: 60px;
       height: 60px;
       background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
@@ -207,21 +679,118 @@ function createFloatingButton() {
   // Handle button click to open AI chat
   floatBtn.addEventListener('click', (e) => {
     e.stopPropagation();
-    launchAIResponseAlert('');
-    floatBtn.style.display = 'none';
+    launchAIResponseAlert('', 'floatingButton');
   });
 
   document.body.appendChild(floatBtn);
+
+  // Mention the key that opens the chat too
+  getShortcuts().then((shortcuts) => {
+    btnElement.title = withShortcut('Open ClickAI Chat', shortcuts[COMMANDS.TOGGLE_CHAT]);
+  });
 }
 
 /**
- * Launches the AI chat interface with an optional initial query.
- * Manages the React component lifecycle and ensures proper cleanup.
+ * Shows, moves or removes the floating button to match the settings.
+ *
+ * @param {Object} settings - The user's settings (see src/settings.js)
+ */
+function applyFloatingButtonSettings(settings) {
+  const floatBtn = document.getElementById('ai-float-btn');
+
+  if (isFloatingButtonHidden(settings, window.location.hostname)) {
+    if (floatBtn) floatBtn.remove();
+    return;
+  }
+
+  if (!floatBtn) {
+    createFloatingButton(settings.floatingButtonPosition);
+    // Stay hidden while the chat it opens is showing
+    if (document.querySelector('#react-root')) {
+      document.getElementById('ai-float-btn').style.display = 'none';
+    }
+    return;
+  }
+
+  const btnElement = floatBtn.firstElementChild;
+  const left = settings.floatingButtonPosition === 'bottom-left';
+  btnElement.style.left = left ? '20px' : '';
+  btnElement.style.right = left ? '' : '20px';
+}
+
+/**
+ * Shows the floating button as the settings say, and keeps it in line
+ * with changes made on the options page.
+ */
+function initFloatingButton() {
+  getSettings()
+    .then(applyFloatingButtonSettings)
+    .catch((error) => {
+      console.error('Failed to load ClickAI settings:', error);
+      createFloatingButton();
+    });
+  onSettingsChanged(applyFloatingButtonSettings);
+}
+
+/**
+ * Opens the AI chat interface, or closes it when it is already open.
+ * Used by the "toggle chat" keyboard shortcut.
+ */
+function toggleAIResponseAlert() {
+  const existingAlert = document.querySelector('#react-root');
+  const floatBtn = document.getElementById('ai-float-btn');
+
+  if (!existingAlert) {
+    launchAIResponseAlert('', 'shortcut');
+    return;
+  }
+
+  // Restore the page layout in case the chat was docked
+  document.body.style.marginRight = '0px';
+  document.documentElement.style.removeProperty('--docked-width');
+  if (aiResponseAlertRoot) {
+    aiResponseAlertRoot.unmount();
+    aiResponseAlertRoot = null;
+  }
+  existingAlert.remove();
+  window.aiResponseAlertRef = null;
+  if (floatBtn) floatBtn.style.display = 'block';
+}
+
+/**
+ * Launches the AI chat interface with an optional initial query. The side
+ * panel takes the query when it is open, or when the chat is set to open
+ * there; otherwise the chat opens in the page.
  * 
  * @param {string} query - Initial message to send to the AI
  * @param {string} sender - Source of the query ('contextMenu', 'floatingButton', etc.)
+ * @param {string} image - Optional captured image (data URL) to ask about; the query is then its prompt
+ * @param {string} attachment - Optional captured image (data URL) the query was read from, kept with the message
+ */
+function launchAIResponseAlert(query, sender = 'direct', image = null, attachment = null) {
+  askInSidePanel({ query, image, attachment }).then((taken) => {
+    if (taken) {
+      console.log(`AI query from ${sender} sent to the side panel`);
+    } else {
+      showAIResponseAlert(query, sender, image, attachment);
+    }
+  });
+}
+
+/**
+ * Shows the AI chat interface in the page with an optional initial query.
+ * Manages the React component lifecycle and ensures proper cleanup.
+ * 
+ * @param {string} query - Initial message to send to the AI
+ * @param {string} sender - Source of the query
+ * @param {string} image - Optional captured image (data URL) to ask about
+ * @param {string} attachment - Optional captured image (data URL) the query was read from
  */
-function launchAIResponseAlert(query, sender = 'direct') {
+function showAIResponseAlert(query, sender, image, attachment) {
+  // The chat takes the floating button's place while it is open
+  const floatBtn = document.getElementById('ai-float-btn');
+  if (floatBtn) floatBtn.style.display = 'none';
+
   // Remove existing instance if present
   const existingAlert = document.querySelector('#react-root');
   if (existingAlert) {
@@ -254,6 +823,8 @@ function launchAIResponseAlert(query, sender = 'direct') {
         window.aiResponseAlertRef = ref;
       },
       initialQuery: query,
+      initialImage: image,
+      initialAttachment: attachment,
       isPopup: false
     })
   );
@@ -261,15 +832,40 @@ function launchAIResponseAlert(query, sender = 'direct') {
   console.log(`AI chat launched with query: "${query}" from ${sender}`);
 }
 
+/**
+ * Asks the background script for a screenshot of the visible part of the tab
+ * 
+ * @returns {Promise<string>} Screenshot as a data URL
+ */
+function requestScreenshot() {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: 'captureScreenshot' }, (response) => {
+      if (response && response.screenshot) {
+        resolve(response.screenshot);
+      } else {
+        reject(new Error((response && response.error) || 'Screenshot capture failed'));
+      }
+    });
+  });
+}
+
 /**
  * Launches the screen snipping tool for capturing areas of the screen.
  * Provides OCR processing of the captured area and sends the extracted
- * text to the AI for analysis.
+ * text to the AI for analysis, or sends the captured image itself to a
+ * vision model so diagrams, charts and handwriting aren't lost - or both.
+ * The user can switch between these in the snipping tool.
  * 
  * @param {boolean} includePrompt - Whether to show additional prompt input
+ * @param {boolean} asImage - Whether to start with sending the image instead of its OCR text
  */
-function launchSnippingTool(includePrompt = false) {
+function launchSnippingTool(includePrompt = false, asImage = false) {
   console.log('Launching snipping tool...');
+
+  // Start the OCR workers while the user selects an area
+  if (!asImage) {
+    getOcrSettings().then(({ languages }) => warmUpOcr(languages.join('+')));
+  }
   
   // Remove any existing snipping tool instances
   const existingSnippingTool = document.querySelector('#snipping-root');
@@ -295,35 +891,49 @@ function launchSnippingTool(includePrompt = false) {
   // Create React root for snipping tool
   const snippingRoot = createRoot(snippingContainer);
   
+  /**
+   * Captures the whole page by scrolling through it. The snipping tool and
+   * the extension's other UI are hidden so they don't end up in the capture.
+   * @returns {Promise<Object>} The stitched capture (see captureFullPage)
+   */
+  const handleCaptureFullPage = () => {
+    console.log('Capturing the full page...');
+    const hidden = [snippingContainer, document.getElementById('ai-float-btn'), document.getElementById('react-root')];
+    return captureFullPage(requestScreenshot, { hidden: hidden.filter(Boolean) });
+  };
+
   /**
    * Handles completion of screen capture with OCR processing
-   * @param {string} croppedImageData - Base64 encoded cropped image
+   * @param {string} croppedImageData - Base64 encoded cropped image; several areas are stacked in reading order
+   * @param {Object} options - `sendMode` ('text', 'image' or 'both'), `table` when the area should be read
+   *   as a table, `regions` the number of areas
    */
-  const handleSnippingComplete = async (croppedImageData) => {
-    console.log('Snipping completed, starting OCR...');
-    
+  const handleSnippingComplete = async (croppedImageData, { sendMode = 'text', table = false, regions = 1 } = {}) => {
     // Cleanup snipping tool UI
     snippingRoot.unmount();
     document.body.removeChild(snippingContainer);
+    if (regions > 1) {
+      console.log(`Sending ${regions} areas together`);
+    }
     
-    try {
-      // Perform OCR on the captured image
-      const extractedText = await performOCR(croppedImageData);
-      console.log('OCR successful, extracted text:', extractedText.substring(0, 100) + '...');
-      
-      if (includePrompt) {
-        // Show prompt box for additional context
-        showPromptBox(extractedText);
-      } else {
-        // Directly send extracted text to AI
-        launchAIResponseAlert(extractedText, 'snipping');
+    if (sendMode === 'image') {
+      console.log('Snipping completed, sending the image');
+      try {
+        const image = await prepareVisionImage(croppedImageData);
+        if (includePrompt) {
+          showPromptBox('', image);
+        } else {
+          launchAIResponseAlert('', 'snipping-image', image);
+        }
+      } catch (error) {
+        console.error('Image preparation failed:', error);
+        launchAIResponseAlert(error.message, 'snipping-error');
       }
-      
-    } catch (error) {
-      console.error('OCR failed:', error);
-      // Show error message to user
-      launchAIResponseAlert(error.message, 'snipping-error');
+      return;
     }
+
+    console.log('Snipping completed, starting OCR...');
+    await recognizeCapture(croppedImageData, includePrompt, { table, sendMode });
   };
 
   /**
@@ -339,19 +949,28 @@ function launchSnippingTool(includePrompt = false) {
   snippingRoot.render(
     React.createElement(SnippingTool, {
       onComplete: handleSnippingComplete,
-      onCancel: handleSnippingCancel
+      onCancel: handleSnippingCancel,
+      onCaptureFullPage: handleCaptureFullPage,
+      initialSendMode: asImage ? 'image' : 'text'
     })
   );
 }
 
 /**
  * Displays a prompt box allowing users to add additional context
- * to selected text or OCR results before sending to AI.
+ * to selected text, OCR results or a captured image before sending to AI.
  * 
  * @param {string} selectedText - Pre-filled text from selection or OCR
+ * @param {string} image - Captured image (data URL)
+ * @param {string} sendMode - 'image' to ask about the image instead of text, 'both' to send the image with
+ *   the text, 'text' to send only the text (the image is kept with the message)
  */
-function showPromptBox(selectedText) {
-  console.log('Showing prompt box for text:', selectedText.substring(0, 50) + '...');
+function showPromptBox(selectedText, image = null, sendMode = image ? 'image' : 'text') {
+  if (sendMode === 'image') {
+    console.log('Showing prompt box for a captured image');
+  } else {
+    console.log('Showing prompt box for text:', selectedText.substring(0, 50) + '...');
+  }
   
   // Remove any existing prompt box
   const existingPrompt = document.querySelector('#prompt-root');
@@ -390,19 +1009,30 @@ function showPromptBox(selectedText) {
     promptRoot.unmount();
     document.body.removeChild(promptContainer);
     
+    // Images are sent as they are, with the prompt as the question
+    if (sendMode === 'image') {
+      launchAIResponseAlert(additionalText.trim(), 'prompt-image', image);
+      return;
+    }
+
     // Combine selected text with additional context
     const fullQuery = additionalText.trim() 
       ? `${additionalText.trim()}\n\nRegarding this text: ${selectedText}`
       : selectedText;
     
-    // Launch AI chat with combined query
-    launchAIResponseAlert(fullQuery, 'prompt-enhanced');
+    // Launch AI chat with combined query, sent to a vision model with the image in 'both' mode
+    if (sendMode === 'both') {
+      launchAIResponseAlert(fullQuery, 'prompt-image', image);
+    } else {
+      launchAIResponseAlert(fullQuery, 'prompt-enhanced', null, image);
+    }
   };
 
   // Render the prompt box component
   promptRoot.render(
     React.createElement(PromptBox, {
       selectedText: selectedText,
+      image: image,
       onSubmit: handlePromptSubmit
     })
   );
@@ -453,6 +1083,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         launchSnippingTool(true);
         break;
         
+      case 'captureAreaAsImage':
+        launchSnippingTool(false, true);
+        break;
+        
+      case 'captureAreaAsImageAndPrompt':
+        launchSnippingTool(true, true);
+        break;
+
+      case 'toggleChat':
+        toggleAIResponseAlert();
+        break;
+
+      case 'ocrProgress':
+        handleOcrProgress(message);
+        break;
+        
       default:
         console.warn('Unknown message type:', message.type);
     }
@@ -480,11 +1126,11 @@ window.addEventListener('unhandledrejection', (event) => {
 // Initialize the extension when the page is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
-    createFloatingButton();
+    initFloatingButton();
     console.log('ClickAI content script initialized');
   });
 } else {
-  createFloatingButton();
+  initFloatingButton();
   console.log('ClickAI content script initialized');
 }
 
@@ -0,0 +1,333 @@
+/**
+ * Offscreen Document for ClickAI Browser Extension
+ * 
+ * Runs OCR for every tab. The background script creates this hidden document
+ * on demand and forwards recognition requests to it, so Tesseract runs in the
+ * extension's own origin instead of inside arbitrary websites (whose Content
+ * Security Policy may block its worker), and its workers stay warm between
+ * snips instead of being started for each one.
+ * 
+ * Key Features:
+ * - Pool of warm Tesseract workers shared by all tabs
+ * - Language data, worker and WebAssembly core bundled with the extension
+ * - Progress events for each job, relayed to the page by the background script
+ * - Cancellation of queued and running jobs
+ * - Script detection (Latin, Cyrillic, Han, ...) with Tesseract's OSD model
+ * - Workers released after a period without OCR requests
+ * 
+ * Messages (sent by background.js with `target: 'offscreen'`):
+ * - ocrRecognize {jobId, image, language, parameters} -> {success, result: {text, confidence, words}}
+ * - ocrCancel {jobId}
+ * - ocrWarmUp {language}
+ * - ocrDetectScript {image} -> {success, result: {script, confidence}}
+ * 
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+import { createWorker, OEM, PSM } from 'tesseract.js';
+
+// Number of workers; each one holds a full Tesseract instance in memory
+const POOL_SIZE = Math.max(1, Math.min(2, (navigator.hardwareConcurrency || 2) - 1));
+
+// Languages whose traineddata ships in the extension's tessdata/ directory
+const BUNDLED_LANGUAGES = ['eng'];
+
+// Idle workers are terminated after this long without OCR requests
+const IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Parameters every job starts from, so one job's settings don't leak into the next
+const DEFAULT_PARAMETERS = {
+  tessedit_char_whitelist: '',
+  tessedit_pageseg_mode: PSM.SINGLE_BLOCK,
+};
+
+const slots = []; // { language, worker, ready, job }
+const queue = []; // Jobs waiting for a free worker
+let idleTimer = null;
+
+// Worker with the orientation and script detection model, started on first use
+let detector = null;
+
+/**
+ * Error for a job the user cancelled
+ */
+class OcrCancelledError extends Error {
+  constructor() {
+    super('OCR was cancelled');
+    this.cancelled = true;
+  }
+}
+
+/**
+ * Checks whether every language of a request ships with the extension
+ * @param {string} language - Tesseract language code(s), e.g. 'eng' or 'eng+deu'
+ * @returns {boolean} Whether the traineddata can be loaded locally
+ */
+function isBundled(language) {
+  return language.split('+').every(code => BUNDLED_LANGUAGES.includes(code));
+}
+
+/**
+ * Sends a progress update for the job a worker is running
+ * @param {Object} slot - Worker slot
+ * @param {Object} log - Tesseract logger message ({status, progress})
+ */
+function reportProgress(slot, log) {
+  const job = slot.job;
+  if (!job) return;
+
+  // Only send when something visible changes
+  const percent = Math.round((log.progress || 0) * 100);
+  if (job.lastStatus === log.status && job.lastPercent === percent) return;
+  job.lastStatus = log.status;
+  job.lastPercent = percent;
+
+  chrome.runtime.sendMessage({
+    type: 'ocrProgress',
+    jobId: job.jobId,
+    status: log.status,
+    progress: log.progress || 0,
+  }).catch(() => {}); // Nobody listening (e.g. the background restarted)
+}
+
+/**
+ * Starts a worker for a language
+ * @param {string} language - Tesseract language code(s)
+ * @returns {Object} Worker slot; `ready` resolves once the worker can recognize
+ */
+function createSlot(language) {
+  const slot = { language, worker: null, job: null };
+  slot.ready = createWorker(language, OEM.LSTM_ONLY, {
+    // Everything is loaded from the extension - no code from a CDN
+    workerPath: chrome.runtime.getURL('tesseract/worker.min.js'),
+    corePath: chrome.runtime.getURL('tesseract/core'),
+    workerBlobURL: false,
+    // Bundled traineddata needs no cache; other languages are downloaded once and cached
+    ...(isBundled(language) ? { langPath: chrome.runtime.getURL('tessdata'), cacheMethod: 'none' } : {}),
+    logger: (log) => reportProgress(slot, log),
+  }).then((worker) => {
+    slot.worker = worker;
+    return worker;
+  });
+
+  // Failed workers leave the pool so the next request starts a fresh one
+  slot.ready.catch((error) => {
+    console.error(`OCR worker for "${language}" failed to start:`, error);
+    removeSlot(slot);
+  });
+
+  slots.push(slot);
+  return slot;
+}
+
+/**
+ * Removes a worker from the pool and terminates it
+ * @param {Object} slot - Worker slot
+ */
+function removeSlot(slot) {
+  const index = slots.indexOf(slot);
+  if (index !== -1) slots.splice(index, 1);
+  slot.ready.then(worker => worker.terminate()).catch(() => {});
+}
+
+/**
+ * Settles a job once; later results (e.g. of a cancelled job) are ignored
+ * @param {Object} job - OCR job
+ * @param {Error|null} error - Failure, or null on success
+ * @param {Object} result - Recognition result
+ */
+function settleJob(job, error, result) {
+  if (job.settled) return;
+  job.settled = true;
+  if (error) {
+    job.reject(error);
+  } else {
+    job.resolve(result);
+  }
+}
+
+/**
+ * Runs a job on a worker, then picks up the next queued job
+ * @param {Object} slot - Worker slot
+ * @param {Object} job - OCR job
+ */
+async function runJob(slot, job) {
+  slot.job = job;
+  try {
+    const worker = await slot.ready;
+    await worker.setParameters({ ...DEFAULT_PARAMETERS, ...job.parameters });
+    const { data } = await worker.recognize(job.image);
+
+    settleJob(job, null, {
+      text: data.text.trim(),
+      confidence: Math.round(data.confidence * 10) / 10,
+      words: (data.words || []).map(word => ({
+        text: word.text,
+        confidence: Math.round(word.confidence * 10) / 10,
+        bbox: word.bbox,
+      })),
+    });
+  } catch (error) {
+    settleJob(job, error);
+  } finally {
+    if (slot.job === job) slot.job = null;
+    schedule();
+  }
+}
+
+/**
+ * Hands queued jobs to free workers, starting workers while the pool has room
+ */
+function schedule() {
+  clearTimeout(idleTimer);
+
+  while (queue.length > 0) {
+    const job = queue[0];
+    let slot = slots.find(s => !s.job && s.language === job.language);
+
+    if (!slot && slots.length < POOL_SIZE) {
+      slot = createSlot(job.language);
+    }
+    if (!slot) {
+      // Reuse an idle worker that has another language loaded
+      const idle = slots.find(s => !s.job);
+      if (!idle) return;
+      removeSlot(idle);
+      slot = createSlot(job.language);
+    }
+
+    queue.shift();
+    runJob(slot, job);
+  }
+
+  if (slots.every(slot => !slot.job)) {
+    idleTimer = setTimeout(releaseWorkers, IDLE_TIMEOUT_MS);
+  }
+}
+
+/**
+ * Terminates every idle worker to free memory
+ */
+function releaseWorkers() {
+  const idle = slots.filter(slot => !slot.job);
+  idle.forEach(removeSlot);
+  if (detector) {
+    detector.then(worker => worker.terminate()).catch(() => {});
+    detector = null;
+  }
+  if (idle.length > 0) {
+    console.log(`Released ${idle.length} idle OCR worker(s)`);
+  }
+}
+
+/**
+ * Queues an image for recognition
+ * @param {Object} request - jobId, image (data URL), language and Tesseract parameters
+ * @returns {Promise<Object>} Text, mean confidence and words with confidence and bounding box
+ */
+function recognize({ jobId, image, language = 'eng', parameters = {} }) {
+  return new Promise((resolve, reject) => {
+    queue.push({ jobId, image, language, parameters, resolve, reject });
+    schedule();
+  });
+}
+
+/**
+ * Cancels a job. A queued job is dropped; a running one has its worker
+ * terminated, since Tesseract can't stop a recognition midway.
+ * @param {string} jobId - Job to cancel
+ */
+function cancel(jobId) {
+  const queued = queue.findIndex(job => job.jobId === jobId);
+  if (queued !== -1) {
+    settleJob(queue.splice(queued, 1)[0], new OcrCancelledError());
+    return;
+  }
+
+  const slot = slots.find(s => s.job && s.job.jobId === jobId);
+  if (slot) {
+    settleJob(slot.job, new OcrCancelledError());
+    slot.job = null;
+    removeSlot(slot);
+    schedule();
+  }
+}
+
+/**
+ * Starts workers for a language ahead of time, e.g. while the user is
+ * still selecting an area
+ * @param {string} language - Tesseract language code(s)
+ */
+function warmUp(language = 'eng') {
+  clearTimeout(idleTimer);
+  const free = POOL_SIZE - slots.length;
+  if (!slots.some(slot => slot.language === language) && free > 0) {
+    createSlot(language);
+  }
+  idleTimer = setTimeout(releaseWorkers, IDLE_TIMEOUT_MS);
+}
+
+/**
+ * Detects the script (writing system) of the text in an image, so the
+ * content script can pick a matching language before recognition
+ * @param {string} image - Image as a data URL
+ * @returns {Promise<Object>} `script` as named by Tesseract (e.g. 'Latin', 'Han') and its `confidence`
+ */
+async function detectScript(image) {
+  clearTimeout(idleTimer);
+
+  // OSD needs Tesseract's legacy engine, which the recognition workers don't load
+  if (!detector) {
+    detector = createWorker('osd', OEM.TESSERACT_ONLY, {
+      workerPath: chrome.runtime.getURL('tesseract/worker.min.js'),
+      corePath: chrome.runtime.getURL('tesseract/core'),
+      workerBlobURL: false,
+    });
+    detector.catch(() => { detector = null; });
+  }
+
+  try {
+    const { data } = await (await detector).detect(image);
+    return { script: data.script, confidence: data.script_confidence };
+  } finally {
+    if (slots.every(slot => !slot.job)) {
+      idleTimer = setTimeout(releaseWorkers, IDLE_TIMEOUT_MS);
+    }
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Content scripts' messages reach this document too - only answer the background
+  if (message.target !== 'offscreen') return false;
+
+  switch (message.type) {
+    case 'ocrRecognize':
+      recognize(message)
+        .then(result => sendResponse({ success: true, result }))
+        .catch(error => sendResponse({ success: false, error: error.message, cancelled: Boolean(error.cancelled) }));
+      return true; // Indicates async response
+
+    case 'ocrCancel':
+      cancel(message.jobId);
+      sendResponse({ success: true });
+      return false;
+
+    case 'ocrWarmUp':
+      warmUp(message.language);
+      sendResponse({ success: true });
+      return false;
+
+    case 'ocrDetectScript':
+      detectScript(message.image)
+        .then(result => sendResponse({ success: true, result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Indicates async response
+
+    default:
+      console.warn(`Unknown offscreen message type: ${message.type}`);
+      return false;
+  }
+});
+
+console.log(`ClickAI OCR document ready (${POOL_SIZE} worker(s))`);
@@ -0,0 +1,198 @@
+/**
+ * Per-Install API Tokens
+ *
+ * Each extension install registers once and receives its own bearer token.
+ * Only a SHA-256 hash of the token is stored, so a leaked database doesn't
+ * leak usable credentials, and tokens can be revoked individually with the
+ * admin script in scripts/tokens.js.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { ensureSchema } = require('./db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    label TEXT,
+    created_at INTEGER NOT NULL,
+    last_used_at INTEGER,
+    revoked_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS api_tokens_user ON api_tokens (user_id);
+`;
+
+// Prefix makes ClickAI tokens easy to recognize (e.g. by secret scanners)
+const TOKEN_PREFIX = 'cai_';
+
+/**
+ * Returns the database with the token table created
+ * @returns {Database} Database handle
+ */
+function db() {
+  return ensureSchema('auth', SCHEMA);
+}
+
+/**
+ * Hashes a token for storage and lookup
+ *
+ * @param {string} token - Plain token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issues a new token. The plain token is only ever returned here.
+ *
+ * @param {Object} options - Token options
+ * @param {string} options.label - Description shown in the admin listing
+ * @param {string} options.userId - Existing user to add a device to; a new user is created if omitted
+ * @returns {{id: string, userId: string, token: string}} The new token
+ */
+function issueToken({ label = null, userId = crypto.randomUUID() } = {}) {
+  const id = crypto.randomUUID();
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  db().prepare(`
+    INSERT INTO api_tokens (id, user_id, token_hash, label, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(id, userId, hashToken(token), label, Date.now());
+
+  return { id, userId, token };
+}
+
+/**
+ * Looks up a token and records that it was used
+ *
+ * @param {string} token - Plain token from the request
+ * @returns {Object|null} Token record (id, userId, revokedAt), or null if unknown
+ */
+function verifyToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const row = db().prepare(`
+    SELECT id, user_id AS userId, revoked_at AS revokedAt
+    FROM api_tokens WHERE token_hash = ?
+  `).get(hashToken(token));
+
+  if (row && !row.revokedAt) {
+    db().prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(Date.now(), row.id);
+  }
+  return row || null;
+}
+
+/**
+ * Lists all tokens (without hashes), newest first
+ *
+ * @returns {Array<Object>} Token records
+ */
+function listTokens() {
+  return db().prepare(`
+    SELECT id, user_id AS userId, label, created_at AS createdAt,
+           last_used_at AS lastUsedAt, revoked_at AS revokedAt
+    FROM api_tokens ORDER BY created_at DESC
+  `).all();
+}
+
+/**
+ * Revokes a token, or every token of a user
+ *
+ * @param {string} id - Token ID or user ID
+ * @returns {number} Number of tokens revoked
+ */
+function revokeToken(id) {
+  return db().prepare(`
+    UPDATE api_tokens SET revoked_at = ?
+    WHERE (id = ? OR user_id = ?) AND revoked_at IS NULL
+  `).run(Date.now(), id, id).changes;
+}
+
+/**
+ * Extracts the bearer token from a request
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token, if present
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware that requires a valid install token and sets `req.user`.
+ * While EXTENSION_SECRET is still configured, the old shared secret is
+ * accepted too so existing installs keep working until they update.
+ */
+function authenticate(req, res, next) {
+  const record = verifyToken(getBearerToken(req));
+
+  if (record?.revokedAt) {
+    return res.status(403).json({ error: 'This ClickAI install has been revoked', code: 'token_revoked' });
+  }
+  if (record) {
+    req.user = { id: record.userId, tokenId: record.id };
+    return next();
+  }
+
+  const legacySecret = process.env.EXTENSION_SECRET;
+  if (legacySecret && req.headers['x-extension-secret'] === legacySecret) {
+    // The shared secret can't tell installs apart, so they all share this user
+    req.user = { id: 'legacy', tokenId: null, legacy: true };
+    return next();
+  }
+
+  res.status(401).json({ error: 'Unauthorized access', code: 'invalid_token' });
+}
+
+/**
+ * Express middleware for routes that keep per-user data, such as saved
+ * conversations. Installs authenticated with the legacy shared secret all
+ * act as one user, so they would see each other's data and are refused.
+ */
+function requireInstallToken(req, res, next) {
+  if (!req.user.legacy) return next();
+  res.status(403).json({
+    error: 'This needs an install token. Update ClickAI to the latest version.',
+    code: 'token_required'
+  });
+}
+
+/**
+ * Registration endpoint handler - issues a token for a new install.
+ * A request that already carries a valid token registers another device
+ * for the same user. Disabled when REGISTRATION_MODE=closed.
+ */
+function handleRegistration(req, res) {
+  if (process.env.REGISTRATION_MODE === 'closed') {
+    return res.status(403).json({ 
+      error: 'Registration is disabled on this server. Ask an administrator for a token.' 
+    });
+  }
+
+  const existing = verifyToken(getBearerToken(req));
+  const label = typeof req.body?.label === 'string' ? req.body.label.slice(0, 100) : null;
+  const issued = issueToken({
+    label,
+    userId: existing && !existing.revokedAt ? existing.userId : undefined,
+  });
+
+  console.log(`Registered install ${issued.id} for user ${issued.userId}`);
+  res.status(201).json({ token: issued.token, tokenId: issued.id, userId: issued.userId });
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  listTokens,
+  revokeToken,
+  authenticate,
+  requireInstallToken,
+  handleRegistration,
+};
@@ -0,0 +1,242 @@
+/**
+ * Context Window Management
+ *
+ * Keeps conversations inside the model's context window. Instead of dropping
+ * the oldest messages, messages that no longer fit are summarized into a
+ * rolling "conversation memory" system message so long chats keep their
+ * beginning. The following are never summarized:
+ *
+ *   - system messages
+ *   - the first user message (the text the user originally captured)
+ *   - messages the user pinned (`pinned: true`)
+ *   - the most recent messages
+ *
+ * The memory is returned to the client together with the indexes of the
+ * messages it covers. When the client sends it back with the next request
+ * those messages stay summarized and only newly evicted ones are folded in,
+ * so a long conversation isn't re-summarized from scratch every time. When
+ * summarizing fails, the messages it was meant to cover are sent as they
+ * are and summarized on the next request instead.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const tiktoken = require('tiktoken');
+const { contentText, countImages } = require('./multimodal');
+
+// Initialize tokenizer for GPT-4 model
+const encoder = tiktoken.encoding_for_model("gpt-4");
+const textDecoder = new TextDecoder();
+
+// Upper bound for the length of the conversation memory
+const SUMMARY_TOKENS = parseInt(process.env.SUMMARY_MAX_TOKENS, 10) || 500;
+
+// Images can't be counted with the text tokenizer; this is about what a
+// large screenshot costs on the vision models in models.js
+const IMAGE_TOKENS = 1600;
+
+// Number of latest messages that are always sent verbatim
+const KEEP_RECENT_MESSAGES = 4;
+
+const MEMORY_HEADER = 'Conversation memory - a summary of earlier messages that no longer fit in the context window:\n\n';
+
+const SUMMARIZER_PROMPT = 'You maintain the memory of a long conversation between a user and an AI assistant. ' +
+  'Merge the existing memory and the new messages into one concise summary. Preserve facts, decisions, ' +
+  'names, numbers, code identifiers, the user\'s goals and any open questions. Write plain notes in the ' +
+  'third person and reply with the summary only.';
+
+/**
+ * Counts the total number of tokens in conversation messages
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @returns {number} Total token count for the conversation
+ */
+function countTokens(messages) {
+  return messages.reduce((total, message) => {
+    const messageTokens = encoder.encode(`${message.role}: ${contentText(message.content)}`).length;
+    return total + messageTokens + countImages(message.content) * IMAGE_TOKENS;
+  }, 0);
+}
+
+/**
+ * Counts the tokens in a piece of text
+ *
+ * @param {string} text - Text to count
+ * @returns {number} Token count
+ */
+function countTextTokens(text) {
+  return encoder.encode(text).length;
+}
+
+/**
+ * Cuts text down to a number of tokens
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Token limit
+ * @returns {string} The text, truncated if it was longer
+ */
+function truncateToTokens(text, maxTokens) {
+  const tokens = encoder.encode(text);
+  if (tokens.length <= maxTokens) return text;
+  return `${textDecoder.decode(encoder.decode(tokens.slice(0, maxTokens)))} [...]`;
+}
+
+/**
+ * Checks a memory object sent back by the client
+ *
+ * @param {Object} memory - Memory from a previous response
+ * @param {number} messageCount - Number of messages in the conversation
+ * @returns {Object|null} The memory if it is usable
+ */
+function validateMemory(memory, messageCount) {
+  if (!memory || typeof memory.summary !== 'string' || !Array.isArray(memory.summarized)) {
+    return null;
+  }
+  const indexesValid = memory.summarized.every(index => Number.isInteger(index) && index >= 0 && index < messageCount);
+  return indexesValid ? { summary: truncateToTokens(memory.summary, SUMMARY_TOKENS), summarized: memory.summarized } : null;
+}
+
+/**
+ * Folds messages into the conversation memory with the chat model.
+ * Messages are fed in batches that fit the model's context window.
+ *
+ * @param {Array} messages - Messages to add to the memory
+ * @param {string} summary - Existing memory ('' if none)
+ * @param {Object} options - Provider, model, token budget and abort signal
+ * @returns {Promise<Object>} The new `summary` and the `usage` of the summarization calls
+ */
+async function summarizeMessages(messages, summary, { provider, model, availableTokens, signal }) {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const batchTokens = Math.max(availableTokens - SUMMARY_TOKENS * 2, SUMMARY_TOKENS);
+  const lines = messages.map(message => {
+    const speaker = message.role === 'assistant' ? 'Assistant' : 'User';
+    return `${speaker}: ${truncateToTokens(contentText(message.content), batchTokens)}`;
+  });
+
+  while (lines.length > 0) {
+    // Take as many messages as fit next to the existing memory
+    const batch = [lines.shift()];
+    let tokens = countTextTokens(batch[0]);
+    while (lines.length > 0 && tokens + countTextTokens(lines[0]) <= batchTokens) {
+      tokens += countTextTokens(lines[0]);
+      batch.push(lines.shift());
+    }
+
+    const prompt = [
+      { role: 'system', content: SUMMARIZER_PROMPT },
+      { role: 'user', content: `Existing memory:\n${summary || '(empty)'}\n\nNew messages:\n${batch.join('\n\n')}` },
+    ];
+    const completion = await provider.complete({
+      model,
+      messages: prompt,
+      temperature: 0.2,
+      maxTokens: SUMMARY_TOKENS,
+      signal,
+    });
+    summary = completion.content.trim();
+
+    // Estimate usage when the provider doesn't report it
+    const callUsage = completion.usage || {
+      promptTokens: countTokens(prompt),
+      completionTokens: countTextTokens(completion.content),
+    };
+    usage.promptTokens += callUsage.promptTokens;
+    usage.completionTokens += callUsage.completionTokens;
+    usage.totalTokens += callUsage.totalTokens || callUsage.promptTokens + callUsage.completionTokens;
+  }
+
+  return { summary, usage };
+}
+
+/**
+ * Fits a conversation into the token budget, summarizing the oldest
+ * messages that may be evicted into a conversation memory system message
+ *
+ * @param {Array} messages - Conversation to send upstream
+ * @param {number} availableTokens - Token budget for the prompt
+ * @param {Object} options - Compression options
+ * @param {Object} options.provider - Provider adapter used for summarizing
+ * @param {string} options.model - Model used for summarizing
+ * @param {Object} options.memory - Memory returned with a previous response, if any
+ * @param {AbortSignal} options.signal - Cancels summarization
+ * @returns {Promise<Object>} `messages` to send, `memory` ({summary, summarized} or null) and summarization `usage`
+ */
+async function compressConversation(messages, availableTokens, { provider, model, memory, signal }) {
+  const totalTokens = countTokens(messages);
+  if (totalTokens <= availableTokens) {
+    return { messages, memory: null, usage: null };
+  }
+
+  // Work out which messages may be summarized, oldest first
+  const firstUserIndex = messages.findIndex(message => message.role === 'user');
+  const evictable = messages
+    .map((message, index) => index)
+    .filter(index => (
+      messages[index].role !== 'system' &&
+      !messages[index].pinned &&
+      index !== firstUserIndex &&
+      index < messages.length - KEEP_RECENT_MESSAGES
+    ));
+
+  // Messages summarized by an earlier request stay summarized
+  const previous = validateMemory(memory, messages.length);
+  const reusable = previous && previous.summarized.every(index => evictable.includes(index));
+  const evicted = reusable ? [...previous.summarized] : [];
+
+  const reserve = SUMMARY_TOKENS + countTextTokens(MEMORY_HEADER);
+  let remainingTokens = totalTokens - countTokens(evicted.map(index => messages[index]));
+  for (const index of evictable) {
+    if (remainingTokens + reserve <= availableTokens) break;
+    if (evicted.includes(index)) continue;
+    evicted.push(index);
+    remainingTokens -= countTokens([messages[index]]);
+  }
+  evicted.sort((a, b) => a - b);
+
+  if (evicted.length === 0) {
+    console.warn(`Conversation exceeds the token budget (${totalTokens}/${availableTokens}) but every message is protected`);
+    return { messages, memory: null, usage: null };
+  }
+
+  const newlyEvicted = evicted.filter(index => !reusable || !previous.summarized.includes(index));
+  let summary = reusable ? previous.summary : '';
+  let usage = null;
+  let failed = false;
+
+  if (newlyEvicted.length > 0) {
+    try {
+      ({ summary, usage } = await summarizeMessages(
+        newlyEvicted.map(index => messages[index]),
+        summary,
+        { provider, model, availableTokens, signal }
+      ));
+      console.log(`Summarized ${newlyEvicted.length} message(s) into conversation memory`);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // Without a summary the new messages are sent as they are, even over
+      // the budget; the client keeps its previous memory so they are
+      // summarized on the next request
+      console.error('Conversation summarization failed:', error.message);
+      failed = true;
+    }
+  }
+
+  const dropped = failed ? evicted.filter(index => !newlyEvicted.includes(index)) : evicted;
+  const kept = messages.filter((message, index) => !dropped.includes(index));
+  const firstTurn = kept.findIndex(message => message.role !== 'system');
+  const split = firstTurn === -1 ? kept.length : firstTurn;
+  const memoryMessages = summary ? [{ role: 'system', content: MEMORY_HEADER + summary }] : [];
+
+  return {
+    messages: [...kept.slice(0, split), ...memoryMessages, ...kept.slice(split)],
+    memory: failed ? (reusable ? previous : null) : { summary, summarized: evicted },
+    usage,
+  };
+}
+
+module.exports = {
+  countTokens,
+  countTextTokens,
+  compressConversation,
+};
@@ -0,0 +1,124 @@
+/**
+ * Response Continuation Helpers
+ *
+ * When a model stops because it ran out of output tokens, the server can ask
+ * it to carry on from where it stopped - either when the client clicks
+ * "Continue Generating" or automatically when the client opts in with
+ * `autoContinue`. This module builds the follow-up prompt and joins the
+ * pieces into one seamless message.
+ *
+ * Models often restart a continuation by repeating the last few words (or
+ * the whole last line) of the previous part, so the start of each new part
+ * is compared with the end of the text before it and the overlap is dropped.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+// Instruction sent after the truncated answer. It is a separate user turn so
+// nothing is appended to the assistant's own text.
+const CONTINUE_PROMPT = 'Your previous response was cut off. Continue it exactly where it stopped. ' +
+  'Do not repeat any text you already wrote, do not summarize it and do not add an introduction.';
+
+// How much of the previous text is searched for a repeated seam
+const SEAM_WINDOW = 300;
+
+// Overlaps at least this long are always removed; shorter ones only when
+// they cover whole words, so a continuation that legitimately begins with
+// the same letters the previous part ends with is left alone
+const MIN_SEAM_OVERLAP = 12;
+const MIN_WORD_OVERLAP = 3;
+
+/**
+ * Builds the messages that ask the model to continue a truncated answer
+ *
+ * @param {Array} messages - Conversation that produced the answer
+ * @param {string} partial - Text generated so far
+ * @returns {Array} Messages for the continuation request
+ */
+function buildContinuationMessages(messages, partial) {
+  return [
+    ...messages,
+    { role: 'assistant', content: partial },
+    { role: 'user', content: CONTINUE_PROMPT },
+  ];
+}
+
+/**
+ * Finds how many leading characters of `next` repeat the end of `previous`
+ *
+ * @param {string} previous - Text generated so far
+ * @param {string} next - Start of the continuation
+ * @returns {number} Number of characters of `next` to drop
+ */
+function findSeamOverlap(previous, next) {
+  const tail = previous.slice(-SEAM_WINDOW);
+
+  for (let length = Math.min(tail.length, next.length); length >= MIN_WORD_OVERLAP; length--) {
+    if (!tail.endsWith(next.slice(0, length))) continue;
+
+    const start = previous.length - length;
+    const wholeWords = (start === 0 || /\W/.test(previous[start - 1])) &&
+      (length === next.length || /\W/.test(next[length]));
+    if (length >= MIN_SEAM_OVERLAP || wholeWords) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Creates a filter that removes the repeated seam from a streamed
+ * continuation. Text is held back only until the overlap is known, which is
+ * usually after the first delta.
+ *
+ * @param {string} previous - Text generated before this continuation
+ * @returns {Object} Filter with push(delta) and flush(), both returning the text to emit
+ */
+function createSeamFilter(previous) {
+  const tail = previous.slice(-SEAM_WINDOW);
+  let buffer = '';
+  let resolved = !previous;
+
+  const resolve = () => {
+    resolved = true;
+    const text = buffer.slice(findSeamOverlap(previous, buffer));
+    buffer = '';
+    return text;
+  };
+
+  return {
+    push(delta) {
+      if (resolved) return delta;
+
+      buffer += delta;
+      // A longer overlap is only possible while the buffer still occurs in the tail
+      if (buffer.length >= tail.length || !tail.includes(buffer)) {
+        return resolve();
+      }
+      return '';
+    },
+
+    flush() {
+      return resolved ? '' : resolve();
+    },
+  };
+}
+
+/**
+ * Joins a continuation onto the text before it, dropping any repeated seam
+ *
+ * @param {string} previous - Text generated so far
+ * @param {string} next - The continuation
+ * @returns {string} The new part of the continuation
+ */
+function stitchContinuation(previous, next) {
+  const filter = createSeamFilter(previous);
+  return filter.push(next) + filter.flush();
+}
+
+module.exports = {
+  buildContinuationMessages,
+  createSeamFilter,
+  stitchContinuation,
+};
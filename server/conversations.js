@@ -0,0 +1,608 @@
+/**
+ * Conversation Persistence
+ *
+ * Stores chat threads and their messages in the server's SQLite database so
+ * the extension popup and every tab can resume the same conversation.
+ * Every conversation belongs to the user of the install token that created
+ * it; other users get a 404 as if it didn't exist.
+ *
+ * Routes (mounted at /api/conversations, authentication required):
+ *
+ *   GET    /                       list conversations, newest first (?q= searches titles and messages)
+ *   POST   /                       create a conversation, optionally with its first messages
+ *   GET    /:id                    get a conversation with all of its messages
+ *   PATCH  /:id                    rename, or update its model or conversation memory
+ *   DELETE /:id                    delete a conversation and its messages
+ *   POST   /:id/messages           append messages
+ *   PATCH  /:id/messages/:msgId    edit a message's content or pin it
+ *   DELETE /:id/messages/:msgId    delete a message
+ *
+ * User messages can carry image attachments (e.g. the captured area a
+ * question is about), sent as `attachments: [{ type: 'image', data }]` with
+ * a base64 data URL and returned the same way. They are stored with the
+ * message and deleted with it.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { ensureSchema } = require('./db');
+const { ImageError, parseImageDataUrl, imageDataUrl } = require('./multimodal');
+const { findModel } = require('./models');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    model TEXT,
+    memory TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS conversations_user ON conversations (user_id, updated_at);
+
+  CREATE TABLE IF NOT EXISTS conversation_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    model TEXT,
+    pinned INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS conversation_messages_conversation ON conversation_messages (conversation_id, id);
+
+  CREATE TABLE IF NOT EXISTS conversation_attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id INTEGER NOT NULL REFERENCES conversation_messages (id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    media_type TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS conversation_attachments_message ON conversation_attachments (message_id, id);
+`;
+
+const ROLES = ['user', 'assistant', 'system'];
+const MAX_TITLE_LENGTH = 200;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_ATTACHMENTS = 4;
+
+// Limits of a stored conversation memory (see context.js). Summaries are
+// capped at SUMMARY_MAX_TOKENS tokens; the length limit leaves room for that
+// in any language. Memory is sent to the model again, so it stays small.
+const MAX_MEMORY_SUMMARY_LENGTH = 16000;
+const MAX_MEMORY_INDEXES = 10000;
+
+/**
+ * Returns the database with the conversation tables created
+ * @returns {Database} Database handle
+ */
+function db() {
+  return ensureSchema('conversations', SCHEMA);
+}
+
+/**
+ * Error for invalid input; the router turns it into a 400 response
+ */
+class ValidationError extends Error {}
+
+/**
+ * Converts a message row into its API shape
+ *
+ * @param {Object} row - Row from conversation_messages
+ * @param {Array<Object>} attachments - Its rows from conversation_attachments
+ * @returns {Object} Message
+ */
+function toMessage(row, attachments = []) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    model: row.model,
+    pinned: Boolean(row.pinned),
+    attachments: attachments.map(attachment => ({
+      id: attachment.id,
+      type: attachment.type,
+      data: imageDataUrl({ mediaType: attachment.media_type, data: attachment.data }),
+    })),
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Loads the attachments of a message
+ *
+ * @param {number} messageId - Message ID
+ * @returns {Array<Object>} Rows from conversation_attachments
+ */
+function messageAttachments(messageId) {
+  return db().prepare('SELECT * FROM conversation_attachments WHERE message_id = ? ORDER BY id').all(messageId);
+}
+
+/**
+ * Converts a conversation row into its API shape
+ *
+ * @param {Object} row - Row from conversations
+ * @returns {Object} Conversation (without messages)
+ */
+function toConversation(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    model: row.model,
+    memory: row.memory ? JSON.parse(row.memory) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Derives a title from the first user message
+ *
+ * @param {Array} messages - Messages of a new conversation
+ * @returns {string} Title
+ */
+function defaultTitle(messages) {
+  const first = messages.find(message => message.role === 'user');
+  if (!first) return 'New conversation';
+
+  const text = first.content.replace(/\s+/g, ' ').trim();
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text || 'New conversation';
+}
+
+/**
+ * Validates the messages of a create or append request
+ *
+ * @param {Array} messages - Messages from the request body
+ * @returns {Array} The messages, with their attachments parsed into image parts
+ * @throws {ValidationError} If a message is malformed
+ * @throws {ImageError} If an attached image is invalid or too large
+ */
+function validateMessages(messages) {
+  if (!Array.isArray(messages)) {
+    throw new ValidationError('messages must be an array');
+  }
+  return messages.map(message => {
+    if (!message || !ROLES.includes(message.role) || typeof message.content !== 'string') {
+      throw new ValidationError(`Each message needs a role (${ROLES.join(', ')}) and string content`);
+    }
+    if (message.attachments === undefined) {
+      return { ...message, attachments: [] };
+    }
+    if (!Array.isArray(message.attachments) || message.attachments.length > MAX_ATTACHMENTS) {
+      throw new ValidationError(`attachments must be an array of at most ${MAX_ATTACHMENTS} images`);
+    }
+    const attachments = message.attachments.map(attachment => {
+      if (!attachment || attachment.type !== 'image') {
+        throw new ValidationError('Each attachment needs type "image" and its data URL as data');
+      }
+      return parseImageDataUrl(attachment.data);
+    });
+    return { ...message, attachments };
+  });
+}
+
+/**
+ * Validates a title
+ *
+ * @param {string} title - Title from the request body
+ * @returns {string} Trimmed title
+ * @throws {ValidationError} If the title is empty or not a string
+ */
+function validateTitle(title) {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new ValidationError('title must be a non-empty string');
+  }
+  return title.trim().slice(0, MAX_TITLE_LENGTH);
+}
+
+/**
+ * Validates the model of a conversation
+ *
+ * @param {string|null} model - Model ID from the request body
+ * @returns {string|null} The model ID, or null for none
+ * @throws {ValidationError} If the model isn't one this server offers
+ */
+function validateModel(model) {
+  if (model === null) return null;
+  if (typeof model !== 'string' || !findModel(model)) {
+    throw new ValidationError('model must be null or one of the models listed by /api/models');
+  }
+  return model;
+}
+
+/**
+ * Validates a conversation memory as returned with chat responses
+ *
+ * @param {Object|null} memory - Memory from the request body
+ * @returns {string|null} The memory serialized for storage, or null for none
+ * @throws {ValidationError} If the memory is malformed or too large
+ */
+function validateMemory(memory) {
+  if (memory === null) return null;
+
+  const { summary, summarized } = memory && typeof memory === 'object' ? memory : {};
+  if (typeof summary !== 'string' || summary.length > MAX_MEMORY_SUMMARY_LENGTH) {
+    throw new ValidationError(`memory.summary must be a string of at most ${MAX_MEMORY_SUMMARY_LENGTH} characters`);
+  }
+  if (!Array.isArray(summarized) || summarized.length > MAX_MEMORY_INDEXES
+    || !summarized.every(index => Number.isInteger(index) && index >= 0)) {
+    throw new ValidationError(`memory.summarized must be an array of at most ${MAX_MEMORY_INDEXES} message indexes`);
+  }
+  return JSON.stringify({ summary, summarized });
+}
+
+/**
+ * Escapes LIKE wildcards so search terms match literally
+ *
+ * @param {string} text - Search term
+ * @returns {string} Escaped term
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Lists a user's conversations, newest first, optionally filtered by a
+ * search term that must appear in the title or any message
+ *
+ * @param {string} userId - Owner of the conversations
+ * @param {Object} options - Listing options
+ * @param {string} options.query - Search term
+ * @param {number} options.limit - Page size
+ * @param {number} options.before - Only conversations updated before this time (for paging)
+ * @returns {Array<Object>} Conversations with messageCount and a preview (or the matching snippet)
+ */
+function listConversations(userId, { query, limit = DEFAULT_PAGE_SIZE, before } = {}) {
+  const pattern = query ? `%${escapeLike(query)}%` : null;
+
+  const rows = db().prepare(`
+    SELECT c.*,
+      (SELECT COUNT(*) FROM conversation_messages m WHERE m.conversation_id = c.id) AS message_count,
+      (SELECT content FROM conversation_messages m WHERE m.conversation_id = c.id
+         ORDER BY m.id DESC LIMIT 1) AS last_message,
+      (SELECT content FROM conversation_messages m WHERE m.conversation_id = c.id
+         AND m.content LIKE @pattern ESCAPE '\\' ORDER BY m.id DESC LIMIT 1) AS matching_message
+    FROM conversations c
+    WHERE c.user_id = @userId
+      AND (@before IS NULL OR c.updated_at < @before)
+      AND (@pattern IS NULL OR c.title LIKE @pattern ESCAPE '\\' OR EXISTS (
+        SELECT 1 FROM conversation_messages m
+        WHERE m.conversation_id = c.id AND m.content LIKE @pattern ESCAPE '\\'
+      ))
+    ORDER BY c.updated_at DESC
+    LIMIT @limit
+  `).all({ userId, pattern, before: before || null, limit });
+
+  return rows.map(row => ({
+    ...toConversation(row),
+    memory: undefined, // Only needed when resuming, see getConversation
+    messageCount: row.message_count,
+    preview: snippet(row.matching_message || row.last_message || '', query),
+  }));
+}
+
+/**
+ * Cuts a short excerpt out of a message, centred on the search term if given
+ *
+ * @param {string} text - Message content
+ * @param {string} query - Search term
+ * @returns {string} Excerpt of at most ~120 characters
+ */
+function snippet(text, query) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const match = query ? flat.toLowerCase().indexOf(query.toLowerCase()) : -1;
+  const start = Math.max(0, match - 40);
+  const excerpt = flat.slice(start, start + 120);
+  return `${start > 0 ? '...' : ''}${excerpt}${start + 120 < flat.length ? '...' : ''}`;
+}
+
+/**
+ * Loads one of a user's conversations with its messages
+ *
+ * @param {string} userId - Owner of the conversation
+ * @param {string} id - Conversation ID
+ * @returns {Object|null} Conversation with messages, or null if not found
+ */
+function getConversation(userId, id) {
+  const row = db().prepare('SELECT * FROM conversations WHERE id = ? AND user_id = ?').get(id, userId);
+  if (!row) return null;
+
+  const messages = db().prepare(`
+    SELECT * FROM conversation_messages WHERE conversation_id = ? ORDER BY id
+  `).all(id);
+
+  // Load all attachments at once instead of once per message
+  const attachments = new Map();
+  db().prepare(`
+    SELECT a.* FROM conversation_attachments a
+    JOIN conversation_messages m ON m.id = a.message_id
+    WHERE m.conversation_id = ? ORDER BY a.id
+  `).all(id).forEach(attachment => {
+    attachments.set(attachment.message_id, [...(attachments.get(attachment.message_id) || []), attachment]);
+  });
+
+  return {
+    ...toConversation(row),
+    messages: messages.map(message => toMessage(message, attachments.get(message.id))),
+  };
+}
+
+/**
+ * Appends messages to a conversation and bumps its updated time
+ *
+ * @param {string} id - Conversation ID (ownership already checked)
+ * @param {Array} messages - Validated messages
+ * @returns {Array<Object>} The stored messages
+ */
+function insertMessages(id, messages) {
+  const now = Date.now();
+  const insert = db().prepare(`
+    INSERT INTO conversation_messages (conversation_id, role, content, model, pinned, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const insertAttachment = db().prepare(`
+    INSERT INTO conversation_attachments (message_id, type, media_type, data, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const ids = messages.map(message => {
+    const messageId = insert.run(
+      id,
+      message.role,
+      message.content,
+      typeof message.model === 'string' ? message.model : null,
+      message.pinned ? 1 : 0,
+      now
+    ).lastInsertRowid;
+    message.attachments.forEach(part => insertAttachment.run(messageId, part.type, part.mediaType, part.data, now));
+    return messageId;
+  });
+
+  db().prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').run(now, id);
+
+  return ids.map(messageId => toMessage(
+    db().prepare('SELECT * FROM conversation_messages WHERE id = ?').get(messageId),
+    messageAttachments(messageId)
+  ));
+}
+
+/**
+ * Creates a conversation for a user
+ *
+ * @param {string} userId - Owner of the conversation
+ * @param {Object} data - Title, model, conversation memory and initial messages (all optional)
+ * @returns {Object} The new conversation with its messages
+ */
+function createConversation(userId, { title, model, memory, messages = [] } = {}) {
+  messages = validateMessages(messages);
+  const id = crypto.randomUUID();
+  const now = Date.now();
+
+  db().transaction(() => {
+    db().prepare(`
+      INSERT INTO conversations (id, user_id, title, model, memory, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      userId,
+      title === undefined ? defaultTitle(messages) : validateTitle(title),
+      model === undefined ? null : validateModel(model),
+      memory === undefined ? null : validateMemory(memory),
+      now,
+      now
+    );
+    insertMessages(id, messages);
+  })();
+
+  return getConversation(userId, id);
+}
+
+/**
+ * Updates a conversation's title, model or memory
+ *
+ * @param {string} userId - Owner of the conversation
+ * @param {string} id - Conversation ID
+ * @param {Object} changes - Any of title, model and memory
+ * @returns {Object|null} The updated conversation (without messages), or null if not found
+ */
+function updateConversation(userId, id, { title, model, memory }) {
+  const row = db().prepare('SELECT * FROM conversations WHERE id = ? AND user_id = ?').get(id, userId);
+  if (!row) return null;
+
+  db().prepare(`
+    UPDATE conversations SET title = ?, model = ?, memory = ?, updated_at = ? WHERE id = ?
+  `).run(
+    title === undefined ? row.title : validateTitle(title),
+    model === undefined ? row.model : validateModel(model),
+    memory === undefined ? row.memory : validateMemory(memory),
+    Date.now(),
+    id
+  );
+
+  return toConversation(db().prepare('SELECT * FROM conversations WHERE id = ?').get(id));
+}
+
+/**
+ * Deletes a conversation and its messages
+ *
+ * @param {string} userId - Owner of the conversation
+ * @param {string} id - Conversation ID
+ * @returns {boolean} Whether a conversation was deleted
+ */
+function deleteConversation(userId, id) {
+  return db().prepare('DELETE FROM conversations WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+}
+
+/**
+ * Appends messages to one of a user's conversations
+ *
+ * @param {string} userId - Owner of the conversation
+ * @param {string} id - Conversation ID
+ * @param {Array} messages - Messages to append
+ * @returns {Array<Object>|null} The stored messages, or null if the conversation was not found
+ */
+function appendMessages(userId, id, messages) {
+  messages = validateMessages(messages);
+  const owned = db().prepare('SELECT 1 FROM conversations WHERE id = ? AND user_id = ?').get(id, userId);
+  if (!owned) return null;
+
+  return db().transaction(() => insertMessages(id, messages))();
+}
+
+/**
+ * Looks up a message of one of a user's conversations
+ *
+ * @param {string} userId - Owner of the conversation
+ * @param {string} id - Conversation ID
+ * @param {number} messageId - Message ID
+ * @returns {Object|null} Message row
+ */
+function findMessage(userId, id, messageId) {
+  return db().prepare(`
+    SELECT m.* FROM conversation_messages m
+    JOIN conversations c ON c.id = m.conversation_id
+    WHERE m.id = ? AND c.id = ? AND c.user_id = ?
+  `).get(messageId, id, userId) || null;
+}
+
+/**
+ * Edits a message's content or pinned flag
+ *
+ * @param {string} userId - Owner of the conversation
+ * @param {string} id - Conversation ID
+ * @param {number} messageId - Message ID
+ * @param {Object} changes - content and/or pinned
+ * @returns {Object|null} The updated message, or null if not found
+ */
+function updateMessage(userId, id, messageId, { content, pinned }) {
+  const row = findMessage(userId, id, messageId);
+  if (!row) return null;
+  if (content !== undefined && typeof content !== 'string') {
+    throw new ValidationError('content must be a string');
+  }
+
+  db().prepare('UPDATE conversation_messages SET content = ?, pinned = ? WHERE id = ?').run(
+    content === undefined ? row.content : content,
+    pinned === undefined ? row.pinned : (pinned ? 1 : 0),
+    messageId
+  );
+  db().prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').run(Date.now(), id);
+
+  return toMessage(
+    db().prepare('SELECT * FROM conversation_messages WHERE id = ?').get(messageId),
+    messageAttachments(messageId)
+  );
+}
+
+/**
+ * Deletes a message
+ *
+ * @param {string} userId - Owner of the conversation
+ * @param {string} id - Conversation ID
+ * @param {number} messageId - Message ID
+ * @returns {boolean} Whether a message was deleted
+ */
+function deleteMessage(userId, id, messageId) {
+  if (!findMessage(userId, id, messageId)) return false;
+  db().prepare('DELETE FROM conversation_messages WHERE id = ?').run(messageId);
+  // The memory refers to messages by position, which just shifted
+  db().prepare('UPDATE conversations SET memory = NULL, updated_at = ? WHERE id = ?').run(Date.now(), id);
+  return true;
+}
+
+/**
+ * Wraps a route handler so validation errors become 400 responses, invalid
+ * or oversized attachments 400 or 413 responses, and anything else a 500
+ *
+ * @param {Function} handler - Route handler
+ * @returns {Function} Express handler
+ */
+function route(handler) {
+  return (req, res) => {
+    try {
+      handler(req, res);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ImageError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+      console.error('Conversation API Error:', error.message);
+      res.status(500).json({ error: 'Internal server error. Please try again later.' });
+    }
+  };
+}
+
+const notFound = (res) => res.status(404).json({ error: 'Conversation not found' });
+
+const router = express.Router();
+
+router.get('/', route((req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const query = typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q.trim() : undefined;
+  const before = parseInt(req.query.before, 10) || undefined;
+
+  res.status(200).json({ conversations: listConversations(req.user.id, { query, limit, before }) });
+}));
+
+router.post('/', route((req, res) => {
+  const { title, model, memory, messages } = req.body || {};
+  res.status(201).json(createConversation(req.user.id, { title, model, memory, messages }));
+}));
+
+router.get('/:id', route((req, res) => {
+  const conversation = getConversation(req.user.id, req.params.id);
+  if (!conversation) return notFound(res);
+  res.status(200).json(conversation);
+}));
+
+router.patch('/:id', route((req, res) => {
+  const { title, model, memory } = req.body || {};
+  const conversation = updateConversation(req.user.id, req.params.id, { title, model, memory });
+  if (!conversation) return notFound(res);
+  res.status(200).json(conversation);
+}));
+
+router.delete('/:id', route((req, res) => {
+  if (!deleteConversation(req.user.id, req.params.id)) return notFound(res);
+  res.status(204).end();
+}));
+
+router.post('/:id/messages', route((req, res) => {
+  const messages = appendMessages(req.user.id, req.params.id, req.body?.messages);
+  if (!messages) return notFound(res);
+  res.status(201).json({ messages });
+}));
+
+router.patch('/:id/messages/:messageId', route((req, res) => {
+  const { content, pinned } = req.body || {};
+  const message = updateMessage(req.user.id, req.params.id, Number(req.params.messageId), { content, pinned });
+  if (!message) return res.status(404).json({ error: 'Message not found' });
+  res.status(200).json(message);
+}));
+
+router.delete('/:id/messages/:messageId', route((req, res) => {
+  if (!deleteMessage(req.user.id, req.params.id, Number(req.params.messageId))) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  res.status(204).end();
+}));
+
+module.exports = {
+  listConversations,
+  getConversation,
+  createConversation,
+  updateConversation,
+  deleteConversation,
+  appendMessages,
+  updateMessage,
+  deleteMessage,
+  conversationsRouter: router,
+};
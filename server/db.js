@@ -0,0 +1,67 @@
+/**
+ * SQLite Database Access
+ *
+ * Opens the server's local SQLite database (DATABASE_PATH, default
+ * ./data/clickai.db) on first use. Modules that persist data create their
+ * own tables with `CREATE TABLE IF NOT EXISTS` through `ensureSchema`.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+let database = null;
+const appliedSchemas = new Set();
+
+/**
+ * Returns the shared database connection, opening it on first use
+ *
+ * @returns {Database} better-sqlite3 database handle
+ */
+function getDatabase() {
+  if (!database) {
+    const file = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'clickai.db');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    database = new Database(file);
+    database.pragma('journal_mode = WAL'); // Readers don't block the writer
+    database.pragma('foreign_keys = ON');
+  }
+  return database;
+}
+
+/**
+ * Runs a module's schema statements once per process
+ *
+ * @param {string} name - Unique name of the schema (usually the module name)
+ * @param {string} sql - Statements to execute
+ * @returns {Database} The database handle
+ */
+function ensureSchema(name, sql) {
+  const db = getDatabase();
+  if (!appliedSchemas.has(name)) {
+    db.exec(sql);
+    appliedSchemas.add(name);
+  }
+  return db;
+}
+
+/**
+ * Closes the database connection (used on shutdown and by CLI scripts)
+ */
+function closeDatabase() {
+  if (database) {
+    database.close();
+    database = null;
+    appliedSchemas.clear();
+  }
+}
+
+module.exports = {
+  getDatabase,
+  ensureSchema,
+  closeDatabase,
+};
@@ -0,0 +1,165 @@
+/**
+ * Model Registry
+ *
+ * Describes the models the server can route requests to: which provider
+ * serves them, how large their context window and output limit are, what
+ * they cost and whether they accept images. The registry drives model
+ * validation, the token budget used when trimming conversations, and the
+ * /api/models discovery endpoint.
+ *
+ * Additional models (for example the ones installed on a local Ollama
+ * server) can be added with a JSON file referenced by MODEL_REGISTRY_FILE.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const { getProvider, getDefaultProviderName, listProviders } = require('./providers');
+
+/**
+ * Built-in models. Pricing is in USD per million tokens.
+ */
+const BUILT_IN_MODELS = [
+  // OpenAI
+  { id: 'gpt-4o', provider: 'openai', label: 'GPT-4o', contextWindow: 128000, maxOutputTokens: 16384, pricing: { input: 2.5, output: 10 }, vision: true },
+  { id: 'gpt-4o-mini', provider: 'openai', label: 'GPT-4o mini', contextWindow: 128000, maxOutputTokens: 16384, pricing: { input: 0.15, output: 0.6 }, vision: true },
+  { id: 'gpt-4-turbo', provider: 'openai', label: 'GPT-4 Turbo', contextWindow: 128000, maxOutputTokens: 4096, pricing: { input: 10, output: 30 }, vision: true },
+  { id: 'gpt-4', provider: 'openai', label: 'GPT-4', contextWindow: 8192, maxOutputTokens: 8192, pricing: { input: 30, output: 60 }, vision: false },
+  { id: 'gpt-3.5-turbo', provider: 'openai', label: 'GPT-3.5 Turbo', contextWindow: 16385, maxOutputTokens: 4096, pricing: { input: 0.5, output: 1.5 }, vision: false },
+
+  // Anthropic
+  { id: 'claude-3-5-sonnet-latest', provider: 'anthropic', label: 'Claude 3.5 Sonnet', contextWindow: 200000, maxOutputTokens: 8192, pricing: { input: 3, output: 15 }, vision: true },
+  { id: 'claude-3-5-haiku-latest', provider: 'anthropic', label: 'Claude 3.5 Haiku', contextWindow: 200000, maxOutputTokens: 8192, pricing: { input: 0.8, output: 4 }, vision: false },
+  { id: 'claude-3-opus-latest', provider: 'anthropic', label: 'Claude 3 Opus', contextWindow: 200000, maxOutputTokens: 4096, pricing: { input: 15, output: 75 }, vision: true },
+
+  // Google Gemini
+  { id: 'gemini-1.5-pro', provider: 'gemini', label: 'Gemini 1.5 Pro', contextWindow: 2097152, maxOutputTokens: 8192, pricing: { input: 1.25, output: 5 }, vision: true },
+  { id: 'gemini-1.5-flash', provider: 'gemini', label: 'Gemini 1.5 Flash', contextWindow: 1048576, maxOutputTokens: 8192, pricing: { input: 0.075, output: 0.3 }, vision: true },
+];
+
+// Conservative limits for models the registry knows nothing about
+const UNKNOWN_MODEL_DEFAULTS = {
+  contextWindow: 8192,
+  maxOutputTokens: 4096,
+  pricing: { input: 0, output: 0 },
+  vision: false,
+};
+
+let registry = null;
+
+/**
+ * Reads extra model definitions from MODEL_REGISTRY_FILE, if set
+ *
+ * @returns {Array<Object>} Model definitions from the file
+ */
+function loadCustomModels() {
+  const file = process.env.MODEL_REGISTRY_FILE;
+  if (!file) return [];
+
+  try {
+    const models = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(models) ? models : [];
+  } catch (error) {
+    console.warn(`⚠️  WARNING: could not read MODEL_REGISTRY_FILE (${error.message})`);
+    return [];
+  }
+}
+
+/**
+ * Builds the registry: built-in models, custom models, and an entry for each
+ * provider's configured default model so that it is always selectable.
+ *
+ * @returns {Map<string, Object>} Models keyed by ID
+ */
+function buildRegistry() {
+  const models = new Map();
+
+  for (const model of [...BUILT_IN_MODELS, ...loadCustomModels()]) {
+    models.set(model.id, { ...UNKNOWN_MODEL_DEFAULTS, label: model.id, ...model });
+  }
+
+  for (const { name, configured } of listProviders()) {
+    if (!configured) continue;
+    const { defaultModel } = getProvider(name);
+    if (!models.has(defaultModel)) {
+      models.set(defaultModel, { ...UNKNOWN_MODEL_DEFAULTS, id: defaultModel, provider: name, label: defaultModel });
+    }
+  }
+
+  return models;
+}
+
+/**
+ * Returns the registry, building it on first use
+ *
+ * @returns {Map<string, Object>} Models keyed by ID
+ */
+function getRegistry() {
+  if (!registry) {
+    registry = buildRegistry();
+  }
+  return registry;
+}
+
+/**
+ * Lists the models whose provider is configured on this server
+ *
+ * @returns {Array<Object>} Available model definitions
+ */
+function listAvailableModels() {
+  const configured = new Set(listProviders().filter(p => p.configured).map(p => p.name));
+  return [...getRegistry().values()].filter(model => configured.has(model.provider));
+}
+
+/**
+ * ID of the model used when a request doesn't choose one: DEFAULT_MODEL if
+ * set, otherwise the default provider's default model.
+ *
+ * @returns {string|null} Model ID, or null when no provider is configured
+ */
+function getDefaultModelId() {
+  if (process.env.DEFAULT_MODEL) {
+    return process.env.DEFAULT_MODEL;
+  }
+  try {
+    return getProvider(getDefaultProviderName()).defaultModel;
+  } catch {
+    return listAvailableModels()[0]?.id || null;
+  }
+}
+
+/**
+ * ID of the model used for images when a request doesn't choose one:
+ * VISION_MODEL if set, otherwise the default model if it accepts images,
+ * otherwise the first available model that does.
+ *
+ * @returns {string|null} Model ID, or null when no vision model is available
+ */
+function getDefaultVisionModelId() {
+  if (process.env.VISION_MODEL) {
+    return process.env.VISION_MODEL;
+  }
+  const defaultModel = findModel(getDefaultModelId());
+  if (defaultModel && defaultModel.vision) {
+    return defaultModel.id;
+  }
+  return listAvailableModels().find(model => model.vision)?.id || null;
+}
+
+/**
+ * Looks up an available model by ID
+ *
+ * @param {string} id - Model ID
+ * @returns {Object|null} Model definition, or null if unknown or its provider isn't configured
+ */
+function findModel(id) {
+  return listAvailableModels().find(model => model.id === id) || null;
+}
+
+module.exports = {
+  listAvailableModels,
+  getDefaultModelId,
+  getDefaultVisionModelId,
+  findModel,
+};
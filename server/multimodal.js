@@ -0,0 +1,127 @@
+/**
+ * Multimodal Message Content
+ *
+ * Message content is normally a string. Messages that carry an image use an
+ * array of parts instead:
+ *
+ *   [{ type: 'image', mediaType: 'image/png', data: '<base64>' },
+ *    { type: 'text', text: 'What does this chart show?' }]
+ *
+ * Each provider adapter converts the parts into its own API's format. This
+ * module validates images uploaded by the client and provides the helpers
+ * shared by the adapters and the token counting in context.js.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+// Largest decoded image accepted by /api/vision (default 5 MB)
+const MAX_IMAGE_BYTES = parseInt(process.env.VISION_MAX_IMAGE_BYTES, 10) || 5 * 1024 * 1024;
+
+// Image formats every vision provider accepts, with the bytes they start with
+const IMAGE_SIGNATURES = {
+  'image/png': (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  'image/gif': (bytes) => bytes.subarray(0, 4).toString('latin1') === 'GIF8',
+  'image/webp': (bytes) => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+
+const DATA_URL_PATTERN = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+/**
+ * Error for an image the server won't forward
+ */
+class ImageError extends Error {
+  /**
+   * @param {string} code - 'invalid_image' or 'image_too_large'
+   * @param {string} message - Message shown to the user
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ImageError';
+    this.code = code;
+    this.status = code === 'image_too_large' ? 413 : 400;
+  }
+}
+
+/**
+ * Validates an image sent as a base64 data URL and turns it into a content part
+ *
+ * @param {string} dataUrl - Image as `data:image/<type>;base64,...`
+ * @returns {Object} Image part with `mediaType` and base64 `data`
+ * @throws {ImageError} When the image is malformed, of an unsupported type or too large
+ */
+function parseImageDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' ? DATA_URL_PATTERN.exec(dataUrl) : null;
+  if (!match) {
+    throw new ImageError('invalid_image', 'Invalid request: image must be a base64 data URL');
+  }
+
+  const [, mediaType, data] = match;
+  if (!IMAGE_SIGNATURES[mediaType]) {
+    throw new ImageError('invalid_image', `Unsupported image type "${mediaType}". Use PNG, JPEG, GIF or WebP.`);
+  }
+
+  // Check the size before decoding so oversized uploads aren't copied again
+  const size = Math.floor(data.length * 3 / 4) - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0);
+  if (size > MAX_IMAGE_BYTES) {
+    throw new ImageError('image_too_large', `The image is too large (${(size / 1048576).toFixed(1)} MB). The limit is ${(MAX_IMAGE_BYTES / 1048576).toFixed(1)} MB.`);
+  }
+
+  if (!IMAGE_SIGNATURES[mediaType](Buffer.from(data, 'base64'))) {
+    throw new ImageError('invalid_image', `The image data is not a valid ${mediaType} file`);
+  }
+
+  return { type: 'image', mediaType, data };
+}
+
+/**
+ * Returns message content as a list of parts
+ *
+ * @param {string|Array} content - Message content
+ * @returns {Array} Text and image parts
+ */
+function contentParts(content) {
+  return typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+}
+
+/**
+ * Returns the text of message content, with a placeholder for each image
+ *
+ * @param {string|Array} content - Message content
+ * @returns {string} Text of the message
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  return content.map(part => (part.type === 'image' ? '[image]' : part.text)).join('\n\n');
+}
+
+/**
+ * Counts the images in message content
+ *
+ * @param {string|Array} content - Message content
+ * @returns {number} Number of image parts
+ */
+function countImages(content) {
+  return typeof content === 'string' ? 0 : content.filter(part => part.type === 'image').length;
+}
+
+/**
+ * Builds a data URL for an image part
+ *
+ * @param {Object} part - Image part
+ * @returns {string} `data:` URL
+ */
+function imageDataUrl(part) {
+  return `data:${part.mediaType};base64,${part.data}`;
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  ImageError,
+  parseImageDataUrl,
+  contentParts,
+  contentText,
+  countImages,
+  imageDataUrl,
+};
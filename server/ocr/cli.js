@@ -0,0 +1,102 @@
+/**
+ * Tesseract Command-Line OCR Engine
+ *
+ * Runs the native `tesseract` program for every request, which is faster
+ * than the WebAssembly build and uses the language data installed with it
+ * (e.g. the tesseract-ocr-* packages). The image is piped in and the TSV
+ * output is parsed into text and words.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const { spawn } = require('child_process');
+const { buildResult } = require('./index');
+
+// TSV rows of this level describe single words
+const WORD_LEVEL = '5';
+
+/**
+ * Parses Tesseract's TSV output. Words on one line are joined with spaces,
+ * lines with newlines and paragraphs with a blank line.
+ *
+ * @param {string} tsv - Output of `tesseract ... tsv`
+ * @returns {Object} Result with text, confidence and words
+ */
+function parseTsv(tsv) {
+  const words = [];
+  let text = '';
+  let previousLine = null;
+  let previousParagraph = null;
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const [level, , block, paragraph, line, , left, top, width, height, conf, ...rest] = row.split('\t');
+    const word = rest.join('\t').trim();
+    if (level !== WORD_LEVEL || !word || parseFloat(conf) < 0) continue;
+
+    const paragraphKey = `${block}.${paragraph}`;
+    const lineKey = `${paragraphKey}.${line}`;
+    if (previousParagraph !== null && paragraphKey !== previousParagraph) {
+      text += '\n\n';
+    } else if (previousLine !== null && lineKey !== previousLine) {
+      text += '\n';
+    } else if (previousLine !== null) {
+      text += ' ';
+    }
+    text += word;
+    previousLine = lineKey;
+    previousParagraph = paragraphKey;
+
+    const x0 = parseInt(left, 10);
+    const y0 = parseInt(top, 10);
+    words.push({
+      text: word,
+      confidence: Math.round(parseFloat(conf) * 10) / 10,
+      bbox: { x0, y0, x1: x0 + parseInt(width, 10), y1: y0 + parseInt(height, 10) },
+    });
+  }
+
+  return buildResult(text, words);
+}
+
+/**
+ * Creates an engine that runs the tesseract program
+ *
+ * @param {Object} options - Engine options
+ * @param {string} options.command - Path of the tesseract executable
+ * @returns {Object} Engine implementing recognize/close
+ */
+function createCliEngine({ command }) {
+  return {
+    name: 'tesseract-cli',
+
+    recognize(image, { language, signal }) {
+      return new Promise((resolve, reject) => {
+        // The signal kills the process when the client goes away
+        const child = spawn(command, ['stdin', 'stdout', '-l', language, 'tsv'], { signal });
+        let stdout = '';
+        let stderr = '';
+
+        child.stdout.setEncoding('utf8').on('data', chunk => { stdout += chunk; });
+        child.stderr.setEncoding('utf8').on('data', chunk => { stderr += chunk; });
+        child.stdin.on('error', () => {}); // Reported through the exit code instead
+        child.on('error', reject);
+        child.on('close', (code) => {
+          if (code === 0) {
+            resolve(parseTsv(stdout));
+          } else {
+            reject(new Error(`tesseract exited with code ${code}: ${stderr.trim()}`));
+          }
+        });
+
+        child.stdin.end(image);
+      });
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = {
+  createCliEngine,
+};
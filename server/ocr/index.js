@@ -0,0 +1,107 @@
+/**
+ * OCR Engines
+ *
+ * Text recognition for /api/ocr, used by the extension when its own OCR
+ * (in the offscreen document) fails. The engine is chosen with OCR_ENGINE:
+ *
+ *   tesseract      - tesseract.js running in this process (default)
+ *   tesseract-cli  - the `tesseract` command-line program (OCR_CLI_PATH)
+ *
+ * Every engine implements the same asynchronous interface:
+ *
+ *   recognize(image, { language, signal }) -> { text, confidence, words }
+ *   close()
+ *
+ * `image` is a Buffer with the encoded image. `words` lists every
+ * recognized word with its `confidence` (0-100) and bounding box
+ * (`bbox`: x0, y0, x1, y1 in image pixels); `confidence` is the mean over
+ * all words. `language` is a Tesseract language code such as 'eng', or
+ * several joined with '+', as returned by normalizeLanguage.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+// Language used when a request doesn't name one
+const DEFAULT_LANGUAGE = process.env.OCR_DEFAULT_LANGUAGE || 'eng';
+
+// Tesseract language codes, e.g. 'eng', 'chi_sim' or 'eng+deu'
+const LANGUAGE_PATTERN = /^[a-z_]{3,20}(\+[a-z_]{3,20})*$/;
+
+// Languages accepted when OCR_LANGUAGES isn't set: the ones the extension offers
+const DEFAULT_ALLOWED_LANGUAGES = [
+  'eng', 'deu', 'fra', 'spa', 'ita', 'por', 'nld', 'pol', 'tur', 'vie', 'rus',
+  'ukr', 'ell', 'ara', 'heb', 'hin', 'ben', 'tha', 'chi_sim', 'chi_tra', 'jpn', 'kor',
+];
+
+/**
+ * Returns the languages OCR requests may use. Every combination of them
+ * gets its own warm workers, so only languages that are installed (or can
+ * be downloaded) belong here.
+ *
+ * @returns {Array<string>} Language codes from OCR_LANGUAGES (comma-separated), or the defaults
+ */
+function getAllowedLanguages() {
+  const configured = (process.env.OCR_LANGUAGES || '').split(',').map(code => code.trim()).filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_ALLOWED_LANGUAGES;
+}
+
+/**
+ * Checks a requested language combination and puts it in a canonical form:
+ * duplicates dropped and codes sorted, so 'deu+eng' and 'eng+deu+eng' share
+ * one set of workers.
+ *
+ * @param {string} language - Language code(s) joined with '+'
+ * @returns {string|null} The normalized combination, or null if it names a language that isn't allowed
+ */
+function normalizeLanguage(language) {
+  if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language)) return null;
+
+  const allowed = getAllowedLanguages();
+  const codes = [...new Set(language.split('+'))].sort();
+  return codes.every(code => allowed.includes(code)) ? codes.join('+') : null;
+}
+
+/**
+ * Creates the configured OCR engine
+ *
+ * @param {string} engine - Overrides OCR_ENGINE
+ * @returns {Object} Engine implementing recognize/close
+ */
+function createOcrEngine(engine = process.env.OCR_ENGINE || 'tesseract') {
+  switch (engine) {
+    case 'tesseract':
+      return require('./tesseract').createTesseractEngine({
+        langPath: process.env.OCR_LANG_PATH,
+        workers: parseInt(process.env.OCR_WORKERS, 10) || 1,
+        maxLanguageSets: parseInt(process.env.OCR_MAX_LANGUAGE_SETS, 10) || 3,
+        idleMs: parseInt(process.env.OCR_IDLE_MS, 10) || 10 * 60 * 1000,
+      });
+    case 'tesseract-cli':
+      return require('./cli').createCliEngine({ command: process.env.OCR_CLI_PATH || 'tesseract' });
+    default:
+      throw new Error(`Unknown OCR_ENGINE "${engine}". Use tesseract or tesseract-cli.`);
+  }
+}
+
+/**
+ * Summarizes recognized words into the result every engine returns
+ *
+ * @param {string} text - Recognized text
+ * @param {Array} words - Words with text, confidence and bbox
+ * @returns {Object} `text`, mean `confidence` and `words`
+ */
+function buildResult(text, words) {
+  const confidence = words.length > 0
+    ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+    : 0;
+  return { text: text.trim(), confidence: Math.round(confidence * 10) / 10, words };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  getAllowedLanguages,
+  normalizeLanguage,
+  createOcrEngine,
+  buildResult,
+};
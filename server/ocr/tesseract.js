@@ -0,0 +1,136 @@
+/**
+ * tesseract.js OCR Engine
+ *
+ * Runs Tesseract (compiled to WebAssembly) inside the server process. Each
+ * language combination gets a scheduler with OCR_WORKERS workers that are
+ * started on first use and kept warm for later requests. Workers take tens
+ * of megabytes each, so at most OCR_MAX_LANGUAGE_SETS combinations are kept
+ * warm: the least recently used one is stopped to make room for another,
+ * and any left unused for OCR_IDLE_MS are stopped too.
+ *
+ * Language data is downloaded from the tesseract.js CDN unless OCR_LANG_PATH
+ * points at a directory (or URL) with `<lang>.traineddata.gz` files; it is
+ * cached in OCR_CACHE_PATH (default ./data/ocr).
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fs = require('fs');
+const Tesseract = require('tesseract.js');
+const { buildResult } = require('./index');
+
+/**
+ * Creates a tesseract.js engine
+ *
+ * @param {Object} options - Engine options
+ * @param {string} options.langPath - Where language data is loaded from (default: the CDN)
+ * @param {number} options.workers - Workers per language combination
+ * @param {number} options.maxLanguageSets - Language combinations kept warm at once
+ * @param {number} options.idleMs - How long an unused combination is kept warm
+ * @returns {Object} Engine implementing recognize/close
+ */
+function createTesseractEngine({ langPath, workers, maxLanguageSets = 3, idleMs = 10 * 60 * 1000 }) {
+  const cachePath = process.env.OCR_CACHE_PATH || path.join(__dirname, '..', 'data', 'ocr');
+  fs.mkdirSync(cachePath, { recursive: true });
+
+  // Schedulers keyed by language, each with the promise of its startup (so
+  // concurrent first requests share one), its running jobs and when it was last used
+  const schedulers = new Map();
+
+  const stopScheduler = (language) => {
+    const entry = schedulers.get(language);
+    schedulers.delete(language);
+    entry.ready.then(scheduler => scheduler.terminate()).catch(() => {});
+    console.log(`OCR workers stopped for "${language}"`);
+  };
+
+  // Schedulers without running jobs, least recently used first
+  const idleSchedulers = () => [...schedulers.entries()]
+    .filter(([, entry]) => entry.jobs === 0)
+    .sort(([, a], [, b]) => a.lastUsed - b.lastUsed)
+    .map(([language]) => language);
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    idleSchedulers()
+      .filter(language => now - schedulers.get(language).lastUsed >= idleMs)
+      .forEach(stopScheduler);
+  }, Math.min(idleMs, 60 * 1000));
+  sweepTimer.unref(); // Don't keep the process alive just to sweep
+
+  const getScheduler = (language) => {
+    if (!schedulers.has(language)) {
+      // Make room; schedulers that are busy are stopped once a later request finds them idle
+      for (const idle of idleSchedulers()) {
+        if (schedulers.size < maxLanguageSets) break;
+        stopScheduler(idle);
+      }
+
+      const ready = (async () => {
+        const scheduler = Tesseract.createScheduler();
+        try {
+          for (let i = 0; i < workers; i++) {
+            scheduler.addWorker(await Tesseract.createWorker(language, Tesseract.OEM.LSTM_ONLY, {
+              cachePath,
+              ...(langPath ? { langPath } : {}),
+            }));
+          }
+        } catch (error) {
+          await scheduler.terminate();
+          throw error;
+        }
+        console.log(`OCR workers ready for "${language}" (${workers})`);
+        return scheduler;
+      })();
+
+      const entry = { ready, jobs: 0, lastUsed: Date.now() };
+      // A language that failed to load (e.g. no network) is retried next time
+      ready.catch(() => {
+        if (schedulers.get(language) === entry) schedulers.delete(language);
+      });
+      schedulers.set(language, entry);
+    }
+    return schedulers.get(language);
+  };
+
+  return {
+    name: 'tesseract',
+
+    async recognize(image, { language, signal }) {
+      const entry = getScheduler(language);
+      entry.jobs++;
+      try {
+        const scheduler = await entry.ready;
+
+        // A running job can't be interrupted, but one that hasn't started is skipped
+        signal?.throwIfAborted();
+        const { data } = await scheduler.addJob('recognize', image);
+
+        const words = (data.words || []).map(word => ({
+          text: word.text,
+          confidence: Math.round(word.confidence * 10) / 10,
+          bbox: word.bbox,
+        }));
+        return buildResult(data.text, words);
+      } finally {
+        entry.jobs--;
+        entry.lastUsed = Date.now();
+      }
+    },
+
+    async close() {
+      clearInterval(sweepTimer);
+      const started = await Promise.allSettled([...schedulers.values()].map(entry => entry.ready));
+      schedulers.clear();
+      await Promise.all(started
+        .filter(result => result.status === 'fulfilled')
+        .map(result => result.value.terminate()));
+    },
+  };
+}
+
+module.exports = {
+  createTesseractEngine,
+};
@@ -0,0 +1,168 @@
+/**
+ * Anthropic Messages API Adapter
+ *
+ * Talks to the Anthropic `/v1/messages` API (Claude models). The system
+ * prompt is sent separately and turns must alternate between user and
+ * assistant, so messages are reshaped before sending.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const { ProviderError, toProviderError } = require('./errors');
+const { REQUEST_TIMEOUT, readServerSentEvents, splitSystemPrompt, clampTemperature } = require('./shared');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Map Anthropic stop reasons onto the normalized set
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  tool_use: 'stop',
+  max_tokens: 'length',
+  refusal: 'content_filter',
+};
+
+/**
+ * Builds a normalized usage object from Anthropic token counts
+ *
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @returns {Object} Normalized usage
+ */
+function buildUsage(inputTokens = 0, outputTokens = 0) {
+  return {
+    promptTokens: inputTokens,
+    completionTokens: outputTokens,
+    totalTokens: inputTokens + outputTokens,
+  };
+}
+
+/**
+ * Converts a turn's content to Anthropic content blocks when it carries images
+ *
+ * @param {string|Array} content - Normalized message content
+ * @returns {string|Array} Text, or text and base64 image blocks
+ */
+function toAnthropicContent(content) {
+  if (typeof content === 'string') return content;
+  return content.map(part => (
+    part.type === 'image'
+      ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+      : { type: 'text', text: part.text }
+  ));
+}
+
+/**
+ * Creates an adapter for the Anthropic API
+ *
+ * @param {Object} config - Adapter configuration
+ * @param {string} config.baseURL - API root, e.g. https://api.anthropic.com
+ * @param {string} config.apiKey - Anthropic API key
+ * @param {string} config.defaultModel - Model used when the request names none
+ * @returns {Object} Provider adapter with `complete` and `stream`
+ */
+function createAnthropicProvider({ baseURL, apiKey, defaultModel }) {
+  const label = 'Anthropic';
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION,
+  };
+
+  const buildBody = ({ model, messages, temperature, maxTokens }, stream) => {
+    const { system, turns } = splitSystemPrompt(messages);
+    return {
+      model: model || defaultModel,
+      ...(system ? { system } : {}),
+      messages: turns.map(turn => ({ role: turn.role, content: toAnthropicContent(turn.content) })),
+      temperature: clampTemperature(temperature, 1), // Anthropic accepts 0-1
+      max_tokens: maxTokens,
+      stream,
+    };
+  };
+
+  return {
+    name: 'anthropic',
+    label,
+    defaultModel,
+
+    /**
+     * Requests a full completion
+     * @param {Object} request - Normalized chat request
+     * @returns {Promise<Object>} Content, finish reason and usage
+     */
+    async complete(request) {
+      try {
+        const response = await axios.post(`${baseURL}/v1/messages`, buildBody(request, false), {
+          headers,
+          signal: request.signal,
+          timeout: REQUEST_TIMEOUT,
+        });
+
+        const content = response.data.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
+
+        return {
+          content,
+          finishReason: FINISH_REASONS[response.data.stop_reason] || 'stop',
+          usage: buildUsage(response.data.usage?.input_tokens, response.data.usage?.output_tokens),
+        };
+      } catch (error) {
+        throw await toProviderError(error, label);
+      }
+    },
+
+    /**
+     * Streams a completion as normalized events
+     * @param {Object} request - Normalized chat request
+     * @yields {Object} `{type: 'delta', content}` events followed by one `{type: 'done', finishReason, usage}`
+     */
+    async *stream(request) {
+      let response;
+      try {
+        response = await axios.post(`${baseURL}/v1/messages`, buildBody(request, true), {
+          headers,
+          responseType: 'stream',
+          signal: request.signal,
+          timeout: REQUEST_TIMEOUT,
+        });
+      } catch (error) {
+        throw await toProviderError(error, label);
+      }
+
+      let finishReason = null;
+      let inputTokens = 0;
+      let outputTokens = 0;
+
+      try {
+        for await (const { event, data } of readServerSentEvents(response.data)) {
+          const parsed = JSON.parse(data);
+
+          if (event === 'message_start') {
+            inputTokens = parsed.message?.usage?.input_tokens || 0;
+          } else if (event === 'content_block_delta' && parsed.delta?.type === 'text_delta') {
+            yield { type: 'delta', content: parsed.delta.text };
+          } else if (event === 'message_delta') {
+            finishReason = FINISH_REASONS[parsed.delta?.stop_reason] || 'stop';
+            outputTokens = parsed.usage?.output_tokens || outputTokens;
+          } else if (event === 'error') {
+            // Errors after the response started (e.g. overloaded) arrive in-band
+            throw new ProviderError('upstream_error', `Anthropic API error: ${parsed.error?.message || 'stream failed'}`, { provider: label });
+          }
+        }
+      } catch (error) {
+        throw await toProviderError(error, label);
+      }
+
+      yield { type: 'done', finishReason: finishReason || 'stop', usage: buildUsage(inputTokens, outputTokens) };
+    },
+  };
+}
+
+module.exports = {
+  createAnthropicProvider,
+};
@@ -0,0 +1,116 @@
+/**
+ * Provider Error Normalization
+ *
+ * Every provider reports failures differently (status codes, body shapes,
+ * network errors). Adapters convert them into a ProviderError with one of a
+ * small set of codes so the routes can answer the extension consistently.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+// HTTP status returned to the extension for each normalized error code
+const ERROR_STATUS = {
+  auth_failed: 500,      // Our credentials are wrong - not the caller's fault
+  rate_limited: 429,
+  invalid_request: 400,
+  timeout: 504,
+  unavailable: 502,
+  upstream_error: 502,
+};
+
+/**
+ * Error raised by provider adapters with a normalized `code`
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} code - One of the keys of ERROR_STATUS
+   * @param {string} message - User-facing description of the failure
+   * @param {Object} details - Optional extra information
+   * @param {string} details.provider - Name of the provider that failed
+   * @param {number} details.upstreamStatus - HTTP status returned by the provider
+   */
+  constructor(code, message, { provider, upstreamStatus } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.provider = provider;
+    this.upstreamStatus = upstreamStatus;
+  }
+
+  /**
+   * HTTP status the server should respond with
+   * @returns {number} Status code
+   */
+  get status() {
+    return ERROR_STATUS[this.code] || 500;
+  }
+}
+
+/**
+ * Reads an upstream error body, which is a stream when the request asked
+ * for a streamed response.
+ *
+ * @param {*} data - axios `error.response.data`
+ * @returns {Promise<Object|string|null>} Parsed body
+ */
+async function readErrorBody(data) {
+  if (!data || typeof data.on !== 'function') {
+    return data || null;
+  }
+
+  let text = '';
+  for await (const chunk of data) {
+    text += chunk.toString('utf8');
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Converts an axios/network error into a ProviderError
+ *
+ * @param {Error} error - Error thrown by axios
+ * @param {string} label - Human readable provider name (e.g. 'OpenAI')
+ * @returns {Promise<ProviderError>} Normalized error
+ */
+async function toProviderError(error, label) {
+  if (error instanceof ProviderError) {
+    return error;
+  }
+
+  const status = error.response?.status;
+  const details = { provider: label, upstreamStatus: status };
+
+  if (status === 401 || status === 403) {
+    return new ProviderError('auth_failed', `${label} API authentication failed. Please check your API key.`, details);
+  }
+  if (status === 429) {
+    return new ProviderError('rate_limited', `${label} API rate limit exceeded. Please try again later.`, details);
+  }
+  if (status >= 400 && status < 500) {
+    const body = await readErrorBody(error.response.data).catch(() => null);
+    // OpenAI, Anthropic and Gemini all nest the reason under `error.message`
+    const reason = body?.error?.message || 'Invalid request';
+    return new ProviderError('invalid_request', `${label} API error: ${reason}`, details);
+  }
+  if (status >= 500) {
+    return new ProviderError('upstream_error', `${label} is having problems right now. Please try again later.`, details);
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new ProviderError('timeout', 'Request timeout. The AI service is taking too long to respond.', details);
+  }
+  if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND' || error.code === 'ECONNRESET') {
+    return new ProviderError('unavailable', `Unable to reach ${label}. Please check the provider URL.`, details);
+  }
+
+  return new ProviderError('upstream_error', `${label} request failed: ${error.message}`, details);
+}
+
+module.exports = {
+  ProviderError,
+  toProviderError,
+};
@@ -0,0 +1,168 @@
+/**
+ * Google Gemini API Adapter
+ *
+ * Talks to the Gemini `generateContent` API. Gemini calls the assistant role
+ * `model`, takes the system prompt as `systemInstruction`, and streams
+ * complete response objects over Server-Sent Events when `alt=sse` is set.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const { toProviderError } = require('./errors');
+const { REQUEST_TIMEOUT, readServerSentEvents, splitSystemPrompt, clampTemperature } = require('./shared');
+const { contentParts } = require('../multimodal');
+
+// Map Gemini finish reasons onto the normalized set
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+};
+
+/**
+ * Converts Gemini usage metadata to the normalized usage shape
+ *
+ * @param {Object} metadata - Gemini usageMetadata
+ * @returns {Object|null} Normalized usage
+ */
+function normalizeUsage(metadata) {
+  if (!metadata) return null;
+  return {
+    promptTokens: metadata.promptTokenCount || 0,
+    completionTokens: metadata.candidatesTokenCount || 0,
+    totalTokens: metadata.totalTokenCount || 0,
+  };
+}
+
+/**
+ * Extracts the text of the first candidate in a Gemini response
+ *
+ * @param {Object} data - GenerateContentResponse
+ * @returns {string} Candidate text
+ */
+function candidateText(data) {
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  return parts.map(part => part.text || '').join('');
+}
+
+/**
+ * Creates an adapter for the Gemini API
+ *
+ * @param {Object} config - Adapter configuration
+ * @param {string} config.baseURL - API root, e.g. https://generativelanguage.googleapis.com
+ * @param {string} config.apiKey - Gemini API key
+ * @param {string} config.defaultModel - Model used when the request names none
+ * @returns {Object} Provider adapter with `complete` and `stream`
+ */
+function createGeminiProvider({ baseURL, apiKey, defaultModel }) {
+  const label = 'Gemini';
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-goog-api-key': apiKey,
+  };
+
+  const buildBody = ({ messages, temperature, maxTokens }) => {
+    const { system, turns } = splitSystemPrompt(messages);
+    return {
+      contents: turns.map(turn => ({
+        role: turn.role === 'assistant' ? 'model' : 'user',
+        parts: contentParts(turn.content).map(part => (
+          part.type === 'image'
+            ? { inline_data: { mime_type: part.mediaType, data: part.data } }
+            : { text: part.text }
+        )),
+      })),
+      ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+      generationConfig: {
+        temperature: clampTemperature(temperature, 2),
+        maxOutputTokens: maxTokens,
+      },
+    };
+  };
+
+  const modelUrl = (model) => `${baseURL}/v1beta/models/${encodeURIComponent(model || defaultModel)}`;
+
+  return {
+    name: 'gemini',
+    label,
+    defaultModel,
+
+    /**
+     * Requests a full completion
+     * @param {Object} request - Normalized chat request
+     * @returns {Promise<Object>} Content, finish reason and usage
+     */
+    async complete(request) {
+      try {
+        const response = await axios.post(`${modelUrl(request.model)}:generateContent`, buildBody(request), {
+          headers,
+          signal: request.signal,
+          timeout: REQUEST_TIMEOUT,
+        });
+
+        const finish = response.data.candidates?.[0]?.finishReason;
+        return {
+          content: candidateText(response.data),
+          finishReason: FINISH_REASONS[finish] || 'stop',
+          usage: normalizeUsage(response.data.usageMetadata),
+        };
+      } catch (error) {
+        throw await toProviderError(error, label);
+      }
+    },
+
+    /**
+     * Streams a completion as normalized events
+     * @param {Object} request - Normalized chat request
+     * @yields {Object} `{type: 'delta', content}` events followed by one `{type: 'done', finishReason, usage}`
+     */
+    async *stream(request) {
+      let response;
+      try {
+        response = await axios.post(`${modelUrl(request.model)}:streamGenerateContent?alt=sse`, buildBody(request), {
+          headers,
+          responseType: 'stream',
+          signal: request.signal,
+          timeout: REQUEST_TIMEOUT,
+        });
+      } catch (error) {
+        throw await toProviderError(error, label);
+      }
+
+      let finishReason = null;
+      let usage = null;
+
+      try {
+        for await (const { data } of readServerSentEvents(response.data)) {
+          const parsed = JSON.parse(data);
+          const text = candidateText(parsed);
+
+          if (text) {
+            yield { type: 'delta', content: text };
+          }
+          const finish = parsed.candidates?.[0]?.finishReason;
+          if (finish) {
+            finishReason = FINISH_REASONS[finish] || 'stop';
+          }
+          if (parsed.usageMetadata) {
+            usage = normalizeUsage(parsed.usageMetadata);
+          }
+        }
+      } catch (error) {
+        throw await toProviderError(error, label);
+      }
+
+      yield { type: 'done', finishReason: finishReason || 'stop', usage };
+    },
+  };
+}
+
+module.exports = {
+  createGeminiProvider,
+};
@@ -0,0 +1,124 @@
+/**
+ * AI Provider Registry
+ *
+ * Builds the provider adapters from environment configuration and resolves
+ * which one handles a request. Every adapter exposes the same interface:
+ *
+ *   complete({ model, messages, temperature, maxTokens, signal })
+ *     -> Promise<{ content, finishReason, usage }>
+ *   stream({ model, messages, temperature, maxTokens, signal })
+ *     -> async iterator of { type: 'delta', content } then { type: 'done', finishReason, usage }
+ *
+ * Finish reasons are normalized to 'stop', 'length' or 'content_filter' and
+ * usage to { promptTokens, completionTokens, totalTokens } (null if unknown).
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const { ProviderError } = require('./errors');
+const { createOpenAIProvider } = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+const { createGeminiProvider } = require('./gemini');
+
+/**
+ * Provider definitions. `isConfigured` decides whether the environment has
+ * what the provider needs; `create` builds the adapter.
+ */
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+    create: () => createOpenAIProvider({
+      name: 'openai',
+      label: 'OpenAI',
+      baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      defaultModel: process.env.OPENAI_MODEL || 'gpt-4',
+    }),
+  },
+  anthropic: {
+    label: 'Anthropic',
+    isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+    create: () => createAnthropicProvider({
+      baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      defaultModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+    }),
+  },
+  gemini: {
+    label: 'Gemini',
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+    create: () => createGeminiProvider({
+      baseURL: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com',
+      apiKey: process.env.GEMINI_API_KEY,
+      defaultModel: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+    }),
+  },
+  // Self-hosted OpenAI-compatible servers such as Ollama (http://localhost:11434/v1)
+  'openai-compatible': {
+    label: 'OpenAI-compatible',
+    isConfigured: () => Boolean(process.env.OPENAI_COMPATIBLE_BASE_URL),
+    create: () => createOpenAIProvider({
+      name: 'openai-compatible',
+      label: process.env.OPENAI_COMPATIBLE_LABEL || 'Local model server',
+      baseURL: (process.env.OPENAI_COMPATIBLE_BASE_URL || '').replace(/\/+$/, ''),
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      defaultModel: process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1',
+    }),
+  },
+};
+
+// Adapters are created on first use and reused afterwards
+const adapters = {};
+
+/**
+ * Name of the provider used when a request doesn't pick one
+ * @returns {string} Provider name from AI_PROVIDER, defaulting to 'openai'
+ */
+function getDefaultProviderName() {
+  return process.env.AI_PROVIDER || 'openai';
+}
+
+/**
+ * Returns the adapter for a provider, validating that it exists and is configured
+ *
+ * @param {string} name - Provider name; defaults to AI_PROVIDER
+ * @returns {Object} Provider adapter
+ * @throws {ProviderError} When the provider is unknown or not configured
+ */
+function getProvider(name = getDefaultProviderName()) {
+  const definition = PROVIDERS[name];
+
+  if (!definition) {
+    throw new ProviderError('invalid_request', `Unknown AI provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!definition.isConfigured()) {
+    throw new ProviderError('invalid_request', `AI provider "${name}" is not configured on this server.`);
+  }
+
+  if (!adapters[name]) {
+    adapters[name] = definition.create();
+  }
+  return adapters[name];
+}
+
+/**
+ * Lists all known providers and whether each one is configured
+ *
+ * @returns {Array<Object>} Entries with name, label and configured flag
+ */
+function listProviders() {
+  return Object.entries(PROVIDERS).map(([name, definition]) => ({
+    name,
+    label: definition.label,
+    configured: definition.isConfigured(),
+  }));
+}
+
+module.exports = {
+  ProviderError,
+  getProvider,
+  getDefaultProviderName,
+  listProviders,
+};
@@ -0,0 +1,163 @@
+/**
+ * OpenAI Chat Completions Adapter
+ *
+ * Talks to the OpenAI `/chat/completions` API. The same adapter serves any
+ * OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, LiteLLM, ...) by
+ * pointing it at a different base URL.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const { toProviderError } = require('./errors');
+const { REQUEST_TIMEOUT, readServerSentEvents, clampTemperature } = require('./shared');
+const { imageDataUrl } = require('../multimodal');
+
+// Map OpenAI finish reasons onto the normalized set
+const FINISH_REASONS = {
+  stop: 'stop',
+  length: 'length',
+  content_filter: 'content_filter',
+  tool_calls: 'stop',
+  function_call: 'stop',
+};
+
+/**
+ * Converts an OpenAI usage object to the normalized usage shape
+ *
+ * @param {Object} usage - OpenAI usage object
+ * @returns {Object|null} Normalized usage or null when the endpoint omits it
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    totalTokens: usage.total_tokens,
+  };
+}
+
+/**
+ * Converts a message to the OpenAI format, sending images as data URLs
+ *
+ * @param {Object} message - Normalized message
+ * @returns {Object} OpenAI chat message
+ */
+function toOpenAIMessage(message) {
+  if (typeof message.content === 'string') return message;
+  return {
+    role: message.role,
+    content: message.content.map(part => (
+      part.type === 'image'
+        ? { type: 'image_url', image_url: { url: imageDataUrl(part) } }
+        : { type: 'text', text: part.text }
+    )),
+  };
+}
+
+/**
+ * Creates an adapter for OpenAI or an OpenAI-compatible server
+ *
+ * @param {Object} config - Adapter configuration
+ * @param {string} config.name - Provider identifier used in requests
+ * @param {string} config.label - Human readable name for error messages
+ * @param {string} config.baseURL - API root, e.g. https://api.openai.com/v1
+ * @param {string} config.apiKey - Bearer token (optional for local servers)
+ * @param {string} config.defaultModel - Model used when the request names none
+ * @returns {Object} Provider adapter with `complete` and `stream`
+ */
+function createOpenAIProvider({ name, label, baseURL, apiKey, defaultModel }) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+  };
+
+  const buildBody = ({ model, messages, temperature, maxTokens }, stream) => ({
+    model: model || defaultModel,
+    messages: messages.map(toOpenAIMessage),
+    temperature: clampTemperature(temperature, 2),
+    max_tokens: maxTokens,
+    stream,
+    ...(stream ? { stream_options: { include_usage: true } } : {}),
+  });
+
+  return {
+    name,
+    label,
+    defaultModel,
+
+    /**
+     * Requests a full completion
+     * @param {Object} request - Normalized chat request
+     * @returns {Promise<Object>} Content, finish reason and usage
+     */
+    async complete(request) {
+      try {
+        const response = await axios.post(`${baseURL}/chat/completions`, buildBody(request, false), {
+          headers,
+          signal: request.signal,
+          timeout: REQUEST_TIMEOUT,
+        });
+
+        const choice = response.data.choices[0];
+        return {
+          content: choice.message.content || '',
+          finishReason: FINISH_REASONS[choice.finish_reason] || 'stop',
+          usage: normalizeUsage(response.data.usage),
+        };
+      } catch (error) {
+        throw await toProviderError(error, label);
+      }
+    },
+
+    /**
+     * Streams a completion as normalized events
+     * @param {Object} request - Normalized chat request
+     * @yields {Object} `{type: 'delta', content}` events followed by one `{type: 'done', finishReason, usage}`
+     */
+    async *stream(request) {
+      let response;
+      try {
+        response = await axios.post(`${baseURL}/chat/completions`, buildBody(request, true), {
+          headers,
+          responseType: 'stream',
+          signal: request.signal,
+          timeout: REQUEST_TIMEOUT,
+        });
+      } catch (error) {
+        throw await toProviderError(error, label);
+      }
+
+      let finishReason = null;
+      let usage = null;
+
+      try {
+        for await (const { data } of readServerSentEvents(response.data)) {
+          if (data === '[DONE]') break;
+
+          const parsed = JSON.parse(data);
+          const choice = parsed.choices?.[0];
+
+          if (choice?.delta?.content) {
+            yield { type: 'delta', content: choice.delta.content };
+          }
+          if (choice?.finish_reason) {
+            finishReason = FINISH_REASONS[choice.finish_reason] || 'stop';
+          }
+          if (parsed.usage) {
+            usage = normalizeUsage(parsed.usage);
+          }
+        }
+      } catch (error) {
+        throw await toProviderError(error, label);
+      }
+
+      yield { type: 'done', finishReason: finishReason || 'stop', usage };
+    },
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
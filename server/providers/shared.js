@@ -0,0 +1,102 @@
+/**
+ * Shared Helpers for Provider Adapters
+ *
+ * Server-Sent Event parsing and message reshaping used by more than one
+ * adapter.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const { contentParts, contentText } = require('../multimodal');
+
+// Timeout for upstream requests (socket inactivity while streaming)
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Reads an upstream Server-Sent Events stream and yields one entry per event
+ *
+ * @param {Readable} stream - Response body stream
+ * @yields {{event: string, data: string}} Event name and raw data string
+ */
+async function* readServerSentEvents(stream) {
+  // A character can be split between two chunks; the decoder holds back its first bytes
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    // Normalized after joining, as a CRLF can be split between chunks too
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const dataLines = [];
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trim());
+        }
+      }
+
+      if (dataLines.length > 0) {
+        yield { event, data: dataLines.join('\n') };
+      }
+    }
+  }
+}
+
+/**
+ * Separates system messages from the conversation and merges consecutive
+ * turns from the same role, as required by APIs that take the system prompt
+ * separately and expect strictly alternating user/assistant turns.
+ * Turns that carry images keep their content as a list of parts.
+ *
+ * @param {Array} messages - Messages in OpenAI format
+ * @returns {{system: string, turns: Array}} System prompt and alternating turns
+ */
+function splitSystemPrompt(messages) {
+  const system = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => contentText(msg.content))
+    .join('\n\n');
+
+  const turns = [];
+  for (const msg of messages) {
+    if (msg.role === 'system') continue;
+
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === msg.role) {
+      previous.content = typeof previous.content === 'string' && typeof msg.content === 'string'
+        ? `${previous.content}\n\n${msg.content}`
+        : [...contentParts(previous.content), ...contentParts(msg.content)];
+    } else {
+      turns.push({ role: msg.role, content: msg.content });
+    }
+  }
+
+  return { system, turns };
+}
+
+/**
+ * Clamps a temperature into the range a provider accepts
+ *
+ * @param {number} temperature - Requested temperature
+ * @param {number} max - Highest value the provider allows
+ * @returns {number} Clamped temperature
+ */
+function clampTemperature(temperature, max) {
+  return Math.max(0, Math.min(max, temperature));
+}
+
+module.exports = {
+  REQUEST_TIMEOUT,
+  readServerSentEvents,
+  splitSystemPrompt,
+  clampTemperature,
+};
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Admin command for managing extension install tokens.
+ *
+ * Usage:
+ *   npm run tokens -- list                          List all tokens
+ *   npm run tokens -- create [label] [--user <id>]  Issue a token (e.g. when registration is closed)
+ *   npm run tokens -- revoke <token-or-user-id>     Revoke a token, or every token of a user
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { issueToken, listTokens, revokeToken } = require('../auth');
+const { closeDatabase } = require('../db');
+
+// Formats a millisecond timestamp for the listing.
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19) : '-';
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+  switch (command) {
+    case 'list': {
+      const tokens = listTokens();
+      if (tokens.length === 0) {
+        console.log('No tokens have been issued.');
+        break;
+      }
+      console.table(tokens.map(token => ({
+        id: token.id,
+        user: token.userId,
+        label: token.label || '',
+        created: formatDate(token.createdAt),
+        lastUsed: formatDate(token.lastUsedAt),
+        status: token.revokedAt ? `revoked ${formatDate(token.revokedAt)}` : 'active',
+      })));
+      break;
+    }
+
+    case 'create': {
+      const userIndex = args.indexOf('--user');
+      const userId = userIndex !== -1 ? args.splice(userIndex, 2)[1] : undefined;
+      const issued = issueToken({ label: args.join(' ') || 'admin', userId });
+      console.log(`Token ${issued.id} issued for user ${issued.userId}:`);
+      console.log(issued.token);
+      console.log('This is the only time the token is shown.');
+      break;
+    }
+
+    case 'revoke': {
+      if (!args[0]) {
+        console.error('Usage: npm run tokens -- revoke <token-or-user-id>');
+        process.exitCode = 1;
+        break;
+      }
+      const count = revokeToken(args[0]);
+      console.log(count > 0 ? `Revoked ${count} token(s).` : 'No active token matches that ID.');
+      break;
+    }
+
+    default:
+      console.error('Usage: npm run tokens -- <list|create|revoke> [arguments]');
+      process.exitCode = 1;
+  }
+} finally {
+  closeDatabase();
+}
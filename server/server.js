@@ -2,20 +2,33 @@
  * ClickAI Backend Server
  * 
  * Express.js server that handles AI chat requests from the ClickAI browser extension.
- * Features include OpenAI GPT integration, rate limiting, security middleware,
- * and conversation context management with token counting.
+ * Features include pluggable AI providers (OpenAI, Anthropic, Gemini and
+ * OpenAI-compatible local servers), streamed responses over Server-Sent
+ * Events, image questions for vision models, server-side OCR, per-install
+ * token authentication, rate limiting, security middleware, and
+ * conversation context management with token counting.
  * 
  * @author ClickAI Team
  * @version 1.0.0
  */
 
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
-const tiktoken = require('tiktoken');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
 require('dotenv').config();
+const { getProvider, getDefaultProviderName, listProviders, ProviderError } = require('./providers');
+const { listAvailableModels, getDefaultModelId, getDefaultVisionModelId, findModel } = require('./models');
+const { authenticate, requireInstallToken, handleRegistration } = require('./auth');
+const { closeDatabase } = require('./db');
+const { createStore } = require('./store');
+const { buildContinuationMessages, createSeamFilter, stitchContinuation } = require('./continuation');
+const { countTokens, countTextTokens, compressConversation } = require('./context');
+const { conversationsRouter } = require('./conversations');
+const { recordUsage, getUsageSummary, enforceQuota } = require('./usage');
+const { MAX_IMAGE_BYTES, ImageError, parseImageDataUrl } = require('./multimodal');
+const { DEFAULT_LANGUAGE, getAllowedLanguages, normalizeLanguage, createOcrEngine } = require('./ocr');
 
 const app = express();
 const port = process.env.PORT || 5010;
@@ -28,7 +41,7 @@ app.use(helmet());
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-extension-secret'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-extension-secret'], // x-extension-secret: legacy installs
 }));
 
 // Rate limiting to prevent API abuse and DDoS attacks
@@ -42,97 +55,560 @@ const apiLimiter = rateLimit({
 });
 app.use(apiLimiter);
 
+// Images are far larger than chat messages, so the image endpoints get their
+// own body limit: the base64-encoded image plus room for the prompt and history.
+// Saved conversations take images too, as attachments of their messages.
+const IMAGE_ENDPOINTS = ['/api/vision', '/api/ocr', '/api/conversations'];
+const IMAGE_BODY_LIMIT = Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + 1024 * 1024;
+app.use(IMAGE_ENDPOINTS, express.json({ limit: IMAGE_BODY_LIMIT }));
+
 // Parse incoming JSON requests
 app.use(express.json());
 
-// Authentication middleware using shared secret
-const EXTENSION_SECRET = process.env.EXTENSION_SECRET;
-app.use((req, res, next) => {
-  const headerSecret = req.headers['x-extension-secret'];
-  if (headerSecret !== EXTENSION_SECRET) {
-    return res.status(403).json({ error: 'Unauthorized access' });
-  }
-  next();
+// Report oversized bodies as JSON so the extension can show the reason
+app.use((error, req, res, next) => {
+  if (error.type !== 'entity.too.large') return next(error);
+  const isImage = IMAGE_ENDPOINTS.some(endpoint => req.path.startsWith(endpoint));
+  res.status(413).json({
+    error: isImage
+      ? `The image is too large. The limit is ${(MAX_IMAGE_BYTES / 1048576).toFixed(1)} MB.`
+      : 'The request is too large.',
+    code: isImage ? 'image_too_large' : 'payload_too_large'
+  });
+});
+
+// Stricter limit for registration so installs can't be minted in bulk
+const registrationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Maximum 10 registrations per hour per IP
+  message: 'Too many registrations from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Install registration is the only route reachable without a token
+app.post('/api/register', registrationLimiter, handleRegistration);
+
+// Authentication middleware using per-install bearer tokens
+app.use(authenticate);
+
+// OCR is CPU-heavy, so each user may only run a limited number per minute
+const ocrLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.OCR_RATE_LIMIT, 10) || 20,
+  keyGenerator: (req) => req.user.id,
+  message: { error: 'Too many text recognition requests, please try again in a minute.', code: 'rate_limited' },
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
-// Token limits for conversation management
-const MAX_TOKENS = 16385;  // Maximum tokens for GPT-4 context window
-const RESPONSE_TOKENS = 1000;  // Reserved tokens for AI response
+// Engine for /api/ocr; its workers start on the first request
+const ocrEngine = createOcrEngine();
+
+// Tokens requested for each AI response (capped by the model's output limit)
+// Context windows come from the model registry in models.js
+const RESPONSE_TOKENS = 1000;
+
+// Conversation state of truncated responses, kept so they can be continued
+// Stored through the configured STORE_DRIVER so it survives restarts
+const continuationStore = createStore('continuations');
+const CONTINUATION_TTL_MS = parseInt(process.env.CONTINUATION_TTL_MS, 10) || 60 * 60 * 1000; // 1 hour
 
-// Store incomplete responses that can be continued
-const incompleteResponses = {};
+// Most continuation calls a single request may chain when the client opts in
+// with `autoContinue`
+const MAX_AUTO_CONTINUATIONS = parseInt(process.env.AUTO_CONTINUE_MAX_ROUNDS, 10) || 3;
 
-// Initialize tokenizer for GPT-4 model
-const encoder = tiktoken.encoding_for_model("gpt-4");
+// Question asked about an image sent without a prompt
+const DEFAULT_VISION_PROMPT = 'Explain what this image shows. If it contains text, a chart, a diagram ' +
+  'or handwriting, describe and interpret it.';
 
 /**
- * Counts the total number of tokens in conversation messages
- * 
- * @param {Array} messages - Array of message objects with role and content
- * @returns {number} Total token count for the conversation
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  res.status(200).json({ 
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+/**
+ * Restores the stored state when a request continues an incomplete response.
+ * Otherwise the client's history is used as-is.
+ *
+ * @param {Array} messages - Conversation history from the client
+ * @param {string} continueId - Optional ID of an incomplete response to continue
+ * @param {string} userId - Install the request belongs to
+ * @returns {Promise<Object|null>} The conversation `messages`, the truncated `partial` answer
+ *   ('' if none) and the `continueId` it came from, or null when `continueId` is unknown,
+ *   expired, used or another install's
  */
-function countTokens(messages) {
-  return messages.reduce((total, message) => {
-    const messageTokens = encoder.encode(`${message.role}: ${message.content}`).length;
-    return total + messageTokens;
-  }, 0);
+async function prepareConversation(messages, continueId, userId) {
+  if (!continueId) return { messages, partial: '' };
+
+  // Left in the store until the continuation reaches the client (see
+  // releaseContinuation), so a request that fails upstream can be retried
+  const incompleteData = await continuationStore.get(continueId);
+  if (!incompleteData || incompleteData.userId !== userId) return null;
+  return { messages: incompleteData.messages, partial: incompleteData.partial, continueId };
 }
 
 /**
- * Trims conversation history to fit within token limits
- * Keeps the system message and removes oldest user/assistant pairs as needed
- * 
- * @param {Array} messages - Full conversation history
- * @returns {Array} Trimmed conversation that fits within token limits
+ * Uses up the continuation ID a request continued, once text of the
+ * continuation has been sent to the client. Continuing the stored state
+ * again would repeat that text.
+ *
+ * @param {Object} request - Chat request as passed to generateResponse
+ * @returns {Promise<void>}
  */
-function trimConversation(messages) {
-  const availableTokens = MAX_TOKENS - RESPONSE_TOKENS;
-  let currentTokens = countTokens(messages);
-  
-  // If we're already under the limit, return as-is
-  if (currentTokens <= availableTokens) {
-    return messages;
+async function releaseContinuation(request) {
+  if (!request.continueId) return;
+  try {
+    await continuationStore.delete(request.continueId);
+  } catch (error) {
+    console.error('Failed to delete continuation state:', error.message);
   }
-  
-  // Always keep the system message (first message) if it exists
-  const systemMessage = messages[0]?.role === 'system' ? [messages[0]] : [];
-  let conversationMessages = messages[0]?.role === 'system' ? messages.slice(1) : [...messages];
-  
-  // Remove pairs of messages (user + assistant) from the beginning
-  // until we're under the token limit
-  while (conversationMessages.length > 2 && 
-         countTokens([...systemMessage, ...conversationMessages]) > availableTokens) {
-    // Remove the oldest user-assistant pair
-    conversationMessages = conversationMessages.slice(2);
+}
+
+/**
+ * Builds the message list for one upstream call, summarizing older messages
+ * into the conversation memory when it doesn't fit the token budget
+ *
+ * @param {Array} messages - Conversation that the answer responds to
+ * @param {string} partial - Answer text generated so far ('' for a fresh answer)
+ * @param {number} availableTokens - Token budget for the prompt
+ * @param {Object} options - Provider, model, previous memory and abort signal for compressConversation
+ * @returns {Promise<Object>} `messages` ready to be sent to the AI provider, plus `memory` and summarization `usage`
+ */
+async function buildUpstreamMessages(messages, partial, availableTokens, options) {
+  const conversationMessages = partial ? buildContinuationMessages(messages, partial) : messages;
+
+  // Fit the conversation within token limits
+  const context = await compressConversation(conversationMessages, availableTokens, options);
+
+  // Log token usage for monitoring
+  const tokenCount = countTokens(context.messages);
+  console.log(`Request token count: ${tokenCount}/${availableTokens}`);
+
+  // Providers only accept role and content
+  return {
+    ...context,
+    messages: context.messages.map(({ role, content }) => ({ role, content })),
+  };
+}
+
+/**
+ * Stores the conversation state of a truncated response so the client can
+ * ask for it to be continued later.
+ *
+ * @param {Array} messages - Conversation that the answer responds to
+ * @param {string} partial - Everything generated for the answer so far
+ * @param {string} userId - Install allowed to continue the response
+ * @returns {Promise<string>} ID the client sends back as `continueId`
+ */
+async function storeIncompleteResponse(messages, partial, userId) {
+  // Unguessable ID - it grants access to the stored conversation
+  const continueId = crypto.randomBytes(18).toString('base64url');
+
+  // Store the conversation state for potential continuation; the store
+  // expires it after CONTINUATION_TTL_MS
+  await continuationStore.set(continueId, {
+    messages,
+    partial,
+    userId,
+    timestamp: Date.now()
+  }, CONTINUATION_TTL_MS);
+
+  return continueId;
+}
+
+/**
+ * Fills in usage when a provider doesn't report it (some OpenAI-compatible
+ * servers omit it) and logs it for monitoring
+ *
+ * @param {Object|null} usage - Normalized usage from the provider
+ * @param {Array} messages - Messages that were sent upstream
+ * @param {string} content - Generated text
+ * @returns {Object} Usage with promptTokens, completionTokens and totalTokens
+ */
+function resolveUsage(usage, messages, content) {
+  const resolved = usage || {
+    promptTokens: countTokens(messages),
+    completionTokens: countTextTokens(content),
+  };
+  resolved.totalTokens = resolved.totalTokens || resolved.promptTokens + resolved.completionTokens;
+
+  console.log(`AI usage - Prompt: ${resolved.promptTokens}, Completion: ${resolved.completionTokens}, Total: ${resolved.totalTokens}`);
+  return resolved;
+}
+
+/**
+ * Translates a provider or internal failure into an HTTP error response
+ *
+ * @param {Error} error - Error thrown while handling the chat request
+ * @param {Object} res - Express response object
+ */
+function sendChatError(error, res) {
+  console.error('Chat API Error:', error.message);
+
+  // Provider adapters normalize upstream failures into ProviderError
+  if (error instanceof ProviderError || error instanceof ImageError) {
+    return res.status(error.status).json({ 
+      error: error.message,
+      code: error.code
+    });
   }
   
-  return [...systemMessage, ...conversationMessages];
+  // Generic error response for unexpected issues
+  res.status(500).json({ 
+    error: 'Internal server error. Please try again later.' 
+  });
 }
 
 /**
- * Health check endpoint
+ * Writes a single Server-Sent Event to the response
+ *
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name ('delta', 'done' or 'error')
+ * @param {Object} data - JSON-serializable event payload
  */
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Generates an answer, chaining continuation calls while the model stops
+ * for length and the continuation budget allows. Each continuation has its
+ * repeated seam removed so the parts join into one message.
+ *
+ * @param {Object} provider - Provider adapter handling the request
+ * @param {Object} request - Normalized chat request plus `partial`, `memory`, `availableTokens` and `maxContinuations`
+ * @param {Object} options - Generation options
+ * @param {Function} options.onDelta - Streams the answer when given; called with each new piece of text
+ * @param {AbortSignal} options.signal - Cancels the upstream request
+ * @returns {Promise<Object>} The new `content`, last `finishReason`, summed `usage`, number of
+ *   `continuations` and the conversation `memory` (null when everything fit)
+ * @throws {Error} The failure, with the `usage` of the tokens generated before it
+ */
+async function generateResponse(provider, request, { onDelta, signal } = {}) {
+  const { partial, memory: clientMemory, availableTokens, maxContinuations, ...providerRequest } = request;
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const addUsage = (extra) => {
+    usage.promptTokens += extra.promptTokens;
+    usage.completionTokens += extra.completionTokens;
+    usage.totalTokens += extra.totalTokens;
+  };
+  let content = '';
+  let finishReason = 'stop';
+  let memory = null;
+
+  // The round in progress: what was sent upstream and what came back so far
+  let messages = null;
+  let roundText = '';
+  let roundUsage = null;
+
+  try {
+    for (let round = 0; ; round++) {
+      messages = null;
+      roundText = '';
+      roundUsage = null;
+
+      const previous = partial + content;
+      const context = await buildUpstreamMessages(providerRequest.messages, previous, availableTokens, {
+        provider,
+        model: providerRequest.model,
+        memory: memory || clientMemory,
+        signal,
+      });
+      messages = context.messages;
+      memory = context.memory;
+      if (context.usage) addUsage(context.usage);
+
+      if (onDelta) {
+        const seam = createSeamFilter(previous);
+        const emit = (text) => {
+          if (!text) return;
+          content += text;
+          onDelta(text);
+        };
+        for await (const event of provider.stream({ ...providerRequest, messages, signal })) {
+          if (event.type === 'delta') {
+            roundText += event.content;
+            emit(seam.push(event.content));
+          } else if (event.type === 'done') {
+            finishReason = event.finishReason;
+            roundUsage = event.usage;
+          }
+        }
+        emit(seam.flush());
+      } else {
+        const completion = await provider.complete({ ...providerRequest, messages, signal });
+        roundText = completion.content;
+        content += stitchContinuation(previous, roundText);
+        finishReason = completion.finishReason;
+        roundUsage = completion.usage;
+      }
+
+      addUsage(resolveUsage(roundUsage, messages, roundText));
+
+      if (finishReason !== 'length' || round >= maxContinuations) {
+        return { content, finishReason, usage, continuations: round, memory };
+      }
+      console.log(`Response truncated, auto-continuing (${round + 1}/${maxContinuations})`);
+    }
+  } catch (error) {
+    // Tokens generated before a failure or a cancellation count too, so an
+    // answer stopped just before its end still uses up the quota. A round
+    // the provider rejected outright generated nothing.
+    if (messages && (roundText || roundUsage || signal?.aborted)) {
+      addUsage(resolveUsage(roundUsage, messages, roundText));
+    }
+    error.usage = usage;
+    throw error;
+  }
+}
+
+/**
+ * Streams a chat completion to the client as Server-Sent Events.
+ * Each piece of generated text is relayed as a `delta` event and the final
+ * finish reason, continuation ID and usage arrive in a `done` event.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} provider - Provider adapter handling the request
+ * @param {Object} request - Chat request as passed to generateResponse
+ * @param {string} userId - Install the request belongs to
+ */
+async function streamChatCompletion(res, provider, request, userId) {
+  // Abort the upstream request if the client goes away mid-stream
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  // Switch to SSE only once there is text to send so that a rejected
+  // upstream request still gets a proper HTTP status
+  const startStream = () => {
+    if (res.headersSent) return;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable proxy buffering so deltas arrive immediately
+    });
+  };
+
+  let result;
+  try {
+    result = await generateResponse(provider, request, {
+      signal: controller.signal,
+      onDelta: (content) => {
+        startStream();
+        writeEvent(res, 'delta', { content });
+      },
+    });
+  } catch (error) {
+    meterUsage(userId, provider, request, error.usage);
+    if (res.headersSent) await releaseContinuation(request);
+    if (controller.signal.aborted) {
+      console.log('Client disconnected, upstream stream aborted');
+      return;
+    }
+    if (!res.headersSent) throw error;
+
+    console.error('Chat stream error:', error.message);
+    writeEvent(res, 'error', { error: 'The AI response was interrupted. Please try again.' });
+    return res.end();
+  }
+
+  startStream();
+  writeEvent(res, 'done', await buildChatResult(provider, request, result, userId));
+  res.end();
+}
+
+/**
+ * Records the usage of a request, answered or not. Metering must not cost
+ * the user an answer they already received, so failures are only logged.
+ *
+ * @param {string} userId - Install the request belongs to
+ * @param {Object} provider - Provider adapter that handled the request
+ * @param {Object} request - Chat request as passed to generateResponse
+ * @param {Object|null} usage - Summed usage; nothing is recorded without tokens
+ * @returns {number} Estimated cost in USD
+ */
+function meterUsage(userId, provider, request, usage) {
+  if (!usage || !usage.totalTokens) return 0;
+  try {
+    return recordUsage(userId, { provider: provider.name, model: request.model, usage });
+  } catch (error) {
+    console.error('Failed to record usage:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Builds the final chat result, recording its usage and storing the
+ * conversation state when the answer is still incomplete so the client
+ * can continue it
+ *
+ * @param {Object} provider - Provider adapter that handled the request
+ * @param {Object} request - Chat request as passed to generateResponse
+ * @param {Object} result - Result of generateResponse
+ * @param {string} userId - Install the request belongs to
+ * @returns {Promise<Object>} Response payload for the client
+ */
+async function buildChatResult(provider, request, result, userId) {
+  await releaseContinuation(request);
+
+  // Check if the response was cut off due to length limits
+  const isIncomplete = result.finishReason === 'length';
+  const continueId = isIncomplete
+    ? await storeIncompleteResponse(request.messages, request.partial + result.content, userId)
+    : null;
+
+  const costUsd = meterUsage(userId, provider, request, result.usage);
+
+  return {
+    message: result.content,
+    finishReason: result.finishReason,
+    isIncomplete,
+    continueId,
+    continuations: result.continuations,
+    summarized: result.memory ? result.memory.summarized : [],
+    memory: result.memory,
+    provider: provider.name,
+    model: request.model,
+    usage: { ...result.usage, costUsd }
+  };
+}
+
+/**
+ * Model discovery endpoint - lists the models available on this server
+ * with their limits, pricing (USD per million tokens) and vision support
+ */
+app.get('/api/models', (req, res) => {
+  res.status(200).json({
+    defaultModel: getDefaultModelId(),
+    defaultVisionModel: getDefaultVisionModelId(),
+    models: listAvailableModels().map(model => ({
+      id: model.id,
+      label: model.label,
+      provider: model.provider,
+      providerLabel: listProviders().find(p => p.name === model.provider)?.label,
+      contextWindow: model.contextWindow,
+      maxOutputTokens: model.maxOutputTokens,
+      pricing: model.pricing,
+      vision: model.vision
+    }))
   });
 });
 
+/**
+ * Usage endpoint - the caller's token usage and estimated cost for today
+ * and this month, with the quotas that apply
+ */
+app.get('/api/usage', requireInstallToken, (req, res) => {
+  res.status(200).json(getUsageSummary(req.user.id));
+});
+
+/**
+ * Conversation persistence - saved threads of the authenticated user
+ * (see conversations.js for the individual routes)
+ */
+app.use('/api/conversations', requireInstallToken, conversationsRouter);
+
+/**
+ * Builds the request passed to generateResponse for a resolved model
+ *
+ * @param {Object} model - Model definition from the registry
+ * @param {Object} conversation - `messages`, `partial` and `continueId` from prepareConversation
+ * @param {Object} options - Client options
+ * @param {Object} options.memory - Memory returned with the previous response, if any
+ * @param {number} options.temperature - Requested temperature
+ * @param {boolean|number} options.autoContinue - Automatic continuation setting from the client
+ * @returns {Object} Chat request
+ */
+function buildChatRequest(model, conversation, { memory, temperature, autoContinue }) {
+  // Reserve room for the response inside the model's context window
+  const maxTokens = Math.min(RESPONSE_TOKENS, model.maxOutputTokens);
+  return {
+    model: model.id,
+    messages: conversation.messages,
+    partial: conversation.partial,
+    continueId: conversation.continueId,
+    memory,
+    temperature: Math.max(0, Math.min(2, temperature)), // Clamp temperature between 0 and 2
+    maxTokens,
+    availableTokens: model.contextWindow - maxTokens,
+    maxContinuations: autoContinue === true ? MAX_AUTO_CONTINUATIONS
+      : Math.max(0, Math.min(MAX_AUTO_CONTINUATIONS, parseInt(autoContinue, 10) || 0)),
+  };
+}
+
+/**
+ * Generates the answer and sends it, either streamed as Server-Sent Events
+ * or as a single JSON response
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} provider - Provider adapter handling the request
+ * @param {Object} request - Chat request from buildChatRequest
+ * @param {string} userId - Install the request belongs to
+ * @param {boolean} stream - Whether the client asked for a stream
+ */
+async function sendChatResponse(res, provider, request, userId, stream) {
+  if (stream) {
+    return streamChatCompletion(res, provider, request, userId);
+  }
+
+  let result;
+  try {
+    result = await generateResponse(provider, request);
+  } catch (error) {
+    meterUsage(userId, provider, request, error.usage);
+    throw error;
+  }
+
+  // Send successful response
+  res.status(200).json(await buildChatResult(provider, request, result, userId));
+}
+
+/**
+ * Reports an error thrown while handling a chat or vision request
+ *
+ * @param {Error} error - The error
+ * @param {Object} res - Express response object
+ */
+function handleChatFailure(error, res) {
+  // Once a stream has started the status line is gone - report in-band
+  if (res.headersSent) {
+    console.error('Chat API Error:', error.message);
+    writeEvent(res, 'error', { error: 'Internal server error. Please try again later.' });
+    return res.end();
+  }
+  sendChatError(error, res);
+}
+
 /**
  * Main chat endpoint - handles AI conversation requests
  * 
  * Expected request body:
  * {
- *   messages: Array of {role: string, content: string},
+ *   messages: Array of {role: string, content: string, pinned: boolean (optional)},
  *   temperature: number (optional, default 0.7),
- *   continueId: string (optional, for continuing incomplete responses)
+ *   continueId: string (optional, for continuing incomplete responses),
+ *   memory: Object (optional, the `memory` returned with the previous response),
+ *   stream: boolean (optional, respond with Server-Sent Events),
+ *   autoContinue: boolean|number (optional, continue truncated answers automatically,
+ *                 up to this many times or AUTO_CONTINUE_MAX_ROUNDS, whichever is lower),
+ *   model: string (optional, one of /api/models; defaults to DEFAULT_MODEL),
+ *   provider: string (optional, use this provider's default model)
  * }
  */
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', enforceQuota, async (req, res) => {
   try {
-    const { messages, temperature = 0.7, continueId } = req.body;
+    const { messages, temperature = 0.7, continueId, memory, stream = false, autoContinue = false, model: modelId, provider: providerName } = req.body;
     
     // Validate request body
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -141,152 +617,217 @@ app.post('/api/chat', async (req, res) => {
       });
     }
 
-    // Validate each message has required fields
-    const invalidMessage = messages.find(msg => !msg.role || !msg.content);
-    if (invalidMessage) {
+    // Validate each message has required fields. Images only reach a model
+    // through /api/vision, which checks them, so content here is text.
+    if (messages.some(msg => !msg || !msg.role || !msg.content || typeof msg.content !== 'string')) {
       return res.status(400).json({ 
-        error: 'Invalid message format: each message must have role and content' 
+        error: 'Invalid message format: each message must have role and text content' 
       });
     }
 
-    let conversationMessages = [...messages];
-    
-    // Handle continuation of incomplete responses
-    if (continueId && incompleteResponses[continueId]) {
-      const incompleteData = incompleteResponses[continueId];
-      conversationMessages = [...incompleteData.messages];
-      
-      // Add a continuation prompt to the last assistant message
-      const lastMessage = conversationMessages[conversationMessages.length - 1];
-      if (lastMessage && lastMessage.role === 'assistant') {
-        lastMessage.content += '\n\n[Continuing from previous response...]';
-      }
-      
-      // Clean up the stored incomplete response
-      delete incompleteResponses[continueId];
+    // Resolve the model (and its provider) before doing any work so a bad name fails fast
+    const requestedModel = modelId || (providerName ? getProvider(providerName).defaultModel : getDefaultModelId());
+    const model = findModel(requestedModel);
+    if (!model) {
+      return res.status(400).json({ 
+        error: `Unknown or unavailable model "${requestedModel}". See /api/models for the models this server offers.` 
+      });
     }
+    if (providerName && providerName !== model.provider) {
+      return res.status(400).json({ 
+        error: `Model "${model.id}" is served by "${model.provider}", not "${providerName}"` 
+      });
+    }
+    const provider = getProvider(model.provider);
 
-    // Trim conversation to fit within token limits
-    const trimmedMessages = trimConversation(conversationMessages);
-
-    // Log token usage for monitoring
-    const tokenCount = countTokens(trimmedMessages);
-    console.log(`Request token count: ${tokenCount}/${MAX_TOKENS - RESPONSE_TOKENS}`);
-
-    // Make request to OpenAI API
-    const openaiResponse = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4',
-        messages: trimmedMessages,
-        temperature: Math.max(0, Math.min(2, temperature)), // Clamp temperature between 0 and 2
-        max_tokens: RESPONSE_TOKENS,
-        stream: false
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000, // 30 second timeout
-      }
-    );
-
-    const aiMessage = openaiResponse.data.choices[0].message;
-    const finishReason = openaiResponse.data.choices[0].finish_reason;
-    
-    // Check if the response was cut off due to length limits
-    const isIncomplete = finishReason === 'length';
-    let continueId_new = null;
-    
-    if (isIncomplete) {
-      // Generate a unique ID for this incomplete response
-      continueId_new = Math.random().toString(36).substring(2, 15);
-      
-      // Store the conversation state for potential continuation
-      incompleteResponses[continueId_new] = {
-        messages: [...trimmedMessages, aiMessage],
-        timestamp: Date.now()
-      };
-      
-      // Clean up old incomplete responses (older than 1 hour)
-      const oneHourAgo = Date.now() - (60 * 60 * 1000);
-      Object.keys(incompleteResponses).forEach(id => {
-        if (incompleteResponses[id].timestamp < oneHourAgo) {
-          delete incompleteResponses[id];
-        }
+    const conversation = await prepareConversation(messages, continueId, req.user.id);
+    if (!conversation) {
+      return res.status(410).json({ 
+        error: 'This answer can no longer be continued. Ask again to get a complete answer.',
+        code: 'continuation_expired'
       });
     }
+    const request = buildChatRequest(model, conversation, { memory, temperature, autoContinue });
 
-    // Log usage statistics
-    const usage = openaiResponse.data.usage;
-    console.log(`OpenAI usage - Prompt: ${usage.prompt_tokens}, Completion: ${usage.completion_tokens}, Total: ${usage.total_tokens}`);
-
-    // Send successful response
-    res.status(200).json({
-      message: aiMessage.content,
-      isIncomplete,
-      continueId: continueId_new,
-      usage: {
-        promptTokens: usage.prompt_tokens,
-        completionTokens: usage.completion_tokens,
-        totalTokens: usage.total_tokens
-      }
-    });
+    await sendChatResponse(res, provider, request, req.user.id, stream);
 
   } catch (error) {
-    console.error('Chat API Error:', error.message);
-    
-    // Handle specific OpenAI API errors
-    if (error.response?.status === 401) {
-      return res.status(500).json({ 
-        error: 'OpenAI API authentication failed. Please check your API key.' 
+    handleChatFailure(error, res);
+  }
+});
+
+/**
+ * Vision endpoint - asks a vision-capable model about an image, such as an
+ * area captured with the snipping tool
+ * 
+ * Expected request body:
+ * {
+ *   image: string (base64 data URL of a PNG, JPEG, GIF or WebP image, at most VISION_MAX_IMAGE_BYTES),
+ *   prompt: string (optional, question about the image; defaults to asking for an explanation),
+ *   messages: Array (optional, earlier text messages of the conversation, as for /api/chat),
+ *   temperature, memory, stream, autoContinue: as for /api/chat,
+ *   model: string (optional, a model with `vision: true`; defaults to VISION_MODEL)
+ * }
+ *
+ * The response has the same format as /api/chat. A truncated answer is
+ * continued through /api/chat with the returned `continueId`.
+ */
+app.post('/api/vision', enforceQuota, async (req, res) => {
+  try {
+    const { image, prompt = '', messages = [], temperature = 0.7, memory, stream = false, autoContinue = false, model: modelId } = req.body;
+
+    // Validate the image first - it is what this endpoint is for
+    const imagePart = parseImageDataUrl(image);
+
+    if (typeof prompt !== 'string') {
+      return res.status(400).json({ 
+        error: 'Invalid request: prompt must be a string' 
+      });
+    }
+    if (!Array.isArray(messages) || messages.some(msg => !msg || !msg.role || !msg.content || typeof msg.content !== 'string')) {
+      return res.status(400).json({ 
+        error: 'Invalid message format: each message must have role and text content' 
       });
-    } else if (error.response?.status === 429) {
-      return res.status(429).json({ 
-        error: 'OpenAI API rate limit exceeded. Please try again later.' 
+    }
+
+    // Only models that accept images can answer
+    const requestedModel = modelId || getDefaultVisionModelId();
+    if (!requestedModel) {
+      return res.status(400).json({ 
+        error: 'No model that accepts images is available on this server.',
+        code: 'vision_unavailable'
       });
-    } else if (error.response?.status >= 400 && error.response?.status < 500) {
+    }
+    const model = findModel(requestedModel);
+    if (!model) {
       return res.status(400).json({ 
-        error: `OpenAI API error: ${error.response.data?.error?.message || 'Invalid request'}` 
+        error: `Unknown or unavailable model "${requestedModel}". See /api/models for the models this server offers.` 
       });
-    } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-      return res.status(504).json({ 
-        error: 'Request timeout. The AI service is taking too long to respond.' 
+    }
+    if (!model.vision) {
+      return res.status(400).json({ 
+        error: `Model "${model.id}" does not accept images. Choose a model with vision support.`,
+        code: 'vision_unavailable'
       });
     }
-    
-    // Generic error response for unexpected issues
+    const provider = getProvider(model.provider);
+
+    const question = {
+      role: 'user',
+      content: [imagePart, { type: 'text', text: prompt.trim() || DEFAULT_VISION_PROMPT }]
+    };
+    const request = buildChatRequest(model, { messages: [...messages, question], partial: '' }, { memory, temperature, autoContinue });
+
+    await sendChatResponse(res, provider, request, req.user.id, stream);
+
+  } catch (error) {
+    handleChatFailure(error, res);
+  }
+});
+
+/**
+ * OCR endpoint - recognizes the text in an image on the server, for pages
+ * whose Content Security Policy stops the extension from running OCR itself
+ * 
+ * Expected request body:
+ * {
+ *   image: string (base64 data URL of a PNG, JPEG, GIF or WebP image, at most VISION_MAX_IMAGE_BYTES),
+ *   language: string (optional, Tesseract language code(s) such as 'eng' or 'eng+deu', from OCR_LANGUAGES)
+ * }
+ *
+ * Responds with the `text`, its mean `confidence` (0-100) and the `words`
+ * with their confidence and bounding box.
+ */
+app.post('/api/ocr', ocrLimiter, async (req, res) => {
+  // Skip the recognition if the client has already gone away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const { image, language: requestedLanguage = DEFAULT_LANGUAGE } = req.body;
+    const imagePart = parseImageDataUrl(image);
+
+    const language = normalizeLanguage(requestedLanguage);
+    if (!language) {
+      return res.status(400).json({ 
+        error: `Invalid request: language must be one or more of ${getAllowedLanguages().join(', ')}, joined with "+"`,
+        code: 'unsupported_language'
+      });
+    }
+
+    const startedAt = Date.now();
+    const result = await ocrEngine.recognize(Buffer.from(imagePart.data, 'base64'), {
+      language,
+      signal: controller.signal,
+    });
+    console.log(`OCR (${ocrEngine.name}, ${language}): ${result.words.length} words, confidence ${result.confidence}, ${Date.now() - startedAt}ms`);
+
+    res.status(200).json({ ...result, language, engine: ocrEngine.name });
+
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Client disconnected, OCR request dropped');
+      return;
+    }
+    if (error instanceof ImageError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('OCR Error:', error.message);
     res.status(500).json({ 
-      error: 'Internal server error. Please try again later.' 
+      error: 'Text recognition failed on the server. Please try again.',
+      code: 'ocr_failed'
     });
   }
 });
 
 /**
- * Start the server and listen on the configured port
+ * Start the server and listen on the configured port when run directly;
+ * tests load the app without starting it
  */
-app.listen(port, () => {
-  console.log(`🚀 ClickAI server running on port ${port}`);
-  console.log(`📊 Health check available at: http://localhost:${port}/health`);
-  console.log(`🤖 Chat API endpoint: http://localhost:${port}/api/chat`);
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`🚀 ClickAI server running on port ${port}`);
+    console.log(`📊 Health check available at: http://localhost:${port}/health`);
+    console.log(`🤖 Chat API endpoint: http://localhost:${port}/api/chat`);
+    console.log(`🖼️  Vision API endpoint: http://localhost:${port}/api/vision`);
+    console.log(`🔤 OCR endpoint: http://localhost:${port}/api/ocr`);
+    console.log(`🧠 Model list available at: http://localhost:${port}/api/models`);
+    console.log(`🗂️  Conversations API available at: http://localhost:${port}/api/conversations`);
+    console.log(`📈 Usage summary available at: http://localhost:${port}/api/usage`);
   
-  // Validate required environment variables
-  if (!process.env.OPENAI_API_KEY) {
-    console.warn('⚠️  WARNING: OPENAI_API_KEY environment variable is not set');
-  }
-  if (!process.env.EXTENSION_SECRET) {
-    console.warn('⚠️  WARNING: EXTENSION_SECRET environment variable is not set');
-  }
-});
+    // Validate required environment variables
+    const configured = listProviders().filter(provider => provider.configured).map(provider => provider.name);
+    console.log(`🔌 AI providers configured: ${configured.join(', ') || 'none'} (default: ${getDefaultProviderName()})`);
+    if (!configured.includes(getDefaultProviderName())) {
+      console.warn(`⚠️  WARNING: default AI provider "${getDefaultProviderName()}" is not configured`);
+    }
+    if (process.env.EXTENSION_SECRET) {
+      console.warn('⚠️  WARNING: EXTENSION_SECRET is set - the legacy shared secret is still accepted. Unset it once all installs use tokens.');
+    }
+  });
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+  // Graceful shutdown handling
+  process.on('SIGTERM', () => {
+    console.log('🛑 SIGTERM received, shutting down gracefully');
+    Promise.allSettled([continuationStore.close(), ocrEngine.close()]).finally(() => {
+      closeDatabase();
+      process.exit(0);
+    });
+  });
 
-process.on('SIGINT', () => {
-  console.log('🛑 SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+  process.on('SIGINT', () => {
+    console.log('🛑 SIGINT received, shutting down gracefully');
+    Promise.allSettled([continuationStore.close(), ocrEngine.close()]).finally(() => {
+      closeDatabase();
+      process.exit(0);
+    });
+  });
+}
+
+module.exports = {
+  app,
+};
@@ -0,0 +1,53 @@
+/**
+ * Expiring Key-Value Store
+ *
+ * Short-lived server state (such as the conversation state kept for
+ * "Continue Generating") goes through this store so it survives restarts
+ * and can be shared between replicas. The backend is chosen with
+ * STORE_DRIVER:
+ *
+ *   memory  - in-process Map; lost on restart, not shared between replicas
+ *   sqlite  - the server's SQLite database (default); survives restarts
+ *   redis   - any Redis-compatible server at REDIS_URL; shared by replicas
+ *
+ * Every driver implements the same asynchronous interface:
+ *
+ *   get(key) -> value or null
+ *   set(key, value, ttlMs)
+ *   take(key) -> value or null, removing it atomically
+ *   delete(key)
+ *   close()
+ *
+ * Values must be JSON-serializable. Expired entries are never returned and
+ * are swept on a timer (Redis expires them natively).
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+// How often the memory and SQLite drivers delete expired entries
+const SWEEP_INTERVAL_MS = parseInt(process.env.STORE_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+/**
+ * Creates a store for one kind of data
+ *
+ * @param {string} namespace - Keeps keys of different features apart (e.g. 'continuations')
+ * @param {string} driver - Overrides STORE_DRIVER
+ * @returns {Object} Store implementing get/set/take/delete/close
+ */
+function createStore(namespace, driver = process.env.STORE_DRIVER || 'sqlite') {
+  switch (driver) {
+    case 'memory':
+      return require('./memory').createMemoryStore({ sweepIntervalMs: SWEEP_INTERVAL_MS });
+    case 'sqlite':
+      return require('./sqlite').createSqliteStore(namespace, { sweepIntervalMs: SWEEP_INTERVAL_MS });
+    case 'redis':
+      return require('./redis').createRedisStore(namespace, { url: process.env.REDIS_URL });
+    default:
+      throw new Error(`Unknown STORE_DRIVER "${driver}". Use memory, sqlite or redis.`);
+  }
+}
+
+module.exports = {
+  createStore,
+};
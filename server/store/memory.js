@@ -0,0 +1,70 @@
+/**
+ * In-Memory Store Driver
+ *
+ * Keeps entries in a Map inside this process. Suitable for development and
+ * single-instance deployments that can tolerate losing state on restart.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+/**
+ * Creates an in-memory store
+ *
+ * @param {Object} options - Driver options
+ * @param {number} options.sweepIntervalMs - How often expired entries are deleted
+ * @returns {Object} Store implementing get/set/take/delete/close
+ */
+function createMemoryStore({ sweepIntervalMs }) {
+  const entries = new Map();
+
+  // Returns the live entry for a key, dropping it if it has expired
+  const readEntry = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, sweepIntervalMs);
+  sweepTimer.unref(); // Don't keep the process alive just to sweep
+
+  return {
+    async get(key) {
+      return readEntry(key)?.value ?? null;
+    },
+
+    async set(key, value, ttlMs) {
+      // Round-trip through JSON so callers can't mutate stored values
+      entries.set(key, { value: JSON.parse(JSON.stringify(value)), expiresAt: Date.now() + ttlMs });
+    },
+
+    async take(key) {
+      const entry = readEntry(key);
+      entries.delete(key);
+      return entry?.value ?? null;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async close() {
+      clearInterval(sweepTimer);
+      entries.clear();
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
@@ -0,0 +1,62 @@
+/**
+ * Redis Store Driver
+ *
+ * Keeps entries in a Redis-compatible server (Redis, Valkey, KeyDB,
+ * Dragonfly...) so every replica behind a load balancer sees the same
+ * state. Expiry is handled by Redis itself.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const Redis = require('ioredis');
+
+/**
+ * Creates a Redis-backed store
+ *
+ * @param {string} namespace - Namespace the store's keys live in
+ * @param {Object} options - Driver options
+ * @param {string} options.url - Connection URL, e.g. redis://localhost:6379
+ * @returns {Object} Store implementing get/set/take/delete/close
+ */
+function createRedisStore(namespace, { url }) {
+  if (!url) {
+    throw new Error('STORE_DRIVER=redis requires REDIS_URL');
+  }
+
+  const client = new Redis(url);
+  client.on('error', (error) => {
+    console.error('Redis store error:', error.message);
+  });
+
+  const prefixed = (key) => `clickai:${namespace}:${key}`;
+
+  return {
+    async get(key) {
+      const value = await client.get(prefixed(key));
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      await client.set(prefixed(key), JSON.stringify(value), 'PX', ttlMs);
+    },
+
+    async take(key) {
+      // MULTI keeps GET and DEL atomic without needing GETDEL (Redis 6.2+)
+      const [[, value]] = await client.multi().get(prefixed(key)).del(prefixed(key)).exec();
+      return value ? JSON.parse(value) : null;
+    },
+
+    async delete(key) {
+      await client.del(prefixed(key));
+    },
+
+    async close() {
+      await client.quit();
+    },
+  };
+}
+
+module.exports = {
+  createRedisStore,
+};
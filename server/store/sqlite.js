@@ -0,0 +1,82 @@
+/**
+ * SQLite Store Driver
+ *
+ * Keeps entries in the server's SQLite database file so they survive
+ * restarts. Replicas only share state if they share the database file.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const { ensureSchema } = require('../db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS kv_store (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    PRIMARY KEY (namespace, key)
+  );
+  CREATE INDEX IF NOT EXISTS kv_store_expires ON kv_store (expires_at);
+`;
+
+/**
+ * Creates a SQLite-backed store
+ *
+ * @param {string} namespace - Namespace the store's keys live in
+ * @param {Object} options - Driver options
+ * @param {number} options.sweepIntervalMs - How often expired entries are deleted
+ * @returns {Object} Store implementing get/set/take/delete/close
+ */
+function createSqliteStore(namespace, { sweepIntervalMs }) {
+  const db = ensureSchema('kv_store', SCHEMA);
+
+  const selectEntry = db.prepare('SELECT value FROM kv_store WHERE namespace = ? AND key = ? AND expires_at > ?');
+  const upsertEntry = db.prepare(`
+    INSERT INTO kv_store (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+  `);
+  const deleteEntry = db.prepare('DELETE FROM kv_store WHERE namespace = ? AND key = ?');
+  const deleteExpired = db.prepare('DELETE FROM kv_store WHERE namespace = ? AND expires_at <= ?');
+
+  // Reading and deleting in one transaction makes take() atomic
+  const takeEntry = db.transaction((key) => {
+    const row = selectEntry.get(namespace, key, Date.now());
+    deleteEntry.run(namespace, key);
+    return row;
+  });
+
+  const sweepTimer = setInterval(() => {
+    deleteExpired.run(namespace, Date.now());
+  }, sweepIntervalMs);
+  sweepTimer.unref(); // Don't keep the process alive just to sweep
+
+  return {
+    async get(key) {
+      const row = selectEntry.get(namespace, key, Date.now());
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      upsertEntry.run(namespace, key, JSON.stringify(value), Date.now() + ttlMs);
+    },
+
+    async take(key) {
+      const row = takeEntry(key);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async delete(key) {
+      deleteEntry.run(namespace, key);
+    },
+
+    async close() {
+      clearInterval(sweepTimer);
+    },
+  };
+}
+
+module.exports = {
+  createSqliteStore,
+};
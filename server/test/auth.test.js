@@ -0,0 +1,47 @@
+/**
+ * Install tokens and the legacy shared secret
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment({ EXTENSION_SECRET: 'legacy-secret' });
+const legacy = { headers: { 'x-extension-secret': 'legacy-secret' } };
+
+before(() => env.start());
+after(() => env.stop());
+
+test('requests without a valid token are refused', async () => {
+  assert.strictEqual((await env.request('GET', '/api/models')).status, 401);
+  assert.strictEqual((await env.request('GET', '/api/models', { token: 'cai_unknown' })).status, 401);
+  assert.strictEqual((await env.request('GET', '/api/models', { headers: { 'x-extension-secret': 'wrong' } })).status, 401);
+});
+
+test('a revoked token is refused', async () => {
+  const { revokeToken } = require('../auth');
+  const { id, token } = env.createUser();
+  revokeToken(id);
+
+  const response = await env.request('GET', '/api/models', { token });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).code, 'token_revoked');
+});
+
+test('the legacy secret still works for routes without per-user data', async () => {
+  assert.strictEqual((await env.request('GET', '/api/models', legacy)).status, 200);
+});
+
+test('the legacy secret gets no access to per-user data', async () => {
+  for (const path of ['/api/conversations', '/api/usage']) {
+    const response = await env.request('GET', path, legacy);
+    assert.strictEqual(response.status, 403, path);
+    assert.strictEqual((await response.json()).code, 'token_required');
+  }
+  const created = await env.request('POST', '/api/conversations', { ...legacy, body: { title: 'Shared?' } });
+  assert.strictEqual(created.status, 403);
+
+  const { token } = env.createUser();
+  assert.strictEqual((await env.request('GET', '/api/conversations', { token })).status, 200);
+  assert.strictEqual((await env.request('GET', '/api/usage', { token })).status, 200);
+});
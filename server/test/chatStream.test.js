@@ -0,0 +1,99 @@
+/**
+ * Streaming chat answers to the client as Server-Sent Events
+ *
+ * A fake upstream streams each test's pieces of text, optionally breaking
+ * off without finishing the answer, or sends them joined when the server
+ * doesn't ask for a stream.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { close, createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment();
+
+let upstream;
+// Pieces of text the upstream streams, and whether it breaks off after them
+let pieces = [];
+let breakOff = false;
+
+before(async () => {
+  upstream = await env.startUpstream(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    if (!JSON.parse(body).stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ choices: [{ message: { content: pieces.join('') }, finish_reason: 'stop' }] }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const content of pieces) {
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content }, finish_reason: null }] })}\n\n`);
+    }
+    // Give the server time to pass on what was sent before the connection drops
+    if (breakOff) return setTimeout(() => res.destroy(), 50);
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }] })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  });
+  await env.start();
+});
+
+after(async () => {
+  await close(upstream);
+  await env.stop();
+});
+
+/**
+ * Asks for an answer and reads every event of the response
+ * @param {Object} body - Further fields of the chat request
+ * @returns {Promise<Array<Object>>} Events with their `event` name and parsed `data`
+ */
+async function streamChat(body = {}) {
+  const { token } = env.createUser();
+  const response = await env.request('POST', '/api/chat', {
+    token,
+    body: { messages: [{ role: 'user', content: 'Explain monads' }], stream: true, model: 'test-model', ...body },
+  });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  return (await response.text()).split('\n\n').filter(Boolean).map(block => {
+    const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+test('the answer arrives piece by piece and ends with the complete message', async () => {
+  pieces = ['A monad ', 'wraps ', 'a value.'];
+  breakOff = false;
+  const events = await streamChat();
+
+  assert.deepStrictEqual(events.slice(0, -1), pieces.map(content => ({ event: 'delta', data: { content } })));
+  const { event, data } = events.at(-1);
+  assert.strictEqual(event, 'done');
+  assert.strictEqual(data.message, 'A monad wraps a value.');
+  assert.strictEqual(data.finishReason, 'stop');
+  assert.strictEqual(data.isIncomplete, false);
+});
+
+test('an answer the upstream breaks off ends with an error event', async () => {
+  pieces = ['A monad '];
+  breakOff = true;
+  const events = await streamChat();
+
+  assert.deepStrictEqual(events.map(({ event }) => event), ['delta', 'error']);
+  assert.match(events[1].data.error, /interrupted/);
+});
+
+test('without stream the answer is sent as one JSON response', async () => {
+  pieces = ['A monad ', 'wraps ', 'a value.'];
+  breakOff = false;
+  const { token } = env.createUser();
+  const response = await env.request('POST', '/api/chat', {
+    token,
+    body: { messages: [{ role: 'user', content: 'Explain monads' }], model: 'test-model' },
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).message, 'A monad wraps a value.');
+});
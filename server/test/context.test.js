@@ -0,0 +1,122 @@
+/**
+ * Summarizing evicted messages into the conversation memory
+ *
+ * A fake provider stands in for the chat model and records what it is
+ * asked to summarize.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { countTokens, compressConversation } = require('../context');
+
+/**
+ * Creates a provider whose summaries are canned
+ * @param {Function} complete - Answers a summarization call
+ * @returns {Object} Provider with `complete` and the `calls` it received
+ */
+function fakeProvider(complete = () => ({ content: 'Memory of the chat' })) {
+  const calls = [];
+  return {
+    calls,
+    async complete(request) {
+      calls.push(request);
+      return complete(request);
+    },
+  };
+}
+
+const filler = 'This sentence pads the message so it takes up room in the context window. '.repeat(40);
+
+// System prompt, the captured text, a pinned message and six more turns
+const conversation = [
+  { role: 'system', content: 'You are ClickAI.' },
+  { role: 'user', content: `Captured text. ${filler}` },
+  { role: 'assistant', content: `Old answer. ${filler}` },
+  { role: 'user', content: `Pinned question. ${filler}`, pinned: true },
+  { role: 'assistant', content: `Another old answer. ${filler}` },
+  { role: 'user', content: `Recent question 1. ${filler}` },
+  { role: 'assistant', content: `Recent answer 1. ${filler}` },
+  { role: 'user', content: `Recent question 2. ${filler}` },
+  { role: 'assistant', content: `Recent answer 2. ${filler}` },
+];
+
+test('a conversation within the budget is sent as-is', async () => {
+  const provider = fakeProvider();
+  const result = await compressConversation(conversation, countTokens(conversation), { provider, model: 'test-model' });
+
+  assert.strictEqual(result.messages, conversation);
+  assert.strictEqual(result.memory, null);
+  assert.strictEqual(provider.calls.length, 0);
+});
+
+test('evicted messages are summarized and protected ones are kept', async () => {
+  const provider = fakeProvider();
+  const result = await compressConversation(conversation, 3000, { provider, model: 'test-model' });
+
+  // Only the two old answers may be evicted
+  assert.deepStrictEqual(result.memory, { summary: 'Memory of the chat', summarized: [2, 4] });
+  assert.strictEqual(provider.calls.length, 1);
+  const prompt = provider.calls[0].messages[1].content;
+  assert.match(prompt, /Old answer/);
+  assert.match(prompt, /Another old answer/);
+  assert.doesNotMatch(prompt, /Pinned question/);
+
+  // The memory follows the system prompt
+  assert.deepStrictEqual(result.messages.map(message => message.content.slice(0, 20)), [
+    'You are ClickAI.',
+    'Conversation memory ',
+    'Captured text. This ',
+    'Pinned question. Thi',
+    'Recent question 1. T',
+    'Recent answer 1. Thi',
+    'Recent question 2. T',
+    'Recent answer 2. Thi',
+  ]);
+  assert.ok(result.usage.totalTokens > 0, 'usage is estimated when the provider reports none');
+});
+
+test('only as many messages as needed are evicted, oldest first', async () => {
+  const provider = fakeProvider();
+  // One old answer is longer than the room kept for the memory
+  const budget = countTokens(conversation) - 1;
+  const result = await compressConversation(conversation, budget, { provider, model: 'test-model' });
+
+  assert.deepStrictEqual(result.memory.summarized, [2]);
+  assert.ok(result.messages.some(message => message.content.startsWith('Another old answer')));
+});
+
+test('a previous memory is extended with newly evicted messages only', async () => {
+  const provider = fakeProvider(() => ({ content: 'Merged memory' }));
+  const memory = { summary: 'Earlier memory', summarized: [2] };
+  const result = await compressConversation(conversation, 3000, { provider, model: 'test-model', memory });
+
+  assert.deepStrictEqual(result.memory, { summary: 'Merged memory', summarized: [2, 4] });
+  const prompt = provider.calls[0].messages[1].content;
+  assert.match(prompt, /Earlier memory/);
+  assert.match(prompt, /Another old answer/);
+  assert.doesNotMatch(prompt, /Old answer\./);
+});
+
+test('a failed summarization keeps the messages it could not summarize', async () => {
+  const provider = fakeProvider(() => {
+    throw new Error('Upstream unavailable');
+  });
+  const memory = { summary: 'Earlier memory', summarized: [2] };
+  const result = await compressConversation(conversation, 3000, { provider, model: 'test-model', memory });
+
+  // The previous memory stands in for what it covers; the rest is sent as it is
+  assert.deepStrictEqual(result.memory, memory);
+  assert.ok(result.messages[1].content.endsWith('Earlier memory'));
+  assert.ok(!result.messages.some(message => message.content.startsWith('Old answer')));
+  assert.ok(result.messages.some(message => message.content.startsWith('Another old answer')));
+});
+
+test('a failed first summarization drops nothing', async () => {
+  const provider = fakeProvider(() => {
+    throw new Error('Upstream unavailable');
+  });
+  const result = await compressConversation(conversation, 3000, { provider, model: 'test-model' });
+
+  assert.strictEqual(result.memory, null);
+  assert.deepStrictEqual(result.messages, conversation);
+});
@@ -0,0 +1,59 @@
+/**
+ * Joining continuations onto truncated answers
+ *
+ * stitchContinuation joins complete answers, createSeamFilter streamed ones.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSeamFilter, stitchContinuation } = require('../continuation');
+
+test('a repeated last line is dropped', () => {
+  const previous = 'First point.\nSecond point is that the cache';
+  assert.strictEqual(stitchContinuation(previous, 'Second point is that the cache is bounded.'), ' is bounded.');
+});
+
+test('short overlaps are dropped only when they are whole words', () => {
+  assert.strictEqual(stitchContinuation('It ends with the', 'the end.'), ' end.');
+  // "he" is part of "the", so "help" starts a new word
+  assert.strictEqual(stitchContinuation('It ends with the', 'help is near.'), 'help is near.');
+  assert.strictEqual(stitchContinuation('Nothing shared', ' and more.'), ' and more.');
+});
+
+test('overlaps shorter than a few characters are kept', () => {
+  assert.strictEqual(stitchContinuation('We went to', 'to the park.'), 'to the park.');
+});
+
+test('a streamed continuation is held back until the overlap is known', () => {
+  const filter = createSeamFilter('The answer is being');
+  assert.strictEqual(filter.push('is '), '');
+  assert.strictEqual(filter.push('being'), '');
+  assert.strictEqual(filter.push(' written'), ' written');
+  assert.strictEqual(filter.push(' now.'), ' now.');
+  assert.strictEqual(filter.flush(), '');
+});
+
+test('text held back is released when the stream ends', () => {
+  const repeated = createSeamFilter('The answer is being');
+  assert.strictEqual(repeated.push('is being'), '');
+  assert.strictEqual(repeated.flush(), '');
+
+  const unrelated = createSeamFilter('The answer is being');
+  assert.strictEqual(unrelated.push('answer'), '');
+  assert.strictEqual(unrelated.flush(), 'answer');
+});
+
+test('a stream with nothing before it passes through', () => {
+  const filter = createSeamFilter('');
+  assert.strictEqual(filter.push('Hello'), 'Hello');
+  assert.strictEqual(filter.flush(), '');
+});
+
+test('a streamed and a complete continuation are stitched alike', () => {
+  const previous = 'Step one: open the';
+  const filter = createSeamFilter(previous);
+  const streamed = ['open ', 'the fi', 'le.'].map(delta => filter.push(delta)).join('') + filter.flush();
+
+  assert.strictEqual(streamed, ' file.');
+  assert.strictEqual(stitchContinuation(previous, 'open the file.'), streamed);
+});
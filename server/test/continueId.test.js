@@ -0,0 +1,100 @@
+/**
+ * Continuation IDs: which requests use one up and which are rejected
+ *
+ * A fake upstream answers from a queue of canned replies, so a test can
+ * make one call fail and the next succeed.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { close, createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment();
+
+let upstream;
+const replies = [];
+
+/**
+ * Queues the next upstream reply
+ * @param {number} status - HTTP status
+ * @param {string} content - Answer text
+ * @param {string} finishReason - OpenAI finish reason
+ */
+function queueReply(status, content = '', finishReason = 'stop') {
+  replies.push({ status, content, finishReason });
+}
+
+before(async () => {
+  upstream = await env.startUpstream((req, res) => {
+    const { status, content, finishReason } = replies.shift() || { status: 500 };
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(status === 200
+      ? { choices: [{ message: { content }, finish_reason: finishReason }] }
+      : { error: { message: 'Upstream unavailable' } }));
+  });
+  await env.start();
+});
+
+after(async () => {
+  await close(upstream);
+  await env.stop();
+});
+
+/**
+ * Asks for an answer, continuing one when a continueId is given
+ * @param {string} token - Bearer token
+ * @param {string} continueId - ID of the answer to continue
+ * @returns {Promise<Response>} The response
+ */
+function chat(token, continueId) {
+  return env.request('POST', '/api/chat', {
+    token,
+    body: { messages: [{ role: 'user', content: 'Explain monads' }], continueId, model: 'test-model' },
+  });
+}
+
+test('a continuation that fails upstream can be retried with the same continueId', async () => {
+  const { token } = env.createUser();
+
+  queueReply(200, 'A monad is', 'length');
+  const truncated = await (await chat(token)).json();
+  assert.strictEqual(truncated.isIncomplete, true);
+
+  // The upstream failure is passed on as a bad gateway
+  queueReply(503);
+  assert.strictEqual((await chat(token, truncated.continueId)).status, 502);
+
+  queueReply(200, ' a monoid in the category of endofunctors.');
+  const retried = await chat(token, truncated.continueId);
+  assert.strictEqual(retried.status, 200);
+  assert.strictEqual((await retried.json()).message, ' a monoid in the category of endofunctors.');
+
+  // Once the continuation was delivered the ID is used up
+  assert.strictEqual((await chat(token, truncated.continueId)).status, 410);
+});
+
+test('a continueId belongs to the install that received it', async () => {
+  const owner = env.createUser();
+  const other = env.createUser();
+
+  queueReply(200, 'A monad is', 'length');
+  const truncated = await (await chat(owner.token)).json();
+
+  assert.strictEqual((await chat(other.token, truncated.continueId)).status, 410);
+});
+
+test('an unknown continueId is rejected with 410', async () => {
+  const { token } = env.createUser();
+
+  const response = await env.request('POST', '/api/chat', {
+    token,
+    body: {
+      messages: [{ role: 'user', content: 'Explain monads' }, { role: 'assistant', content: 'A monad is' }],
+      continueId: 'no-such-id',
+      model: 'test-model',
+    },
+  });
+
+  assert.strictEqual(response.status, 410);
+  assert.strictEqual((await response.json()).code, 'continuation_expired');
+});
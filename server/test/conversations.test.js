@@ -0,0 +1,191 @@
+/**
+ * Saved conversations API
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment();
+
+before(() => env.start());
+after(() => env.stop());
+
+const MEMORY = { summary: 'The user asked about monads.', summarized: [0] };
+
+// A PNG signature is enough to pass as an image
+const IMAGE = `data:image/png;base64,${Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]).toString('base64')}`;
+
+/**
+ * Creates a conversation with two messages
+ * @param {string} token - Bearer token of the owner
+ * @param {Object} data - Further fields of the conversation
+ * @returns {Promise<Object>} The created conversation
+ */
+async function createConversation(token, data = {}) {
+  const response = await env.request('POST', '/api/conversations', {
+    token,
+    body: {
+      messages: [
+        { role: 'user', content: 'What is a monad?' },
+        { role: 'assistant', content: 'A monoid in the category of endofunctors.' },
+      ],
+      ...data,
+    },
+  });
+  assert.strictEqual(response.status, 201);
+  return response.json();
+}
+
+test('a new conversation is titled after its first question', async () => {
+  const { token } = env.createUser();
+  const conversation = await createConversation(token);
+
+  assert.strictEqual(conversation.title, 'What is a monad?');
+  assert.deepStrictEqual(conversation.messages.map(message => message.role), ['user', 'assistant']);
+});
+
+test('conversations are listed newest first and can be searched', async () => {
+  const { token } = env.createUser();
+  const first = await createConversation(token, { title: 'Monads' });
+  // Apart by more than the clock's resolution
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = await createConversation(token, { title: 'Functors', messages: [{ role: 'user', content: 'What is a functor?' }] });
+
+  const all = await (await env.request('GET', '/api/conversations', { token })).json();
+  assert.deepStrictEqual(all.conversations.map(conversation => conversation.id), [second.id, first.id]);
+  assert.strictEqual(all.conversations[1].messageCount, 2);
+
+  const found = await (await env.request('GET', '/api/conversations?q=endofunctors', { token })).json();
+  assert.deepStrictEqual(found.conversations.map(conversation => conversation.id), [first.id]);
+  assert.match(found.conversations[0].preview, /endofunctors/);
+});
+
+test('a conversation is returned with its messages and memory', async () => {
+  const { token } = env.createUser();
+  const { id } = await createConversation(token, { memory: MEMORY });
+
+  const response = await env.request('GET', `/api/conversations/${id}`, { token });
+  assert.strictEqual(response.status, 200);
+  const conversation = await response.json();
+  assert.deepStrictEqual(conversation.memory, MEMORY);
+  assert.strictEqual(conversation.messages[1].content, 'A monoid in the category of endofunctors.');
+});
+
+test('a conversation can be renamed, and invalid changes are refused', async () => {
+  const { token } = env.createUser();
+  const { id } = await createConversation(token);
+
+  const renamed = await env.request('PATCH', `/api/conversations/${id}`, { token, body: { title: '  Monads explained  ' } });
+  assert.strictEqual(renamed.status, 200);
+  assert.strictEqual((await renamed.json()).title, 'Monads explained');
+
+  for (const body of [{ title: ' ' }, { model: 'no-such-model' }, { memory: { summary: 42, summarized: [] } }]) {
+    const response = await env.request('PATCH', `/api/conversations/${id}`, { token, body });
+    assert.strictEqual(response.status, 400, JSON.stringify(body));
+  }
+});
+
+test('a deleted conversation is gone', async () => {
+  const { token } = env.createUser();
+  const { id } = await createConversation(token);
+
+  assert.strictEqual((await env.request('DELETE', `/api/conversations/${id}`, { token })).status, 204);
+  assert.strictEqual((await env.request('GET', `/api/conversations/${id}`, { token })).status, 404);
+  assert.strictEqual((await env.request('DELETE', `/api/conversations/${id}`, { token })).status, 404);
+});
+
+test('deleting a message resets the conversation memory', async () => {
+  const { token } = env.createUser();
+  const { id, messages } = await createConversation(token, { memory: MEMORY });
+
+  const deleted = await env.request('DELETE', `/api/conversations/${id}/messages/${messages[0].id}`, { token });
+  assert.strictEqual(deleted.status, 204);
+
+  const conversation = await (await env.request('GET', `/api/conversations/${id}`, { token })).json();
+  assert.deepStrictEqual(conversation.messages.map(message => message.id), [messages[1].id]);
+  assert.strictEqual(conversation.memory, null);
+
+  const again = await env.request('DELETE', `/api/conversations/${id}/messages/${messages[0].id}`, { token });
+  assert.strictEqual(again.status, 404);
+});
+
+test('another user\'s conversation is not found', async () => {
+  const owner = env.createUser();
+  const other = env.createUser();
+  const { id, messages } = await createConversation(owner.token);
+  const base = `/api/conversations/${id}`;
+
+  const attempts = [
+    ['GET', base],
+    ['PATCH', base, { title: 'Mine now' }],
+    ['DELETE', base],
+    ['POST', `${base}/messages`, { messages: [{ role: 'user', content: 'Hello?' }] }],
+    ['PATCH', `${base}/messages/${messages[0].id}`, { content: 'Changed' }],
+    ['DELETE', `${base}/messages/${messages[0].id}`],
+  ];
+  for (const [method, path, body] of attempts) {
+    const response = await env.request(method, path, { token: other.token, body });
+    assert.strictEqual(response.status, 404, `${method} ${path}`);
+  }
+
+  const list = await (await env.request('GET', '/api/conversations', { token: other.token })).json();
+  assert.deepStrictEqual(list.conversations, []);
+
+  // Nothing was changed
+  const conversation = await (await env.request('GET', base, { token: owner.token })).json();
+  assert.strictEqual(conversation.title, 'What is a monad?');
+  assert.strictEqual(conversation.messages.length, 2);
+  assert.strictEqual(conversation.messages[0].content, 'What is a monad?');
+});
+
+test('images attached to a message are stored and returned with it', async () => {
+  const { token } = env.createUser();
+  const { id, messages } = await createConversation(token, {
+    messages: [{ role: 'user', content: 'What does this chart show?', attachments: [{ type: 'image', data: IMAGE }] }],
+  });
+  assert.deepStrictEqual(messages[0].attachments.map(({ type, data }) => ({ type, data })), [{ type: 'image', data: IMAGE }]);
+
+  const appended = await env.request('POST', `/api/conversations/${id}/messages`, {
+    token,
+    body: { messages: [{ role: 'assistant', content: 'Sales by month.' }] },
+  });
+  assert.strictEqual(appended.status, 201);
+
+  const conversation = await (await env.request('GET', `/api/conversations/${id}`, { token })).json();
+  assert.strictEqual(conversation.messages[0].attachments[0].data, IMAGE);
+  assert.deepStrictEqual(conversation.messages[1].attachments, []);
+});
+
+test('invalid attachments are refused and nothing is stored', async () => {
+  const { token } = env.createUser();
+  const attempts = [
+    [[{ type: 'file', data: IMAGE }], 400, undefined],
+    [Array(5).fill({ type: 'image', data: IMAGE }), 400, undefined],
+    [[{ type: 'image', data: 'data:image/png;base64,AAAA' }], 400, 'invalid_image'],
+  ];
+  for (const [attachments, status, code] of attempts) {
+    const response = await env.request('POST', '/api/conversations', {
+      token,
+      body: { messages: [{ role: 'user', content: 'Look', attachments }] },
+    });
+    assert.strictEqual(response.status, status, JSON.stringify(attachments).slice(0, 60));
+    assert.strictEqual((await response.json()).code, code);
+  }
+
+  const list = await (await env.request('GET', '/api/conversations', { token })).json();
+  assert.deepStrictEqual(list.conversations, []);
+});
+
+test('a message\'s attachments are deleted with it', async () => {
+  const { token } = env.createUser();
+  const { id, messages } = await createConversation(token, {
+    messages: [{ role: 'user', content: 'Look', attachments: [{ type: 'image', data: IMAGE }] }],
+  });
+  const countAttachments = () => require('../db').getDatabase()
+    .prepare('SELECT COUNT(*) AS count FROM conversation_attachments WHERE message_id = ?').get(messages[0].id).count;
+  assert.strictEqual(countAttachments(), 1);
+
+  await env.request('DELETE', `/api/conversations/${id}/messages/${messages[0].id}`, { token });
+  assert.strictEqual(countAttachments(), 0);
+});
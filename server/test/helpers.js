@@ -0,0 +1,133 @@
+/**
+ * Shared Setup for the Server Tests
+ *
+ * Gives each test file its own temporary database and in-memory store, and
+ * starts the app and fake upstreams on free ports. Nothing runs when this
+ * file is loaded, so `node --test` finds no tests in it.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Starts an HTTP server on a free port
+ *
+ * @param {http.Server} httpServer - Server to start
+ * @returns {Promise<string>} Its base URL
+ */
+async function listen(httpServer) {
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${httpServer.address().port}`;
+}
+
+/**
+ * Stops an HTTP server
+ *
+ * @param {http.Server} httpServer - Server to stop
+ * @returns {Promise<void>}
+ */
+function close(httpServer) {
+  return new Promise(resolve => httpServer.close(resolve));
+}
+
+/**
+ * Points the server at a temporary database and configures it through the
+ * environment. Must be called before any server module is required.
+ *
+ * @param {Object} env - Further environment variables, e.g. quotas
+ * @returns {Object} Test environment with its temporary `dataDir`, start(), stop(), createUser() and request()
+ */
+function createTestEnvironment(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clickai-test-'));
+  // Providers configured in the developer's shell would change which models are available
+  for (const name of ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GEMINI_API_KEY']) delete process.env[name];
+  Object.assign(process.env, {
+    DATABASE_PATH: path.join(dataDir, 'clickai.db'),
+    STORE_DRIVER: 'memory',
+    AI_PROVIDER: 'openai-compatible',
+    OPENAI_COMPATIBLE_MODEL: 'test-model',
+    // Nothing listens here; tests that call a model start a fake upstream
+    OPENAI_COMPATIBLE_BASE_URL: 'http://127.0.0.1:9/v1',
+    ...env,
+  });
+
+  let server = null;
+  let baseUrl = null;
+
+  return {
+    dataDir,
+
+    /**
+     * Starts a fake OpenAI-compatible upstream and points the server at it
+     *
+     * @param {Function} handler - Request handler of the upstream
+     * @returns {Promise<http.Server>} The upstream server
+     */
+    async startUpstream(handler) {
+      const upstream = http.createServer(handler);
+      process.env.OPENAI_COMPATIBLE_BASE_URL = `${await listen(upstream)}/v1`;
+      return upstream;
+    },
+
+    /**
+     * Starts the app
+     *
+     * @returns {Promise<string>} Its base URL
+     */
+    async start() {
+      const { app } = require('../server');
+      server = http.createServer(app);
+      baseUrl = await listen(server);
+      return baseUrl;
+    },
+
+    /**
+     * Stops the app and removes the temporary database
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      if (server) await close(server);
+      require('../db').closeDatabase();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+
+    /**
+     * Registers a new install
+     *
+     * @returns {{token: string, userId: string}} Bearer token and user of the install
+     */
+    createUser() {
+      return require('../auth').issueToken();
+    },
+
+    /**
+     * Sends a JSON request to the app
+     *
+     * @param {string} method - HTTP method
+     * @param {string} urlPath - Path, e.g. '/api/chat'
+     * @param {Object} options - `token`, JSON `body`, abort `signal` and further `headers`
+     * @returns {Promise<Response>} The response
+     */
+    request(method, urlPath, { token, body, signal, headers = {} } = {}) {
+      return fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          ...headers,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal,
+      });
+    },
+  };
+}
+
+module.exports = {
+  listen,
+  close,
+  createTestEnvironment,
+};
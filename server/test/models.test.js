@@ -0,0 +1,77 @@
+/**
+ * Model registry and model selection in chat requests
+ *
+ * OpenAI and an OpenAI-compatible server are configured, Anthropic and
+ * Gemini are not, and one custom model is registered from a file.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment({ OPENAI_API_KEY: 'test-key', OPENAI_MODEL: 'gpt-4', AI_PROVIDER: 'openai' });
+
+process.env.MODEL_REGISTRY_FILE = path.join(env.dataDir, 'models.json');
+fs.writeFileSync(process.env.MODEL_REGISTRY_FILE, JSON.stringify([
+  { id: 'llava', provider: 'openai-compatible', label: 'LLaVA', contextWindow: 4096, vision: true },
+]));
+
+const { listAvailableModels, getDefaultModelId, getDefaultVisionModelId, findModel } = require('../models');
+
+before(() => env.start());
+after(() => env.stop());
+
+test('only models of configured providers are available', () => {
+  const ids = listAvailableModels().map(model => model.id);
+
+  assert.ok(ids.includes('gpt-4o'));
+  assert.ok(ids.includes('llava'));
+  assert.ok(!ids.some(id => id.startsWith('claude') || id.startsWith('gemini')));
+  assert.strictEqual(findModel('claude-3-5-sonnet-latest'), null);
+});
+
+test('custom models get conservative defaults for what they leave out', () => {
+  assert.deepStrictEqual(findModel('llava'), {
+    id: 'llava',
+    provider: 'openai-compatible',
+    label: 'LLaVA',
+    contextWindow: 4096,
+    maxOutputTokens: 4096,
+    pricing: { input: 0, output: 0 },
+    vision: true,
+  });
+});
+
+test('a provider\'s default model is available even when the registry doesn\'t list it', () => {
+  assert.strictEqual(findModel('test-model').provider, 'openai-compatible');
+});
+
+test('the default vision model is the first available model that accepts images', () => {
+  assert.strictEqual(getDefaultModelId(), 'gpt-4');
+  assert.strictEqual(getDefaultVisionModelId(), 'gpt-4o');
+});
+
+test('/api/models lists the available models and the defaults', async () => {
+  const { token } = env.createUser();
+  const body = await (await env.request('GET', '/api/models', { token })).json();
+
+  assert.strictEqual(body.defaultModel, 'gpt-4');
+  assert.strictEqual(body.defaultVisionModel, 'gpt-4o');
+  const llava = body.models.find(model => model.id === 'llava');
+  assert.strictEqual(llava.providerLabel, 'OpenAI-compatible');
+});
+
+test('chat requests for unavailable models are refused before calling a model', async () => {
+  const { token } = env.createUser();
+  const messages = [{ role: 'user', content: 'Hello' }];
+
+  const unknown = await env.request('POST', '/api/chat', { token, body: { messages, model: 'claude-3-5-sonnet-latest' } });
+  assert.strictEqual(unknown.status, 400);
+  assert.match((await unknown.json()).error, /Unknown or unavailable model/);
+
+  const mismatched = await env.request('POST', '/api/chat', { token, body: { messages, model: 'llava', provider: 'openai' } });
+  assert.strictEqual(mismatched.status, 400);
+  assert.match((await mismatched.json()).error, /served by "openai-compatible"/);
+});
@@ -0,0 +1,126 @@
+/**
+ * Image content: validating uploads and answering questions about them
+ *
+ * The server allows images of up to 1 KB and has one custom model that
+ * accepts images; a fake upstream records what it is sent.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { close, createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment({ VISION_MAX_IMAGE_BYTES: '1024' });
+
+process.env.MODEL_REGISTRY_FILE = path.join(env.dataDir, 'models.json');
+fs.writeFileSync(process.env.MODEL_REGISTRY_FILE, JSON.stringify([
+  { id: 'llava', provider: 'openai-compatible', label: 'LLaVA', vision: true },
+]));
+
+const { ImageError, parseImageDataUrl, contentText, countImages } = require('../multimodal');
+
+// PNG and JPEG signatures, padded to look like images
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(16)]);
+
+/**
+ * Builds a base64 data URL
+ * @param {string} mediaType - MIME type claimed by the URL
+ * @param {Buffer} bytes - Image bytes
+ * @returns {string} The data URL
+ */
+function dataUrl(mediaType, bytes) {
+  return `data:${mediaType};base64,${bytes.toString('base64')}`;
+}
+
+let upstream;
+const upstreamBodies = [];
+
+before(async () => {
+  upstream = await env.startUpstream(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    upstreamBodies.push(JSON.parse(body));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'A tiny square.' }, finish_reason: 'stop' }] }));
+  });
+  await env.start();
+});
+
+after(async () => {
+  await close(upstream);
+  await env.stop();
+});
+
+test('a valid image becomes an image part', () => {
+  assert.deepStrictEqual(parseImageDataUrl(dataUrl('image/png', PNG)), {
+    type: 'image',
+    mediaType: 'image/png',
+    data: PNG.toString('base64'),
+  });
+});
+
+test('malformed, unsupported, mislabelled and oversized images are refused', () => {
+  const refusals = [
+    [42, 'invalid_image', /must be a base64 data URL/],
+    ['https://example.com/cat.png', 'invalid_image', /must be a base64 data URL/],
+    [dataUrl('image/bmp', PNG), 'invalid_image', /Unsupported image type "image\/bmp"/],
+    [dataUrl('image/png', JPEG), 'invalid_image', /not a valid image\/png file/],
+    [dataUrl('image/png', Buffer.concat([PNG, Buffer.alloc(1024)])), 'image_too_large', /The image is too large/],
+  ];
+  for (const [image, code, message] of refusals) {
+    assert.throws(() => parseImageDataUrl(image), (error) => {
+      assert.ok(error instanceof ImageError);
+      assert.strictEqual(error.code, code);
+      assert.strictEqual(error.status, code === 'image_too_large' ? 413 : 400);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
+
+test('images count as a placeholder in the text of a message', () => {
+  const content = [parseImageDataUrl(dataUrl('image/png', PNG)), { type: 'text', text: 'What is this?' }];
+
+  assert.strictEqual(contentText(content), '[image]\n\nWhat is this?');
+  assert.strictEqual(contentText('Just text'), 'Just text');
+  assert.strictEqual(countImages(content), 1);
+  assert.strictEqual(countImages('Just text'), 0);
+});
+
+test('/api/vision sends the image and the question to a model that accepts images', async () => {
+  const { token } = env.createUser();
+  const response = await env.request('POST', '/api/vision', {
+    token,
+    body: { image: dataUrl('image/png', PNG), prompt: 'What is this?' },
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).message, 'A tiny square.');
+  const { model, messages } = upstreamBodies.at(-1);
+  assert.strictEqual(model, 'llava');
+  assert.deepStrictEqual(messages.at(-1).content, [
+    { type: 'image_url', image_url: { url: dataUrl('image/png', PNG) } },
+    { type: 'text', text: 'What is this?' },
+  ]);
+});
+
+test('/api/vision refuses bad images and models without vision before calling a model', async () => {
+  const { token } = env.createUser();
+  const calls = upstreamBodies.length;
+
+  const invalid = await env.request('POST', '/api/vision', { token, body: { image: dataUrl('image/png', JPEG) } });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual((await invalid.json()).code, 'invalid_image');
+
+  const tooLarge = await env.request('POST', '/api/vision', { token, body: { image: dataUrl('image/png', Buffer.concat([PNG, Buffer.alloc(1024)])) } });
+  assert.strictEqual(tooLarge.status, 413);
+  assert.strictEqual((await tooLarge.json()).code, 'image_too_large');
+
+  const textOnly = await env.request('POST', '/api/vision', { token, body: { image: dataUrl('image/png', PNG), model: 'test-model' } });
+  assert.strictEqual(textOnly.status, 400);
+  assert.strictEqual((await textOnly.json()).code, 'vision_unavailable');
+
+  assert.strictEqual(upstreamBodies.length, calls);
+});
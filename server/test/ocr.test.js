@@ -0,0 +1,83 @@
+/**
+ * Server-side text recognition
+ *
+ * Uses the tesseract-cli engine with a fake `tesseract` script that records
+ * its arguments and prints canned TSV output.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment({ OCR_ENGINE: 'tesseract-cli', OCR_LANGUAGES: 'eng, deu,jpn' });
+
+// Two words on one line, then an empty row and a word in a second paragraph
+const TSV = [
+  'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext',
+  '5\t1\t1\t1\t1\t1\t10\t20\t50\t12\t96.5\tHello',
+  '5\t1\t1\t1\t1\t2\t70\t20\t60\t12\t90.1\tworld',
+  '5\t1\t2\t1\t1\t1\t10\t60\t40\t12\t-1\t',
+  '5\t1\t2\t1\t1\t2\t10\t60\t40\t12\t88.0\tAgain',
+].join('\n');
+
+const argumentsFile = path.join(env.dataDir, 'tesseract-arguments');
+const outputFile = path.join(env.dataDir, 'tesseract-output.tsv');
+fs.writeFileSync(outputFile, `${TSV}\n`);
+process.env.OCR_CLI_PATH = path.join(env.dataDir, 'tesseract');
+fs.writeFileSync(process.env.OCR_CLI_PATH, `#!/bin/sh\necho "$@" > '${argumentsFile}'\ncat > /dev/null\ncat '${outputFile}'\n`, { mode: 0o755 });
+
+const { getAllowedLanguages, normalizeLanguage } = require('../ocr');
+
+// Smallest data a PNG can start with
+const PNG = `data:image/png;base64,${Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]).toString('base64')}`;
+
+before(() => env.start());
+after(() => env.stop());
+
+test('the allowed languages come from OCR_LANGUAGES', () => {
+  assert.deepStrictEqual(getAllowedLanguages(), ['eng', 'deu', 'jpn']);
+});
+
+test('language combinations are put in one canonical form', () => {
+  assert.strictEqual(normalizeLanguage('eng'), 'eng');
+  assert.strictEqual(normalizeLanguage('jpn+eng+deu+eng'), 'deu+eng+jpn');
+});
+
+test('languages that are not allowed or not language codes are refused', () => {
+  for (const language of ['fra', 'eng+fra', 'eng+', 'ENG', '../eng', 42]) {
+    assert.strictEqual(normalizeLanguage(language), null, String(language));
+  }
+});
+
+test('/api/ocr returns the text with word confidences and boxes', async () => {
+  const { token } = env.createUser();
+  const response = await env.request('POST', '/api/ocr', { token, body: { image: PNG, language: 'eng+deu' } });
+
+  assert.strictEqual(response.status, 200);
+  const result = await response.json();
+  assert.strictEqual(result.text, 'Hello world\n\nAgain');
+  assert.strictEqual(result.language, 'deu+eng');
+  assert.strictEqual(result.engine, 'tesseract-cli');
+  assert.strictEqual(result.confidence, 91.5);
+  assert.deepStrictEqual(result.words[1], { text: 'world', confidence: 90.1, bbox: { x0: 70, y0: 20, x1: 130, y1: 32 } });
+  assert.strictEqual(fs.readFileSync(argumentsFile, 'utf8').trim(), 'stdin stdout -l deu+eng tsv');
+});
+
+test('/api/ocr refuses bad images and languages before recognizing anything', async () => {
+  const { token } = env.createUser();
+  fs.rmSync(argumentsFile, { force: true });
+
+  const invalid = await env.request('POST', '/api/ocr', { token, body: { image: 'not an image' } });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual((await invalid.json()).code, 'invalid_image');
+
+  const unsupported = await env.request('POST', '/api/ocr', { token, body: { image: PNG, language: 'fra' } });
+  assert.strictEqual(unsupported.status, 400);
+  const body = await unsupported.json();
+  assert.strictEqual(body.code, 'unsupported_language');
+  assert.match(body.error, /eng, deu, jpn/);
+
+  assert.ok(!fs.existsSync(argumentsFile));
+});
@@ -0,0 +1,95 @@
+/**
+ * Streaming through the provider adapters
+ *
+ * Each adapter reads its upstream's Server-Sent Events from a fake server
+ * that sends the stream a few bytes at a time, so multi-byte characters
+ * arrive split between chunks.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { listen, close } = require('./helpers');
+const { createOpenAIProvider } = require('../providers/openai');
+const { createAnthropicProvider } = require('../providers/anthropic');
+const { createGeminiProvider } = require('../providers/gemini');
+
+const TEXT = 'Ünïcödé 日本語 👍';
+
+// Event streams in each provider's format, keyed by request path
+const STREAMS = {
+  '/v1/chat/completions': [
+    `data: ${JSON.stringify({ choices: [{ delta: { content: TEXT }, finish_reason: null }] })}`,
+    `data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }] })}`,
+    'data: [DONE]',
+  ],
+  '/v1/messages': [
+    `event: message_start\ndata: ${JSON.stringify({ message: { usage: { input_tokens: 5 } } })}`,
+    `event: content_block_delta\ndata: ${JSON.stringify({ delta: { type: 'text_delta', text: TEXT } })}`,
+    `event: message_delta\ndata: ${JSON.stringify({ delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 9 } })}`,
+  ],
+  '/v1beta/models/test-model:streamGenerateContent': [
+    `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: TEXT }] }, finishReason: 'STOP' }] })}`,
+  ],
+};
+
+// Bytes per chunk written to the socket
+const CHUNK_BYTES = 5;
+
+let upstream;
+let baseUrl;
+
+before(async () => {
+  upstream = http.createServer(async (req, res) => {
+    const events = STREAMS[req.url.split('?')[0]];
+    const body = Buffer.from(events.map(event => `${event}\n\n`).join(''));
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (let offset = 0; offset < body.length; offset += CHUNK_BYTES) {
+      res.write(body.subarray(offset, offset + CHUNK_BYTES));
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    res.end();
+  });
+  baseUrl = await listen(upstream);
+});
+
+after(() => close(upstream));
+
+/**
+ * Streams an answer and joins its text
+ * @param {Object} provider - Provider adapter
+ * @returns {Promise<Object>} The `text` and the `done` event
+ */
+async function streamAnswer(provider) {
+  let text = '';
+  let done = null;
+  for await (const event of provider.stream({ model: 'test-model', messages: [{ role: 'user', content: 'Hi' }], temperature: 0.7, maxTokens: 100 })) {
+    if (event.type === 'delta') text += event.content;
+    if (event.type === 'done') done = event;
+  }
+  return { text, done };
+}
+
+test('the OpenAI adapter keeps characters split between chunks', async () => {
+  const provider = createOpenAIProvider({ name: 'openai-compatible', label: 'Test', baseURL: `${baseUrl}/v1`, defaultModel: 'test-model' });
+  const { text, done } = await streamAnswer(provider);
+
+  assert.strictEqual(text, TEXT);
+  assert.strictEqual(done.finishReason, 'stop');
+});
+
+test('the Anthropic adapter keeps characters split between chunks', async () => {
+  const provider = createAnthropicProvider({ baseURL: baseUrl, apiKey: 'test-key', defaultModel: 'test-model' });
+  const { text, done } = await streamAnswer(provider);
+
+  assert.strictEqual(text, TEXT);
+  assert.strictEqual(done.finishReason, 'stop');
+});
+
+test('the Gemini adapter keeps characters split between chunks', async () => {
+  const provider = createGeminiProvider({ baseURL: baseUrl, apiKey: 'test-key', defaultModel: 'test-model' });
+  const { text, done } = await streamAnswer(provider);
+
+  assert.strictEqual(text, TEXT);
+  assert.strictEqual(done.finishReason, 'stop');
+});
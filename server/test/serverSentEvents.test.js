@@ -0,0 +1,38 @@
+/**
+ * Parsing upstream Server-Sent Events that arrive in arbitrary chunks
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { readServerSentEvents } = require('../providers/shared');
+
+/**
+ * Reads every event of a stream made of the given chunks
+ * @param {Array<Buffer>} chunks - Chunks as they arrive from the network
+ * @returns {Promise<Array<Object>>} The events
+ */
+async function readEvents(chunks) {
+  const events = [];
+  for await (const event of readServerSentEvents(Readable.from(chunks))) {
+    events.push(event);
+  }
+  return events;
+}
+
+test('a character split between chunks is decoded whole', async () => {
+  const bytes = Buffer.from('data: 日本語 👍\n\n');
+  // Split inside the three bytes of 本 and the four bytes of 👍
+  const chunks = [bytes.subarray(0, 10), bytes.subarray(10, 20), bytes.subarray(20)];
+
+  assert.deepStrictEqual(await readEvents(chunks), [{ event: 'message', data: '日本語 👍' }]);
+});
+
+test('events are split on blank lines, with CRLF line endings too', async () => {
+  const chunks = ['event: delta\r\ndata: {"a":1}\r', '\n\r\ndata: second\n', 'data: line\n\n: comment\n\n'].map(text => Buffer.from(text));
+
+  assert.deepStrictEqual(await readEvents(chunks), [
+    { event: 'delta', data: '{"a":1}' },
+    { event: 'message', data: 'second\nline' },
+  ]);
+});
@@ -0,0 +1,81 @@
+/**
+ * Expiring key-value store, run against the memory and SQLite drivers
+ *
+ * The Redis driver needs a server and is not covered here.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment();
+const { createStore } = require('../store');
+
+after(() => env.stop());
+
+const MINUTE_MS = 60 * 1000;
+
+for (const driver of ['memory', 'sqlite']) {
+  test(`${driver}: values are returned until they are deleted`, async () => {
+    const store = createStore('test-values', driver);
+    await store.set('answer', { messages: ['Hello'], partial: 'The answer' }, MINUTE_MS);
+
+    assert.deepStrictEqual(await store.get('answer'), { messages: ['Hello'], partial: 'The answer' });
+    // Reading doesn't use the value up
+    assert.deepStrictEqual(await store.get('answer'), { messages: ['Hello'], partial: 'The answer' });
+    assert.strictEqual(await store.get('missing'), null);
+
+    await store.delete('answer');
+    assert.strictEqual(await store.get('answer'), null);
+    await store.close();
+  });
+
+  test(`${driver}: take returns a value only once`, async () => {
+    const store = createStore('test-take', driver);
+    await store.set('answer', 'The answer', MINUTE_MS);
+
+    assert.strictEqual(await store.take('answer'), 'The answer');
+    assert.strictEqual(await store.take('answer'), null);
+    assert.strictEqual(await store.get('answer'), null);
+    await store.close();
+  });
+
+  test(`${driver}: stored values are copies`, async () => {
+    const store = createStore('test-copies', driver);
+    const value = { messages: ['Hello'] };
+    await store.set('answer', value, MINUTE_MS);
+    value.messages.push('Changed');
+
+    assert.deepStrictEqual(await store.get('answer'), { messages: ['Hello'] });
+    await store.close();
+  });
+
+  test(`${driver}: expired values are never returned`, async () => {
+    const store = createStore('test-expiry', driver);
+    await store.set('short', 'Gone soon', 10);
+    await store.set('long', 'Still here', MINUTE_MS);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.strictEqual(await store.get('short'), null);
+    assert.strictEqual(await store.take('short'), null);
+    assert.strictEqual(await store.get('long'), 'Still here');
+    await store.close();
+  });
+}
+
+test('sqlite: namespaces keep their keys apart', async () => {
+  const continuations = createStore('test-continuations', 'sqlite');
+  const drafts = createStore('test-drafts', 'sqlite');
+  await continuations.set('shared-key', 'continuation', MINUTE_MS);
+  await drafts.set('shared-key', 'draft', MINUTE_MS);
+
+  assert.strictEqual(await continuations.get('shared-key'), 'continuation');
+  await drafts.delete('shared-key');
+  assert.strictEqual(await continuations.get('shared-key'), 'continuation');
+  await continuations.close();
+  await drafts.close();
+});
+
+test('an unknown driver is refused', () => {
+  assert.throws(() => createStore('test', 'memcached'), /Unknown STORE_DRIVER "memcached"/);
+});
@@ -0,0 +1,64 @@
+/**
+ * Usage metering of streamed chat answers the client stops before the end
+ *
+ * Runs the server against a fake OpenAI-compatible upstream that streams a
+ * few pieces of text and then stalls, like a long answer still being
+ * written when the user presses Stop.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { close, createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment();
+
+let upstream;
+const upstreamRequests = [];
+
+before(async () => {
+  // Streams three chunks, then keeps the response open without finishing
+  upstream = await env.startUpstream((req, res) => {
+    upstreamRequests.push(res);
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const content of ['The answer ', 'is being ', 'written']) {
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content }, finish_reason: null }] })}\n\n`);
+    }
+  });
+  await env.start();
+});
+
+after(async () => {
+  upstreamRequests.forEach(res => res.destroy());
+  await close(upstream);
+  await env.stop();
+});
+
+test('an aborted stream still counts against the usage', async () => {
+  const { getUsageSummary } = require('../usage');
+  const { token, userId } = env.createUser();
+
+  const controller = new AbortController();
+  const response = await env.request('POST', '/api/chat', {
+    token,
+    body: { messages: [{ role: 'user', content: 'Explain monads' }], stream: true, model: 'test-model' },
+    signal: controller.signal,
+  });
+  assert.strictEqual(response.status, 200);
+
+  // Stop once the first text has arrived
+  const reader = response.body.getReader();
+  const { value } = await reader.read();
+  assert.match(Buffer.from(value).toString(), /event: delta/);
+  controller.abort();
+
+  // The server notices the disconnect and records what was generated
+  let day;
+  for (let i = 0; i < 50; i++) {
+    day = getUsageSummary(userId).day;
+    if (day.requests > 0) break;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.strictEqual(day.requests, 1);
+  assert.ok(day.promptTokens > 0, 'prompt tokens are estimated');
+  assert.ok(day.completionTokens > 0, 'streamed text is counted');
+});
@@ -0,0 +1,122 @@
+/**
+ * Usage periods and quota enforcement
+ *
+ * The clock is stubbed so usage can be recorded on different days, and
+ * enforceQuota runs against a minimal request and response.
+ */
+
+const { test, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createTestEnvironment } = require('./helpers');
+
+const env = createTestEnvironment({ QUOTA_DAILY_TOKENS: '1000', QUOTA_MONTHLY_TOKENS: '5000' });
+
+const { recordUsage, getUsageSummary, enforceQuota } = require('../usage');
+
+// Half an hour before the end of a month
+const NOW = Date.UTC(2026, 2, 31, 23, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let nextUserId = 1;
+
+/**
+ * Records usage as if it happened at a given time
+ * @param {string} userId - User the usage belongs to
+ * @param {number} totalTokens - Tokens used
+ * @param {number} time - When the request was made
+ */
+function recordAt(userId, totalTokens, time) {
+  mock.method(Date, 'now', () => time);
+  recordUsage(userId, {
+    provider: 'openai-compatible',
+    model: 'test-model',
+    usage: { promptTokens: totalTokens, completionTokens: 0, totalTokens },
+  });
+  mock.restoreAll();
+}
+
+/**
+ * Runs enforceQuota for a user at a given time
+ * @param {string} userId - User making the request
+ * @param {number} time - When the request is made
+ * @returns {Object} `next` (whether the request went through), `status`, `headers` and `body`
+ */
+function checkQuota(userId, time) {
+  mock.method(Date, 'now', () => time);
+  const result = { next: false, status: 200, headers: {}, body: null };
+  const res = {
+    set(name, value) { result.headers[name] = value; return this; },
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; },
+  };
+  enforceQuota({ user: { id: userId } }, res, () => { result.next = true; });
+  mock.restoreAll();
+  return result;
+}
+
+afterEach(() => mock.restoreAll());
+
+after(() => env.stop());
+
+test('days and months are calendar periods in UTC', () => {
+  mock.method(Date, 'now', () => NOW);
+  const summary = getUsageSummary(`user-${nextUserId++}`);
+
+  assert.strictEqual(summary.day.periodStart, '2026-03-31T00:00:00.000Z');
+  assert.strictEqual(summary.day.resetAt, '2026-04-01T00:00:00.000Z');
+  assert.strictEqual(summary.month.periodStart, '2026-03-01T00:00:00.000Z');
+  assert.strictEqual(summary.month.resetAt, '2026-04-01T00:00:00.000Z');
+  assert.deepStrictEqual(summary.day.limits, { tokens: 1000, costUsd: null });
+});
+
+test('usage counts towards the period it happened in', () => {
+  const userId = `user-${nextUserId++}`;
+  recordAt(userId, 400, NOW - 2 * DAY_MS);
+  recordAt(userId, 300, NOW);
+  recordAt(userId, 900, Date.UTC(2026, 1, 28, 12));
+
+  mock.method(Date, 'now', () => NOW);
+  const summary = getUsageSummary(userId);
+  assert.strictEqual(summary.day.totalTokens, 300);
+  assert.strictEqual(summary.day.requests, 1);
+  assert.strictEqual(summary.month.totalTokens, 700);
+  assert.strictEqual(summary.month.requests, 2);
+});
+
+test('a user under the quotas is let through', () => {
+  const userId = `user-${nextUserId++}`;
+  recordAt(userId, 999, NOW);
+
+  assert.strictEqual(checkQuota(userId, NOW).next, true);
+});
+
+test('the daily quota answers 429 until the next day', () => {
+  const userId = `user-${nextUserId++}`;
+  recordAt(userId, 1000, NOW);
+
+  const rejected = checkQuota(userId, NOW);
+  assert.strictEqual(rejected.next, false);
+  assert.strictEqual(rejected.status, 429);
+  assert.strictEqual(rejected.headers['Retry-After'], '1800');
+  assert.strictEqual(rejected.body.code, 'quota_exceeded');
+  assert.strictEqual(rejected.body.period, 'day');
+  assert.strictEqual(rejected.body.resetAt, '2026-04-01T00:00:00.000Z');
+
+  assert.strictEqual(checkQuota(userId, NOW + DAY_MS).next, true);
+});
+
+test('the monthly quota answers 402 and takes precedence over the daily one', () => {
+  const userId = `user-${nextUserId++}`;
+  recordAt(userId, 4500, NOW - 3 * DAY_MS);
+  recordAt(userId, 1000, Date.UTC(2026, 2, 31, 11));
+
+  const rejected = checkQuota(userId, Date.UTC(2026, 2, 31, 12));
+  assert.strictEqual(rejected.status, 402);
+  assert.strictEqual(rejected.headers['Retry-After'], String(12 * 60 * 60));
+  assert.strictEqual(rejected.body.period, 'month');
+  assert.strictEqual(rejected.body.metric, 'tokens');
+  assert.strictEqual(rejected.body.used, 5500);
+
+  // A new month starts with nothing used
+  assert.strictEqual(checkQuota(userId, NOW + DAY_MS).next, true);
+});
@@ -0,0 +1,229 @@
+/**
+ * Usage Metering and Quotas
+ *
+ * Records the tokens and estimated cost of every AI request per user and
+ * enforces optional daily and monthly quotas. Periods are calendar days and
+ * months in UTC. Quotas are configured with environment variables; a limit
+ * that is unset or 0 is not enforced:
+ *
+ *   QUOTA_DAILY_TOKENS      tokens per user per day
+ *   QUOTA_DAILY_COST_USD    estimated cost per user per day
+ *   QUOTA_MONTHLY_TOKENS    tokens per user per month
+ *   QUOTA_MONTHLY_COST_USD  estimated cost per user per month
+ *
+ * A user over a daily limit gets 429 Too Many Requests (with Retry-After),
+ * a user over a monthly limit gets 402 Payment Required. Both responses say
+ * which limit was hit and when it resets.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+const { ensureSchema } = require('./db');
+const { findModel } = require('./models');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS usage_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    prompt_tokens INTEGER NOT NULL,
+    completion_tokens INTEGER NOT NULL,
+    total_tokens INTEGER NOT NULL,
+    cost_usd REAL NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS usage_events_user ON usage_events (user_id, created_at);
+`;
+
+/**
+ * Returns the database with the usage table created
+ * @returns {Database} Database handle
+ */
+function db() {
+  return ensureSchema('usage', SCHEMA);
+}
+
+/**
+ * Reads a numeric limit from the environment
+ *
+ * @param {string} name - Environment variable
+ * @returns {number|null} The limit, or null when it isn't enforced
+ */
+function readLimit(name) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : null;
+}
+
+/**
+ * Returns the configured quotas
+ *
+ * @returns {Object} Limits for `day` and `month`, each with `tokens` and `costUsd` (null = unlimited)
+ */
+function getQuotas() {
+  return {
+    day: { tokens: readLimit('QUOTA_DAILY_TOKENS'), costUsd: readLimit('QUOTA_DAILY_COST_USD') },
+    month: { tokens: readLimit('QUOTA_MONTHLY_TOKENS'), costUsd: readLimit('QUOTA_MONTHLY_COST_USD') },
+  };
+}
+
+/**
+ * Works out when the current day or month started and when it ends (UTC)
+ *
+ * @param {string} period - 'day' or 'month'
+ * @param {number} now - Current time in milliseconds
+ * @returns {{start: number, end: number}} Period bounds in milliseconds
+ */
+function periodBounds(period, now = Date.now()) {
+  const date = new Date(now);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  if (period === 'month') {
+    return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+  }
+  const day = date.getUTCDate();
+  return { start: Date.UTC(year, month, day), end: Date.UTC(year, month, day + 1) };
+}
+
+/**
+ * Estimates the cost of a request from the model's pricing
+ *
+ * @param {string} modelId - Model that served the request
+ * @param {Object} usage - Normalized usage (promptTokens, completionTokens)
+ * @returns {number} Cost in USD (0 when the model has no pricing)
+ */
+function estimateCost(modelId, usage) {
+  const pricing = findModel(modelId)?.pricing;
+  if (!pricing) return 0;
+  return (usage.promptTokens * (pricing.input || 0) + usage.completionTokens * (pricing.output || 0)) / 1e6;
+}
+
+/**
+ * Records the usage of a completed request
+ *
+ * @param {string} userId - User the request belongs to
+ * @param {Object} request - What was used
+ * @param {string} request.provider - Provider name
+ * @param {string} request.model - Model ID
+ * @param {Object} request.usage - Normalized usage
+ * @returns {number} Estimated cost in USD
+ */
+function recordUsage(userId, { provider, model, usage }) {
+  const costUsd = estimateCost(model, usage);
+
+  db().prepare(`
+    INSERT INTO usage_events
+      (user_id, provider, model, prompt_tokens, completion_tokens, total_tokens, cost_usd, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, provider, model, usage.promptTokens, usage.completionTokens, usage.totalTokens, costUsd, Date.now());
+
+  return costUsd;
+}
+
+/**
+ * Sums a user's usage between two times
+ *
+ * @param {string} userId - User to sum for
+ * @param {number} start - Start time (inclusive)
+ * @param {number} end - End time (exclusive)
+ * @returns {Object} requests, promptTokens, completionTokens, totalTokens and costUsd
+ */
+function sumUsage(userId, start, end) {
+  return db().prepare(`
+    SELECT COUNT(*) AS requests,
+           COALESCE(SUM(prompt_tokens), 0) AS promptTokens,
+           COALESCE(SUM(completion_tokens), 0) AS completionTokens,
+           COALESCE(SUM(total_tokens), 0) AS totalTokens,
+           COALESCE(SUM(cost_usd), 0) AS costUsd
+    FROM usage_events WHERE user_id = ? AND created_at >= ? AND created_at < ?
+  `).get(userId, start, end);
+}
+
+/**
+ * Summarizes a user's usage for today and this month, with the quotas
+ * that apply and a per-model breakdown of the month
+ *
+ * @param {string} userId - User to summarize
+ * @returns {Object} Usage summary as returned by /api/usage
+ */
+function getUsageSummary(userId) {
+  const quotas = getQuotas();
+  const summary = {};
+
+  for (const period of ['day', 'month']) {
+    const { start, end } = periodBounds(period);
+    summary[period] = {
+      ...sumUsage(userId, start, end),
+      limits: quotas[period],
+      periodStart: new Date(start).toISOString(),
+      resetAt: new Date(end).toISOString(),
+    };
+  }
+
+  const { start, end } = periodBounds('month');
+  summary.month.byModel = db().prepare(`
+    SELECT provider, model, COUNT(*) AS requests,
+           SUM(total_tokens) AS totalTokens, SUM(cost_usd) AS costUsd
+    FROM usage_events WHERE user_id = ? AND created_at >= ? AND created_at < ?
+    GROUP BY provider, model ORDER BY totalTokens DESC
+  `).all(userId, start, end);
+
+  return summary;
+}
+
+/**
+ * Finds the first quota a user has used up, checking the month first
+ * since it lasts longer
+ *
+ * @param {string} userId - User to check
+ * @returns {Object|null} The exceeded quota (period, metric, limit, used, resetAt), or null
+ */
+function findExceededQuota(userId) {
+  const quotas = getQuotas();
+
+  for (const period of ['month', 'day']) {
+    const limits = quotas[period];
+    if (limits.tokens === null && limits.costUsd === null) continue;
+
+    const { start, end } = periodBounds(period);
+    const used = sumUsage(userId, start, end);
+    if (limits.tokens !== null && used.totalTokens >= limits.tokens) {
+      return { period, metric: 'tokens', limit: limits.tokens, used: used.totalTokens, resetAt: end };
+    }
+    if (limits.costUsd !== null && used.costUsd >= limits.costUsd) {
+      return { period, metric: 'costUsd', limit: limits.costUsd, used: used.costUsd, resetAt: end };
+    }
+  }
+  return null;
+}
+
+/**
+ * Express middleware that rejects requests from users over their quota
+ */
+function enforceQuota(req, res, next) {
+  const exceeded = findExceededQuota(req.user.id);
+  if (!exceeded) return next();
+
+  const resetAt = new Date(exceeded.resetAt).toISOString();
+  const what = exceeded.metric === 'tokens' ? 'token' : 'spending';
+  const status = exceeded.period === 'month' ? 402 : 429;
+
+  res.set('Retry-After', String(Math.ceil((exceeded.resetAt - Date.now()) / 1000)));
+  res.status(status).json({
+    error: `You have reached your ${exceeded.period === 'month' ? 'monthly' : 'daily'} ${what} limit. It resets at ${resetAt}.`,
+    code: 'quota_exceeded',
+    period: exceeded.period,
+    metric: exceeded.metric,
+    limit: exceeded.limit,
+    used: exceeded.used,
+    resetAt,
+  });
+}
+
+module.exports = {
+  recordUsage,
+  getUsageSummary,
+  enforceQuota,
+};
@@ -7,14 +7,16 @@
  * 
  * The component is designed to be minimal and lightweight, serving primarily
  * as a container for the main chat interface when accessed via the extension
- * toolbar button.
+ * toolbar button. When the popup is opened for a query typed in the address
+ * bar, it asks that query straight away.
  * 
  * @author Saketh Sripada
  * @version 1.0.0
  */
 
-import React, { useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import AIResponseAlert from './Components/AIResponseAlert';
+import { takePendingPopupQuery } from './omnibox';
 import './App.css';
 
 /**
@@ -30,12 +32,26 @@ function App() {
   // Reference to the AIResponseAlert component for potential external control
   const aiResponseAlertRef = useRef(null);
 
+  // Query from the address bar, null until looked up
+  const [initialQuery, setInitialQuery] = useState(null);
+
+  useEffect(() => {
+    takePendingPopupQuery()
+      .catch((error) => {
+        console.error('Failed to read the address bar query:', error);
+        return '';
+      })
+      .then(setInitialQuery);
+  }, []);
+
+  if (initialQuery === null) return null;
+
   return (
     <div>
       {/* Main AI chat interface in popup mode - removes draggable/docking features */}
       <AIResponseAlert 
         ref={aiResponseAlertRef} 
-        initialQuery="" 
+        initialQuery={initialQuery} 
         isPopup={true} 
       />
     </div>
@@ -10,22 +10,35 @@
  * - Resizable and draggable chat window
  * - Docking to screen edges with responsive design
  * - Dark/Light theme support with persistence
+ * - Model selection from the models offered by the backend
  * - Voice input using Web Speech Recognition
  * - Math expression rendering via iframe sandbox
  * - Code syntax highlighting
+ * - Streaming AI responses rendered as they are generated, and stopped on request
+ * - Questions about captured images answered by a vision model
+ * - Captured images kept as attachments of the messages, saved with the conversation
  * - Continuation of incomplete AI responses
- * - Popup mode for extension popup interface
+ * - Conversations saved on the server and resumed from the popup or any tab
+ * - Usage meter showing today's tokens, this month's cost and quota progress
+ * - Theme, default model, temperature and privacy choices from the user settings
+ * - Popup mode for extension popup interface, also filling Chrome's side panel or a ClickAI tab
  * 
  * @component
  * @param {Object} props - Component props
  * @param {string} props.initialQuery - Initial message to send to AI
+ * @param {string} props.initialImage - Captured image (data URL) to ask about; initialQuery is then the optional prompt
+ * @param {string} props.initialAttachment - Captured image (data URL) the initial query was read from; it is
+ *   attached to the message but not sent to the model
  * @param {boolean} props.isPopup - Whether component is rendered in popup mode
+ * @param {boolean} props.fillHeight - Whether the popup-mode chat fills the page's height (side panel, ClickAI tab)
+ * @param {Function} props.onSnip - Starts a capture from popup mode, where the page can't be snipped directly
  * @param {React.Ref} ref - Forward ref for parent component access
  */
 
 import React, {
   useState,
   useEffect,
+  useCallback,
   useRef,
   forwardRef,
   useImperativeHandle,
@@ -36,8 +49,93 @@ import { Box, Paper } from '@mui/material';
 import ChatHeader from './ChatHeader';
 import ChatContent from './ChatContent';
 import ChatFooter from './ChatFooter';
+import UsageMeter from './UsageMeter';
+import {
+  streamChat,
+  streamVision,
+  fetchModels,
+  fetchUsage,
+  listConversations,
+  getConversation,
+  createConversation,
+  updateConversation,
+  appendMessages,
+  updateMessage,
+} from '../api';
+import { getSettings, saveSettings, onSettingsChanged } from '../settings';
+import { recordPrompt } from '../promptHistory';
+
+// Storage key of the saved conversation the popup and every tab resume
+const ACTIVE_CONVERSATION_KEY = 'clickaiActiveConversationId';
+
+// Server errors whose message is written for the user
+const USER_FACING_ERRORS = ['quota_exceeded', 'image_too_large', 'invalid_image', 'vision_unavailable', 'continuation_expired'];
 
-const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
+/**
+ * Picks the text shown in the chat for a failed request
+ * @param {Error} error - Error the request rejected with
+ * @returns {string} The server's message when it is written for the user, a generic one otherwise
+ */
+const chatErrorMessage = (error) => (USER_FACING_ERRORS.includes(error.code)
+  ? error.message
+  : 'Sorry, I encountered an error while processing your request. Please check your connection and try again.');
+
+// Marks the saved content of a message whose image a vision model was asked about
+const IMAGE_MARKER = '[Image]';
+
+/**
+ * Text that stands in for a message with an image. Only the question about
+ * the image is sent again with later messages, not the image itself.
+ * @param {Object} msg - Message as kept in component state
+ * @returns {string} Message text
+ */
+const messageContent = (msg) => (
+  msg.image ? `${IMAGE_MARKER}${msg.text ? ` ${msg.text}` : ''}` : msg.text
+);
+
+/**
+ * Converts chat messages into the backend's message format. Error notices
+ * are UI-only and never sent or saved.
+ * @param {Array} conversation - Messages as kept in component state
+ * @returns {Array} Messages with role, content and pinned flag
+ */
+const toApiMessages = (conversation) => conversation
+  .filter(msg => !msg.isError)
+  .map(msg => ({
+    role: msg.sender === 'user' ? 'user' : 'assistant',
+    content: messageContent(msg),
+    pinned: msg.pinned || undefined
+  }));
+
+/**
+ * Flags the messages covered by the conversation memory
+ * @param {Array} messages - Messages as kept in component state
+ * @param {Array<number>} summarized - Indexes among the messages sent to the backend
+ * @returns {Array} Messages with `summarized` set
+ */
+const markSummarized = (messages, summarized = []) => {
+  let apiIndex = 0;
+  return messages.map(msg => (
+    msg.isError ? msg : { ...msg, summarized: summarized.includes(apiIndex++) }
+  ));
+};
+
+/**
+ * Checks if content contains mathematical expressions
+ * @param {string} content - Content to check
+ * @returns {boolean} Whether content contains math
+ */
+const containsMathContent = (content) => {
+  const mathPatterns = [
+    /\\\[[\s\S]*?\\\]/,      // LaTeX display math
+    /\\\([\s\S]*?\\\)/,      // LaTeX inline math
+    /\$\$[\s\S]*?\$\$/,      // $$ display math
+    /\$[^$\n]+\$/,           // $ inline math
+  ];
+  return mathPatterns.some(pattern => pattern.test(content));
+};
+
+const AIResponseAlert = forwardRef(({ initialQuery, initialImage, initialAttachment, isPopup = false, fillHeight = false, onSnip }, ref) => {
   // Core conversation state
   const [conversation, setConversation] = useState([]);
   const [userInput, setUserInput] = useState('');
@@ -51,16 +149,32 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
   const [isDocked, setIsDocked] = useState(false);
   const [dockedWidth, setDockedWidth] = useState(350);
   
+  // Model selection state - the selected model applies to this conversation
+  const [models, setModels] = useState([]);
+  const [model, setModel] = useState(null);
+  
   // AI response continuation state
   const [continueId, setContinueId] = useState(null);
   const [isContinued, setIsContinued] = useState(false);
   
+  // Summary of older messages the server folded into conversation memory
+  const [memory, setMemory] = useState(null);
+  
+  // Saved conversation state - set once the first exchange has been stored
+  const [conversationId, setConversationId] = useState(null);
+  const [savedConversations, setSavedConversations] = useState([]);
+  
+  // Token usage and quotas reported by the server
+  const [usage, setUsage] = useState(null);
+  
   // Loading and interaction state
   const [isLoading, setIsLoading] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   
   // Component references
   const recognitionRef = useRef(null);
+  // Cancels the answer being generated
+  const requestControllerRef = useRef(null);
   const iframeRef = useRef(null);
 
   // State for managing undocked window dimensions and position
@@ -72,13 +186,46 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
   });
 
   /**
-   * Load user's preferred theme from Chrome storage on component mount
+   * Load user's preferred theme from the settings on component mount, and
+   * follow changes made on the options page or in another window
    */
   useEffect(() => {
-    chrome.storage.sync.get('clickaiTheme', (data) => {
-      setTheme(data.clickaiTheme || 'light');
-      setThemeLoaded(true);
-    });
+    getSettings()
+      .then((settings) => setTheme(settings.theme))
+      .catch((error) => {
+        console.error('Error loading settings:', error);
+        setTheme('light');
+      })
+      .finally(() => setThemeLoaded(true));
+
+    return onSettingsChanged((settings) => setTheme(settings.theme));
+  }, []);
+
+  /**
+   * Load the available models, preselecting the default model from the
+   * settings or else the last model the user picked
+   */
+  useEffect(() => {
+    Promise.all([fetchModels(), getSettings(), chrome.storage.local.get('clickaiLastModel')])
+      .then(([{ models: availableModels, defaultModel }, settings, data]) => {
+        setModels(availableModels);
+        const preferred = [settings.model, data.clickaiLastModel]
+          .find(id => id && availableModels.some(m => m.id === id));
+        // A resumed conversation keeps its model while the server still offers it
+        setModel(current => (
+          current && availableModels.some(m => m.id === current)
+            ? current
+            : (preferred || defaultModel)
+        ));
+      })
+      .catch(error => console.error('Error loading models:', error));
+  }, []);
+
+  /**
+   * Load the usage meter
+   */
+  useEffect(() => {
+    refreshUsage();
   }, []);
 
   /**
@@ -94,11 +241,19 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
    * Toggles between light and dark themes and persists the choice
    */
   const toggleTheme = () => {
-    setTheme((prevTheme) => {
-      const newTheme = prevTheme === 'light' ? 'dark' : 'light';
-      chrome.storage.sync.set({ clickaiTheme: newTheme });
-      return newTheme;
-    });
+    const newTheme = theme === 'light' ? 'dark' : 'light';
+    setTheme(newTheme);
+    saveSettings({ theme: newTheme }).catch(error => console.error('Error saving theme:', error));
+  };
+
+  /**
+   * Switches the model used for the rest of this conversation and remembers
+   * it as the starting model for new conversations
+   * @param {string} modelId - ID of the selected model
+   */
+  const handleModelChange = (modelId) => {
+    setModel(modelId);
+    chrome.storage.local.set({ clickaiLastModel: modelId });
   };
 
   /**
@@ -121,158 +276,402 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
   };
 
   /**
-   * Sends a message to the AI backend and handles the response
-   * @param {string} message - The message to send to the AI
-   * @param {boolean} isInitial - Whether this is the initial message
+   * Applies an update to the last AI message in the conversation
+   * @param {Function} update - Receives the current message and returns the fields to change
    */
-  const sendMessage = async (message, isInitial = false) => {
-    if (!message.trim() && !isInitial) return;
+  const updateLastAIMessage = (update) => {
+    setConversation(prev => {
+      const lastIndex = prev.length - 1;
+      if (!prev[lastIndex] || prev[lastIndex].sender !== 'ai') return prev;
+      const updated = [...prev];
+      updated[lastIndex] = { ...prev[lastIndex], ...update(prev[lastIndex]) };
+      return updated;
+    });
+  };
 
-    setIsLoading(true);
+  /**
+   * Starts tracking a request so the Stop button can cancel it
+   * @returns {AbortSignal} Signal to pass with the request
+   */
+  const startRequest = () => {
+    requestControllerRef.current = new AbortController();
+    return requestControllerRef.current.signal;
+  };
 
-    // Add user message to conversation (skip for initial queries from external sources)
-    const newConversation = isInitial 
-      ? [...conversation] 
-      : [...conversation, { sender: 'user', text: message }];
-    
-    setConversation(newConversation);
+  /**
+   * Stops generating the current answer. What was generated so far stays
+   * in the chat but isn't saved.
+   */
+  const handleStopGenerating = () => {
+    if (requestControllerRef.current) {
+      requestControllerRef.current.abort();
+    }
+  };
 
+  /**
+   * Ends a stopped answer: an answer that hadn't started is removed
+   */
+  const endStoppedAnswer = () => {
+    setConversation(prev => {
+      const last = prev[prev.length - 1];
+      if (!last || last.sender !== 'ai') return prev;
+      return last.text ? [...prev.slice(0, -1), { ...last, isStreaming: false }] : prev.slice(0, -1);
+    });
+  };
+
+  /**
+   * Records continuation state from a completed response
+   * @param {Object} data - Final response data from the backend
+   */
+  const handleCompletion = (data) => {
+    refreshUsage();
+
+    // Keep the conversation memory for the next request and mark which messages it covers
+    // (indexes count only the messages sent to the backend)
+    setMemory(data.memory || null);
+    setConversation(prev => markSummarized(prev, data.summarized));
+
+    // Handle incomplete responses that can be continued
+    if (data.isIncomplete && data.continueId) {
+      setContinueId(data.continueId);
+      setIsContinued(true);
+    } else {
+      setContinueId(null);
+      setIsContinued(false);
+    }
+  };
+
+  /**
+   * Reloads the usage meter
+   */
+  const refreshUsage = () => {
+    fetchUsage()
+      .then(setUsage)
+      .catch(error => console.error('Error loading usage:', error));
+  };
+
+  /**
+   * Reloads the list of saved conversations shown in the header
+   */
+  const refreshSavedConversations = () => {
+    listConversations({ limit: 20 })
+      .then(setSavedConversations)
+      .catch(error => console.error('Error loading conversations:', error));
+  };
+
+  /**
+   * Makes a saved conversation the one the popup and new windows resume
+   * @param {string|null} id - Conversation ID, or null for none
+   */
+  const setActiveConversation = useCallback((id) => {
+    setConversationId(id);
+    if (id) {
+      chrome.storage.local.set({ [ACTIVE_CONVERSATION_KEY]: id });
+    } else {
+      chrome.storage.local.remove(ACTIVE_CONVERSATION_KEY);
+    }
+  }, []);
+
+  /**
+   * Loads a saved conversation into the chat window
+   * @param {string} id - Conversation ID
+   */
+  const loadConversation = useCallback(async (id) => {
     try {
-      // Prepare messages in OpenAI format
-      const messages = newConversation.map(msg => ({
-        role: msg.sender === 'user' ? 'user' : 'assistant',
-        content: msg.text
-      }));
-
-      // Add the current message if this is an initial query
-      if (isInitial) {
-        messages.push({ role: 'user', content: message });
+      const saved = await getConversation(id);
+      setConversation(markSummarized(saved.messages.map(msg => {
+        const attachments = msg.attachments?.length ? msg.attachments : undefined;
+        // The marker is restored by messageContent when the message is sent again
+        const askedAboutImage = attachments && msg.content.startsWith(IMAGE_MARKER);
+        return {
+          id: msg.id,
+          sender: msg.role === 'user' ? 'user' : 'ai',
+          text: askedAboutImage ? msg.content.slice(IMAGE_MARKER.length).trimStart() : msg.content,
+          image: askedAboutImage ? attachments[0].data : undefined,
+          attachments,
+          model: msg.model,
+          pinned: msg.pinned
+        };
+      }), saved.memory?.summarized));
+      setMemory(saved.memory);
+      setContinueId(null);
+      setIsContinued(false);
+      if (saved.model) setModel(saved.model);
+      setContainsMath(saved.messages.some(msg => containsMathContent(msg.content)));
+      setActiveConversation(saved.id);
+    } catch (error) {
+      console.error('Error loading conversation:', error);
+      // Forget conversations that were deleted elsewhere
+      if (error.status === 404) setActiveConversation(null);
+    }
+  }, [setActiveConversation]);
+
+  // Windows opened for a new capture start a new conversation
+  const opensCapture = Boolean((initialQuery && initialQuery.trim()) || initialImage);
+
+  /**
+   * Load the saved conversation list, and resume the active conversation
+   * unless this window was opened for a new capture
+   */
+  useEffect(() => {
+    refreshSavedConversations();
+    if (opensCapture) return;
+
+    chrome.storage.local.get(ACTIVE_CONVERSATION_KEY, (data) => {
+      if (data[ACTIVE_CONVERSATION_KEY]) {
+        loadConversation(data[ACTIVE_CONVERSATION_KEY]);
       }
+    });
+  }, [opensCapture, loadConversation]);
 
-      // Make API request to the backend server
-      const response = await fetch(`https://${process.env.BASE_URL}/api/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-extension-secret': process.env.EXTENSION_SECRET,
-        },
-        body: JSON.stringify({
-          messages,
-          temperature: 0.7,
-          continueId: continueId
-        }),
-      });
+  /**
+   * Clears the chat window; the next message starts a new saved conversation
+   */
+  const startNewConversation = () => {
+    setConversation([]);
+    setMemory(null);
+    setContinueId(null);
+    setIsContinued(false);
+    setContainsMath(false);
+    setActiveConversation(null);
+  };
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+  /**
+   * Handles picking a conversation in the header
+   * @param {string} id - Conversation ID, or '' for a new conversation
+   */
+  const handleConversationSelect = (id) => {
+    if (id) {
+      loadConversation(id);
+    } else {
+      startNewConversation();
+    }
+  };
+
+  /**
+   * Saves a completed exchange, creating the conversation on the first one.
+   * Saving is best-effort: the chat keeps working if the server can't store it.
+   * Nothing is saved when the user turned saving off, and images only when
+   * they allow it.
+   * @param {Array} exchange - Messages to store, in backend format
+   * @param {number} startIndex - Position of the first of them in the conversation state
+   * @param {Object} data - Final response data from the backend
+   */
+  const saveExchange = async (exchange, startIndex, data) => {
+    try {
+      const { saveConversations, saveImages } = await getSettings();
+      if (!saveConversations) return;
+      if (!saveImages) {
+        exchange = exchange.map(({ attachments, ...msg }) => msg);
       }
 
-      const data = await response.json();
-
-      // Handle the AI response
-      const finalConversation = isInitial 
-        ? [
-            ...newConversation,
-            { sender: 'user', text: message },
-            { sender: 'ai', text: data.message }
-          ]
-        : [
-            ...newConversation,
-            { sender: 'ai', text: data.message }
-          ];
-
-      setConversation(finalConversation);
-
-      // Handle incomplete responses that can be continued
-      if (data.isIncomplete && data.continueId) {
-        setContinueId(data.continueId);
-        setIsContinued(true);
+      let stored;
+      if (conversationId) {
+        stored = await appendMessages(conversationId, exchange);
+        await updateConversation(conversationId, { model: data.model, memory: data.memory || null });
       } else {
-        setContinueId(null);
-        setIsContinued(false);
+        const created = await createConversation({ model: data.model, memory: data.memory, messages: exchange });
+        stored = created.messages;
+        setActiveConversation(created.id);
       }
 
+      // Remember the server IDs so pins and continuations can be saved later
+      setConversation(prev => prev.map((msg, i) => (
+        i >= startIndex && i < startIndex + stored.length ? { ...msg, id: stored[i - startIndex].id } : msg
+      )));
+      refreshSavedConversations();
+    } catch (error) {
+      console.error('Error saving conversation:', error);
+    }
+  };
+
+  /**
+   * Sends a message to the AI backend and streams the response into the chat
+   * @param {string} message - The message to send to the AI
+   * @param {boolean} isInitial - Whether this is the initial message
+   * @param {string} image - Image (data URL) the message asks about, sent to a vision model
+   * @param {string} attachment - Image (data URL) kept with the message without sending it to the model,
+   *   e.g. the capture its text was read from
+   */
+  const sendMessage = async (message, isInitial = false, image = null, attachment = null) => {
+    if (!message.trim() && !isInitial) return;
+
+    setIsLoading(true);
+
+    // Add the user message and an empty AI message that deltas stream into.
+    // Captured images stay on the message as attachments, whether or not the model sees them.
+    const attached = image || attachment;
+    const userMessage = {
+      sender: 'user',
+      text: message,
+      ...(image && { image }),
+      ...(attached && { attachments: [{ type: 'image', data: attached }] }),
+    };
+    const newConversation = [...conversation, userMessage];
+    setConversation([...newConversation, { sender: 'ai', text: '', isStreaming: true }]);
+
+    try {
+      const { temperature } = await getSettings();
+      const messages = toApiMessages(newConversation);
+      const onDelta = (content) => updateLastAIMessage(msg => ({ text: msg.text + content }));
+      const signal = startRequest();
+
+      // A new question starts a new answer - any pending continuation is dropped.
+      // Truncated answers are continued server-side before falling back to the button.
+      // Images go to the vision endpoint, which uses the selected model only if it accepts images.
+      const data = image
+        ? await streamVision(
+          {
+            image,
+            prompt: message,
+            messages: messages.slice(0, -1),
+            model: models.find(m => m.id === model)?.vision ? model : undefined,
+            temperature,
+            memory: memory || undefined,
+            autoContinue: true
+          },
+          { onDelta, signal }
+        )
+        : await streamChat(
+          {
+            messages,
+            model: model || undefined,
+            temperature,
+            memory: memory || undefined,
+            autoContinue: true
+          },
+          { onDelta, signal }
+        );
+
+      updateLastAIMessage(() => ({ text: data.message, model: data.model, isStreaming: false }));
+      handleCompletion(data);
+      saveExchange([
+        { role: 'user', content: messageContent(userMessage), attachments: userMessage.attachments },
+        { role: 'assistant', content: data.message, model: data.model }
+      ], conversation.length, data);
+
       // Check if the response contains mathematical expressions
       setContainsMath(containsMathContent(data.message));
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        endStoppedAnswer();
+        return;
+      }
       console.error('Error sending message:', error);
       
-      // Add error message to conversation
-      const errorMessage = 'Sorry, I encountered an error while processing your request. Please check your connection and try again.';
-      setConversation(prev => [
-        ...prev,
-        { sender: 'ai', text: errorMessage }
-      ]);
+      // Replace the empty AI message, or keep a partial answer and report below it.
+      // Quota and image errors carry a message that says what to change.
+      const errorMessage = chatErrorMessage(error);
+      if (error.code === 'quota_exceeded') refreshUsage();
+      setConversation(prev => {
+        const lastIndex = prev.length - 1;
+        const last = prev[lastIndex];
+        if (last && last.sender === 'ai' && !last.text) {
+          return [...prev.slice(0, lastIndex), { sender: 'ai', text: errorMessage, isError: true }];
+        }
+        return [
+          ...prev.slice(0, lastIndex),
+          { ...last, isStreaming: false },
+          { sender: 'ai', text: errorMessage, isError: true }
+        ];
+      });
     } finally {
+      requestControllerRef.current = null;
       setIsLoading(false);
       setUserInput('');
     }
   };
 
+  /**
+   * Pins or unpins a message. Pinned messages are always sent in full and
+   * never folded into the conversation memory.
+   * @param {number} index - Position of the message in the conversation
+   */
+  const handleTogglePin = (index) => {
+    const target = conversation[index];
+    setConversation(prev => prev.map((msg, i) => (
+      i === index ? { ...msg, pinned: !msg.pinned } : msg
+    )));
+
+    if (conversationId && target?.id) {
+      updateMessage(conversationId, target.id, { pinned: !target.pinned })
+        .catch(error => console.error('Error saving pin:', error));
+    }
+  };
+
   /**
    * Handles sending a new message from user input
    */
   const handleSendMessage = async () => {
     if (userInput.trim()) {
+      // Typed prompts are suggested again in the address bar
+      recordPrompt(userInput).catch(error => console.error('Error recording prompt:', error));
       await sendMessage(userInput.trim());
     }
   };
 
   /**
-   * Continues generating an incomplete AI response
+   * Continues generating an incomplete AI response, streaming onto the last AI message
    */
   const handleContinueGenerating = async () => {
     if (continueId) {
+      // Trying again replaces the notice of a failed attempt
+      const lastMessage = conversation.filter(msg => !msg.isError).pop();
+      setConversation(prev => (prev[prev.length - 1]?.isError ? prev.slice(0, -1) : prev));
       setIsLoading(true);
+      updateLastAIMessage(() => ({ isStreaming: true }));
       try {
-        const messages = conversation.map(msg => ({
-          role: msg.sender === 'user' ? 'user' : 'assistant',
-          content: msg.text
-        }));
-
-        const response = await fetch(`https://${process.env.BASE_URL}/api/chat`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-extension-secret': process.env.EXTENSION_SECRET,
-          },
-          body: JSON.stringify({
-            messages,
-            temperature: 0.7,
-            continueId: continueId
-          }),
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const data = await response.json();
+        const { temperature } = await getSettings();
+        const messages = toApiMessages(conversation);
 
-        // Append to the last AI message
-        setConversation(prev => {
-          const updated = [...prev];
-          const lastIndex = updated.length - 1;
-          if (updated[lastIndex] && updated[lastIndex].sender === 'ai') {
-            updated[lastIndex].text += data.message;
+        // Continue with the model that wrote the answer - an answer about an
+        // image must stay with a model that accepts images
+        const data = await streamChat(
+          {
+            messages,
+            model: lastMessage?.model || model || undefined,
+            temperature,
+            continueId: continueId,
+            memory: memory || undefined,
+            autoContinue: true
+          },
+          {
+            onDelta: (content) => updateLastAIMessage(msg => ({ text: msg.text + content })),
+            signal: startRequest(),
           }
-          return updated;
-        });
+        );
+
+        updateLastAIMessage(() => ({ isStreaming: false }));
 
         // Update continuation state
-        if (data.isIncomplete && data.continueId) {
-          setContinueId(data.continueId);
-        } else {
-          setContinueId(null);
-          setIsContinued(false);
+        handleCompletion(data);
+
+        // Save the longer answer in place of the truncated one
+        if (conversationId && lastMessage?.id) {
+          const content = lastMessage.text + data.message;
+          Promise.all([
+            updateMessage(conversationId, lastMessage.id, { content }),
+            updateConversation(conversationId, { memory: data.memory || null })
+          ]).catch(error => console.error('Error saving conversation:', error));
         }
 
         setContainsMath(containsMathContent(data.message));
 
       } catch (error) {
+        updateLastAIMessage(() => ({ isStreaming: false }));
+        if (error.name === 'AbortError') return;
         console.error('Error continuing generation:', error);
+
+        if (error.code === 'quota_exceeded') refreshUsage();
+        // The server no longer holds the truncated answer, so it can't be continued
+        if (error.code === 'continuation_expired') {
+          setContinueId(null);
+          setIsContinued(false);
+        }
+        setConversation(prev => [...prev, { sender: 'ai', text: chatErrorMessage(error), isError: true }]);
       } finally {
+        requestControllerRef.current = null;
         setIsLoading(false);
       }
     }
@@ -334,33 +733,25 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
    */
   useImperativeHandle(ref, () => ({
     sendMessage: (message) => sendMessage(message, true),
-    clearConversation: () => setConversation([]),
+    clearConversation: startNewConversation,
     getConversation: () => conversation,
   }));
 
+  // Latest sendMessage for the effect below, which must run only when a new
+  // query arrives - not each time sendMessage is recreated
+  const sendMessageRef = useRef(sendMessage);
+  sendMessageRef.current = sendMessage;
+
   /**
-   * Process initial query when component mounts
+   * Process initial query or captured image when component mounts
    */
   useEffect(() => {
-    if (initialQuery && initialQuery.trim()) {
-      sendMessage(initialQuery, true);
+    if (initialImage) {
+      sendMessageRef.current(initialQuery || '', true, initialImage);
+    } else if (initialQuery && initialQuery.trim()) {
+      sendMessageRef.current(initialQuery, true, null, initialAttachment);
     }
-  }, [initialQuery]);
-
-  /**
-   * Checks if content contains mathematical expressions
-   * @param {string} content - Content to check
-   * @returns {boolean} Whether content contains math
-   */
-  const containsMathContent = (content) => {
-    const mathPatterns = [
-      /\\\[[\s\S]*?\\\]/,      // LaTeX display math
-      /\\\([\s\S]*?\\\)/,      // LaTeX inline math
-      /\$\$[\s\S]*?\$\$/,      // $$ display math
-      /\$[^$\n]+\$/,           // $ inline math
-    ];
-    return mathPatterns.some(pattern => pattern.test(content));
-  };
+  }, [initialQuery, initialImage, initialAttachment]);
 
   // Common styling for the chat paper component
   const commonPaperStyles = {
@@ -388,7 +779,7 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
         <Box
           sx={{
             width: '100%',
-            height: '600px',
+            height: fillHeight ? '100vh' : '600px',
             display: 'flex',
             flexDirection: 'column',
             pointerEvents: 'auto',
@@ -402,11 +793,18 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
               toggleDock={handleToggleDock}
             toggleTheme={toggleTheme}
               handleSnip={() => {
-                if (window.launchSnippingTool) window.launchSnippingTool();
+                if (onSnip) onSnip();
+                else if (window.launchSnippingTool) window.launchSnippingTool();
               }}
               handleClose={() => window.close()}
             handleVoiceToggle={handleVoiceToggle}
             isRecording={isRecording}
+            models={models}
+            selectedModel={model}
+            onModelChange={handleModelChange}
+            conversations={savedConversations}
+            activeConversationId={conversationId}
+            onConversationSelect={handleConversationSelect}
           />
           <ChatContent
             conversation={conversation}
@@ -416,11 +814,15 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
             theme={theme}
             iframeRef={iframeRef}
             handleContinueGenerating={handleContinueGenerating}
+            onTogglePin={handleTogglePin}
           />
+          <UsageMeter usage={usage} theme={theme} />
           <ChatFooter
             userInput={userInput}
             setUserInput={setUserInput}
             handleSendMessage={handleSendMessage}
+            isLoading={isLoading}
+            handleStop={handleStopGenerating}
             theme={theme}
               conversation={conversation}
           />
@@ -468,6 +870,12 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
                 }}
                 handleVoiceToggle={handleVoiceToggle}
                 isRecording={isRecording}
+                models={models}
+                selectedModel={model}
+                onModelChange={handleModelChange}
+                conversations={savedConversations}
+                activeConversationId={conversationId}
+                onConversationSelect={handleConversationSelect}
               />
               <ChatContent
                 conversation={conversation}
@@ -477,11 +885,15 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
                 theme={theme}
                 iframeRef={iframeRef}
                 handleContinueGenerating={handleContinueGenerating}
+                onTogglePin={handleTogglePin}
               />
+              <UsageMeter usage={usage} theme={theme} />
               <ChatFooter
                 userInput={userInput}
                 setUserInput={setUserInput}
                 handleSendMessage={handleSendMessage}
+                isLoading={isLoading}
+                handleStop={handleStopGenerating}
                 theme={theme}
               conversation={conversation}
               />
@@ -532,6 +944,12 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
                 }}
                 handleVoiceToggle={handleVoiceToggle}
                 isRecording={isRecording}
+                models={models}
+                selectedModel={model}
+                onModelChange={handleModelChange}
+                conversations={savedConversations}
+                activeConversationId={conversationId}
+                onConversationSelect={handleConversationSelect}
               />
               <ChatContent
                 conversation={conversation}
@@ -541,11 +959,15 @@ const AIResponseAlert = forwardRef(({ initialQuery, isPopup = false }, ref) => {
                 theme={theme}
                 iframeRef={iframeRef}
                 handleContinueGenerating={handleContinueGenerating}
+                onTogglePin={handleTogglePin}
               />
+              <UsageMeter usage={usage} theme={theme} />
               <ChatFooter
                 userInput={userInput}
                 setUserInput={setUserInput}
                 handleSendMessage={handleSendMessage}
+                isLoading={isLoading}
+                handleStop={handleStopGenerating}
                 theme={theme}
                 conversation={conversation}
               />
@@ -0,0 +1,83 @@
+/*****************************************************
+ * src/BarcodeResult.js
+ *
+ * Shows the content of a QR code or barcode found in a
+ * captured area. Links are checked for common signs of
+ * a malicious URL and the warnings shown before anything
+ * else. The user can copy the content, ask the AI about
+ * it, or read the area as text after all.
+ *****************************************************/
+import React, { useEffect, useState } from 'react';
+import './Styles/BarcodeResult.css';
+
+/**
+ * @param {Object} props - Component props
+ * @param {string} props.image - The captured area
+ * @param {Object} props.barcode - Decoded code: label and text
+ * @param {Object|null} props.link - Safety check of a link (url and warnings), null for other content
+ * @param {Function} props.onAsk - Called when the user asks the AI about the content
+ * @param {Function} props.onReadText - Called to run OCR on the area instead
+ * @param {Function} props.onCancel - Called when the user closes the panel
+ */
+const BarcodeResult = ({ image, barcode, link, onAsk, onReadText, onCancel }) => {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onCancel();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(barcode.text).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
+
+  return (
+    <div className="barcode-result">
+      <div className="barcode-result-header">
+        <img src={image} alt="Captured code" className="barcode-result-image" />
+        <h2 className="barcode-result-title">{barcode.label} found</h2>
+      </div>
+
+      {link && link.warnings.length > 0 && (
+        <div className="barcode-result-warning" role="alert">
+          <strong>This link may be unsafe - check it before opening it:</strong>
+          <ul>
+            {link.warnings.map(warning => <li key={warning}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+      {link && link.warnings.length === 0 && (
+        <p className="barcode-result-note">
+          Leads to <strong>{link.url.hostname}</strong>. No common warning signs found, but only open links you trust.
+        </p>
+      )}
+
+      <pre className="barcode-result-content">{barcode.text}</pre>
+
+      <div className="barcode-result-buttons">
+        <button className="barcode-result-btn outline" onClick={onCancel}>
+          Close
+        </button>
+        <button className="barcode-result-btn outline" onClick={onReadText}>
+          Read as text
+        </button>
+        <button className="barcode-result-btn outline" onClick={handleCopy}>
+          {copied ? 'Copied!' : 'Copy'}
+        </button>
+        <button className="barcode-result-btn primary" onClick={onAsk} autoFocus>
+          Ask AI about it
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BarcodeResult;
@@ -2,8 +2,8 @@
  * src/ChatContent.js
  *
  * Renders the chat conversation (message bubbles), a plain
- * loading indicator when AI is typing, and a "Continue Generating"
- * button if the response is incomplete.
+ * loading indicator until the first streamed text arrives, and a
+ * "Continue Generating" button if the response is incomplete.
  *****************************************************/
 import React, { useEffect, useRef } from 'react';
 import { Box, CircularProgress, Typography, Button } from '@mui/material';
@@ -18,10 +18,15 @@ const ChatContent = ({
   theme,
   iframeRef,
   handleContinueGenerating,
+  onTogglePin,
   isPopup,
 }) => {
   const contentRef = useRef(null);
 
+  // Once streamed text starts arriving the growing bubble replaces the typing indicator
+  const lastMessage = conversation[conversation.length - 1];
+  const isReceiving = Boolean(lastMessage?.isStreaming && lastMessage.text);
+
   // Auto-scroll to the bottom whenever the conversation updates
   useEffect(() => {
     if (contentRef.current) {
@@ -60,10 +65,19 @@ const ChatContent = ({
       }}
     >
       {conversation.map((msg, i) => (
-        <MessageBubble key={i} message={msg} theme={theme} isPopup={isPopup} />
+        // Skip the placeholder bubble until its first delta arrives
+        msg.isStreaming && !msg.text ? null : (
+          <MessageBubble
+            key={i}
+            message={msg}
+            theme={theme}
+            isPopup={isPopup}
+            onTogglePin={onTogglePin ? () => onTogglePin(i) : undefined}
+          />
+        )
       ))}
 
-      {isLoading && (
+      {isLoading && !isReceiving && (
         <Box
           sx={{
             display: 'flex',
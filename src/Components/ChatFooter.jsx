@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Box, TextField, Button } from '@mui/material';
 
-const ChatFooter = ({ userInput, setUserInput, handleSendMessage, theme, conversation }) => {
+const ChatFooter = ({ userInput, setUserInput, handleSendMessage, theme, conversation, isLoading = false, handleStop }) => {
   // Local state to track the index in the user input history.
   const [historyIndex, setHistoryIndex] = useState(null);
 
@@ -110,12 +110,18 @@ const ChatFooter = ({ userInput, setUserInput, handleSendMessage, theme, convers
           },
         }}
       />
+      {/* While an answer is generated the button stops it instead */}
       <Button
         variant="contained"
         onClick={() => {
+          if (isLoading && handleStop) {
+            handleStop();
+            return;
+          }
           setHistoryIndex(null);
           handleSendMessage();
         }}
+        title={isLoading ? 'Stop generating the answer' : undefined}
         sx={{
           textTransform: 'none',
           backgroundColor: theme === 'light' ? '#7f72f0' : '#555',
@@ -125,7 +131,7 @@ const ChatFooter = ({ userInput, setUserInput, handleSendMessage, theme, convers
           mr: 1,
         }}
       >
-        Send
+        {isLoading ? 'Stop' : 'Send'}
       </Button>
     </Box>
   );
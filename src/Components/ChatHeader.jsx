@@ -8,19 +8,25 @@
  * Features:
  * - Theme toggle (light/dark mode)
  * - Window docking/undocking controls
+ * - Model selector for the current conversation
+ * - Saved conversation picker to resume a thread or start a new one
  * - Voice input activation
  * - Screen capture (snipping tool) launcher
+ * - OCR settings (languages and image preprocessing)
  * - Close button for window management
+ * - Keyboard shortcuts shown in the button titles
  * - Responsive design for different screen sizes
  * 
  * @author Saketh Sripada
  * @version 1.0.0
  */
 
-import React from 'react';
-import { AppBar, Toolbar, Typography, Box, Button, IconButton, useMediaQuery } from '@mui/material';
+import React, { useEffect, useState } from 'react';
+import { AppBar, Toolbar, Typography, Box, Button, IconButton, NativeSelect, useMediaQuery } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
 import { FaTimes, FaCamera, FaMoon, FaSun, FaMicrophone, FaStop } from 'react-icons/fa';
+import OcrSettingsMenu from './OcrSettingsMenu';
+import { COMMANDS, getShortcuts, withShortcut } from '../shortcuts';
 
 /**
  * ChatHeader Component
@@ -38,6 +44,12 @@ import { FaTimes, FaCamera, FaMoon, FaSun, FaMicrophone, FaStop } from 'react-ic
  * @param {Function} props.handleVoiceToggle - Function to toggle voice recording
  * @param {boolean} props.isRecording - Whether voice recording is active
  * @param {boolean} props.isPopup - Whether component is in popup mode
+ * @param {Array<Object>} props.models - Models offered by the backend
+ * @param {string} props.selectedModel - ID of the model used by this conversation
+ * @param {Function} props.onModelChange - Function called with the newly selected model ID
+ * @param {Array<Object>} props.conversations - Recently saved conversations
+ * @param {string} props.activeConversationId - ID of the conversation being shown, if saved
+ * @param {Function} props.onConversationSelect - Called with a conversation ID, or '' for a new conversation
  * @returns {JSX.Element} The rendered ChatHeader component
  */
 const ChatHeader = ({
@@ -50,10 +62,47 @@ const ChatHeader = ({
   handleVoiceToggle,
   isRecording,
   isPopup = false,
+  models = [],
+  selectedModel,
+  onModelChange,
+  conversations = [],
+  activeConversationId,
+  onConversationSelect,
 }) => {
   const muiTheme = useTheme();
   // Determine if we're on a small screen for responsive behavior
   const isSmallScreen = useMediaQuery(muiTheme.breakpoints.down('sm'));
+  // Keys bound to the extension's commands, shown in the button titles
+  const [shortcuts, setShortcuts] = useState({});
+
+  useEffect(() => {
+    getShortcuts().then(setShortcuts);
+  }, []);
+
+  // Group models under their provider for the selector
+  const modelGroups = models.reduce((groups, model) => {
+    const group = model.providerLabel || model.provider;
+    (groups[group] = groups[group] || []).push(model);
+    return groups;
+  }, {});
+
+  // Shared look of the header's native selects
+  const selectSx = {
+    ml: 1,
+    fontSize: '0.8rem',
+    color: theme === 'dark' ? '#ffffff' : '#333333',
+    maxWidth: isSmallScreen ? 120 : 180,
+    '& select': {
+      py: 0.25,
+      backgroundColor: theme === 'dark' ? '#3a3a3a' : '#ffffff',
+      borderRadius: 1,
+      border: `1px solid ${theme === 'dark' ? '#555555' : '#dddddd'}`,
+      pl: 1,
+    },
+    '& svg': {
+      color: theme === 'dark' ? '#ffffff' : '#666666',
+    },
+  };
 
   return (
     <>
@@ -125,6 +174,52 @@ const ChatHeader = ({
                 {isDocked ? 'Docked' : 'Floating'}
               </Typography>
             )}
+
+            {/* Model selector - native select avoids portals rendering under the page overlay */}
+            {models.length > 0 && selectedModel && (
+              <NativeSelect
+                value={selectedModel}
+                onChange={(e) => onModelChange(e.target.value)}
+                disableUnderline
+                inputProps={{ 'aria-label': 'AI model', title: 'AI model for this conversation' }}
+                // Keep drag gestures on the header from starting on the selector
+                onMouseDown={(e) => e.stopPropagation()}
+                sx={selectSx}
+              >
+                {Object.entries(modelGroups).map(([group, groupModels]) => (
+                  <optgroup key={group} label={group}>
+                    {groupModels.map((model) => (
+                      <option key={model.id} value={model.id}>
+                        {model.label}
+                      </option>
+                    ))}
+                  </optgroup>
+                ))}
+              </NativeSelect>
+            )}
+
+            {/* Saved conversations - switching resumes the thread in this window */}
+            {onConversationSelect && (
+              <NativeSelect
+                value={activeConversationId || ''}
+                onChange={(e) => onConversationSelect(e.target.value)}
+                disableUnderline
+                inputProps={{ 'aria-label': 'Conversation', title: 'Resume a saved conversation' }}
+                onMouseDown={(e) => e.stopPropagation()}
+                sx={selectSx}
+              >
+                <option value="">New conversation</option>
+                {/* The active thread may be older than the recent list */}
+                {activeConversationId && !conversations.some(c => c.id === activeConversationId) && (
+                  <option value={activeConversationId}>Current conversation</option>
+                )}
+                {conversations.map((conversation) => (
+                  <option key={conversation.id} value={conversation.id}>
+                    {conversation.title}
+                  </option>
+                ))}
+              </NativeSelect>
+            )}
           </Box>
 
           {/* Right side - Control buttons */}
@@ -160,11 +255,14 @@ const ChatHeader = ({
                   backgroundColor: theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
                 },
               }}
-              title="Capture screen area"
+              title={withShortcut('Capture screen area', shortcuts[COMMANDS.SNIP_AREA])}
             >
               <FaCamera size={16} />
             </IconButton>
 
+            {/* OCR settings */}
+            <OcrSettingsMenu theme={theme} />
+
             {/* Theme toggle button */}
             <IconButton
               onClick={toggleTheme}
@@ -218,7 +316,7 @@ const ChatHeader = ({
                   color: '#ffffff',
                 },
               }}
-              title="Close chat"
+              title={isPopup ? 'Close chat' : withShortcut('Close chat', shortcuts[COMMANDS.TOGGLE_CHAT])}
             >
               <FaTimes size={14} />
             </IconButton>
@@ -8,7 +8,7 @@ import { Box, IconButton } from '@mui/material';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import { FaCopy } from 'react-icons/fa';
-import { getLanguageFromFence, getCodeContent } from '../utils';
+import { extractCodeLanguage, stripCodeFences } from '../utils';
 
 // Create a custom style object that merges oneDark but overrides token backgrounds.
 const customOneDark = {
@@ -32,8 +32,8 @@ const customOneDark = {
 };
 
 const CodeBlock = ({ content, theme, onCopy }) => {
-  const lang = getLanguageFromFence(content);
-  const pureCode = getCodeContent(content);
+  const lang = extractCodeLanguage(content);
+  const pureCode = stripCodeFences(content);
 
   return (
     <Box
@@ -0,0 +1,82 @@
+/*****************************************************
+ * src/ImageAttachment.js
+ *
+ * Shows an image attached to a message (e.g. the area
+ * the user captured) as a thumbnail. Clicking it opens
+ * the image at full size over the page; a click or
+ * Escape closes it again.
+ *****************************************************/
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Box } from '@mui/material';
+
+const ImageAttachment = ({ src, theme }) => {
+  const [zoomed, setZoomed] = useState(false);
+
+  useEffect(() => {
+    if (!zoomed) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        setZoomed(false);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown, true);
+    return () => document.removeEventListener('keydown', handleKeyDown, true);
+  }, [zoomed]);
+
+  return (
+    <>
+      <Box
+        component="img"
+        src={src}
+        alt="Captured area"
+        title="Click to zoom"
+        onClick={() => setZoomed(true)}
+        sx={{
+          display: 'block',
+          maxWidth: '100%',
+          maxHeight: 160,
+          my: 0.5,
+          borderRadius: '8px',
+          border: `1px solid ${theme === 'light' ? '#c8e6c9' : '#4a7d55'}`,
+          cursor: 'zoom-in',
+        }}
+      />
+      {/* Rendered into the body so the chat window's transform doesn't confine it */}
+      {zoomed && createPortal(
+        <Box
+          onClick={() => setZoomed(false)}
+          sx={{
+            position: 'fixed',
+            inset: 0,
+            zIndex: 2147483000,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+            cursor: 'zoom-out',
+            pointerEvents: 'auto',
+          }}
+        >
+          <Box
+            component="img"
+            src={src}
+            alt="Captured area"
+            sx={{
+              maxWidth: '95vw',
+              maxHeight: '95vh',
+              objectFit: 'contain',
+              borderRadius: '4px',
+              boxShadow: '0 8px 24px rgba(0, 0, 0, 0.5)',
+              backgroundColor: '#ffffff',
+            }}
+          />
+        </Box>,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default ImageAttachment;
@@ -2,19 +2,27 @@
  * src/MessageBubble.js
  *
  * Renders an individual message bubble. It supports
- * both text and code blocks.
+ * text, code blocks and tables (which can be copied as
+ * CSV), including partially streamed ones, shows the
+ * images attached to a message (click to zoom), and
+ * lets the user pin a message so it is never folded
+ * into the conversation memory.
  *****************************************************/
 import React from 'react';
-import { Box, Paper, IconButton } from '@mui/material';
+import { Box, Paper, IconButton, Typography } from '@mui/material';
 import { Slide } from '@mui/material';
 import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
 import { parseMessageToBlocks } from '../utils';
 import CodeBlock from './CodeBlock';
-import { FaVolumeUp } from 'react-icons/fa';
+import TableBlock from './TableBlock';
+import ImageAttachment from './ImageAttachment';
+import { FaVolumeUp, FaThumbtack } from 'react-icons/fa';
 
-const MessageBubble = ({ message, theme, isPopup }) => {
+const MessageBubble = ({ message, theme, isPopup, onTogglePin }) => {
   const isUser = message.sender === 'user';
-  const blocks = parseMessageToBlocks(message.text);
+  const attachments = message.attachments || [];
+  const blocks = parseMessageToBlocks(message.text, { streaming: message.isStreaming });
 
   // Define different border radii for user vs. assistant messages.
   const bubbleBorderRadius = isUser ? '16px 16px 2px 16px' : '16px 16px 16px 2px';
@@ -25,6 +33,21 @@ const MessageBubble = ({ message, theme, isPopup }) => {
     lineHeight: 1.5,
   };
 
+  // Tables get a "Copy as CSV" button
+  const markdownComponents = {
+    table: (props) => (
+      <TableBlock
+        {...props}
+        theme={theme}
+        onCopy={(csv) => {
+          navigator.clipboard.writeText(csv).then(() => {
+            alert('Table copied to clipboard as CSV!');
+          });
+        }}
+      />
+    ),
+  };
+
   const handleSpeak = () => {
     if (!('speechSynthesis' in window)) {
       alert("Text-to-speech is not supported in this browser.");
@@ -70,7 +93,10 @@ const MessageBubble = ({ message, theme, isPopup }) => {
             ...textStyle, // Apply the conditional text style to the paper container
           }}
         >
-          {blocks.map((block, i) => {
+          {attachments.map((attachment, i) => (
+            <ImageAttachment key={attachment.id || i} src={attachment.data} theme={theme} />
+          ))}
+          {(message.text || attachments.length === 0) && blocks.map((block, i) => {
             if (block.type === 'code') {
               return (
                 <CodeBlock
@@ -88,11 +114,49 @@ const MessageBubble = ({ message, theme, isPopup }) => {
               // Wrap each text block with the text style.
               return (
                 <Box key={i} sx={{ mt: i === 0 ? 0 : 0.5, ...textStyle }}>
-                  <ReactMarkdown>{block.content || ''}</ReactMarkdown>
+                  <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                    {block.content || ''}
+                  </ReactMarkdown>
                 </Box>
               );
             }
           })}
+          {onTogglePin && !message.isStreaming && (
+            <Box
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'flex-end',
+                gap: 0.5,
+                mt: 0.5,
+              }}
+            >
+              {/* Summarized messages are sent to the AI only as part of the conversation memory */}
+              {message.summarized && !message.pinned && (
+                <Typography
+                  variant="caption"
+                  sx={{ opacity: 0.7 }}
+                  title="This message no longer fits in the model's context and is sent as part of a summary"
+                >
+                  Summarized
+                </Typography>
+              )}
+              <IconButton
+                onClick={onTogglePin}
+                size="small"
+                sx={{
+                  p: 0.25,
+                  fontSize: '0.75rem',
+                  color: theme === 'light' ? '#333' : '#eee',
+                  opacity: message.pinned ? 1 : 0.4,
+                  '&:hover': { opacity: 1 },
+                }}
+                title={message.pinned ? 'Unpin message' : 'Pin message (always keep it in full)'}
+              >
+                <FaThumbtack />
+              </IconButton>
+            </Box>
+          )}
           {message.sender === 'assistant' && (
             <IconButton
               onClick={handleSpeak}
@@ -0,0 +1,235 @@
+/*****************************************************
+ * src/OcrReview.js
+ *
+ * Lets the user check the text OCR found in a captured
+ * area before it is sent to the AI. The image Tesseract
+ * read is shown with a box around every word, colored
+ * by how confident the recognition was; the text can be
+ * corrected, recognized again with other settings, sent
+ * or discarded. Tables can be copied as CSV.
+ *****************************************************/
+import React, { useEffect, useRef, useState } from 'react';
+import { OCR_LANGUAGES } from '../ocr';
+import { parseMarkdownTable, toCsv } from '../ocrTable';
+import './Styles/OcrReview.css';
+
+// Page segmentation modes offered for a re-run (Tesseract's --psm values)
+const PAGE_SEGMENTATION_MODES = [
+  { value: '6', label: 'Block of text' },
+  { value: '4', label: 'Columns' },
+  { value: '11', label: 'Scattered text' },
+  { value: '7', label: 'Single line' },
+];
+
+const THRESHOLD_METHODS = [
+  { value: 'otsu', label: 'Global (Otsu)' },
+  { value: 'adaptive', label: 'Adaptive' },
+  { value: 'none', label: 'Off' },
+];
+
+/**
+ * Picks the box color for a word's confidence
+ * @param {number} confidence - Tesseract confidence (0-100)
+ * @returns {string} CSS class of the box
+ */
+const confidenceClass = (confidence) => {
+  if (confidence >= 85) return 'ocr-word-high';
+  if (confidence >= 60) return 'ocr-word-medium';
+  return 'ocr-word-low';
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {Object} props.result - OCR result: text, confidence, words, image and language
+ * @param {Object} props.settings - OCR settings the result was recognized with
+ * @param {boolean} props.busy - Whether OCR is running again
+ * @param {string} props.error - Why the last recognition failed, if it did
+ * @param {Function} props.onSend - Called with the reviewed text
+ * @param {Function} props.onRerun - Called with settings to recognize the capture again with
+ * @param {Function} props.onCancel - Called when the user discards the capture
+ */
+const OcrReview = ({ result, settings, busy, error, onSend, onRerun, onCancel }) => {
+  const [text, setText] = useState(result.text);
+  const [imageSize, setImageSize] = useState(null);
+  const [language, setLanguage] = useState(result.language);
+  const [threshold, setThreshold] = useState(settings.preprocessing.threshold);
+  const [pageSegMode, setPageSegMode] = useState(settings.pageSegMode);
+  const [tableMode, setTableMode] = useState(Boolean(settings.table));
+  const [csvCopied, setCsvCopied] = useState(false);
+  const textareaRef = useRef(null);
+
+  // A new recognition replaces the text
+  useEffect(() => {
+    setText(result.text);
+  }, [result]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onCancel();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const handleTextKeyDown = (e) => {
+    // Ctrl/Cmd+Enter sends, plain Enter adds a line
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && text.trim() && !busy) {
+      e.preventDefault();
+      onSend(text.trim());
+    }
+  };
+
+  /**
+   * Selects a word in the text area when its box is clicked
+   * @param {Object} word - Recognized word
+   */
+  const selectWord = (word) => {
+    const index = text.indexOf(word.text);
+    if (index === -1 || !textareaRef.current) return;
+    textareaRef.current.focus();
+    textareaRef.current.setSelectionRange(index, index + word.text.length);
+  };
+
+  const handleRerun = () => {
+    onRerun({
+      languages: language.split('+'),
+      detectScript: false, // The language was chosen here
+      preprocessing: { threshold, preview: false },
+      pageSegMode,
+      table: tableMode,
+    });
+  };
+
+  /**
+   * Copies the table as CSV, including the user's edits to it
+   */
+  const handleCopyCsv = () => {
+    const rows = parseMarkdownTable(text) || result.table;
+    navigator.clipboard.writeText(toCsv(rows)).then(() => {
+      setCsvCopied(true);
+      setTimeout(() => setCsvCopied(false), 1500);
+    });
+  };
+
+  // The recognized combination, followed by every single language
+  const languageOptions = [
+    ...(OCR_LANGUAGES.some(lang => lang.code === result.language) ? [] : [{
+      code: result.language,
+      label: result.language.split('+').map(code => OCR_LANGUAGES.find(lang => lang.code === code)?.label || code).join(' + '),
+    }]),
+    ...OCR_LANGUAGES,
+  ];
+
+  return (
+    <div className="ocr-review">
+      <div className="ocr-review-header">
+        <h2 className="ocr-review-title">Review Recognized Text</h2>
+        {!error && result.words.length > 0 && (
+          <span className="ocr-review-confidence">Confidence {Math.round(result.confidence)}%</span>
+        )}
+      </div>
+
+      <div className="ocr-review-image-container">
+        <div className="ocr-review-image-wrapper">
+          <img
+            src={result.image}
+            alt="Captured area"
+            className="ocr-review-image"
+            onLoad={(e) => setImageSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+          />
+          {imageSize && result.words.map((word, index) => (
+            <div
+              key={index}
+              className={`ocr-word-box ${confidenceClass(word.confidence)}`}
+              style={{
+                left: `${(word.bbox.x0 / imageSize.width) * 100}%`,
+                top: `${(word.bbox.y0 / imageSize.height) * 100}%`,
+                width: `${((word.bbox.x1 - word.bbox.x0) / imageSize.width) * 100}%`,
+                height: `${((word.bbox.y1 - word.bbox.y0) / imageSize.height) * 100}%`,
+              }}
+              title={`${word.text} (${Math.round(word.confidence)}%)`}
+              onClick={() => selectWord(word)}
+            />
+          ))}
+        </div>
+      </div>
+      <div className="ocr-review-legend">
+        <span className="ocr-legend-item ocr-word-high">85%+</span>
+        <span className="ocr-legend-item ocr-word-medium">60-85%</span>
+        <span className="ocr-legend-item ocr-word-low">below 60%</span>
+        <span>Click a box to find the word in the text</span>
+      </div>
+
+      {error && <p className="ocr-review-error">{error}</p>}
+
+      <textarea
+        ref={textareaRef}
+        className="ocr-review-text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleTextKeyDown}
+        placeholder="No text recognized - type it here or try other settings"
+        rows={6}
+        disabled={busy}
+        autoFocus
+      />
+
+      <div className="ocr-review-options">
+        <label>
+          Language
+          <select value={language} onChange={(e) => setLanguage(e.target.value)} disabled={busy}>
+            {languageOptions.map(lang => (
+              <option key={lang.code} value={lang.code}>{lang.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Threshold
+          <select value={threshold} onChange={(e) => setThreshold(e.target.value)} disabled={busy}>
+            {THRESHOLD_METHODS.map(method => (
+              <option key={method.value} value={method.value}>{method.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Layout
+          <select value={pageSegMode} onChange={(e) => setPageSegMode(e.target.value)} disabled={busy}>
+            {PAGE_SEGMENTATION_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="ocr-review-checkbox" title="Rebuild rows and columns and send a Markdown table">
+          <input
+            type="checkbox"
+            checked={tableMode}
+            onChange={(e) => setTableMode(e.target.checked)}
+            disabled={busy}
+          />
+          Table
+        </label>
+      </div>
+
+      <div className="ocr-review-buttons">
+        <button className="ocr-review-btn outline" onClick={onCancel}>
+          Cancel
+        </button>
+        {result.table && (
+          <button className="ocr-review-btn outline" onClick={handleCopyCsv} disabled={busy}>
+            {csvCopied ? 'Copied!' : 'Copy as CSV'}
+          </button>
+        )}
+        <button className="ocr-review-btn outline" onClick={handleRerun} disabled={busy}>
+          {busy ? 'Recognizing...' : 'Re-run OCR'}
+        </button>
+        <button className="ocr-review-btn primary" onClick={() => onSend(text.trim())} disabled={busy || !text.trim()}>
+          Send to AI
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OcrReview;
@@ -0,0 +1,178 @@
+/**
+ * OcrSettingsMenu Component
+ *
+ * Header button with a menu of OCR settings: whether recognized text is
+ * reviewed before sending, the languages recognized in captured areas and
+ * how captures are preprocessed before recognition.
+ * Several languages can be selected at once; with "Detect script" on, the
+ * script of the captured text is detected first and only the selected
+ * languages written in it are used. The settings are saved in the
+ * extension's synced storage. The last item opens the options page with
+ * all of ClickAI's settings.
+ *
+ * @author ClickAI Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useState } from 'react';
+import { IconButton, Menu, MenuItem, Checkbox, ListItemText, ListSubheader, Divider } from '@mui/material';
+import { FaSlidersH } from 'react-icons/fa';
+import { OCR_LANGUAGES, DEFAULT_OCR_SETTINGS, getOcrSettings, saveOcrSettings } from '../ocr';
+
+// Preprocessing steps that can be switched on and off
+const PREPROCESSING_OPTIONS = [
+  { key: 'upscale', label: 'Upscale small text' },
+  { key: 'invert', label: 'Invert dark backgrounds' },
+  { key: 'denoise', label: 'Remove noise' },
+  { key: 'deskew', label: 'Straighten rotated text' },
+  { key: 'preview', label: 'Preview image before OCR' },
+];
+
+// Thresholding methods, in the order the menu item cycles through them
+const THRESHOLD_LABELS = {
+  otsu: 'Global (Otsu)',
+  adaptive: 'Adaptive',
+  none: 'Off',
+};
+
+/**
+ * OcrSettingsMenu Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} The rendered OcrLanguageMenu component
+ */
+const OcrSettingsMenu = ({ theme }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_OCR_SETTINGS);
+
+  // Load the saved settings
+  useEffect(() => {
+    getOcrSettings()
+      .then(setSettings)
+      .catch((error) => console.error('Failed to load OCR settings:', error));
+  }, []);
+
+  /**
+   * Applies and saves a change to the settings
+   * @param {Object} changes - Changed settings
+   */
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveOcrSettings(next).catch((error) => console.error('Failed to save OCR settings:', error));
+  };
+
+  /**
+   * Selects or deselects a language, keeping at least one selected
+   * @param {string} code - Tesseract language code
+   */
+  const toggleLanguage = (code) => {
+    const languages = settings.languages.includes(code)
+      ? settings.languages.filter(language => language !== code)
+      : [...settings.languages, code];
+    if (languages.length > 0) {
+      updateSettings({ languages });
+    }
+  };
+
+  /**
+   * Applies a change to the preprocessing steps
+   * @param {Object} changes - Changed steps
+   */
+  const updatePreprocessing = (changes) => {
+    updateSettings({ preprocessing: { ...settings.preprocessing, ...changes } });
+  };
+
+  /**
+   * Switches to the next thresholding method
+   */
+  const cycleThreshold = () => {
+    const methods = Object.keys(THRESHOLD_LABELS);
+    const next = methods[(methods.indexOf(settings.preprocessing.threshold) + 1) % methods.length];
+    updatePreprocessing({ threshold: next });
+  };
+
+  const selectedLabels = OCR_LANGUAGES
+    .filter(language => settings.languages.includes(language.code))
+    .map(language => language.label);
+
+  return (
+    <>
+      <IconButton
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        size="small"
+        className="header-button"
+        sx={{
+          color: theme === 'dark' ? '#ffffff' : '#666666',
+          '&:hover': {
+            backgroundColor: theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+          },
+        }}
+        title={`OCR settings - languages: ${selectedLabels.join(', ')}${settings.detectScript ? ' (detect script)' : ''}`}
+      >
+        <FaSlidersH size={16} />
+      </IconButton>
+
+      {/* Rendered inside the header so it stays above the chat window on web pages */}
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        disablePortal
+        PaperProps={{ sx: { maxHeight: 360 } }}
+      >
+        <MenuItem dense onClick={() => updateSettings({ review: !settings.review })}>
+          <Checkbox size="small" checked={settings.review} sx={{ p: 0.5, mr: 1 }} />
+          <ListItemText
+            primary="Review text before sending"
+            secondary="Correct OCR mistakes or try other settings first"
+          />
+        </MenuItem>
+        <Divider />
+        <ListSubheader>Languages</ListSubheader>
+        <MenuItem dense onClick={() => updateSettings({ detectScript: !settings.detectScript })}>
+          <Checkbox size="small" checked={settings.detectScript} sx={{ p: 0.5, mr: 1 }} />
+          <ListItemText
+            primary="Detect script"
+            secondary="Use the languages written in the captured text's script"
+          />
+        </MenuItem>
+        <Divider />
+        {OCR_LANGUAGES.map(language => (
+          <MenuItem key={language.code} dense onClick={() => toggleLanguage(language.code)}>
+            <Checkbox size="small" checked={settings.languages.includes(language.code)} sx={{ p: 0.5, mr: 1 }} />
+            <ListItemText primary={language.label} />
+          </MenuItem>
+        ))}
+        <Divider />
+        <ListSubheader>Image preprocessing</ListSubheader>
+        <MenuItem dense onClick={cycleThreshold}>
+          <ListItemText
+            primary={`Threshold: ${THRESHOLD_LABELS[settings.preprocessing.threshold]}`}
+            secondary="Click to change; adaptive suits uneven backgrounds"
+          />
+        </MenuItem>
+        {PREPROCESSING_OPTIONS.map(option => (
+          <MenuItem key={option.key} dense onClick={() => updatePreprocessing({ [option.key]: !settings.preprocessing[option.key] })}>
+            <Checkbox size="small" checked={settings.preprocessing[option.key]} sx={{ p: 0.5, mr: 1 }} />
+            <ListItemText primary={option.label} />
+          </MenuItem>
+        ))}
+        <Divider />
+        {/* Content scripts can't open the options page themselves */}
+        <MenuItem
+          dense
+          onClick={() => {
+            setAnchorEl(null);
+            chrome.runtime.sendMessage({ type: 'openOptionsPage' });
+          }}
+        >
+          <ListItemText primary="All settings…" secondary="Server, chat defaults, floating button and privacy" />
+        </MenuItem>
+      </Menu>
+    </>
+  );
+};
+
+export default OcrSettingsMenu;
@@ -0,0 +1,418 @@
+/*****************************************************
+ * src/OptionsPage.js
+ *
+ * The extension's options page: backend server, chat
+ * defaults, text recognition, the floating button,
+ * keyboard shortcuts and privacy. Changes are kept in
+ * the form until saved; saving validates them against
+ * the settings schema (see src/settings.js), and every
+ * open chat window and tab picks them up right away.
+ *****************************************************/
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  CssBaseline,
+  FormControlLabel,
+  FormGroup,
+  MenuItem,
+  Paper,
+  Slider,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { ThemeProvider, createTheme } from '@mui/material/styles';
+import UsageMeter from './UsageMeter';
+import { fetchModels, fetchUsage } from '../api';
+import { OCR_LANGUAGES, DEFAULT_OCR_SETTINGS, getOcrSettings, saveOcrSettings } from '../ocr';
+import {
+  DEFAULT_SETTINGS,
+  getSettings,
+  saveSettings,
+  resetSettings,
+  validateSetting,
+} from '../settings';
+
+// Page where Chrome lets users change extension shortcuts
+const SHORTCUTS_PAGE = 'chrome://extensions/shortcuts';
+
+/**
+ * Turns the hidden-sites text (one site per line) into hostnames
+ * @param {string} text - Sites as typed, possibly with protocol or path
+ * @returns {Array<string>} Lowercase hostnames without duplicates
+ */
+const parseSites = (text) => [...new Set(
+  text
+    .split(/[\s,]+/)
+    .map(site => site.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').split('/')[0])
+    .filter(Boolean)
+)];
+
+/**
+ * One titled section of the page
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section heading
+ * @param {string} props.description - Short explanation under the heading
+ * @returns {JSX.Element} The rendered section
+ */
+const Section = ({ title, description, children }) => (
+  <Paper variant="outlined" sx={{ p: 2.5, mb: 2 }}>
+    <Typography variant="h6" component="h2">{title}</Typography>
+    {description && (
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>{description}</Typography>
+    )}
+    {children}
+  </Paper>
+);
+
+const OptionsPage = () => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [ocrSettings, setOcrSettings] = useState(DEFAULT_OCR_SETTINGS);
+  // Hidden sites are edited as text and parsed on save
+  const [hiddenSitesText, setHiddenSitesText] = useState('');
+  const [loaded, setLoaded] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  // Data from the backend and the browser
+  const [models, setModels] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [connection, setConnection] = useState(null);
+  const [commands, setCommands] = useState([]);
+
+  const muiTheme = useMemo(() => createTheme({ palette: { mode: settings.theme } }), [settings.theme]);
+  const backendUrlError = validateSetting('backendUrl', settings.backendUrl);
+
+  /**
+   * Asks the saved backend for its models and the user's usage
+   * @returns {Promise<void>}
+   */
+  const testConnection = async () => {
+    setConnection({ state: 'testing' });
+    try {
+      const [{ models: availableModels }, usageSummary] = await Promise.all([fetchModels(), fetchUsage()]);
+      setModels(availableModels);
+      setUsage(usageSummary);
+      setConnection({ state: 'ok', message: `Connected - ${availableModels.length} models available` });
+    } catch (error) {
+      setModels([]);
+      setUsage(null);
+      setConnection({ state: 'error', message: `Could not reach the server: ${error.message}` });
+    }
+  };
+
+  // Load the saved settings and the current shortcuts
+  useEffect(() => {
+    Promise.all([getSettings(), getOcrSettings()])
+      .then(([saved, savedOcr]) => {
+        setSettings(saved);
+        setOcrSettings(savedOcr);
+        setHiddenSitesText(saved.floatingButtonHiddenSites.join('\n'));
+        setLoaded(true);
+      })
+      .catch((error) => setStatus({ severity: 'error', message: `Failed to load settings: ${error.message}` }));
+
+    chrome.commands.getAll(setCommands);
+    testConnection();
+  }, []);
+
+  /**
+   * Applies a change to the form
+   * @param {Object} changes - Changed settings
+   */
+  const updateSettings = (changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+    setDirty(true);
+    setStatus(null);
+  };
+
+  /**
+   * Applies a change to the OCR settings in the form
+   * @param {Object} changes - Changed OCR settings
+   */
+  const updateOcrSettings = (changes) => {
+    setOcrSettings(prev => ({ ...prev, ...changes }));
+    setDirty(true);
+    setStatus(null);
+  };
+
+  /**
+   * Selects or deselects an OCR language, keeping at least one selected
+   * @param {string} code - Tesseract language code
+   */
+  const toggleLanguage = (code) => {
+    const languages = ocrSettings.languages.includes(code)
+      ? ocrSettings.languages.filter(language => language !== code)
+      : [...ocrSettings.languages, code];
+    if (languages.length > 0) {
+      updateOcrSettings({ languages });
+    }
+  };
+
+  /**
+   * Saves the form; a changed server is tested straight away
+   */
+  const handleSave = async () => {
+    try {
+      const serverChanged = settings.backendUrl !== (await getSettings()).backendUrl;
+      const saved = await saveSettings({ ...settings, floatingButtonHiddenSites: parseSites(hiddenSitesText) });
+      await saveOcrSettings(ocrSettings);
+      setSettings(saved);
+      setHiddenSitesText(saved.floatingButtonHiddenSites.join('\n'));
+      setDirty(false);
+      setStatus({ severity: 'success', message: 'Settings saved.' });
+      if (serverChanged) testConnection();
+    } catch (error) {
+      setStatus({ severity: 'error', message: `Settings not saved: ${error.message}` });
+    }
+  };
+
+  /**
+   * Restores every setting, OCR settings included, to its default
+   */
+  const handleReset = async () => {
+    if (!window.confirm('Restore all ClickAI settings to their defaults?')) return;
+    try {
+      const serverChanged = settings.backendUrl !== DEFAULT_SETTINGS.backendUrl;
+      const defaults = await resetSettings();
+      await saveOcrSettings(DEFAULT_OCR_SETTINGS);
+      setSettings(defaults);
+      setOcrSettings(DEFAULT_OCR_SETTINGS);
+      setHiddenSitesText('');
+      setDirty(false);
+      setStatus({ severity: 'success', message: 'Settings restored to their defaults.' });
+      if (serverChanged) testConnection();
+    } catch (error) {
+      setStatus({ severity: 'error', message: `Settings not reset: ${error.message}` });
+    }
+  };
+
+  if (!loaded && !status) return null;
+
+  return (
+    <ThemeProvider theme={muiTheme}>
+      <CssBaseline />
+      <Box sx={{ maxWidth: 760, mx: 'auto', px: 2, py: 4 }}>
+        <Typography variant="h4" component="h1" sx={{ mb: 3 }}>ClickAI Settings</Typography>
+
+        <Section title="Server" description="The ClickAI backend that answers your questions.">
+          <TextField
+            label="Server URL"
+            value={settings.backendUrl}
+            onChange={(e) => updateSettings({ backendUrl: e.target.value.trim() })}
+            error={Boolean(backendUrlError)}
+            helperText={backendUrlError
+              ? 'Enter an https:// URL (http:// only for localhost)'
+              : 'This install registers with a new server the first time it is used'}
+            fullWidth
+            size="small"
+          />
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mt: 1.5 }}>
+            <Button variant="outlined" size="small" onClick={testConnection} disabled={connection?.state === 'testing'}>
+              Test saved server
+            </Button>
+            {connection?.message && (
+              <Typography variant="body2" color={connection.state === 'ok' ? 'success.main' : 'error'}>
+                {connection.message}
+              </Typography>
+            )}
+          </Box>
+          {usage && (
+            <Box sx={{ mt: 1.5 }}>
+              <UsageMeter usage={usage} theme={settings.theme} />
+            </Box>
+          )}
+        </Section>
+
+        <Section title="Chat" description="Defaults for new conversations.">
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField
+              select
+              label="Theme"
+              value={settings.theme}
+              onChange={(e) => updateSettings({ theme: e.target.value })}
+              size="small"
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="light">Light</MenuItem>
+              <MenuItem value="dark">Dark</MenuItem>
+            </TextField>
+            <TextField
+              select
+              label="Open the chat in"
+              value={settings.chatLocation}
+              onChange={(e) => updateSettings({ chatLocation: e.target.value })}
+              size="small"
+              sx={{ minWidth: 200 }}
+            >
+              <MenuItem value="page">A window on the page</MenuItem>
+              <MenuItem value="sidePanel">Chrome's side panel</MenuItem>
+            </TextField>
+            <TextField
+              select
+              label="Default model"
+              value={models.some(m => m.id === settings.model) ? settings.model : ''}
+              onChange={(e) => updateSettings({ model: e.target.value })}
+              size="small"
+              sx={{ minWidth: 260 }}
+              helperText={settings.model && !models.some(m => m.id === settings.model)
+                ? `"${settings.model}" isn't offered by the server`
+                : undefined}
+            >
+              <MenuItem value="">Last model used</MenuItem>
+              {models.map(m => (
+                <MenuItem key={m.id} value={m.id}>{m.label || m.id}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <Typography variant="body2" sx={{ mt: 2 }}>
+            Temperature: {settings.temperature.toFixed(1)}
+          </Typography>
+          <Slider
+            value={settings.temperature}
+            onChange={(e, value) => updateSettings({ temperature: value })}
+            min={0}
+            max={2}
+            step={0.1}
+            marks={[{ value: 0, label: 'Precise' }, { value: 2, label: 'Creative' }]}
+            sx={{ maxWidth: 400, ml: 1 }}
+          />
+        </Section>
+
+        <Section title="Text recognition" description="How text is read from captured areas.">
+          <FormGroup>
+            <FormControlLabel
+              control={<Checkbox checked={ocrSettings.review} onChange={(e) => updateOcrSettings({ review: e.target.checked })} />}
+              label="Review recognized text before sending it"
+            />
+            <FormControlLabel
+              control={<Checkbox checked={ocrSettings.detectScript} onChange={(e) => updateOcrSettings({ detectScript: e.target.checked })} />}
+              label="Detect the script and use only the selected languages written in it"
+            />
+          </FormGroup>
+          <Typography variant="subtitle2" sx={{ mt: 1.5 }}>Languages</Typography>
+          <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))' }}>
+            {OCR_LANGUAGES.map(language => (
+              <FormControlLabel
+                key={language.code}
+                control={(
+                  <Checkbox
+                    size="small"
+                    checked={ocrSettings.languages.includes(language.code)}
+                    onChange={() => toggleLanguage(language.code)}
+                  />
+                )}
+                label={language.label}
+              />
+            ))}
+          </Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            Image preprocessing can be adjusted from the sliders menu in the chat window.
+          </Typography>
+        </Section>
+
+        <Section title="Floating button" description="The chat button in the corner of web pages.">
+          <FormControlLabel
+            control={<Switch checked={settings.floatingButton} onChange={(e) => updateSettings({ floatingButton: e.target.checked })} />}
+            label="Show the floating button"
+          />
+          <Box sx={{ mt: 1.5 }}>
+            <TextField
+              select
+              label="Position"
+              value={settings.floatingButtonPosition}
+              onChange={(e) => updateSettings({ floatingButtonPosition: e.target.value })}
+              disabled={!settings.floatingButton}
+              size="small"
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="bottom-right">Bottom right</MenuItem>
+              <MenuItem value="bottom-left">Bottom left</MenuItem>
+            </TextField>
+          </Box>
+          <TextField
+            label="Hide on these sites"
+            value={hiddenSitesText}
+            onChange={(e) => {
+              setHiddenSitesText(e.target.value);
+              setDirty(true);
+              setStatus(null);
+            }}
+            disabled={!settings.floatingButton}
+            placeholder={'example.com\nmail.example.org'}
+            helperText="One site per line; subdomains are included"
+            multiline
+            minRows={3}
+            fullWidth
+            size="small"
+            sx={{ mt: 2 }}
+          />
+        </Section>
+
+        <Section title="Keyboard shortcuts" description="Chrome manages the keys; change them on its shortcuts page.">
+          <Table size="small">
+            <TableBody>
+              {commands.filter(command => command.description).map(command => (
+                <TableRow key={command.name}>
+                  <TableCell>{command.description}</TableCell>
+                  <TableCell align="right">
+                    {command.shortcut ? <kbd>{command.shortcut}</kbd> : <Typography variant="body2" color="text.secondary">Not set</Typography>}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          {/* chrome:// pages can't be linked to, only opened as a tab */}
+          <Button variant="outlined" size="small" sx={{ mt: 1.5 }} onClick={() => chrome.tabs.create({ url: SHORTCUTS_PAGE })}>
+            Change shortcuts
+          </Button>
+        </Section>
+
+        <Section title="Privacy" description="What ClickAI keeps.">
+          <FormGroup>
+            <FormControlLabel
+              control={<Switch checked={settings.saveConversations} onChange={(e) => updateSettings({ saveConversations: e.target.checked })} />}
+              label="Save conversations on the server so they can be resumed"
+            />
+            <FormControlLabel
+              control={(
+                <Switch
+                  checked={settings.saveConversations && settings.saveImages}
+                  onChange={(e) => updateSettings({ saveImages: e.target.checked })}
+                  disabled={!settings.saveConversations}
+                />
+              )}
+              label="Save captured images with conversations"
+            />
+            <FormControlLabel
+              control={<Switch checked={settings.promptHistory} onChange={(e) => updateSettings({ promptHistory: e.target.checked })} />}
+              label={'Keep the questions I type on this device and suggest them after "ai" in the address bar'}
+            />
+            <FormControlLabel
+              control={<Switch checked={settings.notifications} onChange={(e) => updateSettings({ notifications: e.target.checked })} />}
+              label="Show errors as browser notifications"
+            />
+          </FormGroup>
+        </Section>
+
+        {status && <Alert severity={status.severity} sx={{ mb: 2 }}>{status.message}</Alert>}
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+          <Button onClick={handleReset}>Reset to defaults</Button>
+          <Button variant="contained" onClick={handleSave} disabled={!dirty || Boolean(backendUrlError)}>
+            Save
+          </Button>
+        </Box>
+      </Box>
+    </ThemeProvider>
+  );
+};
+
+export default OptionsPage;
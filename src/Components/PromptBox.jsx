@@ -12,7 +12,11 @@ function looksLikeCode(text) {
   return codeIndicators.some((regex) => regex.test(text));
 }
 
-const PromptBox = ({ selectedText, onSubmit }) => {
+/**
+ * Asks for a prompt to send with the selected text, a captured image
+ * (`image`, a data URL), or both - the capture and the text read from it.
+ */
+const PromptBox = ({ selectedText, image, onSubmit }) => {
   const [additionalText, setAdditionalText] = useState('');
 
   const handleClose = (e) => {
@@ -43,13 +47,16 @@ const PromptBox = ({ selectedText, onSubmit }) => {
       <div className="prompt-box">
         <h2 className="prompt-title">Add Additional Prompt</h2>
         <div className="selected-text-container">
-          {looksLikeCode(selectedText) ? (
+          {image && (
+            <img className="selected-image" src={image} alt="Captured area" />
+          )}
+          {selectedText && (looksLikeCode(selectedText) ? (
             <SyntaxHighlighter language="javascript" style={oneDark}>
               {selectedText}
             </SyntaxHighlighter>
           ) : (
             <p className="selected-text">{selectedText}</p>
-          )}
+          ))}
         </div>
         <input
           className="prompt-input"
@@ -0,0 +1,61 @@
+/*****************************************************
+ * src/SidePanel.js
+ *
+ * The chat in Chrome's side panel. It resumes the
+ * active conversation when opened and stays open
+ * while the user navigates. Captures made in the
+ * window's tabs arrive from the background script
+ * over a port; each starts a new conversation, like
+ * a capture opened in the page does.
+ *****************************************************/
+import React, { useEffect, useState } from 'react';
+import AIResponseAlert from './AIResponseAlert';
+import { SIDE_PANEL_PORT_NAME, captureActiveTab } from '../sidePanelBridge';
+
+const SidePanel = () => {
+  // Latest capture sent to the panel; a new one remounts the chat with it
+  const [ask, setAsk] = useState(null);
+
+  // Connect to the background script, again whenever it restarts
+  useEffect(() => {
+    let port = null;
+    let closed = false;
+
+    const connect = (windowId) => {
+      port = chrome.runtime.connect({ name: SIDE_PANEL_PORT_NAME });
+      port.onMessage.addListener((message) => {
+        if (message.type === 'ask') {
+          setAsk({ ...message, key: Date.now() });
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        void chrome.runtime.lastError;
+        if (!closed) connect(windowId);
+      });
+      port.postMessage({ type: 'register', windowId });
+    };
+
+    chrome.windows.getCurrent((currentWindow) => {
+      if (!closed) connect(currentWindow.id);
+    });
+
+    return () => {
+      closed = true;
+      if (port) port.disconnect();
+    };
+  }, []);
+
+  return (
+    <AIResponseAlert
+      key={ask ? ask.key : 'resumed'}
+      initialQuery={ask?.query || ''}
+      initialImage={ask?.image || null}
+      initialAttachment={ask?.attachment || null}
+      isPopup={true}
+      fillHeight={true}
+      onSnip={captureActiveTab}
+    />
+  );
+};
+
+export default SidePanel;
@@ -1,19 +1,113 @@
 /*****************************************************
  * src/SnippingTool.js
- * 
+ *
  * This React component renders an overlay that allows
  * the user to snip a portion of the screen. Once a snip
  * is completed, the cropped image data (as a base64 URL)
- * is passed to the provided onComplete callback.
+ * is passed to the provided onComplete callback, along
+ * with how to send it - as the text read from it, as
+ * the image or both - and whether the user switched on
+ * table mode.
+ *
+ * The selection can be adjusted before sending: drag
+ * its handles to resize it, drag inside it to move it,
+ * or nudge it with the arrow keys. A loupe magnifies
+ * the screenshot around the cursor while drawing and
+ * resizing, and the size is shown in screenshot pixels.
+ * Enter sends the selection and Escape cancels.
+ *
+ * Several areas can be sent together: "Add area" (or
+ * Shift + drag) keeps the current selection and starts
+ * another. "Full page" replaces the screenshot with one
+ * of the whole page, scrolled and stitched by the
+ * content script, so areas below the fold can be
+ * selected too.
  *****************************************************/
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { sortReadingOrder, stackImages } from '../pageCapture';
 import './Styles/SnippingTool.css';
 
-const SnippingTool = ({ onComplete, onCancel }) => {
+// Ways to send a capture: the text OCR reads from it, the image itself, or both
+const SEND_MODES = [
+  { value: 'text', label: 'Text', title: 'Send the text read from the area; the image is kept with the message' },
+  { value: 'image', label: 'Image', title: 'Send the image to a vision model' },
+  { value: 'both', label: 'Both', title: 'Send the image to a vision model together with the text read from it' },
+];
+
+// Resize handles: n/s/e/w edges and the four corners
+const HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+// Selections smaller than this (in CSS pixels) are treated as a click
+const MIN_SELECTION_SIZE = 4;
+
+// Arrow keys move by 1px, or by this much with Shift held
+const LARGE_NUDGE = 10;
+
+// Loupe size in CSS pixels, how much it magnifies and how far it sits from the cursor
+const LOUPE_SIZE = 120;
+const LOUPE_ZOOM = 4;
+const LOUPE_OFFSET = 20;
+
+/**
+ * Keeps a selection inside the overlay
+ * @param {Object} rect - Selection: x, y, width and height
+ * @param {number} maxWidth - Overlay width
+ * @param {number} maxHeight - Overlay height
+ * @returns {Object} The clamped selection
+ */
+const clampRect = (rect, maxWidth, maxHeight) => {
+  const width = Math.min(rect.width, maxWidth);
+  const height = Math.min(rect.height, maxHeight);
+  return {
+    x: Math.min(Math.max(rect.x, 0), maxWidth - width),
+    y: Math.min(Math.max(rect.y, 0), maxHeight - height),
+    width,
+    height,
+  };
+};
+
+/**
+ * Builds a selection from two corners, in any order
+ * @returns {Object} Selection: x, y, width and height
+ */
+const rectFromPoints = (x1, y1, x2, y2) => ({
+  x: Math.min(x1, x2),
+  y: Math.min(y1, y2),
+  width: Math.abs(x2 - x1),
+  height: Math.abs(y2 - y1),
+});
+
+/**
+ * Mouse position relative to the overlay, kept inside it
+ * @param {MouseEvent} e - Mouse event
+ * @param {HTMLElement} overlay - The selection overlay
+ * @returns {{x: number, y: number}}
+ */
+const getPoint = (e, overlay) => {
+  const rect = overlay.getBoundingClientRect();
+  return {
+    x: Math.min(Math.max(e.clientX - rect.left, 0), rect.width),
+    y: Math.min(Math.max(e.clientY - rect.top, 0), rect.height),
+  };
+};
+
+const SnippingTool = ({ onComplete, onCancel, onCaptureFullPage = null, initialSendMode = 'text' }) => {
   const [screenshot, setScreenshot] = useState(null);
-  const [isSelecting, setIsSelecting] = useState(false);
-  const [selection, setSelection] = useState(null); // { startX, startY, endX, endY }
+  const [imageSize, setImageSize] = useState(null);
+  const [fullPage, setFullPage] = useState(null); // { offsetY, truncated } once the whole page is captured
+  const [captureError, setCaptureError] = useState(null);
+  const [sendMode, setSendMode] = useState(initialSendMode);
+  const [tableMode, setTableMode] = useState(false);
+  const [selection, setSelection] = useState(null); // { x, y, width, height }
+  const [regions, setRegions] = useState([]); // areas kept with "Add area", sent along with the selection
+  const [dragMode, setDragMode] = useState(null); // 'draw', 'move' or 'resize' while dragging
+  const [pointer, setPointer] = useState(null); // cursor position for the loupe
+  const containerRef = useRef(null);
   const overlayRef = useRef(null);
+  const loupeRef = useRef(null);
+  const imageRef = useRef(null);
+  // Where the current drag started, kept in a ref so window listeners see it
+  const dragRef = useRef(null);
 
   useEffect(() => {
     // Request screenshot from background script
@@ -24,97 +118,359 @@ const SnippingTool = ({ onComplete, onCancel }) => {
     });
   }, []);
 
+  // Keep the decoded screenshot for the loupe and the dimension readout
+  useEffect(() => {
+    if (!screenshot) return;
+    const image = new Image();
+    image.onload = () => {
+      imageRef.current = image;
+      setImageSize({ width: image.width, height: image.height });
+    };
+    image.src = screenshot;
+  }, [screenshot]);
+
+  // Open a full-page capture where the page was scrolled to
+  useEffect(() => {
+    if (!fullPage || !imageSize) return;
+    containerRef.current.scrollTop = fullPage.offsetY * (overlayRef.current.offsetHeight / imageSize.height);
+  }, [fullPage, imageSize]);
+
+  /**
+   * Ratio between screenshot pixels and overlay (CSS) pixels
+   * @returns {{scaleX: number, scaleY: number}}
+   */
+  const getScale = useCallback(() => {
+    const image = imageRef.current;
+    const overlay = overlayRef.current;
+    if (!image || !overlay) return { scaleX: window.devicePixelRatio || 1, scaleY: window.devicePixelRatio || 1 };
+    return {
+      scaleX: image.width / overlay.offsetWidth,
+      scaleY: image.height / overlay.offsetHeight,
+    };
+  }, []);
+
+  const handleSend = useCallback(() => {
+    const areas = selection ? [...regions, selection] : regions;
+    if (areas.length === 0 || !screenshot || !imageRef.current) return;
+    const { scaleX, scaleY } = getScale();
+
+    // Crop each area, then stack them in reading order so they are read as one query
+    const crops = sortReadingOrder(areas).map(({ x, y, width, height }) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scaleX);
+      canvas.height = Math.round(height * scaleY);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(
+        imageRef.current,
+        x * scaleX,
+        y * scaleY,
+        width * scaleX,
+        height * scaleY,
+        0,
+        0,
+        canvas.width,
+        canvas.height
+      );
+      return canvas;
+    });
+    const croppedImage = (crops.length === 1 ? crops[0] : stackImages(crops)).toDataURL('image/png');
+    onComplete(croppedImage, { sendMode, table: tableMode && sendMode !== 'image', regions: crops.length });
+  }, [selection, regions, screenshot, sendMode, tableMode, onComplete, getScale]);
+
   useEffect(() => {
     const handleKeyDown = (e) => {
       if (e.key === 'Escape') {
         onCancel();
+        return;
+      }
+      if (dragMode) return;
+      if (e.key === 'Enter' && (selection || regions.length > 0)) {
+        e.preventDefault();
+        handleSend();
+        return;
       }
+      if (!selection) return;
+
+      const step = e.shiftKey ? LARGE_NUDGE : 1;
+      const delta = {
+        ArrowLeft: [-step, 0],
+        ArrowRight: [step, 0],
+        ArrowUp: [0, -step],
+        ArrowDown: [0, step],
+      }[e.key];
+      if (!delta) return;
+      e.preventDefault();
+
+      const overlay = overlayRef.current;
+      setSelection(current => {
+        // Alt + arrow grows or shrinks the selection from its bottom-right corner
+        const next = e.altKey
+          ? {
+            ...current,
+            width: Math.max(current.width + delta[0], MIN_SELECTION_SIZE),
+            height: Math.max(current.height + delta[1], MIN_SELECTION_SIZE),
+          }
+          : { ...current, x: current.x + delta[0], y: current.y + delta[1] };
+        return clampRect(next, overlay.offsetWidth, overlay.offsetHeight);
+      });
     };
 
     document.addEventListener('keydown', handleKeyDown);
     return () => {
       document.removeEventListener('keydown', handleKeyDown);
     };
-  }, [onCancel]);
+  }, [onCancel, handleSend, selection, regions, dragMode]);
 
-  const handleMouseDown = (e) => {
-    if (!screenshot) return;
-    const rect = overlayRef.current.getBoundingClientRect();
-    const startX = e.clientX - rect.left;
-    const startY = e.clientY - rect.top;
-    setSelection({ startX, startY, endX: startX, endY: startY });
-    setIsSelecting(true);
+  // While dragging, follow the mouse anywhere on the page
+  useEffect(() => {
+    if (!dragMode) return;
+
+    const handleMouseMove = (e) => {
+      const drag = dragRef.current;
+      const point = getPoint(e, overlayRef.current);
+      const overlay = overlayRef.current;
+      const dx = point.x - drag.startX;
+      const dy = point.y - drag.startY;
+
+      if (drag.mode === 'draw') {
+        setSelection(rectFromPoints(drag.startX, drag.startY, point.x, point.y));
+      } else if (drag.mode === 'move') {
+        setSelection(clampRect(
+          { ...drag.rect, x: drag.rect.x + dx, y: drag.rect.y + dy },
+          overlay.offsetWidth,
+          overlay.offsetHeight
+        ));
+      } else {
+        // Move the edges named by the handle; dragging past the opposite edge flips the selection
+        let left = drag.rect.x;
+        let top = drag.rect.y;
+        let right = left + drag.rect.width;
+        let bottom = top + drag.rect.height;
+        if (drag.handle.includes('w')) left += dx;
+        if (drag.handle.includes('e')) right += dx;
+        if (drag.handle.includes('n')) top += dy;
+        if (drag.handle.includes('s')) bottom += dy;
+        setSelection(clampRect(rectFromPoints(left, top, right, bottom), overlay.offsetWidth, overlay.offsetHeight));
+      }
+
+      if (drag.mode !== 'move') setPointer(point);
+    };
+
+    const handleMouseUp = () => {
+      setDragMode(null);
+      setPointer(null);
+      // A click without dragging clears the selection instead of making a tiny one
+      setSelection(current =>
+        current && (current.width < MIN_SELECTION_SIZE || current.height < MIN_SELECTION_SIZE)
+          ? null
+          : current
+      );
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [dragMode]);
+
+  // Draw the magnified screenshot around the cursor
+  useEffect(() => {
+    const canvas = loupeRef.current;
+    const image = imageRef.current;
+    if (!canvas || !image || !pointer) return;
+    const { scaleX, scaleY } = getScale();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = LOUPE_SIZE * dpr;
+    canvas.height = LOUPE_SIZE * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // The loupe shows LOUPE_SIZE / LOUPE_ZOOM CSS pixels of the screenshot
+    const sourceSize = LOUPE_SIZE / LOUPE_ZOOM;
+    ctx.drawImage(
+      image,
+      (pointer.x - sourceSize / 2) * scaleX,
+      (pointer.y - sourceSize / 2) * scaleY,
+      sourceSize * scaleX,
+      sourceSize * scaleY,
+      0,
+      0,
+      canvas.width,
+      canvas.height
+    );
+
+    // Crosshair marking the exact pixel under the cursor
+    const center = canvas.width / 2;
+    ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
+    ctx.lineWidth = dpr;
+    ctx.beginPath();
+    ctx.moveTo(center, 0);
+    ctx.lineTo(center, canvas.height);
+    ctx.moveTo(0, center);
+    ctx.lineTo(canvas.width, center);
+    ctx.stroke();
+  }, [pointer, getScale]);
+
+  const startDrag = (e, mode, handle = null) => {
+    if (!screenshot || e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const point = getPoint(e, overlayRef.current);
+    dragRef.current = { mode, handle, startX: point.x, startY: point.y, rect: selection };
+    if (mode === 'draw') {
+      // Shift + drag keeps the current selection as another area
+      if (e.shiftKey && selection) {
+        setRegions(current => [...current, selection]);
+      }
+      setSelection({ x: point.x, y: point.y, width: 0, height: 0 });
+    }
+    if (mode !== 'move') setPointer(point);
+    setDragMode(mode);
+  };
+
+  // Keep the selection and start drawing another area
+  const addRegion = () => {
+    setRegions(current => [...current, selection]);
+    setSelection(null);
   };
 
-  const handleMouseMove = (e) => {
-    if (!isSelecting || !selection) return;
-    const rect = overlayRef.current.getBoundingClientRect();
-    const endX = e.clientX - rect.left;
-    const endY = e.clientY - rect.top;
-    setSelection({ ...selection, endX, endY });
+  // Make a kept area the selection again, so it can be adjusted
+  const selectRegion = (e, region) => {
+    if (e.button !== 0 || dragMode) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setRegions(current => [...current.filter(r => r !== region), ...(selection ? [selection] : [])]);
+    setSelection(region);
   };
 
-  const handleMouseUp = () => {
-    if (isSelecting) {
-      setIsSelecting(false);
+  const removeRegion = (e, region) => {
+    e.stopPropagation();
+    setRegions(current => current.filter(r => r !== region));
+  };
+
+  const handleFullPage = async () => {
+    setCaptureError(null);
+    try {
+      const capture = await onCaptureFullPage();
+      // Selections refer to the old screenshot
+      imageRef.current = null;
+      setImageSize(null);
+      setSelection(null);
+      setRegions([]);
+      setPointer(null);
+      setScreenshot(capture.image);
+      setFullPage({ offsetY: capture.offsetY, truncated: capture.truncated });
+    } catch (error) {
+      console.error('Full-page capture failed:', error);
+      setCaptureError(`Full-page capture failed: ${error.message}`);
     }
   };
 
-  const handleSend = () => {
-    if (!selection || !screenshot) return;
-    const { startX, startY, endX, endY } = selection;
-    const x = Math.min(startX, endX);
-    const y = Math.min(startY, endY);
-    const width = Math.abs(endX - startX);
-    const height = Math.abs(endY - startY);
-    const image = new Image();
-    image.onload = () => {
-      const scaleX = image.width / overlayRef.current.offsetWidth;
-      const scaleY = image.height / overlayRef.current.offsetHeight;
-      const canvas = document.createElement('canvas');
-      canvas.width = width * scaleX;
-      canvas.height = height * scaleY;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(
-        image,
-        x * scaleX,
-        y * scaleY,
-        width * scaleX,
-        height * scaleY,
-        0,
-        0,
-        width * scaleX,
-        height * scaleY
-      );
-      const croppedImage = canvas.toDataURL('image/png');
-      onComplete(croppedImage);
-    };
-    image.src = screenshot;
+  // Show the loupe while hovering before the first selection, to help aim
+  const handleHover = (e) => {
+    if (!dragMode && !selection && screenshot) {
+      setPointer(getPoint(e, overlayRef.current));
+    }
+  };
+
+  /**
+   * Places the loupe beside the cursor, flipped to the other
+   * side near the right and bottom edges of the screen
+   */
+  const loupePosition = () => {
+    const overlay = overlayRef.current;
+    const container = containerRef.current;
+    let left = pointer.x + LOUPE_OFFSET;
+    let top = pointer.y + LOUPE_OFFSET;
+    if (overlay && left + LOUPE_SIZE > overlay.offsetWidth) left = pointer.x - LOUPE_OFFSET - LOUPE_SIZE;
+    // A full-page capture scrolls, so flip at the bottom of the visible part
+    if (container && top + LOUPE_SIZE > container.scrollTop + container.clientHeight) top = pointer.y - LOUPE_OFFSET - LOUPE_SIZE;
+    return { left, top, width: LOUPE_SIZE, height: LOUPE_SIZE };
   };
 
+  const { scaleX, scaleY } = getScale();
+  const areaCount = regions.length + (selection ? 1 : 0);
+  // Numbers show the order areas are read in
+  const readingOrder = areaCount > 1 ? sortReadingOrder(selection ? [...regions, selection] : regions) : [];
+
+  let hint = null;
+  if (captureError) {
+    hint = captureError;
+  } else if (fullPage && fullPage.truncated && !selection) {
+    hint = 'The page is too long to capture completely - only its top part is shown';
+  } else if (selection && !dragMode) {
+    hint = 'Drag the handles to resize · Arrow keys move (Shift: 10px, Alt: resize) · Shift + drag adds an area · Enter sends · Esc cancels';
+  }
+
   return (
-    <div
-      className="snipping-overlay"
-      style={{ backgroundImage: screenshot ? `url(${screenshot})` : 'none' }}
-    >
+    <div className={`snipping-overlay${fullPage ? ' full-page' : ''}`} ref={containerRef}>
       {!screenshot && <div className="loading"></div>}
       <div
         className="snipping-selection-overlay"
         ref={overlayRef}
-        onMouseDown={handleMouseDown}
-        onMouseMove={handleMouseMove}
-        onMouseUp={handleMouseUp}
+        style={{
+          backgroundImage: screenshot ? `url(${screenshot})` : 'none',
+          // The full page keeps its proportions and scrolls
+          aspectRatio: fullPage && imageSize ? `${imageSize.width} / ${imageSize.height}` : undefined,
+        }}
+        onMouseDown={(e) => startDrag(e, 'draw')}
+        onMouseMove={handleHover}
+        onMouseLeave={() => !dragMode && setPointer(null)}
       >
+        {regions.map(region => (
+          <div
+            key={`${region.x},${region.y},${region.width},${region.height}`}
+            className="selection-rectangle kept"
+            style={{ left: region.x, top: region.y, width: region.width, height: region.height }}
+            onMouseDown={(e) => selectRegion(e, region)}
+            title="Click to adjust this area"
+          >
+            {readingOrder.length > 0 && (
+              <span className="selection-number">{readingOrder.indexOf(region) + 1}</span>
+            )}
+            <button
+              className="selection-remove"
+              onMouseDown={(e) => e.stopPropagation()}
+              onClick={(e) => removeRegion(e, region)}
+              title="Remove this area"
+            >
+              ×
+            </button>
+          </div>
+        ))}
         {selection && (
           <div
-            className="selection-rectangle"
+            className={`selection-rectangle${dragMode ? '' : ' adjustable'}`}
             style={{
-              left: Math.min(selection.startX, selection.endX),
-              top: Math.min(selection.startY, selection.endY),
-              width: Math.abs(selection.endX - selection.startX),
-              height: Math.abs(selection.endY - selection.startY),
+              left: selection.x,
+              top: selection.y,
+              width: selection.width,
+              height: selection.height,
             }}
-          ></div>
+            onMouseDown={(e) => startDrag(e, 'move')}
+          >
+            {readingOrder.length > 0 && (
+              <span className="selection-number">{readingOrder.indexOf(selection) + 1}</span>
+            )}
+            {/* Size of the capture in screenshot pixels */}
+            <div className={`selection-size${selection.y < 24 ? ' inside' : ''}`}>
+              {Math.round(selection.width * scaleX)} × {Math.round(selection.height * scaleY)}
+            </div>
+            {!dragMode && HANDLES.map(handle => (
+              <div
+                key={handle}
+                className={`selection-handle handle-${handle}`}
+                onMouseDown={(e) => startDrag(e, 'resize', handle)}
+              />
+            ))}
+          </div>
+        )}
+        {pointer && (
+          <canvas ref={loupeRef} className="snipping-loupe" style={loupePosition()} />
         )}
       </div>
       <div
@@ -129,13 +485,49 @@ const SnippingTool = ({ onComplete, onCancel }) => {
           <button onClick={onCancel} className="snip-cancel-btn">
             Cancel
           </button>
+        <div className="snip-send-mode" role="radiogroup" aria-label="Send as">
+          {SEND_MODES.map(mode => (
+            <button
+              key={mode.value}
+              role="radio"
+              aria-checked={sendMode === mode.value}
+              className={sendMode === mode.value ? 'active' : ''}
+              onClick={() => setSendMode(mode.value)}
+              title={mode.title}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+        {/* Table mode rebuilds rows and columns from the recognized words */}
+        {sendMode !== 'image' && (
+          <label className="snip-mode-toggle" title="Read the area as a table and send it as Markdown">
+            <input
+              type="checkbox"
+              checked={tableMode}
+              onChange={(e) => setTableMode(e.target.checked)}
+            />
+            Table
+          </label>
+        )}
+        {onCaptureFullPage && !fullPage && screenshot && (
+          <button onClick={handleFullPage} className="snip-option-btn" title="Scroll through the page and capture all of it">
+            Full page
+          </button>
+        )}
+        {selection && !dragMode && (
+          <button onClick={addRegion} className="snip-option-btn" title="Keep this area and select another (or Shift + drag)">
+            Add area
+          </button>
+        )}
         {/* Render the Send button only after selection is made and finished */}
-        {selection && !isSelecting && (
-          <button onClick={handleSend} className="snip-send-btn">
-            Send to AI
+        {areaCount > 0 && !dragMode && (
+          <button onClick={handleSend} className="snip-send-btn" title="Enter">
+            {areaCount > 1 ? `Send ${areaCount} areas to AI` : 'Send to AI'}
           </button>
         )}
       </div>
+      {hint && <div className={`snipping-hint${captureError ? ' error' : ''}`}>{hint}</div>}
     </div>
   );
 };
@@ -0,0 +1,63 @@
+/*****************************************************
+ * src/TableBlock.js
+ *
+ * Renders a Markdown table in a message, with a button
+ * to copy it as CSV (e.g. a table read from a capture
+ * or one the AI answered with).
+ *****************************************************/
+import React, { useRef } from 'react';
+import { Box, IconButton } from '@mui/material';
+import { FaFileCsv } from 'react-icons/fa';
+import { toCsv } from '../ocrTable';
+
+const TableBlock = ({ node, children, theme, onCopy, ...props }) => {
+  const tableRef = useRef(null);
+
+  const handleCopy = () => {
+    const rows = Array.from(tableRef.current.rows).map(row =>
+      Array.from(row.cells).map(cell => cell.textContent.trim())
+    );
+    onCopy(toCsv(rows));
+  };
+
+  const borderColor = theme === 'light' ? '#b0bec5' : '#607d8b';
+
+  return (
+    <Box sx={{ position: 'relative', my: 1, pr: 4, overflowX: 'auto' }}>
+      <Box
+        component="table"
+        ref={tableRef}
+        sx={{
+          borderCollapse: 'collapse',
+          fontSize: '0.9rem',
+          '& th, & td': {
+            border: `1px solid ${borderColor}`,
+            px: 1,
+            py: 0.25,
+            textAlign: 'left',
+            verticalAlign: 'top',
+          },
+          '& th': { fontWeight: 600 },
+        }}
+        {...props}
+      >
+        {children}
+      </Box>
+      <IconButton
+        onClick={handleCopy}
+        size="small"
+        sx={{
+          position: 'absolute',
+          top: 0,
+          right: 0,
+          color: theme === 'light' ? '#333' : '#eee',
+        }}
+        title="Copy as CSV"
+      >
+        <FaFileCsv style={{ fontSize: '0.9rem' }} />
+      </IconButton>
+    </Box>
+  );
+};
+
+export default TableBlock;
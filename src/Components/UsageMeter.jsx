@@ -0,0 +1,87 @@
+/*****************************************************
+ * src/UsageMeter.js
+ *
+ * Shows how many tokens the user has used today and
+ * what this month has cost so far. When the server
+ * enforces a quota, a bar shows how much of the
+ * closest limit is used up.
+ *****************************************************/
+import React from 'react';
+import { Box, LinearProgress, Typography } from '@mui/material';
+
+/**
+ * Formats a token count compactly (e.g. 12.3k, 1.2M)
+ * @param {number} tokens - Token count
+ * @returns {string} Formatted count
+ */
+const formatTokens = (tokens) => {
+  if (tokens >= 1e6) return `${(tokens / 1e6).toFixed(1)}M`;
+  if (tokens >= 1e3) return `${(tokens / 1e3).toFixed(1)}k`;
+  return String(tokens);
+};
+
+/**
+ * Formats a cost in USD, keeping small amounts readable
+ * @param {number} cost - Cost in USD
+ * @returns {string} Formatted cost
+ */
+const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+/**
+ * Finds the quota closest to being used up
+ * @param {Object} usage - Summary from /api/usage
+ * @returns {Object|null} Fraction used, label and reset time of that quota
+ */
+const closestQuota = (usage) => {
+  const candidates = [];
+  for (const period of ['day', 'month']) {
+    const { limits, totalTokens, costUsd, resetAt } = usage[period];
+    const name = period === 'day' ? 'Daily' : 'Monthly';
+    if (limits.tokens) {
+      candidates.push({ fraction: totalTokens / limits.tokens, label: `${name} limit: ${formatTokens(limits.tokens)} tokens`, resetAt });
+    }
+    if (limits.costUsd) {
+      candidates.push({ fraction: costUsd / limits.costUsd, label: `${name} limit: ${formatCost(limits.costUsd)}`, resetAt });
+    }
+  }
+  return candidates.sort((a, b) => b.fraction - a.fraction)[0] || null;
+};
+
+const UsageMeter = ({ usage, theme }) => {
+  if (!usage) return null;
+
+  const quota = closestQuota(usage);
+  const percent = quota ? Math.min(100, Math.round(quota.fraction * 100)) : 0;
+  const title = quota
+    ? `${quota.label} (${percent}% used, resets ${new Date(quota.resetAt).toLocaleString()})`
+    : 'Estimated from the models\' list prices';
+
+  return (
+    <Box
+      sx={{
+        px: 1.5,
+        py: 0.5,
+        backgroundColor: theme === 'light' ? '#f5f5f5' : '#2d2d2d',
+        borderTop: `1px solid ${theme === 'light' ? '#e0e0e0' : '#404040'}`,
+      }}
+      title={title}
+    >
+      <Typography
+        variant="caption"
+        sx={{ display: 'block', color: theme === 'light' ? '#666' : '#bbb' }}
+      >
+        Today: {formatTokens(usage.day.totalTokens)} tokens · This month: {formatCost(usage.month.costUsd)}
+      </Typography>
+      {quota && (
+        <LinearProgress
+          variant="determinate"
+          value={percent}
+          color={percent >= 90 ? 'error' : percent >= 75 ? 'warning' : 'primary'}
+          sx={{ mt: 0.25, height: 4, borderRadius: 2 }}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default UsageMeter;
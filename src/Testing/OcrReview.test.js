@@ -0,0 +1,90 @@
+// The setup file isn't where react-scripts looks for it, so it is loaded here
+import './setupTests';
+import { render, screen, fireEvent } from '@testing-library/react';
+import OcrReview from '../Components/OcrReview';
+import { DEFAULT_OCR_SETTINGS } from '../ocr';
+
+const RESULT = {
+  text: 'Helo world ',
+  confidence: 72.4,
+  words: [
+    { text: 'Helo', confidence: 41, bbox: { x0: 0, y0: 0, x1: 40, y1: 12 } },
+    { text: 'world', confidence: 96, bbox: { x0: 50, y0: 0, x1: 100, y1: 12 } },
+  ],
+  image: 'data:image/png;base64,AAAA',
+  language: 'eng+deu',
+};
+
+/**
+ * Renders the review panel with callbacks to check
+ * @param {Object} props - Props overriding the defaults
+ * @returns {Object} The onSend, onRerun and onCancel mocks
+ */
+function renderReview(props = {}) {
+  const callbacks = { onSend: jest.fn(), onRerun: jest.fn(), onCancel: jest.fn() };
+  render(<OcrReview result={RESULT} settings={DEFAULT_OCR_SETTINGS} busy={false} {...callbacks} {...props} />);
+  return callbacks;
+}
+
+test('the recognized text can be corrected and sent', () => {
+  const { onSend } = renderReview();
+  expect(screen.getByText('Confidence 72%')).toBeInTheDocument();
+
+  const textarea = screen.getByRole('textbox');
+  expect(textarea).toHaveValue('Helo world ');
+  fireEvent.change(textarea, { target: { value: 'Hello world ' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send to AI' }));
+
+  expect(onSend).toHaveBeenCalledWith('Hello world');
+});
+
+test('Ctrl+Enter sends and Escape discards', () => {
+  const { onSend, onCancel } = renderReview();
+
+  fireEvent.keyDown(screen.getByRole('textbox'), { key: 'Enter' });
+  expect(onSend).not.toHaveBeenCalled();
+  fireEvent.keyDown(screen.getByRole('textbox'), { key: 'Enter', ctrlKey: true });
+  expect(onSend).toHaveBeenCalledWith('Helo world');
+
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(onCancel).toHaveBeenCalled();
+});
+
+test('OCR runs again with the language, threshold and layout chosen', () => {
+  const { onRerun } = renderReview();
+
+  // The recognized combination is offered alongside the single languages
+  expect(screen.getByLabelText('Language')).toHaveDisplayValue('English + German');
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'fra' } });
+  fireEvent.change(screen.getByLabelText('Threshold'), { target: { value: 'adaptive' } });
+  fireEvent.change(screen.getByLabelText('Layout'), { target: { value: '11' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Re-run OCR' }));
+
+  expect(onRerun).toHaveBeenCalledWith({
+    languages: ['fra'],
+    detectScript: false,
+    preprocessing: { threshold: 'adaptive', preview: false },
+    pageSegMode: '11',
+    table: false,
+  });
+});
+
+test('nothing can be sent or re-run while OCR is running', () => {
+  renderReview({ busy: true });
+
+  expect(screen.getByRole('button', { name: 'Send to AI' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Recognizing...' })).toBeDisabled();
+  expect(screen.getByRole('textbox')).toBeDisabled();
+});
+
+test('each word gets a box colored by its confidence once the image has loaded', () => {
+  renderReview();
+  const image = screen.getByAltText('Captured area');
+  Object.defineProperty(image, 'naturalWidth', { value: 200 });
+  Object.defineProperty(image, 'naturalHeight', { value: 24 });
+  fireEvent.load(image);
+
+  expect(screen.getByTitle('Helo (41%)')).toHaveClass('ocr-word-low');
+  expect(screen.getByTitle('world (96%)')).toHaveClass('ocr-word-high');
+  expect(screen.getByTitle('world (96%)')).toHaveStyle({ left: '25%', width: '25%', height: '50%' });
+});
@@ -0,0 +1,82 @@
+// The setup file isn't where react-scripts looks for it, so it is loaded here
+import './setupTests';
+import { render, screen, act } from '@testing-library/react';
+import SidePanel from '../Components/SidePanel';
+import { SIDE_PANEL_PORT_NAME } from '../sidePanelBridge';
+
+// The chat itself is replaced by its props, so each mount can be told apart
+jest.mock('../Components/AIResponseAlert', () => {
+  let mounts = 0;
+  const { useState } = jest.requireActual('react');
+  return function AIResponseAlert(props) {
+    const [mount] = useState(() => ++mounts);
+    return <pre data-testid="chat">{JSON.stringify({ mount, query: props.initialQuery, image: props.initialImage })}</pre>;
+  };
+});
+
+let ports;
+
+// Each connection gets a port whose listeners the test can call
+beforeEach(() => {
+  ports = [];
+  global.chrome = {
+    runtime: {
+      connect: jest.fn(({ name }) => {
+        const port = {
+          name,
+          messages: [],
+          listeners: {},
+          onMessage: { addListener: listener => { port.listeners.message = listener; } },
+          onDisconnect: { addListener: listener => { port.listeners.disconnect = listener; } },
+          postMessage: message => port.messages.push(message),
+          disconnect: jest.fn(),
+        };
+        ports.push(port);
+        return port;
+      }),
+    },
+    windows: {
+      getCurrent: jest.fn(callback => callback({ id: 3 })),
+    },
+  };
+});
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+const chat = () => JSON.parse(screen.getByTestId('chat').textContent);
+
+test('the panel registers for its window and resumes the active conversation', () => {
+  render(<SidePanel />);
+
+  expect(ports).toHaveLength(1);
+  expect(ports[0].name).toBe(SIDE_PANEL_PORT_NAME);
+  expect(ports[0].messages).toEqual([{ type: 'register', windowId: 3 }]);
+  expect(chat()).toEqual({ mount: expect.any(Number), query: '', image: null });
+});
+
+test('each capture starts a new chat', () => {
+  render(<SidePanel />);
+  const resumed = chat().mount;
+
+  act(() => ports[0].listeners.message({ type: 'ask', query: 'Explain this', image: 'data:image/png;base64,AAAA' }));
+  const first = chat();
+  expect(first).toEqual({ mount: resumed + 1, query: 'Explain this', image: 'data:image/png;base64,AAAA' });
+
+  jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 1000);
+  act(() => ports[0].listeners.message({ type: 'ask', query: 'Explain this', image: 'data:image/png;base64,AAAA' }));
+  expect(chat().mount).toBe(first.mount + 1);
+  Date.now.mockRestore();
+});
+
+test('the panel reconnects when the background script restarts, and disconnects when closed', () => {
+  const { unmount } = render(<SidePanel />);
+
+  act(() => ports[0].listeners.disconnect());
+  expect(ports).toHaveLength(2);
+  expect(ports[1].messages).toEqual([{ type: 'register', windowId: 3 }]);
+
+  unmount();
+  expect(ports[1].disconnect).toHaveBeenCalled();
+});
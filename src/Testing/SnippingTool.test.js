@@ -0,0 +1,129 @@
+/* eslint-disable testing-library/no-node-access -- the selection and its handles have no roles to find them by */
+// The setup file isn't where react-scripts looks for it, so it is loaded here
+import './setupTests';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SnippingTool from '../Components/SnippingTool';
+
+// The test environment does no layout, so every element is given the overlay's size of 800x600
+beforeEach(() => {
+  jest.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0, width: 800, height: 600 });
+  jest.spyOn(HTMLElement.prototype, 'offsetWidth', 'get').mockReturnValue(800);
+  jest.spyOn(HTMLElement.prototype, 'offsetHeight', 'get').mockReturnValue(600);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// The background script answers with a screenshot
+beforeEach(() => {
+  global.chrome = {
+    runtime: {
+      sendMessage: jest.fn((message, callback) => callback({ screenshot: 'data:image/png;base64,AAAA' })),
+    },
+  };
+});
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+/**
+ * Renders the snipping tool
+ * @returns {HTMLElement} The overlay selections are drawn on
+ */
+function openSnippingTool() {
+  render(<SnippingTool onComplete={jest.fn()} onCancel={jest.fn()} />);
+  return document.querySelector('.snipping-selection-overlay');
+}
+
+/**
+ * Drags with the left mouse button from one point to another
+ * @param {HTMLElement} target - Element the drag starts on
+ * @param {Array<number>} from - Start point [x, y]
+ * @param {Array<number>} to - End point [x, y]
+ * @param {Object} modifiers - Modifier keys held, e.g. { shiftKey: true }
+ */
+function drag(target, [fromX, fromY], [toX, toY], modifiers = {}) {
+  fireEvent.mouseDown(target, { button: 0, clientX: fromX, clientY: fromY, ...modifiers });
+  fireEvent.mouseMove(window, { clientX: toX, clientY: toY });
+  fireEvent.mouseUp(window);
+}
+
+/**
+ * Reads the selection's position and size from its style
+ * @param {HTMLElement} overlay - The overlay
+ * @returns {Array<number>} [x, y, width, height], or null without a selection
+ */
+function selectionRect(overlay) {
+  const rect = overlay.querySelector('.selection-rectangle:not(.kept)');
+  if (!rect) return null;
+  return ['left', 'top', 'width', 'height'].map(name => parseFloat(rect.style[name]));
+}
+
+test('a selection can be drawn in any direction and shows its size', () => {
+  const overlay = openSnippingTool();
+  drag(overlay, [300, 250], [100, 100]);
+
+  expect(selectionRect(overlay)).toEqual([100, 100, 200, 150]);
+  expect(overlay.querySelector('.selection-size')).toHaveTextContent('200 × 150');
+  expect(screen.getByRole('button', { name: 'Send to AI' })).toBeInTheDocument();
+});
+
+test('a click without dragging makes no selection', () => {
+  const overlay = openSnippingTool();
+  drag(overlay, [100, 100], [102, 101]);
+
+  expect(selectionRect(overlay)).toBeNull();
+});
+
+test('the handles resize the selection, flipping it when dragged past the opposite edge', () => {
+  const overlay = openSnippingTool();
+  drag(overlay, [100, 100], [300, 250]);
+
+  drag(overlay.querySelector('.handle-se'), [300, 250], [350, 300]);
+  expect(selectionRect(overlay)).toEqual([100, 100, 250, 200]);
+
+  drag(overlay.querySelector('.handle-w'), [100, 200], [400, 200]);
+  expect(selectionRect(overlay)).toEqual([350, 100, 50, 200]);
+});
+
+test('dragging inside the selection moves it, but not off the screenshot', () => {
+  const overlay = openSnippingTool();
+  drag(overlay, [100, 100], [300, 250]);
+  const selection = overlay.querySelector('.selection-rectangle');
+
+  drag(selection, [200, 200], [250, 220]);
+  expect(selectionRect(overlay)).toEqual([150, 120, 200, 150]);
+
+  drag(overlay.querySelector('.selection-rectangle'), [200, 200], [900, 700]);
+  expect(selectionRect(overlay)).toEqual([600, 450, 200, 150]);
+});
+
+test('arrow keys nudge the selection, and resize it with Alt', () => {
+  const overlay = openSnippingTool();
+  drag(overlay, [100, 100], [300, 250]);
+
+  fireEvent.keyDown(document, { key: 'ArrowRight' });
+  fireEvent.keyDown(document, { key: 'ArrowDown', shiftKey: true });
+  expect(selectionRect(overlay)).toEqual([101, 110, 200, 150]);
+
+  fireEvent.keyDown(document, { key: 'ArrowLeft', altKey: true, shiftKey: true });
+  expect(selectionRect(overlay)).toEqual([101, 110, 190, 150]);
+});
+
+test('several areas can be kept and are numbered in reading order', () => {
+  const overlay = openSnippingTool();
+  drag(overlay, [100, 300], [300, 400]);
+  fireEvent.click(screen.getByRole('button', { name: 'Add area' }));
+  // Shift + drag keeps the selection too
+  drag(overlay, [100, 50], [300, 150]);
+  drag(overlay, [400, 50], [600, 150], { shiftKey: true });
+
+  const numbers = [...overlay.querySelectorAll('.selection-rectangle')].map(rect => [rect.style.left, rect.style.top, rect.textContent.match(/^\d/)[0]]);
+  expect(numbers).toEqual([['100px', '300px', '3'], ['100px', '50px', '1'], ['400px', '50px', '2']]);
+  expect(screen.getByRole('button', { name: 'Send 3 areas to AI' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getAllByTitle('Remove this area')[0]);
+  expect(screen.getByRole('button', { name: 'Send 2 areas to AI' })).toBeInTheDocument();
+});
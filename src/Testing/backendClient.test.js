@@ -0,0 +1,179 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { handleApiPort } from '../backendClient';
+import { ensureAuthToken, clearAuthToken } from '../auth';
+
+jest.mock('../auth', () => ({
+  ensureAuthToken: jest.fn(),
+  clearAuthToken: jest.fn(),
+}));
+
+jest.mock('../settings', () => ({
+  getBackendUrl: async () => 'https://clickai.example.com',
+}));
+
+let port;
+let replies;
+let nextId = 0;
+
+// A port as api.js opens it, and fetch answering from a queue of responses;
+// streamed answers are decoded with TextDecoder, which the test environment lacks
+beforeEach(() => {
+  replies = [];
+  const listeners = [];
+  port = {
+    onMessage: { addListener: listener => listeners.push(listener) },
+    onDisconnect: { addListener: jest.fn() },
+    postMessage: jest.fn(message => replies.push(message)),
+    send: message => listeners.forEach(listener => listener(message)),
+  };
+  handleApiPort(port);
+
+  let token = 0;
+  ensureAuthToken.mockImplementation(async () => `token-${token}`);
+  clearAuthToken.mockImplementation(async () => { token++; });
+  global.fetch = jest.fn();
+  Object.assign(global, { TextDecoder, TextEncoder });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+  delete global.TextDecoder;
+  delete global.TextEncoder;
+});
+
+/**
+ * Builds a fetch response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Response headers
+ * @returns {Object} The response
+ */
+function response(status, body = {}, headers = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: name => headers[name] ?? null },
+    json: async () => body,
+  };
+}
+
+/**
+ * Queues the responses of the next fetch calls; an Error is thrown by fetch
+ * @param {...Object} responses - Responses in order
+ */
+function respond(...responses) {
+  responses.forEach(next => fetch.mockImplementationOnce(async () => {
+    if (next instanceof Error) throw next;
+    return next;
+  }));
+}
+
+/**
+ * Sends a request over the port and waits for its result or error
+ * @param {Object} request - path, method, body and stream
+ * @returns {Promise<Object>} The final reply
+ */
+async function request(request) {
+  const id = ++nextId;
+  port.send({ type: 'request', id, ...request });
+  for (;;) {
+    const reply = replies.find(message => message.id === id && message.type !== 'delta');
+    if (reply) return reply;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('requests go to the backend with the install token', async () => {
+  respond(response(200, { models: [] }));
+
+  expect(await request({ path: '/api/models' })).toMatchObject({ type: 'result', data: { models: [] } });
+  expect(fetch).toHaveBeenCalledWith('https://clickai.example.com/api/models', expect.objectContaining({
+    headers: expect.objectContaining({ Authorization: 'Bearer token-0' }),
+  }));
+});
+
+test('an unrecognized token is replaced once', async () => {
+  respond(response(401), response(200, { ok: true }));
+  expect(await request({ path: '/api/usage' })).toMatchObject({ type: 'result', data: { ok: true } });
+  expect(clearAuthToken).toHaveBeenCalledWith('token-0');
+  expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer token-1');
+
+  respond(response(401), response(401));
+  expect(await request({ path: '/api/usage' })).toMatchObject({ type: 'error', error: { status: 401 } });
+});
+
+test('a GET the server is too busy for is retried until it succeeds', async () => {
+  respond(response(503), response(429), response(200, { models: [] }));
+
+  expect(await request({ path: '/api/models' })).toMatchObject({ type: 'result' });
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+test('retries stop after two, and the last error is reported with its details', async () => {
+  respond(response(502), response(502), response(502, { error: 'Upstream unavailable', code: 'provider_error' }));
+
+  expect(await request({ path: '/api/models' })).toMatchObject({
+    type: 'error',
+    error: { message: 'Upstream unavailable', code: 'provider_error', status: 502 },
+  });
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+test('a POST is retried only when the server refused it without processing it', async () => {
+  respond(response(429), response(201, { id: 'c1' }));
+  expect(await request({ path: '/api/conversations', method: 'POST', body: {} })).toMatchObject({ type: 'result', data: { id: 'c1' } });
+  expect(fetch).toHaveBeenCalledTimes(2);
+
+  // A gateway error may come after the server has stored the conversation
+  respond(response(502));
+  expect(await request({ path: '/api/conversations', method: 'POST', body: {} })).toMatchObject({ type: 'error', error: { status: 502 } });
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+test('network errors are retried for GET requests only', async () => {
+  respond(new TypeError('Failed to fetch'), response(200, { models: [] }));
+  expect(await request({ path: '/api/models' })).toMatchObject({ type: 'result' });
+
+  respond(new TypeError('Failed to fetch'));
+  expect(await request({ path: '/api/conversations', method: 'POST', body: {} })).toMatchObject({ type: 'error', error: { message: 'Failed to fetch' } });
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+test('a Retry-After too long to wait for is reported instead', async () => {
+  respond(response(429, { error: 'Daily limit reached', code: 'quota_exceeded', resetAt: '2026-10-20T00:00:00Z' }, { 'Retry-After': '3600' }));
+
+  expect(await request({ path: '/api/models' })).toMatchObject({
+    type: 'error',
+    error: { status: 429, code: 'quota_exceeded', resetAt: '2026-10-20T00:00:00Z' },
+  });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test('a streamed answer is relayed delta by delta', async () => {
+  const events = 'event: delta\ndata: {"content":"Hel"}\n\nevent: delta\ndata: {"content":"lo"}\n\nevent: done\ndata: {"message":"Hello"}\n\n';
+  // Split inside an event, as the network may
+  const chunks = [events.slice(0, 30), events.slice(30)].map(text => new TextEncoder().encode(text));
+  respond({
+    ...response(200),
+    body: { getReader: () => ({ read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true }) }) },
+  });
+
+  const result = await request({ path: '/api/chat', body: { messages: [] }, stream: true });
+  expect(replies.filter(reply => reply.type === 'delta').map(reply => reply.content)).toEqual(['Hel', 'lo']);
+  expect(result).toMatchObject({ type: 'result', data: { message: 'Hello' } });
+  expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ messages: [], stream: true });
+});
+
+test('cancelling a request stops its retries', async () => {
+  respond(response(503), response(200, { models: [] }));
+  const id = nextId + 1;
+  const reply = request({ path: '/api/models' });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  port.send({ type: 'cancel', id });
+
+  expect(await reply).toMatchObject({ type: 'error', error: { name: 'AbortError' } });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,79 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { QRCodeWriter, BarcodeFormat } from '@zxing/library';
+import { decodeLuminance, assessUrl } from '../barcode';
+
+// ZXing decodes text with TextDecoder, which browsers have and the test environment lacks
+beforeAll(() => {
+  Object.assign(global, { TextDecoder, TextEncoder });
+});
+
+afterAll(() => {
+  delete global.TextDecoder;
+  delete global.TextEncoder;
+});
+
+/**
+ * Renders a QR code as grayscale pixels with a quiet zone around it
+ * @param {string} text - Content of the code
+ * @param {boolean} inverted - Draw it light on dark
+ * @returns {Object} `gray` pixels, `width` and `height`
+ */
+function qrCode(text, inverted = false) {
+  const size = 200;
+  const matrix = new QRCodeWriter().encode(text, BarcodeFormat.QR_CODE, size, size, new Map());
+  const gray = new Uint8ClampedArray(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      gray[y * size + x] = matrix.get(x, y) !== inverted ? 0 : 255;
+    }
+  }
+  return { gray, width: size, height: size };
+}
+
+test('a QR code is decoded, dark on light or light on dark', () => {
+  for (const inverted of [false, true]) {
+    const { gray, width, height } = qrCode('https://example.com/menu', inverted);
+    expect(decodeLuminance(gray, width, height)).toEqual({ format: 'QR_CODE', label: 'QR code', text: 'https://example.com/menu' });
+  }
+});
+
+test('an image without a code decodes to nothing', () => {
+  expect(decodeLuminance(new Uint8ClampedArray(100 * 100).fill(255), 100, 100)).toBeNull();
+});
+
+test('a plain https link has no warnings', () => {
+  const { url, warnings } = assessUrl('  https://www.example.com/menu?table=4 ');
+  expect(url.hostname).toBe('www.example.com');
+  expect(warnings).toEqual([]);
+});
+
+test('links without a scheme are read as https, other text is not a link', () => {
+  expect(assessUrl('example.com/menu').url.href).toBe('https://example.com/menu');
+  expect(assessUrl('hello')).toBeNull();
+  expect(assessUrl('Table 4, ask for Sam.')).toBeNull();
+  expect(assessUrl('WIFI:S:Cafe;T:WPA;P:secret;;')).toBeNull();
+});
+
+test('schemes that can run code or open files are flagged', () => {
+  // eslint-disable-next-line no-script-url -- the link under test is never opened
+  for (const link of ['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'file:///etc/passwd']) {
+    expect(assessUrl(link).warnings).toEqual([expect.stringMatching(/can run code or open local files/)]);
+  }
+});
+
+test('each sign of a malicious link gets its own warning', () => {
+  const cases = [
+    ['http://example.com', /Not encrypted/],
+    ['https://paypal.com@evil.example/login', /the real site is evil\.example/],
+    ['https://192.168.1.20/login', /IP address/],
+    ['https://[::1]/login', /IP address/],
+    ['https://xn--pypal-4ve.com', /international characters/],
+    ['https://bit.ly/3abc', /link shortener/],
+    ['https://invoice.zip', /"\.zip" domain ending/],
+    ['https://example.com:8443/', /unusual port 8443/],
+    ['https://login.paypal.com.account.verify.example', /many subdomains/],
+  ];
+  for (const [link, warning] of cases) {
+    expect(assessUrl(link).warnings).toEqual([expect.stringMatching(warning)]);
+  }
+});
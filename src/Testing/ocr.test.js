@@ -0,0 +1,152 @@
+import {
+  DEFAULT_OCR_SETTINGS,
+  getOcrSettings,
+  saveOcrSettings,
+  chooseOcrLanguage,
+  ocrParameters,
+  recognizeInExtension,
+  handleOcrProgress,
+} from '../ocr';
+
+let sent;
+let stored;
+let jobCount = 0;
+
+// Runtime messaging that holds on to each message until the test replies,
+// and settings storage; the test environment has no crypto.randomUUID for
+// the job IDs
+beforeEach(() => {
+  sent = [];
+  stored = {};
+  global.crypto = { randomUUID: () => `job-${++jobCount}` };
+  global.chrome = {
+    storage: {
+      sync: {
+        get: jest.fn(async key => (key in stored ? { [key]: stored[key] } : {})),
+        set: jest.fn(async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))),
+      },
+    },
+    runtime: {
+      lastError: undefined,
+      sendMessage: jest.fn((message, callback) => sent.push({ message, callback })),
+    },
+  };
+});
+
+afterEach(() => {
+  delete global.chrome;
+  delete global.crypto;
+});
+
+const RESULT = { text: 'Hello', confidence: 95, words: [] };
+
+test('recognizeInExtension resolves with the result of the job', async () => {
+  const promise = recognizeInExtension('data:image/png;base64,AAAA', { language: 'eng+deu', parameters: { tessedit_pageseg_mode: '6' } });
+
+  const [{ message, callback }] = sent;
+  expect(message).toMatchObject({ type: 'ocrRecognize', image: 'data:image/png;base64,AAAA', language: 'eng+deu', parameters: { tessedit_pageseg_mode: '6' } });
+  callback({ success: true, result: RESULT });
+  await expect(promise).resolves.toEqual(RESULT);
+});
+
+test('progress of a job reaches its own callback until it ends', async () => {
+  const onProgress = jest.fn();
+  const promise = recognizeInExtension('data:image/png;base64,AAAA', { onProgress });
+  const { jobId } = sent[0].message;
+
+  handleOcrProgress({ jobId, status: 'recognizing text', progress: 0.5 });
+  handleOcrProgress({ jobId: 'another-job', status: 'recognizing text', progress: 0.9 });
+  sent[0].callback({ success: true, result: RESULT });
+  await promise;
+  handleOcrProgress({ jobId, status: 'recognizing text', progress: 1 });
+
+  expect(onProgress.mock.calls).toEqual([[0.5, 'recognizing text']]);
+});
+
+test('a failed job rejects with its error', async () => {
+  const promise = recognizeInExtension('data:image/png;base64,AAAA');
+  sent[0].callback({ success: false, error: 'Worker crashed' });
+
+  await expect(promise).rejects.toMatchObject({ message: 'Worker crashed', cancelled: false });
+});
+
+test('aborting a job asks the background script to cancel it', async () => {
+  const controller = new AbortController();
+  const promise = recognizeInExtension('data:image/png;base64,AAAA', { signal: controller.signal });
+  const { jobId } = sent[0].message;
+
+  controller.abort();
+  expect(sent[1].message).toEqual({ type: 'ocrCancel', jobId });
+  sent[0].callback({ success: false, cancelled: true, error: 'OCR was cancelled' });
+  await expect(promise).rejects.toMatchObject({ cancelled: true });
+});
+
+test('a job aborted before it starts is never sent', async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await expect(recognizeInExtension('data:image/png;base64,AAAA', { signal: controller.signal })).rejects.toMatchObject({ cancelled: true });
+  expect(sent).toEqual([]);
+});
+
+test('getOcrSettings fills in the defaults and never returns an empty language list', async () => {
+  expect(await getOcrSettings()).toEqual(DEFAULT_OCR_SETTINGS);
+
+  await saveOcrSettings({ languages: [], detectScript: true });
+  const settings = await getOcrSettings();
+  expect(settings.languages).toEqual(['eng']);
+  expect(settings.detectScript).toBe(true);
+
+  await saveOcrSettings({ languages: ['deu', 'rus'] });
+  expect((await getOcrSettings()).languages).toEqual(['deu', 'rus']);
+});
+
+/**
+ * Answers script detection requests with a detected script
+ * @param {Object} response - Reply of the background script
+ */
+function detectScriptReplies(response) {
+  chrome.runtime.sendMessage = jest.fn((message, callback) => callback(response));
+}
+
+test('without script detection every selected language is used', async () => {
+  expect(await chooseOcrLanguage('data:image/png;base64,AAAA', { languages: ['eng', 'rus'], detectScript: false })).toBe('eng+rus');
+  expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+});
+
+test('script detection narrows the selection to the languages written in the script', async () => {
+  const settings = { languages: ['eng', 'deu', 'rus', 'jpn'], detectScript: true };
+
+  detectScriptReplies({ success: true, result: { script: 'Latin', confidence: 8 } });
+  expect(await chooseOcrLanguage('data:image/png;base64,AAAA', settings)).toBe('eng+deu');
+
+  // Tesseract reports Japanese text by its kana
+  detectScriptReplies({ success: true, result: { script: 'Katakana', confidence: 8 } });
+  expect(await chooseOcrLanguage('data:image/png;base64,AAAA', settings)).toBe('jpn');
+});
+
+test('a script none of the selected languages use gets its first offered language', async () => {
+  detectScriptReplies({ success: true, result: { script: 'Greek', confidence: 8 } });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  expect(await chooseOcrLanguage('data:image/png;base64,AAAA', { languages: ['eng'], detectScript: true })).toBe('ell');
+  console.log.mockRestore();
+});
+
+test('an uncertain or failed detection keeps the selected languages', async () => {
+  const settings = { languages: ['eng', 'rus'], detectScript: true };
+
+  detectScriptReplies({ success: true, result: { script: 'Cyrillic', confidence: 1 } });
+  expect(await chooseOcrLanguage('data:image/png;base64,AAAA', settings)).toBe('eng+rus');
+
+  detectScriptReplies({ success: false, error: 'Detection failed' });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(await chooseOcrLanguage('data:image/png;base64,AAAA', settings)).toBe('eng+rus');
+  console.warn.mockRestore();
+});
+
+test('ocrParameters use the chosen layout and restrict characters for English only', () => {
+  expect(ocrParameters('eng').tessedit_pageseg_mode).toBe(DEFAULT_OCR_SETTINGS.pageSegMode);
+  expect(ocrParameters('eng', '11').tessedit_pageseg_mode).toBe('11');
+  expect(ocrParameters('eng').tessedit_char_whitelist).toContain('abc');
+  expect(ocrParameters('eng+deu').tessedit_char_whitelist).toBe('');
+});
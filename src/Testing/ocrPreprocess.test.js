@@ -0,0 +1,102 @@
+import {
+  upscaleFactor,
+  toGrayscale,
+  hasDarkBackground,
+  invert,
+  otsuThreshold,
+  binarize,
+  adaptiveThreshold,
+  medianFilter,
+  estimateSkew,
+} from '../ocrPreprocess';
+
+/**
+ * Builds a grayscale image from a function of the pixel position
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} valueAt - Returns the luminance at (x, y)
+ * @returns {Uint8ClampedArray} Grayscale pixels
+ */
+function image(width, height, valueAt) {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) gray[y * width + x] = valueAt(x, y);
+  }
+  return gray;
+}
+
+test('upscaleFactor brings captures up to a high-density screen within the pixel limit', () => {
+  expect(upscaleFactor(400, 300, 1)).toBe(3);
+  expect(upscaleFactor(400, 300, 2)).toBe(1.5);
+  expect(upscaleFactor(400, 300, 3)).toBe(1);
+  // 3x would be 36 million pixels
+  expect(upscaleFactor(2000, 2000, 1)).toBeCloseTo(Math.sqrt(2));
+  expect(upscaleFactor(4000, 3000, 1)).toBe(1);
+});
+
+test('toGrayscale weights the channels by their brightness', () => {
+  const rgba = new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 255, 255, 0, 0, 255, 0, 255, 0, 255]);
+  expect([...toGrayscale(rgba)]).toEqual([255, 0, 76, 150]);
+});
+
+test('light text on a dark background is detected and inverted', () => {
+  // A dark page with a few light pixels of text
+  const gray = image(10, 10, x => (x === 5 ? 230 : 20));
+  expect(hasDarkBackground(gray)).toBe(true);
+
+  invert(gray);
+  expect(gray[0]).toBe(235);
+  expect(gray[5]).toBe(25);
+  expect(hasDarkBackground(gray)).toBe(false);
+});
+
+test('otsuThreshold separates text from background', () => {
+  const gray = image(10, 10, x => (x < 3 ? 40 + x : 200 + x));
+  const threshold = otsuThreshold(gray);
+
+  expect(threshold).toBeGreaterThanOrEqual(42);
+  expect(threshold).toBeLessThan(203);
+  expect([...binarize(gray, threshold).slice(0, 10)]).toEqual([0, 0, 0, 255, 255, 255, 255, 255, 255, 255]);
+});
+
+test('adaptiveThreshold finds text on a background that darkens across the image', () => {
+  // One text column on each side. The text on the left is lighter than the
+  // background on the right, so no single threshold separates them.
+  const width = 64;
+  const gray = image(width, 16, x => {
+    const background = 230 - x * 2;
+    return x === 8 || x === 56 ? background - 60 : background;
+  });
+  expect(gray[8]).toBeGreaterThan(gray[width - 1]);
+
+  const binary = adaptiveThreshold(gray, width, 16);
+  const row = [...binary.slice(8 * width, 9 * width)];
+  expect(row.map((value, x) => (value === 0 ? x : null)).filter(x => x !== null)).toEqual([8, 56]);
+});
+
+test('medianFilter removes isolated specks and keeps strokes', () => {
+  const gray = image(9, 9, (x, y) => ((x === 4 && y === 2) || y >= 5 ? 0 : 255));
+  const filtered = medianFilter(gray, 9, 9);
+
+  expect(filtered[2 * 9 + 4]).toBe(255);
+  expect(filtered[6 * 9 + 4]).toBe(0);
+});
+
+test('estimateSkew measures the angle of the text lines', () => {
+  const width = 300;
+  const height = 200;
+  const tilted = (degrees) => {
+    const slope = Math.tan(degrees * Math.PI / 180);
+    // Lines of text every 30 pixels, each 3 pixels thick
+    return image(width, height, (x, y) => ((y - x * slope + 300) % 30 < 3 ? 0 : 255));
+  };
+
+  expect(estimateSkew(tilted(0), width, height)).toBe(0);
+  expect(estimateSkew(tilted(3), width, height)).toBeCloseTo(3, 0);
+  expect(estimateSkew(tilted(-4.5), width, height)).toBeCloseTo(-4.5, 0);
+});
+
+test('estimateSkew leaves images with almost no dark pixels alone', () => {
+  const gray = image(100, 100, (x, y) => (x === y && x < 10 ? 0 : 255));
+  expect(estimateSkew(gray, 100, 100)).toBe(0);
+});
@@ -0,0 +1,46 @@
+import { buildTableRows, toCsv, toMarkdownTable, parseMarkdownTable } from '../ocrTable';
+
+// Words of a table with 20px high text, laid out on a grid
+const word = (text, x0, y0, width = text.length * 10) => ({ text, bbox: { x0, y0, x1: x0 + width, y1: y0 + 20 } });
+
+const invoiceWords = [
+  word('Item', 0, 0), word('Qty', 200, 2), word('Price', 300, 0),
+  word('Blue', 0, 40), word('pen', 45, 41), word('2', 200, 40), word('1.50', 300, 39),
+  word('Notebook', 0, 80), word('10', 200, 80), word('3.20', 300, 82),
+];
+
+test('buildTableRows rebuilds rows and columns from word boxes', () => {
+  expect(buildTableRows(invoiceWords)).toEqual([
+    ['Item', 'Qty', 'Price'],
+    ['Blue pen', '2', '1.50'],
+    ['Notebook', '10', '3.20'],
+  ]);
+});
+
+test('buildTableRows leaves a cell empty when a row has no text in its column', () => {
+  const words = [...invoiceWords, word('Total', 0, 120), word('4.70', 300, 120)];
+  expect(buildTableRows(words)[3]).toEqual(['Total', '', '4.70']);
+});
+
+test('buildTableRows ignores blank words and handles no words', () => {
+  expect(buildTableRows([])).toEqual([]);
+  expect(buildTableRows([word(' ', 0, 0), { text: 'stray' }])).toEqual([]);
+});
+
+test('toCsv quotes only the cells that need it', () => {
+  expect(toCsv([
+    ['Name', 'Note'],
+    ['Smith, J.', 'Said "hi"'],
+    [' padded', 'two\nlines'],
+  ])).toBe('Name,Note\r\n"Smith, J.","Said ""hi"""\r\n" padded","two\nlines"');
+});
+
+test('parseMarkdownTable reads back a table written by toMarkdownTable', () => {
+  const rows = [['Command', 'Meaning'], ['a | b', 'pipe'], ['', 'empty cell']];
+  const markdown = `Here is the table:\n\n${toMarkdownTable(rows)}\n\nAnything else?`;
+  expect(parseMarkdownTable(markdown)).toEqual(rows);
+});
+
+test('parseMarkdownTable returns null without a table', () => {
+  expect(parseMarkdownTable('No table here')).toBeNull();
+});
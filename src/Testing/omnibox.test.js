@@ -0,0 +1,69 @@
+import { suggestPastPrompts, openPopupWithQuery, takePendingPopupQuery } from '../omnibox';
+import { searchPrompts } from '../promptHistory';
+
+jest.mock('../promptHistory', () => ({
+  searchPrompts: jest.fn(),
+}));
+
+let session;
+
+// Session storage kept in a plain object
+beforeEach(() => {
+  session = {};
+  global.chrome = {
+    action: { openPopup: jest.fn(async () => {}) },
+    storage: {
+      session: {
+        get: jest.fn(async key => (key in session ? { [key]: session[key] } : {})),
+        set: jest.fn(async items => { Object.assign(session, items); }),
+        remove: jest.fn(async key => { delete session[key]; }),
+      },
+    },
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.chrome;
+});
+
+test('past prompts are suggested with XML special characters escaped', async () => {
+  searchPrompts.mockResolvedValue(['Is <b> & "i" the same?', 'What\'s this']);
+  const suggest = jest.fn();
+
+  await suggestPastPrompts('is', suggest);
+  expect(searchPrompts).toHaveBeenCalledWith('is');
+  expect(suggest).toHaveBeenCalledWith([
+    { content: 'Is <b> & "i" the same?', description: 'Is &lt;b&gt; &amp; &quot;i&quot; the same? <dim>- asked before</dim>' },
+    { content: 'What\'s this', description: 'What&apos;s this <dim>- asked before</dim>' },
+  ]);
+});
+
+test('the popup takes the query it was opened for once', async () => {
+  await openPopupWithQuery('Explain this');
+
+  expect(chrome.action.openPopup).toHaveBeenCalled();
+  expect(await takePendingPopupQuery()).toBe('Explain this');
+  expect(await takePendingPopupQuery()).toBe('');
+});
+
+test('a query left by a popup that never opened is dropped', async () => {
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now);
+  await openPopupWithQuery('Explain this');
+
+  Date.now.mockReturnValue(now + 30000);
+  expect(await takePendingPopupQuery()).toBe('');
+  expect(session).toEqual({});
+});
+
+test('no query is left behind when the popup can\'t open', async () => {
+  chrome.action.openPopup.mockRejectedValue(new Error('No active browser window'));
+
+  await expect(openPopupWithQuery('Explain this')).rejects.toThrow('No active browser window');
+  expect(session).toEqual({});
+
+  delete chrome.action.openPopup;
+  await expect(openPopupWithQuery('Explain this')).rejects.toThrow('can\'t open the popup');
+  expect(chrome.storage.session.set).toHaveBeenCalledTimes(1);
+});
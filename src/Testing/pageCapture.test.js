@@ -0,0 +1,108 @@
+import { captureFullPage, sortReadingOrder, stackImages } from '../pageCapture';
+
+const OriginalImage = global.Image;
+let drawn;
+
+// The test environment has no canvas, and its images never load: canvases
+// record what is drawn on them, and images "load" as 1600x1200 screenshots
+beforeEach(() => {
+  drawn = [];
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function () {
+    return {
+      fillRect: jest.fn(),
+      drawImage: (image, x, y) => drawn.push({ canvas: this, image: image.src || image.name, x, y }),
+    };
+  });
+  jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,STITCHED');
+  global.Image = class {
+    set src(value) {
+      this.source = value;
+      this.width = 1600;
+      this.height = 1200;
+      setTimeout(() => this.onload());
+    }
+
+    get src() {
+      return this.source;
+    }
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  global.Image = OriginalImage;
+  document.body.innerHTML = '';
+});
+
+test('regions on one row are read left to right, rows top to bottom', () => {
+  const title = { name: 'title', x: 0, y: 0, width: 600, height: 40 };
+  const left = { name: 'left', x: 0, y: 105, width: 280, height: 200 };
+  // Starts a little lower, but mostly beside the left column
+  const right = { name: 'right', x: 320, y: 120, width: 280, height: 200 };
+  const footer = { name: 'footer', x: 0, y: 400, width: 600, height: 40 };
+
+  expect(sortReadingOrder([footer, right, title, left]).map(region => region.name)).toEqual(['title', 'left', 'right', 'footer']);
+});
+
+test('regions overlapping less than half their height are on separate rows', () => {
+  const upper = { name: 'upper', x: 300, y: 0, width: 100, height: 100 };
+  const lower = { name: 'lower', x: 0, y: 60, width: 100, height: 100 };
+
+  expect(sortReadingOrder([lower, upper]).map(region => region.name)).toEqual(['upper', 'lower']);
+});
+
+test('stackImages stacks images with a gap, as wide as the widest', () => {
+  const canvas = stackImages([{ name: 'first', width: 200, height: 50 }, { name: 'second', width: 300, height: 80 }], 10);
+
+  expect([canvas.width, canvas.height]).toEqual([300, 140]);
+  expect(drawn.map(({ image, y }) => [image, y])).toEqual([['first', 0], ['second', 60]]);
+});
+
+describe('captureFullPage', () => {
+  const WINDOW = { innerWidth: 800, innerHeight: 600, scrollX: 0, scrollY: 300 };
+  const original = {};
+
+  // A 800x600 window scrolled to 300 on a page 1500 pixels tall
+  beforeEach(() => {
+    for (const name of Object.keys(WINDOW)) original[name] = window[name];
+    Object.assign(window, WINDOW);
+    jest.spyOn(window, 'scrollTo').mockImplementation((x, y) => {
+      window.scrollY = Math.min(y, 1500 - 600);
+    });
+    jest.spyOn(document.documentElement, 'scrollHeight', 'get').mockReturnValue(1500);
+  });
+
+  afterEach(() => {
+    Object.assign(window, original);
+  });
+
+  test('stitches one screenshot per screen and restores the scroll position', async () => {
+    const positions = [];
+    const result = await captureFullPage(async () => {
+      positions.push(window.scrollY);
+      return `screen-${positions.length}`;
+    });
+
+    expect(positions).toEqual([0, 600, 900]);
+    // The last screen is drawn where it really is, overlapping the one before
+    expect(drawn.map(({ image, y }) => [image, y])).toEqual([['screen-1', 0], ['screen-2', 1200], ['screen-3', 1800]]);
+    expect([drawn[0].canvas.width, drawn[0].canvas.height]).toEqual([1600, 3000]);
+    expect(result).toEqual({ image: 'data:image/png;base64,STITCHED', offsetY: 600, truncated: false });
+    expect(window.scrollY).toBe(300);
+  }, 10000);
+
+  test('pinned elements appear once and hidden ones not at all', async () => {
+    document.body.innerHTML = '<header style="position: fixed">Menu</header><div id="clickai-ui">Chat</div>';
+    const header = document.querySelector('header');
+    const ui = document.getElementById('clickai-ui');
+    const seen = [];
+
+    await captureFullPage(async () => {
+      seen.push([header.style.visibility, ui.style.visibility]);
+      return 'screen';
+    }, { hidden: [ui] });
+
+    expect(seen).toEqual([['', 'hidden'], ['hidden', 'hidden'], ['hidden', 'hidden']]);
+    expect([header.style.visibility, ui.style.visibility]).toEqual(['', '']);
+  }, 10000);
+});
@@ -0,0 +1,81 @@
+import { recordPrompt, searchPrompts, clearPromptHistory } from '../promptHistory';
+import { getSettings } from '../settings';
+
+jest.mock('../settings', () => ({
+  getSettings: jest.fn(),
+}));
+
+let stored;
+
+// Local storage kept in a plain object
+beforeEach(() => {
+  stored = {};
+  global.chrome = {
+    storage: {
+      local: {
+        get: jest.fn(async key => (key in stored ? { [key]: stored[key] } : {})),
+        set: jest.fn(async items => { Object.assign(stored, items); }),
+        remove: jest.fn(async key => { delete stored[key]; }),
+      },
+    },
+  };
+  getSettings.mockResolvedValue({ promptHistory: true });
+});
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+/**
+ * Records prompts one after the other
+ * @param {...string} prompts - Prompts, oldest first
+ */
+async function recordAll(...prompts) {
+  for (const prompt of prompts) await recordPrompt(prompt);
+}
+
+test('prompts are kept most recent first, a repeated one moving to the top', async () => {
+  await recordAll('Summarize this page', 'Translate to German', '  summarize   THIS page ');
+
+  expect(await searchPrompts('page')).toEqual(['summarize THIS page']);
+  expect(await searchPrompts('t')).toEqual(['Translate to German', 'summarize THIS page']);
+});
+
+test('empty, pasted and private prompts are not kept', async () => {
+  await recordAll('   ', 'x'.repeat(301));
+  getSettings.mockResolvedValue({ promptHistory: false });
+  await recordPrompt('Summarize this page');
+
+  expect(chrome.storage.local.set).not.toHaveBeenCalled();
+});
+
+test('only the latest hundred prompts are kept', async () => {
+  await recordAll(...Array.from({ length: 101 }, (_, index) => `Question ${index}`));
+
+  const history = Object.values(stored)[0];
+  expect(history).toHaveLength(100);
+  expect(history[0]).toBe('Question 100');
+  expect(history).not.toContain('Question 0');
+});
+
+test('prompts containing every typed word match, those starting with the text first', async () => {
+  await recordAll('Explain this code', 'What does this code explain', 'Explain the chart');
+
+  expect(await searchPrompts('explain')).toEqual(['Explain the chart', 'Explain this code', 'What does this code explain']);
+  expect(await searchPrompts('code explain')).toEqual(['What does this code explain', 'Explain this code']);
+  expect(await searchPrompts('explain', 1)).toEqual(['Explain the chart']);
+});
+
+test('the prompt already typed out and blank input suggest nothing', async () => {
+  await recordAll('Explain this code');
+
+  expect(await searchPrompts('explain this code ')).toEqual([]);
+  expect(await searchPrompts('  ')).toEqual([]);
+});
+
+test('clearing forgets every prompt', async () => {
+  await recordAll('Explain this code');
+  await clearPromptHistory();
+
+  expect(await searchPrompts('explain')).toEqual([]);
+});
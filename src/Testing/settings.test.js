@@ -0,0 +1,93 @@
+import {
+  DEFAULT_SETTINGS,
+  validateSetting,
+  getSettings,
+  saveSettings,
+  resetSettings,
+  isFloatingButtonHidden,
+} from '../settings';
+
+let stored;
+
+// Extension storage with the parts of chrome.storage.sync settings.js uses
+beforeEach(() => {
+  stored = {};
+  global.chrome = {
+    storage: {
+      sync: {
+        get: jest.fn(async key => (key in stored ? { [key]: stored[key] } : {})),
+        set: jest.fn(async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))),
+        remove: jest.fn(async key => { delete stored[key]; }),
+      },
+    },
+  };
+});
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+test('validateSetting accepts valid values', () => {
+  expect(validateSetting('theme', 'dark')).toBeNull();
+  expect(validateSetting('temperature', 0)).toBeNull();
+  expect(validateSetting('temperature', 2)).toBeNull();
+  expect(validateSetting('backendUrl', 'https://clickai.example.com')).toBeNull();
+  expect(validateSetting('backendUrl', 'http://localhost:5010')).toBeNull();
+  expect(validateSetting('backendUrl', 'http://127.0.0.1:5010')).toBeNull();
+  expect(validateSetting('floatingButtonHiddenSites', ['example.com'])).toBeNull();
+});
+
+test('validateSetting explains what is wrong with a value', () => {
+  expect(validateSetting('colour', 'red')).toBe('Unknown setting "colour"');
+  expect(validateSetting('theme', 'blue')).toBe('theme must be one of light, dark');
+  expect(validateSetting('temperature', '0.5')).toBe('temperature must be a number');
+  expect(validateSetting('temperature', NaN)).toBe('temperature must be a number');
+  expect(validateSetting('temperature', 2.5)).toBe('temperature must be at most 2');
+  expect(validateSetting('temperature', -1)).toBe('temperature must be at least 0');
+  expect(validateSetting('floatingButtonHiddenSites', [1])).toBe('floatingButtonHiddenSites must be a list of strings');
+  expect(validateSetting('backendUrl', 'ftp://example.com')).toBe('backendUrl is not valid');
+  // The install token would travel in plain text
+  expect(validateSetting('backendUrl', 'http://clickai.example.com')).toBe('backendUrl is not valid');
+  expect(validateSetting('backendUrl', 'http://localhost.example.com')).toBe('backendUrl is not valid');
+});
+
+test('getSettings returns the defaults when nothing is stored', async () => {
+  expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+});
+
+test('getSettings replaces invalid and drops unknown stored values', async () => {
+  stored.clickaiSettings = { theme: 'dark', temperature: 'hot', retired: true };
+
+  const settings = await getSettings();
+  expect(settings.theme).toBe('dark');
+  expect(settings.temperature).toBe(DEFAULT_SETTINGS.temperature);
+  expect(settings).not.toHaveProperty('retired');
+});
+
+test('saveSettings stores only values that differ from the defaults', async () => {
+  const settings = await saveSettings({ theme: 'dark', backendUrl: 'https://clickai.example.com/', notifications: true });
+
+  expect(settings.backendUrl).toBe('https://clickai.example.com');
+  expect(stored.clickaiSettings).toEqual({ theme: 'dark', backendUrl: 'https://clickai.example.com' });
+});
+
+test('saveSettings saves nothing when a value is invalid', async () => {
+  await expect(saveSettings({ theme: 'dark', temperature: 3 })).rejects.toThrow('temperature must be at most 2');
+  expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+});
+
+test('resetSettings goes back to the defaults', async () => {
+  await saveSettings({ theme: 'dark' });
+
+  expect(await resetSettings()).toEqual(DEFAULT_SETTINGS);
+  expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+});
+
+test('isFloatingButtonHidden covers listed sites and their subdomains', () => {
+  const settings = { ...DEFAULT_SETTINGS, floatingButtonHiddenSites: ['example.com'] };
+
+  expect(isFloatingButtonHidden(settings, 'example.com')).toBe(true);
+  expect(isFloatingButtonHidden(settings, 'docs.example.com')).toBe(true);
+  expect(isFloatingButtonHidden(settings, 'notexample.com')).toBe(false);
+  expect(isFloatingButtonHidden({ ...settings, floatingButton: false }, 'other.org')).toBe(true);
+});
@@ -0,0 +1,56 @@
+import manifest from '../../public/manifest.json';
+import { COMMANDS, getShortcuts, withShortcut } from '../shortcuts';
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+test('every command has a key binding entry in the manifest', () => {
+  expect(Object.keys(manifest.commands)).toEqual(expect.arrayContaining(Object.values(COMMANDS)));
+});
+
+test('extension pages read the shortcuts from chrome.commands', async () => {
+  global.chrome = {
+    commands: {
+      getAll: jest.fn(callback => callback([
+        { name: COMMANDS.SNIP_AREA, shortcut: 'Alt+Shift+S' },
+        { name: COMMANDS.TOGGLE_CHAT, shortcut: '' },
+        { name: COMMANDS.ASK_SELECTION },
+      ])),
+    },
+  };
+
+  expect(await getShortcuts()).toEqual({
+    [COMMANDS.SNIP_AREA]: 'Alt+Shift+S',
+    [COMMANDS.TOGGLE_CHAT]: '',
+    [COMMANDS.ASK_SELECTION]: '',
+  });
+});
+
+test('content scripts ask the background script for the shortcuts', async () => {
+  global.chrome = {
+    runtime: {
+      sendMessage: jest.fn((message, callback) => callback({ shortcuts: { [COMMANDS.SNIP_AREA]: 'Alt+Shift+S' } })),
+    },
+  };
+
+  expect(await getShortcuts()).toEqual({ [COMMANDS.SNIP_AREA]: 'Alt+Shift+S' });
+  expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'getShortcuts' }, expect.any(Function));
+});
+
+test('no shortcuts are shown when the background script does not answer', async () => {
+  global.chrome = {
+    runtime: {
+      lastError: { message: 'Could not establish connection. Receiving end does not exist.' },
+      sendMessage: jest.fn((message, callback) => callback(undefined)),
+    },
+  };
+
+  expect(await getShortcuts()).toEqual({});
+});
+
+test('withShortcut adds bound keys to a title', () => {
+  expect(withShortcut('Snip area', 'Alt+Shift+S')).toBe('Snip area (Alt+Shift+S)');
+  expect(withShortcut('Snip area', '')).toBe('Snip area');
+  expect(withShortcut('Snip area', undefined)).toBe('Snip area');
+});
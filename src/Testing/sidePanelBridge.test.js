@@ -0,0 +1,51 @@
+import { askInSidePanel, captureActiveTab } from '../sidePanelBridge';
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+/**
+ * Sets up runtime messaging that answers with a response
+ * @param {Object} response - Reply of the background script
+ * @param {Object} lastError - Error Chrome reports for the message, if any
+ */
+function backgroundReplies(response, lastError = undefined) {
+  global.chrome = {
+    runtime: {
+      lastError,
+      sendMessage: jest.fn((message, callback) => callback(response)),
+    },
+  };
+}
+
+test('a capture is handed to the side panel when it takes it', async () => {
+  backgroundReplies({ success: true });
+
+  expect(await askInSidePanel({ query: 'Explain this', image: 'data:image/png;base64,AAAA' })).toBe(true);
+  expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+    { type: 'askInSidePanel', query: 'Explain this', image: 'data:image/png;base64,AAAA', attachment: null },
+    expect.any(Function)
+  );
+});
+
+test('the chat opens in the page when the side panel does not take the capture', async () => {
+  backgroundReplies({ success: false });
+  expect(await askInSidePanel({ query: 'Explain this' })).toBe(false);
+
+  backgroundReplies(undefined, { message: 'Extension context invalidated.' });
+  expect(await askInSidePanel()).toBe(false);
+});
+
+test('a capture from the panel starts in the active tab', async () => {
+  global.chrome = {
+    runtime: {},
+    tabs: {
+      query: jest.fn(async () => [{ id: 7 }]),
+      sendMessage: jest.fn(),
+    },
+  };
+
+  await captureActiveTab();
+  expect(chrome.tabs.query).toHaveBeenCalledWith({ active: true, currentWindow: true });
+  expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { type: 'captureArea' }, expect.any(Function));
+});
@@ -0,0 +1,304 @@
+/**
+ * Backend API for ClickAI Extension
+ *
+ * The requests the chat interface makes to the ClickAI backend server:
+ * model discovery, chat completions, questions about images, server-side
+ * OCR and saved conversations.
+ * Chat completions are streamed as Server-Sent Events so the assistant's
+ * answer can be rendered while it is still being generated.
+ *
+ * The requests themselves are made by the background service worker (see
+ * backendClient.js), which adds authentication and retries; these functions
+ * send them there over a chrome.runtime port and relay the replies.
+ *
+ * @module api
+ * @author ClickAI Team
+ */
+
+import { API_PORT_NAME } from './backendClient';
+
+// Port to the background client, opened on the first request
+let port = null;
+
+// Requests waiting for their reply, keyed by request ID
+const pendingRequests = new Map();
+let nextRequestId = 1;
+
+/**
+ * Creates the error a cancelled request rejects with, like fetch does
+ *
+ * @returns {DOMException} An AbortError
+ */
+function abortError() {
+  return new DOMException('The request was cancelled.', 'AbortError');
+}
+
+/**
+ * Rebuilds an error posted by the background client, keeping details such
+ * as `status`, `code` and `resetAt`
+ *
+ * @param {Object} error - Error as posted over the port
+ * @returns {Error} The error
+ */
+function toError({ name, message, ...details }) {
+  if (name === 'AbortError') return abortError();
+  return Object.assign(new Error(message), details);
+}
+
+/**
+ * Delivers a reply from the background client to the request it belongs to
+ *
+ * @param {Object} message - `delta`, `result` or `error` reply with the request's `id`
+ */
+function handleReply(message) {
+  const request = pendingRequests.get(message.id);
+  if (!request) return;
+
+  if (message.type === 'delta') {
+    if (request.onDelta) request.onDelta(message.content);
+  } else if (message.type === 'result') {
+    request.settle();
+    request.resolve(message.data);
+  } else if (message.type === 'error') {
+    request.settle();
+    request.reject(toError(message.error));
+  }
+}
+
+/**
+ * Returns the port to the background client, connecting if needed. The
+ * background service worker may be restarted; the next request then
+ * connects again.
+ *
+ * @returns {chrome.runtime.Port} The port
+ */
+function getPort() {
+  if (port) return port;
+
+  port = chrome.runtime.connect({ name: API_PORT_NAME });
+  port.onMessage.addListener(handleReply);
+  port.onDisconnect.addListener(() => {
+    void chrome.runtime.lastError;
+    port = null;
+    const error = new Error('The connection to the extension was lost. Please try again.');
+    pendingRequests.forEach((request) => {
+      request.settle();
+      request.reject(error);
+    });
+  });
+  return port;
+}
+
+/**
+ * Has the background client send a request and waits for its reply
+ *
+ * @param {Object} request - `path`, and optionally `method`, `body` and `stream`
+ * @param {Object} options - Request options
+ * @param {Function} options.onDelta - Called with each chunk of a streamed answer
+ * @param {AbortSignal} options.signal - Optional signal to cancel the request
+ * @returns {Promise<*>} Parsed reply (null for 204 No Content), or the final event of a stream
+ * @throws {Error} With a `status` property when the server answers with an error
+ */
+function sendRequest(request, { onDelta, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const id = nextRequestId++;
+    const cancel = () => {
+      pendingRequests.delete(id);
+      if (port) port.postMessage({ type: 'cancel', id });
+      reject(abortError());
+    };
+    const settle = () => {
+      pendingRequests.delete(id);
+      signal?.removeEventListener('abort', cancel);
+    };
+
+    pendingRequests.set(id, { resolve, reject, onDelta, settle });
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    try {
+      getPort().postMessage({ type: 'request', id, ...request });
+    } catch (error) {
+      // The extension was reloaded or updated since this page loaded
+      settle();
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Sends a JSON request to the backend and parses the JSON reply.
+ *
+ * @param {string} path - API path
+ * @param {Object} options - `method`, `body` (serialized to JSON) and `signal`
+ * @returns {Promise<Object|null>} Parsed response, or null for 204 No Content
+ * @throws {Error} With a `status` property when the server answers with an error
+ */
+function requestJSON(path, { method = 'GET', body, signal } = {}) {
+  return sendRequest({ path, method, body }, { signal });
+}
+
+/**
+ * Fetches the models the backend can route chat requests to.
+ *
+ * @returns {Promise<Object>} Object with `defaultModel` and a `models` array
+ */
+export async function fetchModels() {
+  return requestJSON('/api/models');
+}
+
+/**
+ * Fetches the user's token usage and estimated cost for today and this
+ * month, together with the quotas the server enforces.
+ *
+ * @returns {Promise<Object>} Summary with `day` and `month` totals, `limits` and `resetAt`
+ */
+export async function fetchUsage() {
+  return requestJSON('/api/usage');
+}
+
+/**
+ * Recognizes the text in an image on the server. Used when OCR can't run
+ * inside the page.
+ *
+ * @param {string} image - Image as a base64 data URL
+ * @param {Object} options - OCR options
+ * @param {string} options.language - Tesseract language code(s), e.g. 'eng' or 'eng+deu'
+ * @param {AbortSignal} options.signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} `text`, mean `confidence` (0-100) and `words` with confidence and bounding box
+ */
+export async function recognizeText(image, { language, signal } = {}) {
+  return requestJSON('/api/ocr', {
+    method: 'POST',
+    body: { image, language },
+    signal,
+  });
+}
+
+/**
+ * Lists the user's saved conversations, most recently updated first.
+ *
+ * @param {Object} options - Listing options
+ * @param {string} options.query - Only conversations whose title or messages contain this text
+ * @param {number} options.limit - Maximum number of conversations
+ * @returns {Promise<Array>} Conversations with id, title, model, messageCount, preview and timestamps
+ */
+export async function listConversations({ query, limit } = {}) {
+  const params = new URLSearchParams();
+  if (query) params.set('q', query);
+  if (limit) params.set('limit', String(limit));
+
+  const { conversations } = await requestJSON(`/api/conversations?${params}`);
+  return conversations;
+}
+
+/**
+ * Loads a saved conversation with all of its messages.
+ *
+ * @param {string} id - Conversation ID
+ * @returns {Promise<Object>} Conversation with `messages` and `memory`
+ */
+export async function getConversation(id) {
+  return requestJSON(`/api/conversations/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Saves a new conversation.
+ *
+ * @param {Object} data - Optional title and model, plus the first `messages`
+ * @returns {Promise<Object>} The stored conversation including message IDs
+ */
+export async function createConversation(data) {
+  return requestJSON('/api/conversations', { method: 'POST', body: data });
+}
+
+/**
+ * Renames a conversation or updates its model or conversation memory.
+ *
+ * @param {string} id - Conversation ID
+ * @param {Object} changes - Any of title, model and memory
+ * @returns {Promise<Object>} The updated conversation
+ */
+export async function updateConversation(id, changes) {
+  return requestJSON(`/api/conversations/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+}
+
+/**
+ * Deletes a conversation and its messages.
+ *
+ * @param {string} id - Conversation ID
+ * @returns {Promise<null>}
+ */
+export async function deleteConversation(id) {
+  return requestJSON(`/api/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * Appends messages to a saved conversation.
+ *
+ * @param {string} id - Conversation ID
+ * @param {Array} messages - Messages with role, content and optional model/pinned
+ * @returns {Promise<Array>} The stored messages including their IDs
+ */
+export async function appendMessages(id, messages) {
+  const data = await requestJSON(`/api/conversations/${encodeURIComponent(id)}/messages`, {
+    method: 'POST',
+    body: { messages },
+  });
+  return data.messages;
+}
+
+/**
+ * Edits a saved message's content or pinned flag.
+ *
+ * @param {string} id - Conversation ID
+ * @param {number} messageId - Message ID
+ * @param {Object} changes - content and/or pinned
+ * @returns {Promise<Object>} The updated message
+ */
+export async function updateMessage(id, messageId, changes) {
+  return requestJSON(`/api/conversations/${encodeURIComponent(id)}/messages/${messageId}`, {
+    method: 'PATCH',
+    body: changes,
+  });
+}
+
+/**
+ * Posts a request to a streaming endpoint and relays the generated text.
+ *
+ * @param {string} path - '/api/chat' or '/api/vision'
+ * @param {Object} body - Request body
+ * @param {Object} options - Streaming options (onDelta, signal)
+ * @returns {Promise<Object>} Payload of the final `done` event
+ */
+function streamCompletion(path, body, options) {
+  return sendRequest({ path, method: 'POST', body, stream: true }, options);
+}
+
+/**
+ * Sends a chat request to the backend and streams the assistant's reply.
+ *
+ * @param {Object} body - Request body for /api/chat (messages, model, temperature, continueId)
+ * @param {Object} options - Streaming options
+ * @param {Function} options.onDelta - Called with each chunk of generated text
+ * @param {AbortSignal} options.signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} Final result with message, finishReason, isIncomplete, continueId, model and usage
+ */
+export function streamChat(body, options) {
+  return streamCompletion('/api/chat', body, options);
+}
+
+/**
+ * Asks a vision model about an image and streams the assistant's reply.
+ *
+ * @param {Object} body - Request body for /api/vision (image data URL, prompt, messages, model)
+ * @param {Object} options - Streaming options, as for streamChat
+ * @returns {Promise<Object>} Final result, as for streamChat
+ */
+export function streamVision(body, options) {
+  return streamCompletion('/api/vision', body, options);
+}
@@ -0,0 +1,95 @@
+/**
+ * Install Authentication for ClickAI Extension
+ *
+ * Every install registers with the backend once and keeps its own bearer
+ * token in chrome.storage.local - nothing secret is bundled into the
+ * extension. Only the background service worker talks to the backend (see
+ * backendClient.js), so several tabs opening at once don't each register a
+ * new install.
+ * A token is only valid on the server that issued it, so changing the
+ * backend URL in the settings registers the install again there.
+ *
+ * @module auth
+ * @author ClickAI Team
+ */
+
+import { API_BASE_URL } from './config';
+import { getBackendUrl } from './settings';
+
+const TOKEN_STORAGE_KEY = 'clickaiAuthToken';
+
+// Backend URL the stored token was issued by
+const TOKEN_BACKEND_KEY = 'clickaiAuthBackend';
+
+// Registration in progress, shared by concurrent callers in the background
+let pendingRegistration = null;
+
+/**
+ * Reads the stored install token.
+ *
+ * @returns {Promise<string|null>} The token, or null if this install hasn't registered
+ *   with the current backend
+ */
+async function readStoredToken() {
+  const [data, backendUrl] = await Promise.all([
+    chrome.storage.local.get([TOKEN_STORAGE_KEY, TOKEN_BACKEND_KEY]),
+    getBackendUrl(),
+  ]);
+  // Tokens stored before the backend was configurable came from the built-in one
+  const issuer = data[TOKEN_BACKEND_KEY] || API_BASE_URL;
+  return issuer === backendUrl ? data[TOKEN_STORAGE_KEY] || null : null;
+}
+
+/**
+ * Registers this install with the backend and stores the issued token.
+ *
+ * @returns {Promise<string>} The new token
+ */
+async function registerInstall() {
+  const backendUrl = await getBackendUrl();
+  const response = await fetch(`${backendUrl}/api/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      label: `ClickAI ${chrome.runtime.getManifest().version} (${navigator.userAgent.slice(0, 60)})`,
+    }),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Registration failed with status ${response.status}`);
+  }
+
+  const { token } = await response.json();
+  await chrome.storage.local.set({ [TOKEN_STORAGE_KEY]: token, [TOKEN_BACKEND_KEY]: backendUrl });
+  console.log('ClickAI install registered with the backend');
+  return token;
+}
+
+/**
+ * Returns the install token, registering first if needed.
+ * Only call this from the background service worker.
+ *
+ * @returns {Promise<string>} The install token
+ */
+export function ensureAuthToken() {
+  if (!pendingRegistration) {
+    pendingRegistration = readStoredToken()
+      .then((token) => token || registerInstall())
+      .finally(() => {
+        pendingRegistration = null;
+      });
+  }
+  return pendingRegistration;
+}
+
+/**
+ * Forgets a token the server no longer accepts so the next request registers again.
+ *
+ * @param {string} staleToken - The rejected token; left alone if another context already replaced it
+ */
+export async function clearAuthToken(staleToken) {
+  if ((await readStoredToken()) === staleToken) {
+    await chrome.storage.local.remove([TOKEN_STORAGE_KEY, TOKEN_BACKEND_KEY]);
+  }
+}
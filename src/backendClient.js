@@ -0,0 +1,297 @@
+/**
+ * Background Backend Client for ClickAI Extension
+ *
+ * Every request to the ClickAI backend is made here, in the background
+ * service worker. Chat windows, the popup and the options page call the
+ * functions in api.js, which send each request over a chrome.runtime port;
+ * this module adds the install's bearer token, retries requests the server
+ * turned away, relays streamed answers delta by delta and cancels requests
+ * the caller no longer waits for.
+ *
+ * Requests don't run inside web pages, so pages can't see or interfere with
+ * their headers. A request keeps running when the window that made it
+ * closes, so the server still finishes the answer and records its usage.
+ *
+ * @module backendClient
+ * @author ClickAI Team
+ */
+
+import { ensureAuthToken, clearAuthToken } from './auth';
+import { getBackendUrl } from './settings';
+
+// Name of the ports api.js connects with
+export const API_PORT_NAME = 'clickai-api';
+
+// How often a turned-away request is tried again, and the first wait before it (doubled each time)
+const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+// Longest Retry-After worth waiting for; quota errors ask for hours
+const MAX_RETRY_AFTER_MS = 10000;
+
+// Statuses worth retrying for any request: the server refused it without processing it
+const RETRYABLE_STATUSES = [429, 503];
+
+// Also retried for GET requests, which are safe to repeat even if the server got them
+const RETRYABLE_GET_STATUSES = [...RETRYABLE_STATUSES, 502, 504];
+
+/**
+ * Waits, unless the request is cancelled first
+ *
+ * @param {number} ms - Time to wait
+ * @param {AbortSignal} signal - Signal that cancels the request
+ * @returns {Promise<void>} Rejects with an AbortError when cancelled
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('The request was cancelled.', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) abort();
+    else signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+/**
+ * Sends a request to the backend with this install's bearer token.
+ * If the server no longer recognizes the token (for example after its
+ * database was reset) the install registers again and the request is retried once.
+ *
+ * @param {string} path - API path, e.g. '/api/models'
+ * @param {Object} options - fetch options
+ * @param {boolean} retry - Whether an unrecognized token may trigger re-registration
+ * @returns {Promise<Response>} The fetch response
+ */
+async function authorizedFetch(path, options = {}, retry = true) {
+  const token = await ensureAuthToken();
+  const response = await fetch(`${await getBackendUrl()}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (response.status === 401 && retry) {
+    await clearAuthToken(token);
+    return authorizedFetch(path, options, false);
+  }
+  return response;
+}
+
+/**
+ * Sends a request, trying again with growing pauses while the server is
+ * busy or, for GET requests, unreachable. Requests that may have changed
+ * something on the server are only repeated when it refused them outright.
+ *
+ * @param {string} path - API path
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} The last response
+ */
+async function fetchWithRetry(path, options = {}) {
+  const isGet = !options.method || options.method === 'GET';
+  const retryable = isGet ? RETRYABLE_GET_STATUSES : RETRYABLE_STATUSES;
+
+  for (let attempt = 0; ; attempt++) {
+    const delay = RETRY_DELAY_MS * 2 ** attempt;
+    let response;
+    try {
+      response = await authorizedFetch(path, options);
+    } catch (error) {
+      // Network errors: the request may or may not have reached the server
+      if (error.name === 'AbortError' || !isGet || attempt >= MAX_RETRIES) throw error;
+      console.warn(`Request to ${path} failed, retrying:`, error.message);
+      await wait(delay, options.signal);
+      continue;
+    }
+
+    if (!retryable.includes(response.status) || attempt >= MAX_RETRIES) return response;
+
+    const retryAfter = Number(response.headers.get('Retry-After')) * 1000;
+    if (retryAfter > MAX_RETRY_AFTER_MS) return response;
+    console.warn(`Request to ${path} answered ${response.status}, retrying`);
+    await wait(retryAfter || delay, options.signal);
+  }
+}
+
+/**
+ * Builds an error for a failed response, keeping the server's message and
+ * details such as `code` and `resetAt` (sent when a usage quota is exceeded).
+ *
+ * @param {Response} response - The failed response
+ * @returns {Promise<Error>} Error with `status` and any fields from the JSON body
+ */
+async function responseError(response) {
+  const { error: message, ...details } = await response.json().catch(() => ({}));
+  return Object.assign(new Error(message || `HTTP error! status: ${response.status}`), details, {
+    status: response.status,
+  });
+}
+
+/**
+ * Sends a JSON request to the backend and parses the JSON reply.
+ *
+ * @param {string} path - API path
+ * @param {Object} options - fetch options; `body` is serialized to JSON
+ * @returns {Promise<Object|null>} Parsed response, or null for 204 No Content
+ * @throws {Error} With a `status` property when the server answers with an error
+ */
+async function requestJSON(path, { body, ...options } = {}) {
+  const response = await fetchWithRetry(path, {
+    ...options,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Parses one raw Server-Sent Event block into its event name and JSON payload.
+ *
+ * @param {string} rawEvent - Event text without the trailing blank line
+ * @returns {Object|null} Object with `event` and `data`, or null for comments/keep-alives
+ */
+function parseServerSentEvent(rawEvent) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of rawEvent.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+
+  if (dataLines.length === 0) return null;
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+}
+
+/**
+ * Posts a request to a streaming endpoint and relays the generated text.
+ * Only the request is retried; once the answer streams, a broken
+ * connection is reported to the caller.
+ *
+ * @param {string} path - '/api/chat' or '/api/vision'
+ * @param {Object} body - Request body
+ * @param {Object} options - Streaming options (onDelta, signal)
+ * @returns {Promise<Object>} Payload of the final `done` event
+ */
+async function streamCompletion(path, body, { onDelta, signal } = {}) {
+  const response = await fetchWithRetry(path, {
+    method: 'POST',
+    headers: {
+      'Accept': 'text/event-stream',
+    },
+    body: JSON.stringify({ ...body, stream: true }),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseServerSentEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+
+      if (!parsed) continue;
+
+      if (parsed.event === 'delta') {
+        if (onDelta) onDelta(parsed.data.content);
+      } else if (parsed.event === 'done') {
+        return parsed.data;
+      } else if (parsed.event === 'error') {
+        throw new Error(parsed.data.error);
+      }
+    }
+  }
+
+  throw new Error('The response stream ended unexpectedly.');
+}
+
+/**
+ * Turns an error into a plain object that can be posted over a port
+ *
+ * @param {Error} error - The error
+ * @returns {Object} `name`, `message` and details such as `status` and `code`
+ */
+function serializeError(error) {
+  return { ...error, name: error.name, message: error.message };
+}
+
+/**
+ * Serves the backend requests of one chat window, popup or options page.
+ *
+ * Messages from api.js:
+ * - `{ type: 'request', id, path, method, body, stream }` starts a request
+ * - `{ type: 'cancel', id }` aborts it
+ *
+ * Replies carry the request's `id`: `delta` events with `content` while an
+ * answer streams, then one `result` with `data` or one `error`.
+ *
+ * @param {chrome.runtime.Port} port - Port opened by api.js
+ */
+export function handleApiPort(port) {
+  // Requests in progress on this port, keyed by request ID
+  const controllers = new Map();
+  let connected = true;
+
+  port.onDisconnect.addListener(() => {
+    // Running requests finish; their results have nowhere to go
+    connected = false;
+  });
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'cancel') {
+      controllers.get(message.id)?.abort();
+      return;
+    }
+    if (message.type !== 'request') return;
+
+    const { id, path, method, body, stream } = message;
+    const controller = new AbortController();
+    controllers.set(id, controller);
+
+    const reply = (data) => {
+      if (connected) port.postMessage({ id, ...data });
+    };
+
+    const request = stream
+      ? streamCompletion(path, body, {
+        onDelta: (content) => reply({ type: 'delta', content }),
+        signal: controller.signal,
+      })
+      : requestJSON(path, { method, body, signal: controller.signal });
+
+    request
+      .then((data) => reply({ type: 'result', data }))
+      .catch((error) => {
+        if (error.name !== 'AbortError') console.error(`Request to ${path} failed:`, error);
+        reply({ type: 'error', error: serializeError(error) });
+      })
+      .finally(() => controllers.delete(id));
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * QR Code and Barcode Decoding for ClickAI Extension
+ *
+ * Captured areas are checked for a QR code or barcode before OCR, which
+ * can't read them. Decoding runs locally with ZXing; the browser's own
+ * BarcodeDetector isn't available on every desktop platform. Codes that
+ * contain a link are checked for common signs of a malicious URL, since a
+ * QR code hides where it leads.
+ *
+ * @module barcode
+ * @author ClickAI Team
+ */
+
+import {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  RGBLuminanceSource,
+  BinaryBitmap,
+  HybridBinarizer,
+} from '@zxing/library';
+import { toGrayscale } from './ocrPreprocess';
+
+// Names shown for the formats ZXing decodes
+const FORMAT_LABELS = {
+  [BarcodeFormat.QR_CODE]: 'QR code',
+  [BarcodeFormat.DATA_MATRIX]: 'Data Matrix code',
+  [BarcodeFormat.AZTEC]: 'Aztec code',
+  [BarcodeFormat.PDF_417]: 'PDF417 barcode',
+  [BarcodeFormat.EAN_13]: 'EAN-13 barcode',
+  [BarcodeFormat.EAN_8]: 'EAN-8 barcode',
+  [BarcodeFormat.UPC_A]: 'UPC-A barcode',
+  [BarcodeFormat.UPC_E]: 'UPC-E barcode',
+  [BarcodeFormat.CODE_128]: 'Code 128 barcode',
+  [BarcodeFormat.CODE_39]: 'Code 39 barcode',
+  [BarcodeFormat.CODE_93]: 'Code 93 barcode',
+  [BarcodeFormat.CODABAR]: 'Codabar barcode',
+  [BarcodeFormat.ITF]: 'ITF barcode',
+};
+
+// Link shorteners hide the real destination
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'cutt.ly', 'rb.gy', 'shorturl.at', 'tiny.cc', 'qrco.de'];
+
+// Top-level domains that are cheap to register and common in phishing
+const RISKY_TLDS = ['zip', 'mov', 'xyz', 'top', 'click', 'gq', 'tk', 'ml', 'cf', 'ga', 'work', 'country', 'loan'];
+
+let reader = null;
+
+/**
+ * Returns the shared ZXing reader, created on first use
+ * @returns {MultiFormatReader} Reader trying every supported format
+ */
+function getReader() {
+  if (!reader) {
+    reader = new MultiFormatReader();
+    reader.setHints(new Map([
+      [DecodeHintType.POSSIBLE_FORMATS, Object.keys(FORMAT_LABELS).map(Number)],
+      [DecodeHintType.TRY_HARDER, true],
+    ]));
+  }
+  return reader;
+}
+
+/**
+ * Decodes a QR code or barcode from grayscale pixels. Codes shown light on
+ * dark (e.g. in dark mode) are found by trying the inverted image too.
+ *
+ * @param {Uint8ClampedArray} gray - One luminance value per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object|null} `format` (ZXing name), `label` and `text`, or null when there is no code
+ */
+export function decodeLuminance(gray, width, height) {
+  const source = new RGBLuminanceSource(gray, width, height);
+  for (const candidate of [source, source.invert()]) {
+    try {
+      const result = getReader().decodeWithState(new BinaryBitmap(new HybridBinarizer(candidate)));
+      const format = result.getBarcodeFormat();
+      return {
+        format: BarcodeFormat[format],
+        label: FORMAT_LABELS[format] || 'Barcode',
+        text: result.getText(),
+      };
+    } catch (error) {
+      // NotFoundException, ChecksumException or FormatException - try the next candidate
+    } finally {
+      getReader().reset();
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks for a QR code or barcode in a captured area
+ *
+ * @param {string} dataUrl - Captured area as a data URL
+ * @returns {Promise<Object|null>} Decoded code (see decodeLuminance), or null
+ */
+export function decodeBarcode(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      const { data } = ctx.getImageData(0, 0, img.width, img.height);
+      resolve(decodeLuminance(toGrayscale(data), img.width, img.height));
+    };
+    img.onerror = () => reject(new Error('Failed to load image for barcode decoding'));
+    img.src = dataUrl;
+  });
+}
+
+/**
+ * Checks a decoded link for signs that it is unsafe
+ *
+ * @param {string} text - Decoded content
+ * @returns {Object|null} `url` (parsed) and a list of `warnings`, or null when the content isn't a link
+ */
+export function assessUrl(text) {
+  const trimmed = text.trim();
+  // Links without a scheme ("example.com/path") are opened as https by phones
+  const candidate = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  let url;
+  try {
+    url = new URL(candidate);
+  } catch (error) {
+    return null;
+  }
+
+  const scheme = url.protocol.slice(0, -1).toLowerCase();
+  if (['javascript', 'data', 'vbscript', 'file'].includes(scheme)) {
+    return { url, warnings: [`Uses the "${scheme}:" scheme, which can run code or open local files instead of a web page`] };
+  }
+  if (!['http', 'https'].includes(scheme)) return null;
+
+  // Plain text that merely parses as a host ("hello") isn't a link
+  const host = url.hostname.toLowerCase();
+  if (candidate !== trimmed && (!host.includes('.') || /\s/.test(trimmed))) return null;
+
+  const warnings = [];
+  if (scheme === 'http') {
+    warnings.push('Not encrypted (http instead of https)');
+  }
+  if (url.username || url.password) {
+    warnings.push(`Contains "${url.username}@" before the host - the real site is ${host}`);
+  }
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[')) {
+    warnings.push('Points to an IP address instead of a domain name');
+  }
+  if (host.split('.').some(label => label.startsWith('xn--'))) {
+    warnings.push('The domain contains international characters that can imitate another site\'s name');
+  }
+  if (URL_SHORTENERS.includes(host.replace(/^www\./, ''))) {
+    warnings.push('Uses a link shortener, which hides the real destination');
+  }
+  if (RISKY_TLDS.includes(host.split('.').pop())) {
+    warnings.push(`The ".${host.split('.').pop()}" domain ending is often used for phishing`);
+  }
+  if (url.port && !['80', '443'].includes(url.port)) {
+    warnings.push(`Uses the unusual port ${url.port}`);
+  }
+  if (host.split('.').length > 4) {
+    warnings.push('Has many subdomains, a trick to make a link look like another site');
+  }
+  return { url, warnings };
+}
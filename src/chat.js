@@ -0,0 +1,28 @@
+/**
+ * Chat Page Entry Point for ClickAI Extension
+ *
+ * Renders the chat in a tab of its own, opened for queries typed after the
+ * "ai" keyword in the address bar (see omnibox.js). The query comes in the
+ * `q` parameter and is removed from the address once read, so reloading
+ * the tab resumes the conversation instead of asking again.
+ *
+ * @module chat
+ * @author ClickAI Team
+ */
+
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import './Styles/index.css';
+import AIResponseAlert from './Components/AIResponseAlert';
+
+const query = new URLSearchParams(window.location.search).get('q') || '';
+if (query) {
+  window.history.replaceState(null, '', window.location.pathname);
+}
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(
+  <React.StrictMode>
+    <AIResponseAlert initialQuery={query} isPopup={true} fillHeight={true} />
+  </React.StrictMode>
+);
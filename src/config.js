@@ -0,0 +1,12 @@
+/**
+ * Build-time Configuration for ClickAI Extension
+ *
+ * Values injected by webpack's DefinePlugin, gathered in one place so the
+ * rest of the extension doesn't read `process.env` directly.
+ *
+ * @module config
+ * @author ClickAI Team
+ */
+
+// Root URL of the ClickAI backend server
+export const API_BASE_URL = `https://${process.env.BASE_URL}`;
@@ -0,0 +1,221 @@
+/**
+ * OCR Client for ClickAI Extension
+ *
+ * Content scripts ask the background script to recognize text; it runs the
+ * job in the extension's offscreen document, where a pool of Tesseract
+ * workers stays warm between snips. Progress of each job is relayed back to
+ * the tab that asked for it.
+ *
+ * The languages to recognize are a user setting (several can be combined).
+ * With script detection on, the script of the captured text is detected
+ * first and only the selected languages written in it are used. How the
+ * capture is preprocessed before recognition is a setting too (see
+ * ocrPreprocess.js).
+ *
+ * @module ocr
+ * @author ClickAI Team
+ */
+
+import { DEFAULT_PREPROCESSING } from './ocrPreprocess';
+
+// Languages offered in the settings, with the script Tesseract's detection reports for them
+export const OCR_LANGUAGES = [
+  { code: 'eng', label: 'English', script: 'Latin' },
+  { code: 'deu', label: 'German', script: 'Latin' },
+  { code: 'fra', label: 'French', script: 'Latin' },
+  { code: 'spa', label: 'Spanish', script: 'Latin' },
+  { code: 'ita', label: 'Italian', script: 'Latin' },
+  { code: 'por', label: 'Portuguese', script: 'Latin' },
+  { code: 'nld', label: 'Dutch', script: 'Latin' },
+  { code: 'pol', label: 'Polish', script: 'Latin' },
+  { code: 'tur', label: 'Turkish', script: 'Latin' },
+  { code: 'vie', label: 'Vietnamese', script: 'Latin' },
+  { code: 'rus', label: 'Russian', script: 'Cyrillic' },
+  { code: 'ukr', label: 'Ukrainian', script: 'Cyrillic' },
+  { code: 'ell', label: 'Greek', script: 'Greek' },
+  { code: 'ara', label: 'Arabic', script: 'Arabic' },
+  { code: 'heb', label: 'Hebrew', script: 'Hebrew' },
+  { code: 'hin', label: 'Hindi', script: 'Devanagari' },
+  { code: 'ben', label: 'Bengali', script: 'Bengali' },
+  { code: 'tha', label: 'Thai', script: 'Thai' },
+  { code: 'chi_sim', label: 'Chinese (Simplified)', script: 'Han' },
+  { code: 'chi_tra', label: 'Chinese (Traditional)', script: 'Han' },
+  { code: 'jpn', label: 'Japanese', script: 'Japanese' },
+  { code: 'kor', label: 'Korean', script: 'Hangul' },
+];
+
+// Other names Tesseract's detection uses for the scripts above
+const SCRIPT_ALIASES = {
+  Katakana: 'Japanese',
+  Hiragana: 'Japanese',
+  Korean: 'Hangul',
+};
+
+// Detections less certain than this are ignored
+const MIN_SCRIPT_CONFIDENCE = 2;
+
+const OCR_SETTINGS_KEY = 'clickaiOcrSettings';
+
+export const DEFAULT_OCR_SETTINGS = {
+  languages: ['eng'],
+  detectScript: false,
+  preprocessing: DEFAULT_PREPROCESSING,
+  pageSegMode: '6', // Tesseract page segmentation mode: uniform block of text
+  review: true, // Show the recognized text for review before sending it
+};
+
+// Characters OCR may return when recognizing English only; it keeps stray
+// symbols out of English text but would strip accented and non-Latin letters
+const ENGLISH_WHITELIST = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 .,!?;:()-[]{}"\'/\\@#$%^&*+=<>|`~';
+
+// Progress callbacks of the jobs this page is waiting for, keyed by job ID
+const progressListeners = new Map();
+
+/**
+ * Reads the OCR settings
+ *
+ * @returns {Promise<Object>} `languages` (Tesseract codes), `detectScript`, `preprocessing` steps, `pageSegMode` and `review`
+ */
+export async function getOcrSettings() {
+  const data = await chrome.storage.sync.get(OCR_SETTINGS_KEY);
+  const settings = { ...DEFAULT_OCR_SETTINGS, ...data[OCR_SETTINGS_KEY] };
+  settings.preprocessing = { ...DEFAULT_PREPROCESSING, ...settings.preprocessing };
+  if (!Array.isArray(settings.languages) || settings.languages.length === 0) {
+    settings.languages = DEFAULT_OCR_SETTINGS.languages;
+  }
+  return settings;
+}
+
+/**
+ * Saves the OCR settings
+ *
+ * @param {Object} settings - Settings as returned by getOcrSettings
+ * @returns {Promise<void>}
+ */
+export function saveOcrSettings(settings) {
+  return chrome.storage.sync.set({ [OCR_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Returns the Tesseract parameters for recognizing a language
+ *
+ * @param {string} language - Tesseract language code(s)
+ * @param {string} pageSegMode - Tesseract page segmentation mode, e.g. '6' for a block of text
+ * @returns {Object} Parameters for recognizeInExtension
+ */
+export function ocrParameters(language, pageSegMode = DEFAULT_OCR_SETTINGS.pageSegMode) {
+  return {
+    // Only English gets the whitelist - it would strip accented and non-Latin characters
+    tessedit_char_whitelist: language === 'eng' ? ENGLISH_WHITELIST : '',
+    tessedit_pageseg_mode: pageSegMode,
+  };
+}
+
+/**
+ * Detects the script (writing system) of the text in an image
+ *
+ * @param {string} image - Image as a data URL
+ * @returns {Promise<Object>} `script` (e.g. 'Latin', 'Cyrillic', 'Han') and `confidence`
+ */
+export function detectScript(image) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: 'ocrDetectScript', image }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response?.success) {
+        resolve(response.result);
+      } else {
+        reject(new Error(response?.error || 'Script detection failed'));
+      }
+    });
+  });
+}
+
+/**
+ * Chooses the Tesseract language(s) for an image. Without script detection
+ * every selected language is used. With it, only the selected languages
+ * written in the detected script are used; if none is, the first language
+ * offered for that script is.
+ *
+ * @param {string} image - Image as a data URL
+ * @param {Object} settings - OCR settings
+ * @returns {Promise<string>} Language code(s) joined with '+'
+ */
+export async function chooseOcrLanguage(image, { languages, detectScript: shouldDetect }) {
+  const selected = languages.join('+');
+  if (!shouldDetect) return selected;
+
+  try {
+    const detected = await detectScript(image);
+    const script = SCRIPT_ALIASES[detected.script] || detected.script;
+    if (detected.confidence < MIN_SCRIPT_CONFIDENCE) return selected;
+
+    const matching = languages.filter(code => OCR_LANGUAGES.find(lang => lang.code === code)?.script === script);
+    if (matching.length > 0) return matching.join('+');
+
+    const fallback = OCR_LANGUAGES.find(lang => lang.script === script);
+    console.log(`Detected ${script} script, which none of the selected OCR languages use`);
+    return fallback ? fallback.code : selected;
+  } catch (error) {
+    console.warn('Script detection failed, using the selected OCR languages:', error);
+    return selected;
+  }
+}
+
+/**
+ * Recognizes the text in an image with the extension's OCR engine.
+ *
+ * @param {string} image - Image as a data URL
+ * @param {Object} options - OCR options
+ * @param {string} options.language - Tesseract language code(s), e.g. 'eng' or 'eng+deu'
+ * @param {Object} options.parameters - Tesseract parameters, e.g. tessedit_pageseg_mode
+ * @param {Function} options.onProgress - Called with (progress between 0 and 1, Tesseract status)
+ * @param {AbortSignal} options.signal - Cancels the job
+ * @returns {Promise<Object>} `text`, mean `confidence` (0-100) and `words` with confidence and bounding box
+ * @throws {Error} With `cancelled: true` when the job was cancelled
+ */
+export function recognizeInExtension(image, { language = 'eng', parameters, onProgress, signal } = {}) {
+  const jobId = crypto.randomUUID();
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(Object.assign(new Error('OCR was cancelled'), { cancelled: true }));
+      return;
+    }
+
+    if (onProgress) progressListeners.set(jobId, onProgress);
+    signal?.addEventListener('abort', () => {
+      chrome.runtime.sendMessage({ type: 'ocrCancel', jobId }, () => void chrome.runtime.lastError);
+    }, { once: true });
+
+    chrome.runtime.sendMessage({ type: 'ocrRecognize', jobId, image, language, parameters }, (response) => {
+      progressListeners.delete(jobId);
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response?.success) {
+        resolve(response.result);
+      } else {
+        reject(Object.assign(new Error(response?.error || 'OCR failed'), { cancelled: Boolean(response?.cancelled) }));
+      }
+    });
+  });
+}
+
+/**
+ * Passes a progress message relayed by the background script to the job's callback.
+ *
+ * @param {Object} message - `ocrProgress` message with jobId, status and progress
+ */
+export function handleOcrProgress({ jobId, status, progress }) {
+  const listener = progressListeners.get(jobId);
+  if (listener) listener(progress, status);
+}
+
+/**
+ * Starts OCR workers ahead of time so they are ready when the capture is.
+ *
+ * @param {string} language - Tesseract language code(s)
+ */
+export function warmUpOcr(language = 'eng') {
+  chrome.runtime.sendMessage({ type: 'ocrWarmUp', language }, () => void chrome.runtime.lastError);
+}
@@ -0,0 +1,394 @@
+/**
+ * OCR Image Preprocessing for ClickAI Extension
+ *
+ * Prepares captured areas for Tesseract. Screenshots differ a lot from the
+ * scanned pages Tesseract was trained on: text is small, often light on a
+ * dark background, anti-aliased and sometimes slightly rotated. Each step of
+ * the pipeline can be switched off in the OCR settings:
+ *
+ *   upscale   - enlarges the capture according to devicePixelRatio, so text
+ *               on low-density screens gets enough pixels per character
+ *   invert    - turns light-on-dark text (dark mode) into dark-on-light
+ *   threshold - 'otsu' (one global threshold), 'adaptive' (threshold from
+ *               each pixel's neighbourhood, for uneven backgrounds) or 'none'
+ *   denoise   - removes isolated specks with a 3x3 median filter
+ *   deskew    - detects the angle of the text lines and straightens them
+ *
+ * @module ocrPreprocess
+ * @author ClickAI Team
+ */
+
+export const DEFAULT_PREPROCESSING = {
+  upscale: true,
+  invert: true,
+  threshold: 'otsu',
+  denoise: true,
+  deskew: true,
+  preview: false,
+};
+
+// Captures are scaled up until they match a screen of this pixel density
+const UPSCALE_TARGET_DPR = 3;
+
+// Upscaling never makes a capture larger than this many pixels
+const MAX_PIXELS = 8 * 1000 * 1000;
+
+// Largest skew corrected, in degrees; text rotated further is left alone
+const MAX_SKEW_DEGREES = 10;
+
+// Smaller angles aren't worth the blur of rotating the image
+const MIN_SKEW_DEGREES = 0.3;
+
+// Dark pixels sampled when measuring the skew
+const SKEW_SAMPLE_SIZE = 40000;
+
+// How far below its neighbourhood's mean a pixel must be to count as text
+const ADAPTIVE_OFFSET = 10;
+
+/**
+ * Chooses how much to enlarge a capture before OCR
+ *
+ * @param {number} width - Capture width in pixels
+ * @param {number} height - Capture height in pixels
+ * @param {number} devicePixelRatio - Pixel density of the screen it was captured on
+ * @returns {number} Scale factor, 1 when the capture is used as is
+ */
+export function upscaleFactor(width, height, devicePixelRatio = 1) {
+  const scale = Math.min(UPSCALE_TARGET_DPR / devicePixelRatio, Math.sqrt(MAX_PIXELS / (width * height)));
+  return scale > 1 ? scale : 1;
+}
+
+/**
+ * Converts RGBA pixels to grayscale
+ *
+ * @param {Uint8ClampedArray} rgba - Pixels from ImageData
+ * @returns {Uint8ClampedArray} One luminance value per pixel
+ */
+export function toGrayscale(rgba) {
+  const gray = new Uint8ClampedArray(rgba.length / 4);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * Counts how many pixels have each luminance
+ *
+ * @param {Uint8ClampedArray} gray - Grayscale pixels
+ * @returns {Uint32Array} 256 bins
+ */
+function histogram(gray) {
+  const bins = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++) bins[gray[i]]++;
+  return bins;
+}
+
+/**
+ * Checks whether the background is darker than the text. Text covers less
+ * of a capture than its background, so the median pixel is background.
+ *
+ * @param {Uint8ClampedArray} gray - Grayscale pixels
+ * @returns {boolean} Whether the image should be inverted
+ */
+export function hasDarkBackground(gray) {
+  const bins = histogram(gray);
+  let count = 0;
+  for (let value = 0; value < 256; value++) {
+    count += bins[value];
+    if (count >= gray.length / 2) return value < 128;
+  }
+  return false;
+}
+
+/**
+ * Inverts grayscale pixels in place
+ *
+ * @param {Uint8ClampedArray} gray - Grayscale pixels
+ */
+export function invert(gray) {
+  for (let i = 0; i < gray.length; i++) gray[i] = 255 - gray[i];
+}
+
+/**
+ * Finds the threshold that best separates text from background with
+ * Otsu's method (maximum variance between the two classes)
+ *
+ * @param {Uint8ClampedArray} gray - Grayscale pixels
+ * @returns {number} Threshold; pixels at or below it are text
+ */
+export function otsuThreshold(gray) {
+  const bins = histogram(gray);
+  let total = 0;
+  for (let value = 0; value < 256; value++) total += value * bins[value];
+
+  let best = 127;
+  let bestVariance = -1;
+  let backgroundSum = 0;
+  let backgroundCount = 0;
+  for (let value = 0; value < 256; value++) {
+    backgroundCount += bins[value];
+    if (backgroundCount === 0) continue;
+    const foregroundCount = gray.length - backgroundCount;
+    if (foregroundCount === 0) break;
+
+    backgroundSum += value * bins[value];
+    const meanDifference = backgroundSum / backgroundCount - (total - backgroundSum) / foregroundCount;
+    const variance = backgroundCount * foregroundCount * meanDifference * meanDifference;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = value;
+    }
+  }
+  return best;
+}
+
+/**
+ * Turns grayscale pixels into black text on white with one global threshold
+ *
+ * @param {Uint8ClampedArray} gray - Grayscale pixels
+ * @param {number} threshold - Pixels at or below it become black
+ * @returns {Uint8ClampedArray} Black (0) and white (255) pixels
+ */
+export function binarize(gray, threshold) {
+  const binary = new Uint8ClampedArray(gray.length);
+  for (let i = 0; i < gray.length; i++) binary[i] = gray[i] <= threshold ? 0 : 255;
+  return binary;
+}
+
+/**
+ * Turns grayscale pixels into black text on white, comparing each pixel
+ * with the mean of its neighbourhood (computed with an integral image)
+ *
+ * @param {Uint8ClampedArray} gray - Grayscale pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8ClampedArray} Black (0) and white (255) pixels
+ */
+export function adaptiveThreshold(gray, width, height) {
+  const radius = Math.max(7, Math.round(Math.max(width, height) / 32));
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const binary = new Uint8ClampedArray(gray.length);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      binary[y * width + x] = gray[y * width + x] < mean - ADAPTIVE_OFFSET ? 0 : 255;
+    }
+  }
+  return binary;
+}
+
+/**
+ * Removes isolated specks with a 3x3 median filter. Edge pixels are kept.
+ *
+ * @param {Uint8ClampedArray} pixels - Grayscale or black-and-white pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8ClampedArray} Filtered pixels
+ */
+export function medianFilter(pixels, width, height) {
+  const result = new Uint8ClampedArray(pixels);
+  const neighbours = new Uint8Array(9);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          // Insertion sort - the window is tiny
+          const value = pixels[(y + dy) * width + x + dx];
+          let j = n++;
+          while (j > 0 && neighbours[j - 1] > value) {
+            neighbours[j] = neighbours[j - 1];
+            j--;
+          }
+          neighbours[j] = value;
+        }
+      }
+      result[y * width + x] = neighbours[4];
+    }
+  }
+  return result;
+}
+
+/**
+ * Measures how much the text lines are rotated. For each candidate angle the
+ * dark pixels are projected onto the axis perpendicular to it; at the text's
+ * angle whole lines fall into few bins, which maximizes the sum of squares.
+ *
+ * @param {Uint8ClampedArray} binary - Black (0) and white (255) pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} Angle of the text lines in degrees (positive: descending to the right)
+ */
+export function estimateSkew(binary, width, height) {
+  let darkCount = 0;
+  for (let i = 0; i < binary.length; i++) if (binary[i] === 0) darkCount++;
+  if (darkCount < 50) return 0;
+
+  // Sample the dark pixels so large captures stay fast
+  const step = Math.max(1, Math.floor(darkCount / SKEW_SAMPLE_SIZE));
+  const xs = [];
+  const ys = [];
+  for (let i = 0, seen = 0; i < binary.length; i++) {
+    if (binary[i] === 0 && seen++ % step === 0) {
+      xs.push(i % width);
+      ys.push(Math.floor(i / width));
+    }
+  }
+
+  const offset = width + height;
+  const bins = new Float64Array(2 * offset + 1);
+  const score = (degrees) => {
+    const radians = degrees * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+    }
+    let sum = 0;
+    for (let i = 0; i < bins.length; i++) sum += bins[i] * bins[i];
+    return sum;
+  };
+
+  // Coarse search in whole degrees, then refine around the best one
+  let best = 0;
+  let bestScore = score(0);
+  for (let degrees = -MAX_SKEW_DEGREES; degrees <= MAX_SKEW_DEGREES; degrees++) {
+    const value = score(degrees);
+    if (value > bestScore) {
+      bestScore = value;
+      best = degrees;
+    }
+  }
+  const coarse = best;
+  for (let degrees = coarse - 0.9; degrees <= coarse + 0.9; degrees += 0.1) {
+    const value = score(degrees);
+    if (value > bestScore) {
+      bestScore = value;
+      best = degrees;
+    }
+  }
+  return Math.round(best * 10) / 10;
+}
+
+/**
+ * Loads an image from a data URL
+ *
+ * @param {string} dataUrl - Image data URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image for preprocessing'));
+    img.src = dataUrl;
+  });
+}
+
+/**
+ * Runs the preprocessing pipeline on a captured area
+ *
+ * @param {string} dataUrl - Captured area as a data URL
+ * @param {Object} options - Pipeline steps (see DEFAULT_PREPROCESSING)
+ * @param {number} devicePixelRatio - Pixel density of the screen it was captured on
+ * @returns {Promise<Object>} `image` (PNG data URL) and the `steps` that were applied
+ */
+export async function preprocessForOcr(dataUrl, options = DEFAULT_PREPROCESSING, devicePixelRatio = 1) {
+  const img = await loadImage(dataUrl);
+  const steps = [];
+
+  // Upscale while drawing - the browser's smoothing interpolates far better than nearest pixels
+  const scale = options.upscale ? upscaleFactor(img.width, img.height, devicePixelRatio) : 1;
+  const width = Math.round(img.width * scale);
+  const height = Math.round(img.height * scale);
+  if (scale > 1) steps.push(`upscaled ${scale.toFixed(1)}x`);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, width, height);
+
+  const imageData = ctx.getImageData(0, 0, width, height);
+  let pixels = toGrayscale(imageData.data);
+
+  if (options.invert && hasDarkBackground(pixels)) {
+    invert(pixels);
+    steps.push('inverted');
+  }
+
+  let binary = null;
+  if (options.threshold === 'adaptive') {
+    binary = adaptiveThreshold(pixels, width, height);
+  } else if (options.threshold === 'otsu') {
+    binary = binarize(pixels, otsuThreshold(pixels));
+  }
+  if (binary) {
+    pixels = binary;
+    steps.push(`${options.threshold} threshold`);
+  }
+
+  if (options.denoise) {
+    pixels = medianFilter(pixels, width, height);
+    if (binary) binary = pixels;
+    steps.push('denoised');
+  }
+
+  for (let i = 0; i < pixels.length; i++) {
+    imageData.data[i * 4] = imageData.data[i * 4 + 1] = imageData.data[i * 4 + 2] = pixels[i];
+    imageData.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+
+  if (options.deskew) {
+    const skew = estimateSkew(binary || binarize(pixels, otsuThreshold(pixels)), width, height);
+    if (Math.abs(skew) >= MIN_SKEW_DEGREES) {
+      steps.push(`deskewed ${skew}°`);
+      return { image: rotate(canvas, -skew).toDataURL('image/png'), steps };
+    }
+  }
+
+  return { image: canvas.toDataURL('image/png'), steps };
+}
+
+/**
+ * Rotates a canvas onto a new one large enough for the result, with a
+ * white background (text is dark on light after preprocessing)
+ *
+ * @param {HTMLCanvasElement} source - Canvas to rotate
+ * @param {number} degrees - Clockwise rotation
+ * @returns {HTMLCanvasElement} Rotated canvas
+ */
+function rotate(source, degrees) {
+  const radians = degrees * Math.PI / 180;
+  const sin = Math.abs(Math.sin(radians));
+  const cos = Math.abs(Math.cos(radians));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(source.width * cos + source.height * sin);
+  canvas.height = Math.ceil(source.width * sin + source.height * cos);
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(radians);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+}
@@ -0,0 +1,204 @@
+/**
+ * Table Reconstruction from OCR Words for ClickAI Extension
+ *
+ * Tesseract reads a table as loose words; its text output runs cells of a
+ * row together or splits a row over several lines. In table mode the
+ * extension rebuilds the grid from the words' bounding boxes instead:
+ *
+ *   1. Words whose vertical centers line up form a row.
+ *   2. Words in a row that are closer than a wide space form a cell.
+ *   3. Columns are the horizontal ranges covered by cells in enough rows,
+ *      so a heading spanning two columns doesn't merge them.
+ *   4. Each cell goes into the column it overlaps most.
+ *
+ * The rows are sent to the AI as a Markdown table and can be copied as CSV.
+ *
+ * @module ocrTable
+ * @author ClickAI Team
+ */
+
+// Words further apart than this many times the text height start a new cell
+const CELL_GAP_RATIO = 0.8;
+
+// Share of rows that must have text at a position for it to belong to a column
+const COLUMN_COVERAGE = 0.15;
+
+// Tables with fewer rows take every cell as evidence of a column
+const MIN_ROWS_FOR_COVERAGE = 4;
+
+/**
+ * Returns the median of a list of numbers
+ *
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Median, 0 for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Groups words into rows of cells
+ *
+ * @param {Array<Object>} words - Words with text and bbox
+ * @param {number} height - Typical word height
+ * @returns {Array<Array<Object>>} Rows of cells with text, x0 and x1
+ */
+function groupCells(words, height) {
+  const rows = [];
+  const byCenter = [...words].sort((a, b) => (a.bbox.y0 + a.bbox.y1) - (b.bbox.y0 + b.bbox.y1));
+  for (const word of byCenter) {
+    const center = (word.bbox.y0 + word.bbox.y1) / 2;
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(center - row.center) <= height / 2) {
+      row.words.push(word);
+      row.center += (center - row.center) / row.words.length;
+    } else {
+      rows.push({ center, words: [word] });
+    }
+  }
+
+  return rows.map(({ words: rowWords }) => {
+    const cells = [];
+    rowWords.sort((a, b) => a.bbox.x0 - b.bbox.x0);
+    for (const word of rowWords) {
+      const cell = cells[cells.length - 1];
+      if (cell && word.bbox.x0 - cell.x1 < height * CELL_GAP_RATIO) {
+        cell.text += ` ${word.text}`;
+        cell.x1 = Math.max(cell.x1, word.bbox.x1);
+      } else {
+        cells.push({ text: word.text, x0: word.bbox.x0, x1: word.bbox.x1 });
+      }
+    }
+    return cells;
+  });
+}
+
+/**
+ * Finds the columns: horizontal ranges where enough rows have text
+ *
+ * @param {Array<Array<Object>>} rows - Rows of cells
+ * @returns {Array<Object>} Columns with x0 and x1, left to right
+ */
+function findColumns(rows) {
+  const width = Math.max(...rows.flat().map(cell => cell.x1)) + 1;
+  const coverage = new Uint16Array(width);
+  for (const row of rows) {
+    for (const cell of row) {
+      for (let x = Math.max(0, cell.x0); x < cell.x1; x++) coverage[x]++;
+    }
+  }
+
+  // In small tables every cell counts; in larger ones a single spanning cell doesn't
+  const minimum = rows.length >= MIN_ROWS_FOR_COVERAGE ? Math.max(1, Math.floor(rows.length * COLUMN_COVERAGE)) : 0;
+  const columns = [];
+  let start = -1;
+  for (let x = 0; x <= width; x++) {
+    const covered = x < width && coverage[x] > minimum;
+    if (covered && start === -1) {
+      start = x;
+    } else if (!covered && start !== -1) {
+      columns.push({ x0: start, x1: x });
+      start = -1;
+    }
+  }
+  return columns;
+}
+
+/**
+ * Rebuilds the rows and columns of a table from OCR words
+ *
+ * @param {Array<Object>} words - Words with text and bbox (x0, y0, x1, y1)
+ * @returns {Array<Array<string>>} Rows of cell texts, all of the same length
+ */
+export function buildTableRows(words) {
+  const usable = words.filter(word => word.text.trim() && word.bbox);
+  if (usable.length === 0) return [];
+
+  const height = median(usable.map(word => word.bbox.y1 - word.bbox.y0)) || 1;
+  const rows = groupCells(usable, height);
+  const columns = findColumns(rows);
+  if (columns.length === 0) {
+    return rows.map(row => [row.map(cell => cell.text).join(' ')]);
+  }
+
+  const table = rows.map((row) => {
+    const cells = columns.map(() => []);
+    for (const cell of row) {
+      // The column the cell overlaps most, or the nearest one if it overlaps none
+      let best = 0;
+      let bestScore = -Infinity;
+      columns.forEach((column, index) => {
+        const overlap = Math.min(cell.x1, column.x1) - Math.max(cell.x0, column.x0);
+        const distance = Math.abs((cell.x0 + cell.x1) - (column.x0 + column.x1)) / 2;
+        const score = overlap > 0 ? overlap : -distance;
+        if (score > bestScore) {
+          bestScore = score;
+          best = index;
+        }
+      });
+      cells[best].push(cell.text);
+    }
+    return cells.map(texts => texts.join(' '));
+  });
+
+  // Drop columns no row has text in
+  const used = columns.map((column, index) => table.some(row => row[index]));
+  return table.map(row => row.filter((cell, index) => used[index]));
+}
+
+/**
+ * Formats rows as a Markdown table, with the first row as its header
+ *
+ * @param {Array<Array<string>>} rows - Rows of cell texts
+ * @returns {string} Markdown table
+ */
+export function toMarkdownTable(rows) {
+  if (rows.length === 0) return '';
+  const escape = (cell) => cell.replace(/\|/g, '\\|');
+  const line = (row) => `| ${row.map(escape).join(' | ')} |`;
+  return [
+    line(rows[0]),
+    line(rows[0].map(() => '---')),
+    ...rows.slice(1).map(line),
+  ].join('\n');
+}
+
+/**
+ * Formats rows as CSV (RFC 4180)
+ *
+ * @param {Array<Array<string>>} rows - Rows of cell texts
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+  const quote = (cell) => (/[",\r\n]|^\s|\s$/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+  return rows.map(row => row.map(quote).join(',')).join('\r\n');
+}
+
+/**
+ * Reads the rows of the first Markdown table in a text, e.g. after the user
+ * edited a recognized table
+ *
+ * @param {string} markdown - Text containing a Markdown table
+ * @returns {Array<Array<string>>|null} Rows of cell texts, or null without a table
+ */
+export function parseMarkdownTable(markdown) {
+  const lines = markdown.split('\n').map(line => line.trim());
+  const start = lines.findIndex(line => line.startsWith('|'));
+  if (start === -1) return null;
+
+  const rows = [];
+  for (const line of lines.slice(start)) {
+    if (!line.startsWith('|')) break;
+    // Skip the separator below the header
+    if (/^\|(\s*:?-+:?\s*\|)+$/.test(line)) continue;
+    const cells = line
+      .replace(/^\|/, '')
+      .replace(/(^|[^\\])\|$/, '$1')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim().replace(/\\\|/g, '|'));
+    rows.push(cells);
+  }
+  return rows.length > 0 ? rows : null;
+}
@@ -0,0 +1,97 @@
+/**
+ * Address Bar Keyword for ClickAI Extension
+ *
+ * Typing "ai", a space and a question in the address bar asks ClickAI.
+ * While the user types, past prompts containing the typed words are
+ * suggested (see promptHistory.js). The answer opens where the chat is set
+ * to open - the toolbar popup or Chrome's side panel - and in a ClickAI tab
+ * when Chrome can't open those there, or when the user asks for a new tab
+ * (Alt+Enter).
+ *
+ * @module omnibox
+ * @author ClickAI Team
+ */
+
+import { searchPrompts } from './promptHistory';
+
+// Page showing the chat in a tab of its own; the query is passed as `q`
+export const CHAT_PAGE_PATH = 'chat.html';
+
+// Query waiting for the popup, in session storage since the popup can't be given one
+const PENDING_POPUP_QUERY_KEY = 'clickaiPendingPopupQuery';
+
+// An older pending query belongs to a popup that never opened
+const PENDING_QUERY_MAX_AGE_MS = 30000;
+
+/**
+ * Escapes text for a suggestion description, which Chrome reads as XML
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Text with XML special characters escaped
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Suggests past prompts for the text typed after the keyword
+ *
+ * @param {string} text - Text typed so far
+ * @param {Function} suggest - Chrome's callback taking the suggestions
+ * @returns {Promise<void>}
+ */
+export async function suggestPastPrompts(text, suggest) {
+  const prompts = await searchPrompts(text);
+  suggest(prompts.map(prompt => ({
+    content: prompt,
+    description: `${escapeXml(prompt)} <dim>- asked before</dim>`,
+  })));
+}
+
+/**
+ * Builds the URL of a ClickAI tab that asks a query
+ *
+ * @param {string} query - Query to ask
+ * @returns {string} Extension URL of the chat page
+ */
+export function chatPageUrl(query) {
+  return chrome.runtime.getURL(`${CHAT_PAGE_PATH}?q=${encodeURIComponent(query)}`);
+}
+
+/**
+ * Opens the toolbar popup with a query for it to ask
+ *
+ * @param {string} query - Query to ask
+ * @returns {Promise<void>} Rejects if Chrome can't open the popup (e.g. no focused window, or Chrome before 127)
+ */
+export async function openPopupWithQuery(query) {
+  if (!chrome.action.openPopup) throw new Error('This version of Chrome can\'t open the popup');
+
+  await chrome.storage.session.set({ [PENDING_POPUP_QUERY_KEY]: { query, createdAt: Date.now() } });
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    await chrome.storage.session.remove(PENDING_POPUP_QUERY_KEY);
+    throw error;
+  }
+}
+
+/**
+ * Takes the query the popup was opened for, so it is asked only once.
+ * Called by the popup.
+ *
+ * @returns {Promise<string>} The query, or '' when the popup was opened from the toolbar
+ */
+export async function takePendingPopupQuery() {
+  const data = await chrome.storage.session.get(PENDING_POPUP_QUERY_KEY);
+  const pending = data[PENDING_POPUP_QUERY_KEY];
+  if (!pending) return '';
+
+  await chrome.storage.session.remove(PENDING_POPUP_QUERY_KEY);
+  return Date.now() - pending.createdAt < PENDING_QUERY_MAX_AGE_MS ? pending.query : '';
+}
@@ -0,0 +1,21 @@
+/**
+ * Options Page Entry Point for ClickAI Extension
+ *
+ * Renders the settings page opened from the extension's details page, the
+ * chat window's settings menu or chrome.runtime.openOptionsPage().
+ *
+ * @module options
+ * @author ClickAI Team
+ */
+
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import './Styles/index.css';
+import OptionsPage from './Components/OptionsPage';
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(
+  <React.StrictMode>
+    <OptionsPage />
+  </React.StrictMode>
+);
@@ -0,0 +1,184 @@
+/**
+ * Full-Page and Multi-Region Captures for ClickAI Extension
+ *
+ * The browser only screenshots the visible part of a tab. For a full-page
+ * capture the page is scrolled one screen at a time, each screen is
+ * captured and the screenshots are stitched into one tall image. Fixed and
+ * sticky elements (headers, cookie banners, chat widgets) would repeat on
+ * every screen, so they are hidden after the first one.
+ *
+ * Several areas of a capture can be selected and sent as one query. They
+ * are put in reading order - top to bottom, and left to right for areas
+ * side by side - and stacked into one image, so OCR reads them in that
+ * order and a vision model sees them together.
+ *
+ * @module pageCapture
+ * @author ClickAI Team
+ */
+
+// captureVisibleTab may be called at most twice a second
+const CAPTURE_INTERVAL_MS = 550;
+
+// Tallest stitched image in pixels; canvases much larger fail to allocate
+const MAX_CAPTURE_HEIGHT = 16384;
+
+// Space between stacked regions, so OCR sees them as separate blocks
+const REGION_GAP = 24;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Loads a data URL into an image
+ *
+ * @param {string} dataUrl - Image as a data URL
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ */
+function loadImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load screenshot'));
+    img.src = dataUrl;
+  });
+}
+
+/**
+ * Hides elements for the duration of a capture
+ *
+ * @param {Array<HTMLElement>} elements - Elements to hide
+ * @returns {Function} Shows the elements again
+ */
+function hideElements(elements) {
+  const previous = elements.map(element => element.style.getPropertyValue('visibility'));
+  const priorities = elements.map(element => element.style.getPropertyPriority('visibility'));
+  elements.forEach(element => element.style.setProperty('visibility', 'hidden', 'important'));
+  return () => {
+    elements.forEach((element, i) => element.style.setProperty('visibility', previous[i], priorities[i]));
+  };
+}
+
+/**
+ * Finds the visible fixed and sticky elements of the page
+ *
+ * @returns {Array<HTMLElement>} Elements that stay in place while scrolling
+ */
+function findPinnedElements() {
+  return Array.from(document.body.getElementsByTagName('*')).filter(element => {
+    const style = window.getComputedStyle(element);
+    return (style.position === 'fixed' || style.position === 'sticky') && style.visibility !== 'hidden';
+  });
+}
+
+/**
+ * Scrolls through the page and stitches its screenshots into one image.
+ * The scroll position is restored afterwards.
+ *
+ * @param {Function} captureVisible - Resolves to a screenshot (data URL) of the visible tab
+ * @param {Object} options - `hidden`: elements (e.g. the extension's own UI) to hide while capturing
+ * @returns {Promise<Object>} The stitched `image`, `offsetY` where the part of the page that
+ *   was visible starts in it, and `truncated` when the page was too long to capture completely
+ */
+export async function captureFullPage(captureVisible, { hidden = [] } = {}) {
+  const root = document.documentElement;
+  const scrollingElement = document.scrollingElement || root;
+  const startX = window.scrollX;
+  const startY = window.scrollY;
+  const viewportHeight = window.innerHeight;
+  const pageHeight = Math.max(scrollingElement.scrollHeight, viewportHeight);
+
+  // Jump straight to each position instead of animating the scroll
+  const scrollBehavior = root.style.scrollBehavior;
+  root.style.scrollBehavior = 'auto';
+  const showHidden = hideElements(hidden);
+  let showPinned = null;
+
+  try {
+    let canvas = null;
+    let ctx = null;
+    let scale = 1;
+    let truncated = false;
+
+    for (let y = 0; y < pageHeight; y += viewportHeight) {
+      window.scrollTo(startX, y);
+      await wait(CAPTURE_INTERVAL_MS);
+
+      const screenshot = await loadImage(await captureVisible());
+      if (!canvas) {
+        // Screenshots are in device pixels
+        scale = screenshot.width / window.innerWidth;
+        const height = Math.round(pageHeight * scale);
+        truncated = height > MAX_CAPTURE_HEIGHT;
+        canvas = document.createElement('canvas');
+        canvas.width = screenshot.width;
+        canvas.height = Math.min(height, MAX_CAPTURE_HEIGHT);
+        ctx = canvas.getContext('2d');
+        // Pinned elements were captured once, at their place on the first screen
+        showPinned = hideElements(findPinnedElements());
+      }
+
+      // The last screen can't scroll a full screen further, so draw it where it really is
+      const top = Math.round(window.scrollY * scale);
+      ctx.drawImage(screenshot, 0, top);
+      if (top + screenshot.height >= canvas.height) break;
+    }
+
+    return {
+      image: canvas.toDataURL('image/png'),
+      offsetY: Math.min(Math.round(startY * scale), canvas.height),
+      truncated,
+    };
+  } finally {
+    if (showPinned) showPinned();
+    showHidden();
+    window.scrollTo(startX, startY);
+    root.style.scrollBehavior = scrollBehavior;
+  }
+}
+
+/**
+ * Puts selected regions in reading order. Regions overlapping vertically by
+ * at least half the smaller height are on the same row and read left to
+ * right; rows are read top to bottom.
+ *
+ * @param {Array<Object>} regions - Regions with x, y, width and height
+ * @returns {Array<Object>} The same regions in reading order
+ */
+export function sortReadingOrder(regions) {
+  const rows = [];
+  [...regions].sort((a, b) => a.y - b.y).forEach(region => {
+    const row = rows[rows.length - 1];
+    if (row) {
+      const overlap = Math.min(row.bottom, region.y + region.height) - Math.max(row.top, region.y);
+      if (overlap >= Math.min(row.bottom - row.top, region.height) / 2) {
+        row.regions.push(region);
+        row.bottom = Math.max(row.bottom, region.y + region.height);
+        return;
+      }
+    }
+    rows.push({ top: region.y, bottom: region.y + region.height, regions: [region] });
+  });
+  return rows.flatMap(row => row.regions.sort((a, b) => a.x - b.x));
+}
+
+/**
+ * Stacks images vertically on a white background
+ *
+ * @param {Array<CanvasImageSource>} images - Images (with width and height) in the order to stack them
+ * @param {number} gap - Space between the images in pixels
+ * @returns {HTMLCanvasElement} Canvas holding the stacked images
+ */
+export function stackImages(images, gap = REGION_GAP) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(...images.map(image => image.width));
+  canvas.height = images.reduce((sum, image) => sum + image.height, 0) + gap * (images.length - 1);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  let top = 0;
+  images.forEach(image => {
+    ctx.drawImage(image, 0, top);
+    top += image.height + gap;
+  });
+  return canvas;
+}
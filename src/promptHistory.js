@@ -0,0 +1,76 @@
+/**
+ * Prompt History for ClickAI Extension
+ *
+ * The questions the user typed - in the chat or after the "ai" keyword in
+ * the address bar - are kept on this device so the address bar can suggest
+ * them again. Captured text isn't kept. The history can be turned off in
+ * the settings, which also clears it.
+ *
+ * @module promptHistory
+ * @author ClickAI Team
+ */
+
+import { getSettings } from './settings';
+
+const HISTORY_STORAGE_KEY = 'clickaiPromptHistory';
+
+// Prompts kept, most recent first
+const MAX_PROMPTS = 100;
+
+// Longer prompts are pasted text rather than questions worth suggesting
+const MAX_PROMPT_LENGTH = 300;
+
+/**
+ * Reads the prompt history
+ *
+ * @returns {Promise<Array<string>>} Prompts, most recent first
+ */
+async function readHistory() {
+  const data = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+  return Array.isArray(data[HISTORY_STORAGE_KEY]) ? data[HISTORY_STORAGE_KEY] : [];
+}
+
+/**
+ * Adds a prompt to the history, moving it to the top if it is there already
+ *
+ * @param {string} prompt - Prompt the user typed
+ * @returns {Promise<void>}
+ */
+export async function recordPrompt(prompt) {
+  const text = prompt.trim().replace(/\s+/g, ' ');
+  if (!text || text.length > MAX_PROMPT_LENGTH) return;
+  if (!(await getSettings()).promptHistory) return;
+
+  const history = (await readHistory()).filter(item => item.toLowerCase() !== text.toLowerCase());
+  await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: [text, ...history].slice(0, MAX_PROMPTS) });
+}
+
+/**
+ * Finds past prompts containing the typed words, prompts starting with
+ * the typed text first
+ *
+ * @param {string} input - Text typed so far
+ * @param {number} limit - Maximum number of prompts
+ * @returns {Promise<Array<string>>} Matching prompts
+ */
+export async function searchPrompts(input, limit = 5) {
+  const query = input.trim().toLowerCase();
+  if (!query) return [];
+
+  const words = query.split(/\s+/);
+  const matches = (await readHistory()).filter((prompt) => {
+    const lower = prompt.toLowerCase();
+    return lower !== query && words.every(word => lower.includes(word));
+  });
+  const startsWith = matches.filter(prompt => prompt.toLowerCase().startsWith(query));
+  return [...startsWith, ...matches.filter(prompt => !startsWith.includes(prompt))].slice(0, limit);
+}
+
+/**
+ * Forgets every prompt
+ *
+ * @returns {Promise<void>}
+ */
+export function clearPromptHistory() {
+  return chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+}
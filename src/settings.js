@@ -0,0 +1,236 @@
+/**
+ * User Settings for ClickAI Extension
+ *
+ * One settings object, stored in the extension's synced storage and shared
+ * by the options page, the popup, content scripts and the background
+ * script. Every setting is described in SETTINGS_SCHEMA with its type,
+ * default and (where it has one) its allowed values, so stored values that
+ * are missing, outdated or malformed fall back to the default instead of
+ * reaching the code that uses them.
+ *
+ * OCR settings have their own object (see ocr.js); the options page edits
+ * both.
+ *
+ * @module settings
+ * @author ClickAI Team
+ */
+
+import { API_BASE_URL } from './config';
+
+const SETTINGS_KEY = 'clickaiSettings';
+
+// Where earlier versions kept settings, moved into SETTINGS_KEY by migrateSettings
+const LEGACY_THEME_KEY = 'clickaiTheme';
+
+/**
+ * @typedef {Object} ClickAISettings
+ * @property {string} backendUrl - Root URL of the ClickAI backend server
+ * @property {'light'|'dark'} theme - Theme of the chat window and options page
+ * @property {'page'|'sidePanel'} chatLocation - Where the chat opens: in a window on the page or in Chrome's side panel
+ * @property {string} model - Model new conversations start with; '' for the last one used
+ * @property {number} temperature - Sampling temperature sent with chat requests (0-2)
+ * @property {boolean} floatingButton - Whether the floating chat button is shown on pages
+ * @property {'bottom-right'|'bottom-left'} floatingButtonPosition - Corner the floating button sits in
+ * @property {Array<string>} floatingButtonHiddenSites - Hostnames the floating button is never shown on
+ * @property {boolean} notifications - Whether errors are shown as browser notifications
+ * @property {boolean} saveConversations - Whether conversations are saved on the server
+ * @property {boolean} saveImages - Whether captured images are saved with conversations
+ * @property {boolean} promptHistory - Whether typed prompts are kept on this device and suggested in the address bar
+ */
+
+// Hosts the backend may be reached on without TLS, as the install token never leaves the machine
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Checks that a value is an https URL, or an http URL of this machine
+ * @param {string} value - Value to check
+ * @returns {boolean} Whether the value is a usable backend URL
+ */
+const isBackendUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || (url.protocol === 'http:' && LOCAL_HOSTNAMES.includes(url.hostname));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Type, default and validation of each setting
+export const SETTINGS_SCHEMA = {
+  backendUrl: { type: 'string', default: API_BASE_URL, validate: isBackendUrl },
+  theme: { type: 'string', default: 'light', values: ['light', 'dark'] },
+  chatLocation: { type: 'string', default: 'page', values: ['page', 'sidePanel'] },
+  model: { type: 'string', default: '' },
+  temperature: { type: 'number', default: 0.7, min: 0, max: 2 },
+  floatingButton: { type: 'boolean', default: true },
+  floatingButtonPosition: { type: 'string', default: 'bottom-right', values: ['bottom-right', 'bottom-left'] },
+  floatingButtonHiddenSites: { type: 'array', default: [] },
+  notifications: { type: 'boolean', default: true },
+  saveConversations: { type: 'boolean', default: true },
+  saveImages: { type: 'boolean', default: true },
+  promptHistory: { type: 'boolean', default: true },
+};
+
+/** @type {ClickAISettings} */
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([name, field]) => [name, field.default])
+);
+
+/**
+ * Checks a value against the schema of its setting
+ *
+ * @param {string} name - Setting name
+ * @param {*} value - Value to check
+ * @returns {string|null} Why the value is invalid, or null if it is valid
+ */
+export function validateSetting(name, value) {
+  const field = SETTINGS_SCHEMA[name];
+  if (!field) return `Unknown setting "${name}"`;
+
+  if (field.type === 'array') {
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+      return `${name} must be a list of strings`;
+    }
+  } else if (typeof value !== field.type || (field.type === 'number' && !Number.isFinite(value))) {
+    return `${name} must be a ${field.type}`;
+  }
+
+  if (field.values && !field.values.includes(value)) {
+    return `${name} must be one of ${field.values.join(', ')}`;
+  }
+  if (field.min !== undefined && value < field.min) return `${name} must be at least ${field.min}`;
+  if (field.max !== undefined && value > field.max) return `${name} must be at most ${field.max}`;
+  if (field.validate && !field.validate(value)) return `${name} is not valid`;
+  return null;
+}
+
+/**
+ * Fills in defaults for missing or invalid values and drops unknown ones
+ *
+ * @param {Object} stored - Settings as stored
+ * @returns {ClickAISettings} Complete, valid settings
+ */
+function normalizeSettings(stored = {}) {
+  return Object.fromEntries(Object.keys(SETTINGS_SCHEMA).map(name => [
+    name,
+    stored[name] !== undefined && !validateSetting(name, stored[name]) ? stored[name] : DEFAULT_SETTINGS[name],
+  ]));
+}
+
+/**
+ * Leaves out settings that have their default value, so a new default (e.g.
+ * the backend URL of a new build) reaches users who never changed it
+ *
+ * @param {ClickAISettings} settings - Complete settings
+ * @returns {Object} Only the settings that differ from the defaults
+ */
+function withoutDefaults(settings) {
+  return Object.fromEntries(Object.entries(settings).filter(
+    ([name, value]) => JSON.stringify(value) !== JSON.stringify(DEFAULT_SETTINGS[name])
+  ));
+}
+
+/**
+ * Reads the settings
+ *
+ * @returns {Promise<ClickAISettings>} The settings, with defaults for anything not set
+ */
+export async function getSettings() {
+  const data = await chrome.storage.sync.get(SETTINGS_KEY);
+  return normalizeSettings(data[SETTINGS_KEY]);
+}
+
+/**
+ * Validates and saves changes to the settings
+ *
+ * @param {Partial<ClickAISettings>} changes - Changed settings
+ * @returns {Promise<ClickAISettings>} The settings after the change
+ * @throws {Error} If a changed value is invalid; nothing is saved then
+ */
+export async function saveSettings(changes) {
+  for (const [name, value] of Object.entries(changes)) {
+    const problem = validateSetting(name, value);
+    if (problem) throw new Error(problem);
+  }
+
+  const settings = { ...(await getSettings()), ...changes };
+  // Trailing slashes would double up when paths are appended
+  settings.backendUrl = settings.backendUrl.replace(/\/+$/, '');
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: withoutDefaults(settings) });
+  return settings;
+}
+
+/**
+ * Restores every setting to its default
+ *
+ * @returns {Promise<ClickAISettings>} The default settings
+ */
+export async function resetSettings() {
+  await chrome.storage.sync.remove(SETTINGS_KEY);
+  return DEFAULT_SETTINGS;
+}
+
+/**
+ * Calls back whenever the settings change, in any extension context
+ *
+ * @param {Function} callback - Called with the new settings and the previous ones
+ * @returns {Function} Stops listening
+ */
+export function onSettingsChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName !== 'sync' || !changes[SETTINGS_KEY]) return;
+    callback(normalizeSettings(changes[SETTINGS_KEY].newValue), normalizeSettings(changes[SETTINGS_KEY].oldValue));
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * Returns the root URL of the backend server the extension talks to
+ *
+ * @returns {Promise<string>} URL without a trailing slash
+ */
+export async function getBackendUrl() {
+  return (await getSettings()).backendUrl;
+}
+
+/**
+ * Checks whether the floating chat button is turned off for a site. A
+ * listed hostname covers its subdomains too.
+ *
+ * @param {ClickAISettings} settings - The settings
+ * @param {string} hostname - Hostname of the page, e.g. 'docs.example.com'
+ * @returns {boolean} Whether the button must not be shown there
+ */
+export function isFloatingButtonHidden(settings, hostname) {
+  if (!settings.floatingButton) return true;
+  return settings.floatingButtonHiddenSites.some(site => hostname === site || hostname.endsWith(`.${site}`));
+}
+
+/**
+ * Moves settings kept by earlier versions into the settings object: the
+ * theme (synced under its own key) and the `clickaiSettings` object the
+ * background script used to seed in local storage.
+ *
+ * @returns {Promise<void>}
+ */
+export async function migrateSettings() {
+  const [synced, local] = await Promise.all([
+    chrome.storage.sync.get([SETTINGS_KEY, LEGACY_THEME_KEY]),
+    chrome.storage.local.get(SETTINGS_KEY),
+  ]);
+
+  const legacy = local[SETTINGS_KEY] || {};
+  if (!synced[SETTINGS_KEY] && (synced[LEGACY_THEME_KEY] || local[SETTINGS_KEY])) {
+    const migrated = {};
+    const theme = synced[LEGACY_THEME_KEY] || legacy.theme;
+    if (!validateSetting('theme', theme)) migrated.theme = theme;
+    if (typeof legacy.notifications === 'boolean') migrated.notifications = legacy.notifications;
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: withoutDefaults(normalizeSettings(migrated)) });
+  }
+
+  await Promise.all([
+    chrome.storage.sync.remove(LEGACY_THEME_KEY),
+    chrome.storage.local.remove(SETTINGS_KEY),
+  ]);
+}
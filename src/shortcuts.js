@@ -0,0 +1,52 @@
+/**
+ * Keyboard Shortcuts for ClickAI Extension
+ *
+ * The capture and chat actions can be bound to keys (the "commands" in
+ * manifest.json). Users can change the keys at chrome://extensions/shortcuts,
+ * so the UI looks up the current ones to show them in button titles.
+ *
+ * @module shortcuts
+ * @author ClickAI Team
+ */
+
+// Names of the commands in manifest.json
+export const COMMANDS = {
+  ASK_SELECTION: 'ask-selection',
+  ASK_SELECTION_WITH_PROMPT: 'ask-selection-with-prompt',
+  SNIP_AREA: 'snip-area',
+  SNIP_AREA_WITH_PROMPT: 'snip-area-with-prompt',
+  TOGGLE_CHAT: 'toggle-chat',
+};
+
+/**
+ * Looks up the keys bound to each command. Extension pages read them
+ * directly; content scripts can't, so they ask the background script.
+ *
+ * @returns {Promise<Object>} Shortcut of each command ('' when unbound), empty if they can't be read
+ */
+export function getShortcuts() {
+  return new Promise((resolve) => {
+    if (chrome.commands) {
+      chrome.commands.getAll((commands) => {
+        resolve(Object.fromEntries(commands.map(command => [command.name, command.shortcut || ''])));
+      });
+      return;
+    }
+    chrome.runtime.sendMessage({ type: 'getShortcuts' }, (response) => {
+      // The background script may be restarting; titles then show no keys
+      void chrome.runtime.lastError;
+      resolve(response?.shortcuts || {});
+    });
+  });
+}
+
+/**
+ * Adds a command's shortcut to a button title
+ *
+ * @param {string} title - Title of the button
+ * @param {string} shortcut - Keys bound to the command, if any
+ * @returns {string} Title with the keys in parentheses
+ */
+export function withShortcut(title, shortcut) {
+  return shortcut ? `${title} (${shortcut})` : title;
+}
@@ -0,0 +1,49 @@
+/**
+ * Side Panel Bridge for ClickAI Extension
+ *
+ * The chat can live in Chrome's side panel instead of a window on the page.
+ * The panel stays open while the user navigates and switches tabs, and the
+ * page's layout is left alone. Captures are still made in the page, so the
+ * content script hands their result to the background script, which passes
+ * it to the side panel of the tab's window over a port.
+ *
+ * @module sidePanelBridge
+ * @author ClickAI Team
+ */
+
+// Name of the port each open side panel connects with
+export const SIDE_PANEL_PORT_NAME = 'clickai-side-panel';
+
+/**
+ * Sends a query to the side panel, opening the panel if the chat is set to
+ * open there. Called from content scripts.
+ *
+ * @param {Object} ask - The `query`, and the captured `image` or `attachment` (data URLs) if any;
+ *   without any of them the panel is only opened
+ * @returns {Promise<boolean>} Whether the side panel took the query; if not, the caller shows the chat in the page
+ */
+export function askInSidePanel({ query = '', image = null, attachment = null } = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'askInSidePanel', query, image, attachment }, (response) => {
+      // No background script (e.g. the extension was reloaded): fall back to the page
+      void chrome.runtime.lastError;
+      resolve(Boolean(response?.success));
+    });
+  });
+}
+
+/**
+ * Starts the snipping tool in the active tab of the side panel's window.
+ * The capture comes back to the panel like one started from the context menu.
+ *
+ * @returns {Promise<void>}
+ */
+export async function captureActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+  chrome.tabs.sendMessage(tab.id, { type: 'captureArea' }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to start the capture in the active tab:', chrome.runtime.lastError);
+    }
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * Side Panel Entry Point for ClickAI Extension
+ *
+ * Renders the chat in Chrome's side panel (see Components/SidePanel.jsx).
+ *
+ * @module sidepanel
+ * @author ClickAI Team
+ */
+
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import './Styles/index.css';
+import SidePanel from './Components/SidePanel';
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(
+  <React.StrictMode>
+    <SidePanel />
+  </React.StrictMode>
+);
@@ -16,10 +16,20 @@ import { marked } from 'marked';
  * Prioritizes triple backticks for code detection and uses conservative
  * fallback heuristics to avoid marking regular text as code.
  * 
+ * While a message is still streaming, half-received fences are held back
+ * so they don't briefly render as text or as a block with a partial language.
+ * 
  * @param {string} message - The raw AI response message to parse
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.streaming - Whether the message is still being generated
  * @returns {Array<Object>} Array of block objects with type ('text' or 'code') and content
  */
-export function parseMessageToBlocks(message) {
+export function parseMessageToBlocks(message, { streaming = false } = {}) {
+  // Drop a trailing "`" or "``" that may be the start of a fence still arriving
+  if (streaming) {
+    message = message.replace(/(?<!`)`{1,2}$/, '');
+  }
+
   // Primary parsing: Handle triple backtick code blocks
   if (message.includes("```")) {
     const parts = [];
@@ -45,8 +55,12 @@ export function parseMessageToBlocks(message) {
       // Find the closing fence
       const endFence = message.indexOf("```", startFence + 3);
       if (endFence === -1) {
-        // No closing fence - treat rest as code
-        parts.push({ type: "code", content: message.slice(startFence) });
+        // No closing fence - treat rest as code, but while streaming wait
+        // until the opening line (and its language) is complete
+        const openBlock = message.slice(startFence);
+        if (!streaming || openBlock.includes('\n')) {
+          parts.push({ type: "code", content: openBlock });
+        }
         break;
       } else {
         // Complete code block found
@@ -8,8 +8,12 @@
  * 
  * Build targets:
  * - popup: React-based popup interface
+ * - options: React-based options page
+ * - sidepanel: Chat in Chrome's side panel
+ * - chat: Chat in a tab, opened from the address bar
  * - content: Content script injected into web pages
  * - background: Service worker for extension background tasks
+ * - offscreen: Offscreen document that runs OCR workers
  * 
  * @author Saketh Sripada
  * @version 1.0.0
@@ -29,11 +33,23 @@ module.exports = {
     // Main popup interface - React application
     popup: './src/index.js',
     
+    // Options page - React application sharing components with the popup
+    options: './src/options.js',
+    
+    // Side panel - the chat in Chrome's side panel
+    sidepanel: './src/sidepanel.js',
+    
+    // Chat page - the chat in a tab, for address bar queries
+    chat: './src/chat.js',
+    
     // Content script - injected into web pages
     content: './public/content.js',
     
     // Background script - service worker for extension functionality
     background: './public/background.js',
+    
+    // Offscreen document - keeps Tesseract OCR workers running
+    offscreen: './public/offscreen.js',
   },
 
   // Output configuration for built files
@@ -114,6 +130,48 @@ module.exports = {
       },
     }),
 
+    // Generate HTML file for the options page
+    new HtmlWebpackPlugin({
+      template: './public/options.html',
+      filename: 'options.html',
+      chunks: ['options'], // Only include options bundle in this HTML
+      inject: 'body',
+      minify: {
+        removeComments: true,
+        collapseWhitespace: true,
+        removeRedundantAttributes: true,
+        useShortDoctype: true,
+      },
+    }),
+
+    // Generate HTML file for the side panel
+    new HtmlWebpackPlugin({
+      template: './public/sidepanel.html',
+      filename: 'sidepanel.html',
+      chunks: ['sidepanel'], // Only include side panel bundle in this HTML
+      inject: 'body',
+      minify: {
+        removeComments: true,
+        collapseWhitespace: true,
+        removeRedundantAttributes: true,
+        useShortDoctype: true,
+      },
+    }),
+
+    // Generate HTML file for the chat page - full height like the side panel
+    new HtmlWebpackPlugin({
+      template: './public/sidepanel.html',
+      filename: 'chat.html',
+      chunks: ['chat'], // Only include chat page bundle in this HTML
+      inject: 'body',
+      minify: {
+        removeComments: true,
+        collapseWhitespace: true,
+        removeRedundantAttributes: true,
+        useShortDoctype: true,
+      },
+    }),
+
     // Copy static assets that don't need processing
     new CopyWebpackPlugin({
       patterns: [
@@ -138,6 +196,12 @@ module.exports = {
         { from: 'public/mathjax-handler.js', to: 'mathjax-handler.js' },
         { from: 'public/tex-chtml.js', to: 'tex-chtml.js' },
         
+        // OCR assets - worker, WebAssembly cores (legacy ones for script detection) and bundled English language data
+        { from: 'public/offscreen.html', to: 'offscreen.html' },
+        { from: 'node_modules/tesseract.js/dist/worker.min.js', to: 'tesseract/worker.min.js' },
+        { from: 'node_modules/tesseract.js-core/tesseract-core*.wasm.js', to: 'tesseract/core/[name][ext]' },
+        { from: 'node_modules/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', to: 'tessdata/eng.traineddata.gz' },
+        
         // Additional assets if they exist
         { from: 'public/imgs', to: 'imgs', noErrorOnMissing: true },
         { from: 'public/vendor', to: 'vendor', noErrorOnMissing: true },
@@ -153,8 +217,9 @@ module.exports = {
 
     // Inject environment variables into the bundle
     new webpack.DefinePlugin({
-      // Make environment variables available to the extension code
-      'process.env.EXTENSION_SECRET': JSON.stringify(process.env.EXTENSION_SECRET),
+      // Make environment variables available to the extension code.
+      // Never inject secrets here - anything defined ends up readable in the
+      // bundle. Installs authenticate with per-install tokens (see src/auth.js).
       'process.env.BASE_URL': JSON.stringify(process.env.BASE_URL),
       'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'production'),
       